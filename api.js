@@ -39,19 +39,49 @@ function handleNetworkError(error) {
   const err = new Error(
     'Network error. Check your internet connection.'
   );
+  err.code = 'NETWORK_ERROR';
   err.originalError = error;
   return err;
 }
 
+// ============================================================
+// AUTH TOKEN
+// ============================================================
+
+const AUTH_TOKEN_KEY = 'authToken';
+
+/**
+ * Get the stored auth token
+ * @returns {string|null}
+ */
+function getAuthToken() {
+  return loadFromStorage(AUTH_TOKEN_KEY);
+}
+
+/**
+ * Store the auth token (null removes it)
+ * @param {string|null} token
+ */
+function setAuthToken(token) {
+  if (token) {
+    saveToStorage(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+}
+
 // ============================================================
 // FETCH WRAPPER
 // ============================================================
 
+// Set by the service worker on a saved copy it served because the network failed
+const OFFLINE_COPY_HEADER = 'X-Offline-Copy';
+
 /**
  * Make HTTP request with error handling
  * @param {string} url
  * @param {string} method
- * @param {any} body
+ * @param {any} body - JSON-encoded, or sent as-is if it is FormData
  * @returns {Promise<any>}
  */
 async function fetchAPI(url, method = 'GET', body = null) {
@@ -65,7 +95,16 @@ async function fetchAPI(url, method = 'GET', body = null) {
       }
     };
 
-    if (body) {
+    const token = getAuthToken();
+    if (token) {
+      options.headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    if (body instanceof FormData) {
+      // Let the browser set the multipart boundary
+      delete options.headers['Content-Type'];
+      options.body = body;
+    } else if (body) {
       options.body = JSON.stringify(body);
     }
 
@@ -73,6 +112,12 @@ async function fetchAPI(url, method = 'GET', body = null) {
     log(`${method} ${url}`);
     const response = await fetch(url, options);
 
+    // Session missing or expired: drop the token and ask the user to log in
+    if (response.status === 401) {
+      setAuthToken(null);
+      showLoginScreen();
+    }
+
     // Handle non-OK responses
     if (!response.ok) {
       const error = await handleErrorResponse(response);
@@ -81,12 +126,20 @@ async function fetchAPI(url, method = 'GET', body = null) {
 
     // Parse and return JSON
     const data = await response.json();
+
+    // The backend wasn't reached; the saved copy comes with the error
+    if (response.headers.get(OFFLINE_COPY_HEADER)) {
+      const error = handleNetworkError(new Error('Served from the offline cache'));
+      error.offlineCopy = data;
+      throw error;
+    }
+
     return data;
 
   } catch (error) {
     // Distinguish between API errors and network errors
-    if (error.statusCode) {
-      // It's an API error
+    if (error.statusCode || error.code === 'NETWORK_ERROR') {
+      // It's an API error (or already described)
       throw error;
     } else {
       // It's a network error
@@ -95,23 +148,145 @@ async function fetchAPI(url, method = 'GET', body = null) {
   }
 }
 
+/**
+ * Fetch a file (not JSON) with the session token
+ * @param {string} url
+ * @param {string} failureMessage - Logged if the request fails
+ * @returns {Promise<Response>} OK response, body not yet read
+ */
+async function fetchFile(url, failureMessage) {
+  let response;
+  try {
+    const token = getAuthToken();
+    log(`GET ${url}`);
+    response = await fetch(url, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+  } catch (error) {
+    logError(failureMessage, error);
+    throw handleNetworkError(error);
+  }
+
+  if (response.status === 401) {
+    setAuthToken(null);
+    showLoginScreen();
+  }
+
+  if (!response.ok) {
+    const error = await handleErrorResponse(response);
+    logError(failureMessage, error);
+    throw error;
+  }
+
+  return response;
+}
+
+// ============================================================
+// AUTH ENDPOINTS
+// ============================================================
+
+/**
+ * Create an account and store its token
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Logged-in user
+ */
+async function registerUser(email, password) {
+  try {
+    const response = await fetchAPI(
+      `${API_BASE_URL}/auth/register`,
+      'POST',
+      { email, password }
+    );
+    setAuthToken(response.data.token);
+    return response.data.user;
+  } catch (error) {
+    logError('Failed to register', error);
+    throw error;
+  }
+}
+
+/**
+ * Log in and store the token
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Logged-in user
+ */
+async function loginUser(email, password) {
+  try {
+    const response = await fetchAPI(
+      `${API_BASE_URL}/auth/login`,
+      'POST',
+      { email, password }
+    );
+    setAuthToken(response.data.token);
+    return response.data.user;
+  } catch (error) {
+    logError('Failed to log in', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user the stored token belongs to
+ * @returns {Promise<Object>}
+ */
+async function getCurrentUser() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/auth/me`);
+    return response.data;
+  } catch (error) {
+    logError('Failed to fetch current user', error);
+    throw error;
+  }
+}
+
+/**
+ * Log out (tokens are stateless, so just forget it)
+ */
+function logoutUser() {
+  setAuthToken(null);
+}
+
 // ============================================================
 // EXPENSE ENDPOINTS
 // ============================================================
 
+/**
+ * Build the query string for expense list filters
+ * @param {Object} filters - { q, from, to, category, minAmount, maxAmount, sort, order }
+ * @returns {string} "?..." or ''
+ */
+function buildExpenseQuery(filters = {}) {
+  const params = new URLSearchParams();
+
+  // category and tag may each be a single name or an array of names
+  for (const key of ['category', 'tag']) {
+    [].concat(filters[key] || []).forEach(value => {
+      params.append(key, value);
+    });
+  }
+
+  for (const key of ['q', 'from', 'to', 'minAmount', 'maxAmount', 'sort', 'order', 'format']) {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value);
+    }
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
 /**
  * Get all expenses
- * @param {Object} filters - Optional: { category, minAmount, maxAmount }
+ * @param {Object} filters - Optional: { q, from, to, category (string or array),
+ *   tag (string or array; every tag must match), minAmount, maxAmount, sort, order }
  * @returns {Promise<Array>}
  */
 async function getExpenses(filters = {}) {
   try {
-    const params = new URLSearchParams();
-    if (filters.category) params.append('category', filters.category);
-    if (filters.minAmount) params.append('minAmount', filters.minAmount);
-    if (filters.maxAmount) params.append('maxAmount', filters.maxAmount);
-
-    const url = `${API_BASE_URL}/expenses${params ? '?' + params : ''}`;
+    const url = `${API_BASE_URL}/expenses${buildExpenseQuery(filters)}`;
     const response = await fetchAPI(url);
 
     return response.data || [];
@@ -122,9 +297,10 @@ async function getExpenses(filters = {}) {
 }
 
 /**
- * Add new expense
- * @param {Object} expense - { date, amount, category, description }
- * @returns {Promise<Object>} Created expense with ID
+ * Add new expense (or income, with type 'income')
+ * @param {Object} expense - { type, date, amount, currency, category, description, tags, accountId }
+ *   plus groupId, paidBy and split for a shared expense, and clientId for one made offline
+ * @returns {Promise<Object>} Created expense with ID (null if a clientId's expense was since deleted)
  */
 async function addExpense(expense) {
   try {
@@ -140,10 +316,46 @@ async function addExpense(expense) {
   }
 }
 
+/**
+ * Import expenses from CSV text
+ * @param {string} csv
+ * @param {Object} options - { mapping, dateFormat, hasHeader, dryRun }
+ * @returns {Promise<Object>} Preview (dryRun) or { imported, expenses }
+ */
+async function importExpenses(csv, options = {}) {
+  try {
+    const response = await fetchAPI(
+      `${API_BASE_URL}/expenses/import`,
+      'POST',
+      { csv, ...options }
+    );
+    return response.data;
+  } catch (error) {
+    logError('Failed to import expenses', error);
+    throw error;
+  }
+}
+
+/**
+ * Create, update and delete several expenses in one all-or-nothing request
+ * @param {Array} operations - [{ op: 'create', data }, { op: 'update', id, data }, { op: 'delete', id }]
+ * @returns {Promise<Object>} { results, created, updated, deleted }
+ */
+async function batchExpenses(operations) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/batch`, 'POST', { operations });
+    return response.data;
+  } catch (error) {
+    logError('Failed to apply batch', error);
+    throw error;
+  }
+}
+
 /**
  * Update expense
  * @param {number} id
- * @param {Object} updates
+ * @param {Object} updates - May include baseRevision: fails with
+ *   EXPENSE_CHANGED if the expense has moved on from that revision
  * @returns {Promise<Object>}
  */
 async function updateExpense(id, updates) {
@@ -161,14 +373,16 @@ async function updateExpense(id, updates) {
 }
 
 /**
- * Delete expense
+ * Delete expense (it goes to the trash)
  * @param {number} id
+ * @param {number|null} [baseRevision] - As for updateExpense()
  * @returns {Promise<boolean>}
  */
-async function deleteExpense(id) {
+async function deleteExpense(id, baseRevision) {
   try {
+    const query = baseRevision === undefined ? '' : `?baseRevision=${baseRevision ?? ''}`;
     const response = await fetchAPI(
-      `${API_BASE_URL}/expenses/${id}`,
+      `${API_BASE_URL}/expenses/${id}${query}`,
       'DELETE'
     );
     return response.success;
@@ -179,12 +393,126 @@ async function deleteExpense(id) {
 }
 
 /**
- * Get available categories
- * @returns {Promise<Array>}
+ * Get the expenses in the trash, most recently deleted first
+ * @returns {Promise<Array>} Expenses with deleted_at and purge_at
+ */
+async function getTrash() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/trash`);
+    return response.data;
+  } catch (error) {
+    logError('Failed to fetch trash', error);
+    throw error;
+  }
+}
+
+/**
+ * Take an expense back out of the trash
+ * @param {number} id
+ * @returns {Promise<Object>} The restored expense
+ */
+async function restoreExpense(id) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/${id}/restore`, 'POST');
+    return response.data;
+  } catch (error) {
+    logError('Failed to restore expense', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete one expense in the trash
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+async function purgeExpense(id) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/trash/${id}`, 'DELETE');
+    return response.success;
+  } catch (error) {
+    logError('Failed to purge expense', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise<number>} Number of expenses deleted
+ */
+async function emptyTrash() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/trash`, 'DELETE');
+    return response.count;
+  } catch (error) {
+    logError('Failed to empty trash', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every change made to an expense, newest first
+ * @param {number} id
+ * @returns {Promise<Array>} Revisions with before, after and changes
+ */
+async function getExpenseHistory(id) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/${id}/history`);
+    return response.data || [];
+  } catch (error) {
+    logError('Failed to fetch expense history', error);
+    throw error;
+  }
+}
+
+/**
+ * Put an expense back the way a revision left it (restores a deleted one)
+ * @param {number} id
+ * @param {number} revisionId
+ * @returns {Promise<Object>} The expense as it is now
+ */
+async function revertExpense(id, revisionId) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/${id}/revert/${revisionId}`, 'POST');
+    return response.data;
+  } catch (error) {
+    logError('Failed to revert expense', error);
+    throw error;
+  }
+}
+
+/**
+ * Download the (filtered) expense list as a file
+ * @param {string} format - 'csv', 'json' or 'ofx'
+ * @param {Object} filters - Same as getExpenses()
+ * @returns {Promise<void>}
+ */
+async function downloadExpenses(format, filters = {}) {
+  const url = `${API_BASE_URL}/expenses/export${buildExpenseQuery({ ...filters, format })}`;
+  const response = await fetchFile(url, 'Failed to export expenses');
+
+  // Use the server's file name, e.g. expenses-2024-03-01.csv
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `expenses.${format}`;
+
+  // Hand the file to the browser as a download
+  const blob = await response.blob();
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Get the user's categories
+ * @returns {Promise<Array>} [{ id, name, color, icon, parent_id, expense_count }]
  */
 async function getCategories() {
   try {
-    const response = await fetchAPI(`${API_BASE_URL}/expenses/categories`);
+    const response = await fetchAPI(`${API_BASE_URL}/categories`);
     return response.data || [];
   } catch (error) {
     logError('Failed to fetch categories', error);
@@ -194,14 +522,388 @@ async function getCategories() {
 
 /**
  * Get spending summary
- * @returns {Promise<Object>}
+ * @param {Object} filters - Optional: { from, to, category (string or array) }
+ * @returns {Promise<Object>} { total, count, average, unconvertedCount,
+ *   byCategory: [{ category, total, count, share }], largest }
  */
-async function getSummary() {
+async function getSummary(filters = {}) {
   try {
-    const response = await fetchAPI(`${API_BASE_URL}/expenses/summary`);
+    const response = await fetchAPI(`${API_BASE_URL}/expenses/summary${buildExpenseQuery(filters)}`);
     return response.data || {};
   } catch (error) {
     logError('Failed to fetch summary', error);
     throw error;
   }
 }
+
+// ============================================================
+// TAG ENDPOINTS
+// ============================================================
+
+/**
+ * Get the user's tags, most used first
+ * @returns {Promise<Array>} [{ id, name, count }]
+ */
+async function getTags() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/tags`);
+    return response.data || [];
+  } catch (error) {
+    logError('Failed to fetch tags', error);
+    throw error;
+  }
+}
+
+// ============================================================
+// GROUP ENDPOINTS
+// ============================================================
+
+/**
+ * Get the groups the user belongs to
+ * @returns {Promise<Array>} Groups with members and my_member_id
+ */
+async function getGroups() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/groups`);
+    return response.data || [];
+  } catch (error) {
+    logError('Failed to fetch groups', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a group (the user is added as its first member)
+ * @param {Object} group - { name, currency, members: [{ name, email }] }
+ * @returns {Promise<Object>} Created group
+ */
+async function addGroup(group) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/groups`, 'POST', group);
+    return response.data;
+  } catch (error) {
+    logError('Failed to create group', error);
+    throw error;
+  }
+}
+
+/**
+ * Get who owes whom in a group
+ * @param {number} groupId
+ * @returns {Promise<Object>} { currency, balances, transfers }
+ */
+async function getGroupBalances(groupId) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/groups/${groupId}/balances`);
+    return response.data;
+  } catch (error) {
+    logError('Failed to fetch group balances', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a payment between two members
+ * @param {number} groupId
+ * @param {Object} settlement - { from, to, amount } (no amount = settle in full)
+ * @returns {Promise<Object>} { settlement, balances, transfers }
+ */
+async function addSettlement(groupId, settlement) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/groups/${groupId}/settlements`, 'POST', settlement);
+    return response.data;
+  } catch (error) {
+    logError('Failed to record settlement', error);
+    throw error;
+  }
+}
+
+// ============================================================
+// ACCOUNT ENDPOINTS
+// ============================================================
+
+/**
+ * Get the user's accounts with current balances
+ * @returns {Promise<Array>}
+ */
+async function getAccounts() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/accounts`);
+    return response.data || [];
+  } catch (error) {
+    logError('Failed to fetch accounts', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an account
+ * @param {Object} account - { name, type, openingBalance, currency }
+ * @returns {Promise<Object>} Created account
+ */
+async function addAccount(account) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/accounts`, 'POST', account);
+    return response.data;
+  } catch (error) {
+    logError('Failed to add account', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an account nothing is recorded against
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteAccount(id) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/accounts/${id}`, 'DELETE');
+    return response.success;
+  } catch (error) {
+    logError('Failed to delete account', error);
+    throw error;
+  }
+}
+
+/**
+ * Move money between two accounts
+ * @param {Object} transfer - { fromAccountId, toAccountId, amount, toAmount }
+ *   (toAmount only when the currencies differ)
+ * @returns {Promise<Object>} Created transfer
+ */
+async function addTransfer(transfer) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/accounts/transfers`, 'POST', transfer);
+    return response.data;
+  } catch (error) {
+    logError('Failed to add transfer', error);
+    throw error;
+  }
+}
+
+// ============================================================
+// BUDGET ENDPOINTS
+// ============================================================
+
+/**
+ * Get spending against each budget for a month
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object>} { month, budgets: [{ budgetId, categoryId, category,
+ *   budget, spent, remaining, percentUsed, status }] }
+ */
+async function getBudgetStatus(month) {
+  try {
+    const response = await fetchAPI(
+      `${API_BASE_URL}/budgets/status?month=${encodeURIComponent(month)}`
+    );
+    return response.data;
+  } catch (error) {
+    logError('Failed to fetch budget status', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a monthly budget
+ * @param {Object} budget - { categoryId, amount }
+ * @returns {Promise<Object>}
+ */
+async function addBudget(budget) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/budgets`, 'POST', budget);
+    return response.data;
+  } catch (error) {
+    logError('Failed to add budget', error);
+    throw error;
+  }
+}
+
+/**
+ * Change a budget's monthly amount
+ * @param {number} id
+ * @param {number} amount
+ * @returns {Promise<Object>}
+ */
+async function updateBudget(id, amount) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/budgets/${id}`, 'PUT', { amount });
+    return response.data;
+  } catch (error) {
+    logError('Failed to update budget', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a budget
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteBudget(id) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/budgets/${id}`, 'DELETE');
+    return response.success;
+  } catch (error) {
+    logError('Failed to delete budget', error);
+    throw error;
+  }
+}
+
+// ============================================================
+// RECURRING EXPENSE ENDPOINTS
+// ============================================================
+
+/**
+ * Create a recurring expense rule; occurrences up to today are added at once
+ * @param {Object} rule - { amount, category, description, frequency, dayOfMonth, startDate, endDate }
+ * @returns {Promise<Object>} Created rule
+ */
+async function addRecurring(rule) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/recurring`, 'POST', rule);
+    return response.data;
+  } catch (error) {
+    logError('Failed to add recurring expense', error);
+    throw error;
+  }
+}
+
+// ============================================================
+// EXCHANGE RATE ENDPOINTS
+// ============================================================
+
+/**
+ * Get the base currency, stored rates and currencies missing a rate
+ * @returns {Promise<Object>} { baseCurrency, rates, missing }
+ */
+async function getRates() {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/rates`);
+    return response.data;
+  } catch (error) {
+    logError('Failed to fetch exchange rates', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the rate for one currency
+ * @param {string} currency
+ * @param {number} rate - Units of the currency per one unit of base
+ * @returns {Promise<Object>}
+ */
+async function saveRate(currency, rate) {
+  try {
+    const response = await fetchAPI(
+      `${API_BASE_URL}/rates/${encodeURIComponent(currency)}`,
+      'PUT',
+      { rate }
+    );
+    return response.data;
+  } catch (error) {
+    logError('Failed to save exchange rate', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the rate for one currency
+ * @param {string} currency
+ * @returns {Promise<boolean>}
+ */
+async function deleteRate(currency) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/rates/${encodeURIComponent(currency)}`, 'DELETE');
+    return response.success;
+  } catch (error) {
+    logError('Failed to delete exchange rate', error);
+    throw error;
+  }
+}
+
+/**
+ * Import rates from a JSON or CSV file's contents
+ * @param {string} file
+ * @returns {Promise<Object>} { imported, rates, skipped }
+ */
+async function importRates(file) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/rates/import`, 'POST', { file });
+    return response.data;
+  } catch (error) {
+    logError('Failed to import exchange rates', error);
+    throw error;
+  }
+}
+
+/**
+ * Change the base currency (stored rates are converted by the server)
+ * @param {string} currency
+ * @returns {Promise<Object>} Updated user
+ */
+async function changeBaseCurrency(currency) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/rates/base`, 'PUT', { currency });
+    return response.data;
+  } catch (error) {
+    logError('Failed to change base currency', error);
+    throw error;
+  }
+}
+
+// ============================================================
+// ATTACHMENT ENDPOINTS
+// ============================================================
+
+/**
+ * Upload receipt files for an expense
+ * @param {number} expenseId
+ * @param {FileList|Array<File>} files - Images or PDFs
+ * @param {boolean} replace - Replace the existing receipts instead of adding
+ * @returns {Promise<Array>} Created attachments
+ */
+async function uploadAttachments(expenseId, files, replace = false) {
+  const formData = new FormData();
+  Array.from(files).forEach(file => formData.append('files', file));
+
+  try {
+    const response = await fetchAPI(
+      `${API_BASE_URL}/expenses/${expenseId}/attachments`,
+      replace ? 'PUT' : 'POST',
+      formData
+    );
+    return response.data;
+  } catch (error) {
+    logError('Failed to upload attachments', error);
+    throw error;
+  }
+}
+
+/**
+ * Load a receipt for display
+ * Downloads need the session token, so the file is fetched and handed
+ * back as an object URL (revoke it with URL.revokeObjectURL when done).
+ * @param {number} id - Attachment ID
+ * @returns {Promise<string>} Object URL
+ */
+async function getAttachmentUrl(id) {
+  const response = await fetchFile(`${API_BASE_URL}/attachments/${id}`, 'Failed to load attachment');
+  const blob = await response.blob();
+  return URL.createObjectURL(blob);
+}
+
+/**
+ * Delete a receipt
+ * @param {number} id - Attachment ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteAttachment(id) {
+  try {
+    const response = await fetchAPI(`${API_BASE_URL}/attachments/${id}`, 'DELETE');
+    return response.success;
+  } catch (error) {
+    logError('Failed to delete attachment', error);
+    throw error;
+  }
+}
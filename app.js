@@ -7,8 +7,37 @@
 // APPLICATION STATE
 // ============================================================
 
+// The account last paid from is picked again on the next visit
+const LAST_ACCOUNT_KEY = 'lastAccountId';
+
+// The logged-in user, to resume the session when the backend can't be reached
+const SESSION_USER_KEY = 'sessionUser';
+
+// How often changes made offline are sent again while any are waiting
+const SYNC_RETRY_MS = 30000;
+
+// The list toolbar with nothing chosen ('' sorts newest first, or by relevance when searching)
+const DEFAULT_LIST_FILTERS = { category: '', from: '', to: '', minAmount: '', maxAmount: '', sort: '', order: '' };
+
 let appState = {
+  user: null,
+  authMode: 'login',
+  categories: [],
   expenses: [],
+  searchQuery: '',
+  tagFilter: '',
+  listFilters: { ...DEFAULT_LIST_FILTERS }, // Toolbar filters and sort order
+  tags: [],
+  importCsv: null,
+  budgetMonth: getCurrentMonth(),
+  budgets: [],
+  rates: { baseCurrency: 'USD', rates: [], missing: [] },
+  attachmentUrls: new Map(), // attachment ID -> Promise of an object URL
+  groups: [],
+  selectedGroupId: null, // Group shown in the groups section
+  accounts: [],
+  editingId: null, // Expense being edited in the form (cards only)
+  isOffline: false, // The backend couldn't be reached last time
   isLoading: false
 };
 
@@ -25,46 +54,473 @@ async function initializeApp() {
   try {
     // Set today's date as default
     elements.dateInput.value = getTodayDate();
-
-    // Load expenses
-    await loadExpenses();
+    elements.budgetMonth.value = appState.budgetMonth;
+    elements.summaryFrom.value = `${getCurrentMonth()}-01`;
+    elements.summaryTo.value = getTodayDate();
 
     // Attach event listeners
     setupEventListeners();
+    setupAuthListeners();
+    setupImportListeners();
+    setupBudgetListeners();
+    setupSummaryListeners();
+    setupListToolbarListeners();
+    setupChartListeners();
+    setupRateListeners();
+    setupGroupListeners();
+    setupAccountListeners();
+    setupHistoryListeners();
+    setupTrashListeners();
+    setupBulkActionListeners();
+    setupSyncListeners();
 
     // Setup responsive listening
-    setupResponsiveListener(appState.expenses);
+    setupResponsiveListener(() => appState.expenses);
+    registerServiceWorker();
+
+    // Resume a saved session, or ask the user to log in
+    if (getAuthToken()) {
+      const user = await resumeSession();
+      await startSession(user);
+    } else {
+      showLoginScreen();
+    }
 
     console.log('✅ App initialized successfully');
   } catch (error) {
+    // An expired token already sent the user to the login screen
+    if (error.statusCode === 401) return;
+
     logError('Failed to initialize app', error);
     showError('Failed to load app. Please refresh the page.');
   }
 }
 
+// ============================================================
+// AUTHENTICATION
+// ============================================================
+
+/**
+ * Show the app for a logged-in user and load their data
+ * @param {Object} user
+ */
+async function startSession(user) {
+  if (loadFromStorage(SESSION_USER_KEY)?.id !== user.id) clearServiceWorkerApiCache();
+  appState.user = user;
+  saveToStorage(SESSION_USER_KEY, user);
+  setSyncUser(user.id);
+  setBaseCurrency(user.base_currency);
+  showAppScreen(user);
+  handleLaunchAction();
+  readListViewFromUrl();
+  renderSyncStatus(getSyncQueue().length, appState.isOffline);
+  renderSyncConflicts(getSyncConflicts());
+
+  // Offline, only the list and categories are kept; the rest loads once back online
+  if (appState.isOffline) {
+    await Promise.all([loadCategories(), loadExpenses()]);
+  } else {
+    await loadAllData();
+    await syncPendingChanges();
+  }
+}
+
+/**
+ * Load everything shown for the logged-in user
+ */
+async function loadAllData() {
+  await Promise.all([loadCategories(), loadExpenses(), loadBudgetStatus(), loadSummary(), loadRates(), loadTags(),
+    loadGroups(), loadAccounts(loadFromStorage(LAST_ACCOUNT_KEY))]);
+}
+
+/**
+ * The user of the saved session; the one last seen if the backend can't be reached
+ * @returns {Promise<Object>}
+ */
+async function resumeSession() {
+  try {
+    return await getCurrentUser();
+  } catch (error) {
+    const user = loadFromStorage(SESSION_USER_KEY);
+    if (!isNetworkError(error) || !user) throw error;
+
+    appState.isOffline = true;
+    return user;
+  }
+}
+
+/**
+ * Handle login/register form submission
+ */
+async function onAuthSubmit(e) {
+  e.preventDefault();
+  hideAuthError();
+
+  const { email, password } = getAuthFormData();
+  if (!email || !password) {
+    showAuthError('Email and password are required');
+    return;
+  }
+
+  setAuthLoading(true);
+
+  try {
+    const user = appState.authMode === 'register'
+      ? await registerUser(email, password)
+      : await loginUser(email, password);
+
+    clearAuthForm();
+    await startSession(user);
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      const errorMessages = error.details?.errors
+        ?.map(e => e.message)
+        .join(', ');
+      showAuthError(errorMessages || 'Validation failed');
+    } else {
+      showAuthError(error.message || 'Could not log in');
+    }
+  } finally {
+    setAuthLoading(false);
+  }
+}
+
+/**
+ * Log out and clear everything belonging to the previous user
+ */
+function onLogout() {
+  logoutUser();
+  localStorage.removeItem(SESSION_USER_KEY);
+  clearServiceWorkerApiCache();
+
+  // Changes waiting to sync stay on this device for the user's next login
+  setSyncUser(null);
+  renderSyncStatus(0, false);
+  renderSyncConflicts([]);
+
+  appState.user = null;
+  appState.categories = [];
+  appState.expenses = [];
+  appState.budgets = [];
+  appState.rates = { baseCurrency: 'USD', rates: [], missing: [] };
+  clearAttachmentUrls();
+  appState.searchQuery = '';
+  appState.tagFilter = '';
+  appState.listFilters = { ...DEFAULT_LIST_FILTERS };
+  appState.tags = [];
+  appState.groups = [];
+  appState.selectedGroupId = null;
+  appState.accounts = [];
+  elements.searchInput.value = '';
+  renderTagFilter(appState.tagFilter);
+  setListToolbarData(appState.listFilters);
+  writeListViewToUrl();
+  renderTagOptions(appState.tags);
+  setBaseCurrency(null);
+  setCategoryColors(appState.categories);
+  resetCharts();
+  renderRates(appState.rates);
+  renderCategoryOptions(appState.categories);
+  renderCategoryOptions(appState.categories, elements.budgetCategorySelect, 'id');
+  renderBudgetStatus(appState.budgets);
+  renderCategoryOptions(appState.categories, elements.summaryCategorySelect, 'name', 'All categories');
+  renderCategoryOptions(appState.categories, elements.filterCategorySelect, 'name', 'All categories');
+  renderSummary(null);
+  renderGroupOptions(appState.groups, appState.selectedGroupId);
+  renderGroupBalances(null);
+  renderAccountOptions(appState.accounts, null);
+  renderAccounts(appState.accounts);
+  renderExpenseList(appState.expenses);
+  appState.editingId = null;
+  clearForm();
+  setFormEditMode(null);
+
+  showLoginScreen();
+}
+
 // ============================================================
 // LOAD EXPENSES
 // ============================================================
 
 /**
- * Fetch and display all expenses
+ * Fetch and display expenses matching the search box, tag and toolbar
  */
 async function loadExpenses() {
   try {
     showLoading();
-    const expenses = await getExpenses();
-    
-    appState.expenses = sortByDateDesc(expenses);
+    const filters = getListFilters();
+    writeListViewToUrl();
+    renderClearFilters(hasListFilters());
+
+    const expenses = await fetchExpenseList(filters);
+
+    // A newer search or filter started while this one was loading
+    if (JSON.stringify(filters) !== JSON.stringify(getListFilters())) return;
+
+    // The server sorts (search results by relevance unless a sort is chosen);
+    // changes not yet synced are shown on top
+    appState.expenses = applyQueuedChanges(expenses);
+    clearFieldErrors(elements.listToolbar);
+    setEmptyStateFiltered(hasListFilters());
     renderExpenseList(appState.expenses);
     
     hideLoading();
   } catch (error) {
     hideLoading();
-    showError('Could not load expenses. Check your connection.');
+    if (isNetworkError(error)) {
+      // Nothing kept for these filters: show only what was made offline
+      appState.expenses = applyQueuedChanges([]);
+      renderExpenseList(appState.expenses);
+      showError('You are offline, and this list was not loaded before.');
+    } else if (error.code === 'VALIDATION_ERROR' && error.details?.errors) {
+      showFieldErrors(elements.listToolbar, error.details.errors);
+      showError('Check the filters above the list');
+    } else {
+      showError('Could not load expenses. Check your connection.');
+    }
+    console.error(error);
+  }
+}
+
+/**
+ * Get the list from the server and keep it for offline use, or use a
+ * copy kept earlier (by the service worker, or the last list loaded) when
+ * the backend can't be reached
+ * @param {Object} filters - From getListFilters()
+ * @returns {Promise<Array>}
+ */
+async function fetchExpenseList(filters) {
+  try {
+    const expenses = await getExpenses(filters);
+    cacheResponse('expenses', { filters, expenses });
+    setOffline(false);
+    return expenses;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    setOffline(true);
+
+    const cached = error.offlineCopy?.data || getCachedExpenseList(filters);
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+/**
+ * Filters for the list as the user currently sees it
+ * A category takes in its subcategories, as budgets do.
+ * @returns {Object}
+ */
+function getListFilters() {
+  const { category, ...rest } = appState.listFilters;
+  return {
+    q: appState.searchQuery,
+    tag: appState.tagFilter,
+    category: category ? getCategoryWithDescendants(category) : [],
+    ...rest
+  };
+}
+
+/**
+ * Whether the list is narrowed or sorted in any way
+ * @returns {boolean}
+ */
+function hasListFilters() {
+  return Boolean(appState.searchQuery || appState.tagFilter) ||
+    Object.values(appState.listFilters).some(Boolean);
+}
+
+// ============================================================
+// LIST VIEW (toolbar, sorting and the address bar)
+// ============================================================
+
+// Query string parameters that hold the list view
+const LIST_VIEW_PARAMS = ['q', 'tag', ...Object.keys(DEFAULT_LIST_FILTERS)];
+
+/**
+ * Take the search, tag, filters and sort order from the address bar, so a
+ * bookmarked view opens as it was
+ */
+function readListViewFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const read = (key) => (params.get(key) || '').trim();
+
+  appState.searchQuery = read('q');
+  appState.tagFilter = read('tag');
+  appState.listFilters = Object.fromEntries(
+    Object.keys(DEFAULT_LIST_FILTERS).map(key => [key, read(key)])
+  );
+
+  elements.searchInput.value = appState.searchQuery;
+  renderTagFilter(appState.tagFilter);
+  setListToolbarData(appState.listFilters);
+}
+
+/**
+ * Show the current list view in the address bar (without a new history entry)
+ */
+function writeListViewToUrl() {
+  const values = { q: appState.searchQuery, tag: appState.tagFilter, ...appState.listFilters };
+  const params = new URLSearchParams();
+  LIST_VIEW_PARAMS.forEach(key => {
+    if (values[key]) params.set(key, values[key]);
+  });
+
+  const query = params.toString();
+  window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
+
+/**
+ * Apply the toolbar's filters and sort order
+ */
+function onListToolbarChange() {
+  appState.listFilters = getListToolbarData();
+  loadExpenses();
+}
+
+/**
+ * Sort by a table column; a second click reverses the order
+ * @param {string} field
+ */
+function onSortHeader(field) {
+  const current = getListSort();
+  const order = current && current.field === field
+    ? (current.order === 'asc' ? 'desc' : 'asc')
+    : (field === 'date' || field === 'amount' ? 'desc' : 'asc');
+
+  appState.listFilters = { ...appState.listFilters, sort: field, order };
+  setListToolbarData(appState.listFilters);
+  loadExpenses();
+}
+
+/**
+ * Show everything again: no search, tag, filters or chosen sort order
+ */
+function onClearFilters() {
+  appState.searchQuery = '';
+  appState.tagFilter = '';
+  appState.listFilters = { ...DEFAULT_LIST_FILTERS };
+
+  elements.searchInput.value = '';
+  renderTagFilter(appState.tagFilter);
+  setListToolbarData(appState.listFilters);
+  loadExpenses();
+}
+
+/**
+ * Setup list toolbar listeners
+ */
+function setupListToolbarListeners() {
+  elements.listToolbar.addEventListener('submit', (e) => e.preventDefault());
+  elements.listToolbar.addEventListener('change', onListToolbarChange);
+  elements.clearFiltersBtn.addEventListener('click', onClearFilters);
+}
+
+/**
+ * Load the user's tags for the form's suggestions
+ */
+async function loadTags() {
+  try {
+    appState.tags = await getTags();
+    renderTagOptions(appState.tags);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Narrow the list to one tag ('' shows everything again)
+ * @param {string} tag
+ */
+function onTagFilter(tag) {
+  appState.tagFilter = tag;
+  renderTagFilter(tag);
+  loadExpenses();
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+/**
+ * Download the current view in the chosen format
+ */
+async function onExport() {
+  elements.exportBtn.disabled = true;
+  try {
+    await downloadExpenses(elements.exportFormat.value, getListFilters());
+  } catch (error) {
+    showError(error.message || 'Export failed');
+  } finally {
+    elements.exportBtn.disabled = false;
+  }
+}
+
+// ============================================================
+// LOAD CATEGORIES
+// ============================================================
+
+/**
+ * Fetch the user's categories and fill the dropdown
+ */
+async function loadCategories() {
+  try {
+    appState.categories = await fetchCategoriesForOffline();
+    setCategoryColors(appState.categories);
+    renderCharts(appState.expenses);
+    renderCategoryOptions(getCategoriesOfType(elements.typeSelect.value));
+    renderCategoryOptions(getCategoriesOfType('expense'), elements.budgetCategorySelect, 'id');
+    renderCategoryOptions(getCategoriesOfType('expense'), elements.summaryCategorySelect, 'name', 'All categories');
+    renderCategoryOptions(appState.categories, elements.filterCategorySelect, 'name', 'All categories');
+
+    // A category filter from the address bar could only be shown once its
+    // option existed, and only now takes in its subcategories
+    if (appState.listFilters.category) {
+      elements.filterCategorySelect.value = appState.listFilters.category;
+      loadExpenses();
+    }
+  } catch (error) {
+    showError('Could not load categories. Check your connection.');
     console.error(error);
   }
 }
 
+/**
+ * Get the categories, or the ones kept last time when offline
+ * @returns {Promise<Array>}
+ */
+async function fetchCategoriesForOffline() {
+  try {
+    const categories = await getCategories();
+    cacheResponse('categories', categories);
+    return categories;
+  } catch (error) {
+    const cached = getCachedResponse('categories');
+    if (!isNetworkError(error) || !cached) throw error;
+    return cached;
+  }
+}
+
+/**
+ * The user's categories for expenses or for income
+ * @param {string} type - 'expense' or 'income'
+ * @returns {Array}
+ */
+function getCategoriesOfType(type) {
+  return appState.categories.filter(category => category.type === type);
+}
+
+/**
+ * Offer the categories for the chosen type; income is never shared
+ */
+function onExpenseTypeChange() {
+  const isIncome = elements.typeSelect.value === 'income';
+  renderCategoryOptions(getCategoriesOfType(elements.typeSelect.value));
+
+  elements.groupSelect.disabled = isIncome;
+  if (isIncome) elements.groupSelect.value = '';
+  onExpenseGroupChange();
+}
+
 // ============================================================
 // FORM SUBMISSION
 // ============================================================
@@ -86,20 +542,74 @@ async function onFormSubmit(e) {
     return;
   }
 
+  if (appState.editingId !== null) {
+    await saveFormEdit(formData);
+    return;
+  }
+
   // Show loading state
   setFormLoading(true);
 
   try {
-    // Send to backend
-    const newExpense = await addExpense(formData);
+    const { receipts, ...expense } = formData;
 
-    // Update state
-    appState.expenses.unshift(newExpense);
+    if (expense.repeat) {
+      if (expense.type === 'income') {
+        showError('Income can only be added as a one-off for now');
+        return;
+      }
+      if (receipts.length > 0 || expense.tags.length > 0 || expense.groupId) {
+        showError('Tags, receipts and groups can only be added to one-off expenses');
+        return;
+      }
+      await addRecurringFromForm(expense);
+      return;
+    }
+
+    // Send to backend, or keep it to send once the backend can be reached
+    let newExpense;
+    try {
+      newExpense = await addExpense(expense);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      queueOfflineCreate(expense, receipts);
+      return;
+    }
+
+    // Receipts need the new expense's ID, so they go up second
+    if (receipts.length > 0) {
+      try {
+        newExpense.attachments = await uploadAttachments(newExpense.id, receipts);
+      } catch (error) {
+        showWarning(`⚠️ Expense saved, but the receipts were not: ${error.message}`);
+      }
+    }
+
+    // Update state (a filtered or sorted list may not show it first, or at all)
+    if (hasListFilters()) {
+      await loadExpenses();
+    } else {
+      appState.expenses.unshift(newExpense);
+    }
+    if (newExpense.tags.length > 0) loadTags();
+    if (newExpense.group_id) onSelectGroup(newExpense.group_id);
+    if (newExpense.account_id) {
+      saveToStorage(LAST_ACCOUNT_KEY, newExpense.account_id);
+      loadAccounts(newExpense.account_id);
+    }
 
     // Update UI
     renderExpenseList(appState.expenses);
     clearForm();
-    showSuccess('✅ Expense added successfully!');
+    showSuccess(newExpense.type === 'income' ? '✅ Income added successfully!' : '✅ Expense added successfully!');
+
+    if (newExpense.base_amount === null) {
+      showWarning(`⚠️ No exchange rate for ${newExpense.currency}; this expense isn't in the total yet`);
+      await loadRates();
+    }
+
+    await warnIfOverBudget(newExpense);
+    loadSummary();
 
   } catch (error) {
     // Handle specific error codes
@@ -116,62 +626,1357 @@ async function onFormSubmit(e) {
   }
 }
 
+/**
+ * Keep a new expense made offline, to send once back online
+ * Receipts have to be uploaded, so they can't wait.
+ * @param {Object} expense - From the form, without receipts
+ * @param {Array<File>} receipts
+ */
+function queueOfflineCreate(expense, receipts) {
+  if (receipts.length > 0) {
+    showError('You are offline. Remove the receipts to save now, and attach them once back online.');
+    return;
+  }
+
+  showQueuedChange({ op: 'create', id: createLocalId(), data: expense });
+  clearForm();
+  showWarning('📴 You are offline. Saved on this device; it will sync when you are back online.');
+}
+
+/**
+ * Queue a change made offline and show it in the list
+ * @param {Object} change - For queueExpenseChange()
+ */
+function showQueuedChange(change) {
+  queueExpenseChange(change);
+  appState.expenses = applyQueuedChanges(appState.expenses, [change]);
+  renderExpenseList(appState.expenses);
+  renderSyncStatus(getSyncQueue().length, appState.isOffline);
+}
+
+/**
+ * Save the form as a recurring rule starting on the chosen date
+ * The server adds every occurrence up to today, so the list is reloaded.
+ * @param {Object} formData
+ */
+async function addRecurringFromForm(formData) {
+  const rule = await addRecurring({
+    amount: formData.amount,
+    currency: formData.currency,
+    category: formData.category,
+    description: formData.description,
+    frequency: formData.repeat,
+    startDate: formData.date
+  });
+
+  await loadExpenses();
+  clearForm();
+  showSuccess(`🔁 Recurring expense added (${formData.repeat})`);
+
+  if (rule.last_generated_date) {
+    await warnIfOverBudget({ ...rule, date: rule.last_generated_date });
+    loadSummary();
+  }
+}
+
 // ============================================================
-// DELETE EXPENSE
+// EDIT EXPENSE
 // ============================================================
 
 /**
- * Delete expense by ID
+ * Start editing an expense: in place in a table row, or in the form for cards
  * @param {number} id
+ * @param {HTMLTableRowElement|null} row - The expense's table row, if any
  */
-async function onDeleteExpense(id) {
-  try {
-    await deleteExpense(id);
+function onEditExpense(id, row) {
+  const expense = appState.expenses.find(e => e.id === id);
+  if (!expense) return;
 
-    // Update state
-    appState.expenses = appState.expenses.filter(e => e.id !== id);
+  if (row) {
+    renderInlineEditor(row, expense, getCategoriesOfType(expense.type));
+    return;
+  }
 
-    // Update UI
-    renderExpenseList(appState.expenses);
-    showSuccess('Expense deleted successfully');
+  clearForm();
+  appState.editingId = id;
+  elements.typeSelect.value = expense.type;
+  onExpenseTypeChange(); // Categories of the expense's type
+  setFormData(expense);
+  setFormEditMode(expense);
+}
+
+/**
+ * Leave the form's edit mode without saving
+ */
+function onCancelFormEdit() {
+  appState.editingId = null;
+  clearForm();
+  setFormEditMode(null);
+}
+
+/**
+ * Save the form's changes to the expense being edited
+ * @param {Object} formData - From getFormData()
+ */
+async function saveFormEdit(formData) {
+  const { type, date, amount, currency, category, description, tags, accountId } = formData;
+  setFormLoading(true, true);
 
+  try {
+    const updated = await sendOrQueueUpdate(appState.editingId, {
+      type, date, amount, currency, category, description, tags, accountId
+    });
+
+    appState.editingId = null;
+    clearForm();
+    setFormEditMode(null);
+    if (updated) await applyExpenseUpdate(updated);
   } catch (error) {
-    showError(error.message || 'Failed to delete expense');
+    showUpdateError(error, elements.form);
+  } finally {
+    setFormLoading(false, appState.editingId !== null);
   }
 }
 
-// ============================================================
-// EVENT LISTENERS
-// ============================================================
+/**
+ * Save the changes made in a table row
+ * @param {number} id
+ * @param {HTMLTableRowElement} row
+ */
+async function onSaveInlineEdit(id, row) {
+  clearMessages();
+  const updates = getInlineEditData(row);
+
+  const validationError = validateExpenseForm(updates);
+  if (validationError) {
+    showError(validationError);
+    return;
+  }
+
+  setInlineEditSaving(row, true);
+  try {
+    const updated = await sendOrQueueUpdate(id, updates);
+    if (updated) await applyExpenseUpdate(updated);
+  } catch (error) {
+    showUpdateError(error, row);
+    setInlineEditSaving(row, false);
+  }
+}
 
 /**
- * Setup all event listeners
+ * Save changes to an expense, or queue them when the backend can't be
+ * reached. Changes to an expense with changes already waiting queue
+ * behind them, so they reach the server in order.
+ * @param {number|string} id
+ * @param {Object} updates
+ * @returns {Promise<Object|null>} The saved expense; null if queued
  */
-function setupEventListeners() {
-  // Form submission
-  elements.form.addEventListener('submit', onFormSubmit);
+async function sendOrQueueUpdate(id, updates) {
+  const expense = appState.expenses.find(e => e.id === id);
 
-  // Real-time validation (optional - improves UX)
-  elements.amountInput.addEventListener('blur', () => {
-    const error = validateField('amount', elements.amountInput.value);
-    if (error) {
-      showError(error);
+  if (!isLocalId(id) && !hasQueuedChanges(id)) {
+    try {
+      return await updateExpense(id, updates);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
     }
-  });
+  }
 
-  elements.dateInput.addEventListener('blur', () => {
-    const error = validateField('date', elements.dateInput.value);
-    if (error) {
+  showQueuedChange({ op: 'update', id, data: updates, baseRevision: expense?.revision ?? null });
+  showWarning('📴 Saved on this device; it will sync once the server can be reached.');
+  return null;
+}
+
+/**
+ * Put a table row back without saving
+ * @param {number} id
+ * @param {HTMLTableRowElement} row
+ */
+function onCancelInlineEdit(id, row) {
+  const expense = appState.expenses.find(e => e.id === id);
+  if (expense) restoreTableRow(row, expense);
+}
+
+/**
+ * Show a saved expense in place of the old one (the list isn't reloaded)
+ * @param {Object} updated - From updateExpense()
+ */
+async function applyExpenseUpdate(updated) {
+  appState.expenses = appState.expenses.map(e => (e.id === updated.id ? updated : e));
+  renderExpenseList(appState.expenses);
+  showSuccess(updated.type === 'income' ? '✅ Income updated' : '✅ Expense updated');
+
+  // Totals elsewhere may have moved with the amount, date, category or account
+  loadBudgetStatus();
+  loadSummary();
+  loadAccounts();
+  loadTags();
+  if (updated.group_id) onSelectGroup(updated.group_id);
+
+  if (updated.base_amount === null) {
+    showWarning(`⚠️ No exchange rate for ${updated.currency}; this expense isn't in the total yet`);
+    await loadRates();
+  }
+
+  await warnIfOverBudget(updated);
+}
+
+/**
+ * Show why an update failed, next to the fields where possible
+ * @param {Error} error
+ * @param {Element} container - Form or row holding the fields
+ */
+function showUpdateError(error, container) {
+  if (error.code !== 'VALIDATION_ERROR') {
+    showError(error.message || 'Failed to update expense');
+    return;
+  }
+
+  const unplaced = showFieldErrors(container, error.details?.errors || []);
+  if (unplaced.length > 0 || !error.details?.errors) {
+    showError(unplaced.map(e => e.message).join(', ') || 'Validation failed');
+  } else {
+    showError('Please correct the highlighted fields');
+  }
+}
+
+// ============================================================
+// DELETE EXPENSE
+// ============================================================
+
+/**
+ * Delete expense by ID
+ * @param {number} id
+ */
+async function onDeleteExpense(id) {
+  const expense = appState.expenses.find(e => e.id === id);
+
+  try {
+    if (isLocalId(id) || hasQueuedChanges(id)) {
+      queueOfflineDelete(id, expense);
+      return;
+    }
+
+    try {
+      await deleteExpense(id);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      queueOfflineDelete(id, expense);
+      return;
+    }
+
+    // Update state
+    appState.expenses = appState.expenses.filter(e => e.id !== id);
+    if (appState.editingId === id) onCancelFormEdit();
+
+    // Update UI
+    renderExpenseList(appState.expenses);
+    showSuccess('Expense moved to the trash', 8000, { label: 'Undo', onClick: () => onRestoreExpense(id) });
+    loadBudgetStatus();
+    loadSummary();
+
+  } catch (error) {
+    showError(error.message || 'Failed to delete expense');
+  }
+}
+
+/**
+ * Delete an expense on this device and queue the delete for the server
+ * @param {number|string} id
+ * @param {Object} expense - As listed
+ */
+function queueOfflineDelete(id, expense) {
+  showQueuedChange({ op: 'delete', id, baseRevision: expense?.revision ?? null });
+  if (appState.editingId === id) onCancelFormEdit();
+  if (isLocalId(id)) {
+    showSuccess('Expense deleted');
+  } else {
+    showWarning('📴 Deleted on this device; it moves to the trash once the server can be reached.');
+  }
+}
+
+// ============================================================
+// OFFLINE SYNC
+// ============================================================
+
+/**
+ * Note whether the backend can be reached
+ * @param {boolean} isOffline
+ */
+function setOffline(isOffline) {
+  appState.isOffline = isOffline;
+  renderSyncStatus(getSyncQueue().length, isOffline);
+}
+
+/**
+ * Send the changes made offline, then show everything as the server has it
+ */
+async function syncPendingChanges() {
+  if (!appState.user || getSyncQueue().length === 0) return;
+
+  const { synced, conflicts, remaining, offline } = await syncQueuedChanges();
+  setOffline(offline);
+  renderSyncConflicts(getSyncConflicts());
+
+  if (synced > 0) {
+    showSuccess(`✅ Synced ${synced} ${synced === 1 ? 'change' : 'changes'} made offline`);
+  }
+  if (conflicts > 0) {
+    showWarning(`⚠️ ${conflicts} ${conflicts === 1 ? 'change' : 'changes'} couldn't be synced; see above the list`);
+  }
+  if (synced > 0 || conflicts > 0) {
+    await loadAllData();
+  } else if (remaining > 0 && !offline) {
+    showWarning('⚠️ The server could not take the changes made offline yet; trying again shortly');
+  }
+}
+
+/**
+ * Back online: send what was queued, or load what couldn't be loaded offline
+ */
+async function onBackOnline() {
+  if (!appState.user) return;
+
+  if (getSyncQueue().length > 0) {
+    await syncPendingChanges();
+  } else if (appState.isOffline) {
+    await loadAllData();
+  }
+}
+
+/**
+ * Settle a change the server turned down
+ * @param {string} key
+ * @param {boolean} keepLocal - Send it again over the server's copy; otherwise drop it
+ */
+async function onResolveConflict(key, keepLocal) {
+  resolveSyncConflict(key, keepLocal);
+  renderSyncConflicts(getSyncConflicts());
+  renderSyncStatus(getSyncQueue().length, appState.isOffline);
+  if (keepLocal) await syncPendingChanges();
+}
+
+/**
+ * Setup offline sync listeners
+ */
+function setupSyncListeners() {
+  elements.syncNowBtn.addEventListener('click', onBackOnline);
+  window.addEventListener('online', onBackOnline);
+  window.addEventListener('offline', () => setOffline(true));
+
+  // navigator.onLine can't tell whether the backend is up, so keep trying
+  setInterval(() => {
+    if (getSyncQueue().length > 0) onBackOnline();
+  }, SYNC_RETRY_MS);
+}
+
+// ============================================================
+// ATTACHMENTS
+// ============================================================
+
+/**
+ * Object URL for a receipt, downloaded once and then reused
+ * @param {number} id - Attachment ID
+ * @returns {Promise<string>}
+ */
+function getCachedAttachmentUrl(id) {
+  if (!appState.attachmentUrls.has(id)) {
+    const url = getAttachmentUrl(id);
+    // Forget failures so the next render tries again
+    url.catch(() => appState.attachmentUrls.delete(id));
+    appState.attachmentUrls.set(id, url);
+  }
+  return appState.attachmentUrls.get(id);
+}
+
+/**
+ * Release every cached receipt (on logout)
+ */
+function clearAttachmentUrls() {
+  appState.attachmentUrls.forEach(url => {
+    url.then(URL.revokeObjectURL).catch(() => {});
+  });
+  appState.attachmentUrls.clear();
+}
+
+/**
+ * Fill in the receipt thumbnails rendered by renderAttachments()
+ * @param {HTMLElement} container
+ */
+function loadAttachmentThumbnails(container) {
+  container.querySelectorAll('img.attachment-thumb').forEach(img => {
+    getCachedAttachmentUrl(Number(img.dataset.attachmentId))
+      .then(url => { img.src = url; })
+      .catch(() => img.classList.add('attachment-thumb-broken'));
+  });
+}
+
+/**
+ * Open a receipt in a new tab
+ * @param {number} id - Attachment ID
+ */
+async function onOpenAttachment(id) {
+  // Open the tab now: browsers block popups opened after an await
+  const tab = window.open('', '_blank');
+
+  try {
+    const url = await getCachedAttachmentUrl(id);
+    if (tab) {
+      tab.location.href = url;
+    } else {
+      window.location.href = url;
+    }
+  } catch (error) {
+    if (tab) tab.close();
+    showError(error.message || 'Failed to open receipt');
+  }
+}
+
+/**
+ * Upload the files picked with an expense's Attach button
+ */
+async function onAttachmentFileChange() {
+  const input = elements.attachmentFile;
+  const expenseId = Number(input.dataset.expenseId);
+  const files = Array.from(input.files);
+  input.value = '';
+  if (!expenseId || files.length === 0) return;
+
+  try {
+    const created = await uploadAttachments(expenseId, files);
+
+    const expense = appState.expenses.find(e => e.id === expenseId);
+    if (expense) {
+      expense.attachments = [...(expense.attachments || []), ...created];
+      renderExpenseList(appState.expenses);
+    }
+
+    showSuccess(`📎 ${created.length} receipt(s) attached`);
+  } catch (error) {
+    showError(error.message || 'Failed to attach receipts');
+  }
+}
+
+// ============================================================
+// BUDGETS
+// ============================================================
+
+/**
+ * Fetch and display budget progress for the selected month
+ */
+async function loadBudgetStatus() {
+  try {
+    const { budgets } = await getBudgetStatus(appState.budgetMonth);
+    appState.budgets = budgets;
+    renderBudgetStatus(appState.budgets);
+  } catch (error) {
+    showError('Could not load budgets.');
+    console.error(error);
+  }
+}
+
+/**
+ * Create or change the budget for the chosen category
+ */
+async function onBudgetSubmit(e) {
+  e.preventDefault();
+
+  const { categoryId, amount } = getBudgetFormData();
+  if (!categoryId) {
+    showError('Choose a category for the budget');
+    return;
+  }
+
+  try {
+    // One budget per category: update it if it already exists
+    const existing = appState.budgets.find(b => b.categoryId === categoryId);
+    if (existing) {
+      await updateBudget(existing.budgetId, amount);
+    } else {
+      await addBudget({ categoryId, amount });
+    }
+
+    elements.budgetForm.reset();
+    await loadBudgetStatus();
+    showSuccess('Budget saved');
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to save budget');
+  }
+}
+
+/**
+ * Remove a budget
+ * @param {number} id
+ */
+async function onDeleteBudget(id) {
+  try {
+    await deleteBudget(id);
+    await loadBudgetStatus();
+  } catch (error) {
+    showError(error.message || 'Failed to delete budget');
+  }
+}
+
+/**
+ * Names of a category and all its parents (budgets on a parent cover children)
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function getCategoryLineage(name) {
+  const lineage = [];
+  let category = appState.categories.find(c => c.name === name);
+  while (category && !lineage.includes(category.name)) {
+    lineage.push(category.name);
+    category = appState.categories.find(c => c.id === category.parent_id);
+  }
+  return lineage;
+}
+
+/**
+ * Warn when a just-added expense took a budget over its limit
+ * @param {Object} expense
+ */
+async function warnIfOverBudget(expense) {
+  try {
+    const month = expense.date.slice(0, 7);
+    const { budgets } = await getBudgetStatus(month);
+    const lineage = getCategoryLineage(expense.category);
+    // Budgets are in the base currency
+    const amount = expense.base_amount ?? expense.amount;
+
+    budgets
+      .filter(budget => lineage.includes(budget.category))
+      .filter(budget => budget.spent > budget.budget && budget.spent - amount <= budget.budget)
+      .forEach(budget => {
+        showWarning(
+          `⚠️ ${budget.category} is now over budget for ${month}: ` +
+          `${formatAmount(budget.spent)} of ${formatAmount(budget.budget)}`
+        );
+      });
+
+    if (month === appState.budgetMonth) {
+      appState.budgets = budgets;
+      renderBudgetStatus(appState.budgets);
+    }
+  } catch (error) {
+    // The expense is saved; a missing warning isn't worth an error
+    console.error(error);
+  }
+}
+
+/**
+ * Setup budget panel listeners
+ */
+function setupBudgetListeners() {
+  elements.budgetForm.addEventListener('submit', onBudgetSubmit);
+
+  elements.budgetMonth.addEventListener('change', () => {
+    appState.budgetMonth = elements.budgetMonth.value || getCurrentMonth();
+    loadBudgetStatus();
+  });
+}
+
+// ============================================================
+// SUMMARY
+// ============================================================
+
+/**
+ * Fetch and display the spending summary for the chosen dates and category
+ * A category takes in its subcategories, as budgets do.
+ */
+async function loadSummary() {
+  const { from, to, category } = getSummaryFormData();
+
+  try {
+    const summary = await getSummary({
+      from,
+      to,
+      category: category ? getCategoryWithDescendants(category) : []
+    });
+    renderSummary(summary);
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || 'Could not load the summary.');
+    console.error(error);
+  }
+}
+
+/**
+ * Names of a category and all its subcategories (the reverse of getCategoryLineage)
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function getCategoryWithDescendants(name) {
+  const found = appState.categories.filter(c => c.name === name);
+  for (let i = 0; i < found.length; i++) {
+    appState.categories
+      .filter(c => c.parent_id === found[i].id && !found.includes(c))
+      .forEach(child => found.push(child));
+  }
+  return found.length > 0 ? [...new Set(found.map(c => c.name))] : [name];
+}
+
+/**
+ * Setup summary panel listeners
+ */
+function setupSummaryListeners() {
+  elements.summaryForm.addEventListener('submit', (e) => e.preventDefault());
+  elements.summaryForm.addEventListener('change', loadSummary);
+}
+
+// ============================================================
+// CHARTS
+// ============================================================
+
+/**
+ * Setup chart legend and tooltip listeners
+ * The charts are redrawn with the list, so events are caught on the panel.
+ */
+function setupChartListeners() {
+  elements.chartLegend.addEventListener('click', (e) => {
+    const item = e.target.closest('.chart-legend-item');
+    if (item) toggleChartCategory(item.getAttribute('data-category'));
+  });
+
+  const onEnter = (e) => {
+    const mark = e.target.closest('.chart-mark');
+    if (mark) showChartTooltip(mark);
+  };
+  const onLeave = (e) => {
+    if (e.target.closest('.chart-mark')) hideChartTooltip();
+  };
+
+  elements.chartPanel.addEventListener('mouseover', onEnter);
+  elements.chartPanel.addEventListener('focusin', onEnter);
+  elements.chartPanel.addEventListener('mouseout', onLeave);
+  elements.chartPanel.addEventListener('focusout', onLeave);
+}
+
+// ============================================================
+// CURRENCIES
+// ============================================================
+
+/**
+ * Fetch and display the base currency and exchange rates
+ */
+async function loadRates() {
+  try {
+    appState.rates = await getRates();
+    renderRates(appState.rates);
+    updateCurrencyPlaceholder();
+  } catch (error) {
+    showError('Could not load exchange rates.');
+    console.error(error);
+  }
+}
+
+/**
+ * Totals depend on the rates, so reload everything that shows one
+ */
+async function refreshConvertedTotals() {
+  await Promise.all([loadRates(), loadExpenses(), loadBudgetStatus(), loadSummary()]);
+}
+
+/**
+ * Save the rate for one currency
+ */
+async function onRateSubmit(e) {
+  e.preventDefault();
+
+  const { currency, rate } = getRateFormData();
+  try {
+    await saveRate(currency, rate);
+    elements.rateForm.reset();
+    await refreshConvertedTotals();
+    showSuccess(`Rate for ${currency} saved`);
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to save exchange rate');
+  }
+}
+
+/**
+ * Remove the rate for one currency
+ * @param {string} currency
+ */
+async function onDeleteRate(currency) {
+  try {
+    await deleteRate(currency);
+    await refreshConvertedTotals();
+  } catch (error) {
+    showError(error.message || 'Failed to delete exchange rate');
+  }
+}
+
+/**
+ * Import rates from the chosen JSON or CSV file
+ */
+async function onRateFileChange() {
+  const file = elements.rateFile.files[0];
+  if (!file) return;
+
+  try {
+    const result = await importRates(await file.text());
+    await refreshConvertedTotals();
+    showSuccess(`${result.imported} exchange rate(s) imported`);
+    if (result.skipped.length > 0) {
+      showWarning(`Skipped: ${result.skipped.map(e => e.message).join(', ')}`);
+    }
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to import exchange rates');
+  } finally {
+    elements.rateFile.value = '';
+  }
+}
+
+/**
+ * Switch the currency totals are shown in
+ */
+async function onBaseCurrencySubmit(e) {
+  e.preventDefault();
+
+  const currency = elements.baseCurrencyInput.value.trim().toUpperCase();
+  try {
+    appState.user = await changeBaseCurrency(currency);
+    setBaseCurrency(appState.user.base_currency);
+    await refreshConvertedTotals();
+    showSuccess(`Totals are now in ${currency}`);
+  } catch (error) {
+    elements.baseCurrencyInput.value = getBaseCurrency();
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to change base currency');
+  }
+}
+
+/**
+ * Setup currency panel listeners
+ */
+function setupRateListeners() {
+  elements.rateForm.addEventListener('submit', onRateSubmit);
+  elements.baseCurrencyForm.addEventListener('submit', onBaseCurrencySubmit);
+  elements.rateImportBtn.addEventListener('click', () => elements.rateFile.click());
+  elements.rateFile.addEventListener('change', onRateFileChange);
+}
+
+// ============================================================
+// GROUPS
+// ============================================================
+
+/**
+ * Fetch the user's groups and show the balances of the selected one
+ */
+async function loadGroups() {
+  try {
+    appState.groups = await getGroups();
+
+    const selected = appState.groups.find(group => group.id === appState.selectedGroupId)
+      || appState.groups[0];
+    appState.selectedGroupId = selected ? selected.id : null;
+
+    renderGroupOptions(appState.groups, appState.selectedGroupId);
+    onExpenseGroupChange();
+    await loadGroupBalances();
+  } catch (error) {
+    showError('Could not load groups.');
+    console.error(error);
+  }
+}
+
+/**
+ * Fetch and display who owes whom in the selected group
+ */
+async function loadGroupBalances() {
+  if (!appState.selectedGroupId) {
+    renderGroupBalances(null);
+    return;
+  }
+
+  try {
+    renderGroupBalances(await getGroupBalances(appState.selectedGroupId));
+  } catch (error) {
+    showError('Could not load group balances.');
+    console.error(error);
+  }
+}
+
+/**
+ * Show another group's balances
+ * @param {number} id
+ */
+function onSelectGroup(id) {
+  appState.selectedGroupId = id;
+  elements.groupListSelect.value = String(id);
+  loadGroupBalances();
+}
+
+/**
+ * Show the split options for the group picked in the expense form
+ */
+function onExpenseGroupChange() {
+  const groupId = Number(elements.groupSelect.value);
+  renderSplitFields(appState.groups.find(group => group.id === groupId) || null);
+  updateCurrencyPlaceholder();
+}
+
+/**
+ * Create a group from the groups form
+ */
+async function onGroupSubmit(e) {
+  e.preventDefault();
+
+  const { name, members } = getGroupFormData();
+  if (!name) {
+    showError('Group name is required');
+    return;
+  }
+
+  try {
+    const group = await addGroup({ name, members });
+    elements.groupForm.reset();
+    appState.selectedGroupId = group.id;
+    await loadGroups();
+    showSuccess(`👥 Group "${group.name}" created`);
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to create group');
+  }
+}
+
+/**
+ * Record that one member paid another what they owe
+ * @param {number} from - Member ID paying
+ * @param {number} to - Member ID being paid
+ */
+async function onSettle(from, to) {
+  try {
+    const { settlement, ...balances } = await addSettlement(appState.selectedGroupId, { from, to });
+    const group = appState.groups.find(g => g.id === appState.selectedGroupId);
+    renderGroupBalances({ currency: group.currency, ...balances });
+    showSuccess(`Settled ${formatAmount(settlement.amount, group.currency)}`);
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to record settlement');
+  }
+}
+
+/**
+ * Setup group listeners
+ */
+function setupGroupListeners() {
+  elements.groupForm.addEventListener('submit', onGroupSubmit);
+  elements.groupListSelect.addEventListener('change', () => {
+    onSelectGroup(Number(elements.groupListSelect.value));
+  });
+  elements.groupSelect.addEventListener('change', onExpenseGroupChange);
+  elements.splitMethodSelect.addEventListener('change', updateSplitInputs);
+}
+
+// ============================================================
+// EXPENSE HISTORY
+// ============================================================
+
+/**
+ * Open the history drawer for an expense
+ * @param {number} id
+ */
+async function onOpenHistory(id) {
+  const expense = appState.expenses.find(e => e.id === id);
+  openHistoryDrawer(expense ? expense.description || expense.category : `#${id}`);
+
+  try {
+    renderHistory(id, await getExpenseHistory(id));
+  } catch (error) {
+    closeHistoryDrawer();
+    showError(error.message || 'Failed to load history');
+  }
+}
+
+/**
+ * Put an expense back the way a revision left it
+ * @param {number} id
+ * @param {number} revisionId
+ */
+async function onRevertExpense(id, revisionId) {
+  try {
+    const expense = await revertExpense(id, revisionId);
+
+    // Tags, account balances and group balances may all have moved
+    await loadExpenses();
+    loadTags();
+    loadAccounts();
+    loadBudgetStatus();
+    loadSummary();
+    if (expense.group_id) onSelectGroup(expense.group_id);
+
+    renderHistory(id, await getExpenseHistory(id));
+    showSuccess('↩️ Expense reverted');
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to revert expense');
+  }
+}
+
+/**
+ * Setup history drawer listeners
+ */
+function setupHistoryListeners() {
+  elements.historyCloseBtn.addEventListener('click', closeHistoryDrawer);
+}
+
+// ============================================================
+// BULK ACTIONS
+// ============================================================
+
+/**
+ * Update the bulk actions bar for the expenses now selected
+ */
+function onSelectionChange() {
+  const ids = getSelectedExpenseIds();
+  const types = new Set(appState.expenses.filter(e => ids.includes(e.id)).map(e => e.type));
+  renderBulkActions(ids.length, types.size === 1 ? getCategoriesOfType([...types][0]) : null);
+}
+
+/**
+ * Error text for a failed batch, naming what was wrong with each operation
+ * @param {Error} error
+ * @param {string} fallback
+ * @returns {string}
+ */
+function describeBatchError(error, fallback) {
+  const problems = error.details?.operations?.flatMap(operation => operation.errors.map(e => e.message));
+  return problems?.length ? `${error.message}: ${[...new Set(problems)].join(', ')}` : error.message || fallback;
+}
+
+/**
+ * Move every selected expense to the chosen category
+ */
+async function onBulkCategoryChange() {
+  const ids = getSelectedExpenseIds();
+  const category = elements.bulkCategorySelect.value;
+  if (!category) {
+    showError('Choose a category first');
+    return;
+  }
+
+  try {
+    const { updated } = await batchExpenses(ids.map(id => ({ op: 'update', id, data: { category } })));
+    await loadExpenses();
+    loadBudgetStatus();
+    loadSummary();
+    showSuccess(`Moved ${updated} record(s) to ${category}`);
+  } catch (error) {
+    showError(describeBatchError(error, 'Failed to change category'));
+  }
+}
+
+/**
+ * Move every selected expense to the trash, with an Undo
+ */
+async function onBulkDelete() {
+  const ids = getSelectedExpenseIds();
+  if (!confirm(`Delete ${ids.length} selected record(s)?`)) return;
+
+  try {
+    const { deleted } = await batchExpenses(ids.map(id => ({ op: 'delete', id })));
+
+    appState.expenses = appState.expenses.filter(e => !ids.includes(e.id));
+    renderExpenseList(appState.expenses);
+    loadBudgetStatus();
+    loadSummary();
+    loadTags();
+    loadAccounts();
+    showSuccess(`${deleted} record(s) moved to the trash`, 8000, { label: 'Undo', onClick: () => onUndoBulkDelete(ids) });
+  } catch (error) {
+    showError(describeBatchError(error, 'Failed to delete expenses'));
+  }
+}
+
+/**
+ * Take a bulk delete back out of the trash
+ * @param {Array<number>} ids
+ */
+async function onUndoBulkDelete(ids) {
+  try {
+    await Promise.all(ids.map(id => restoreExpense(id)));
+    await loadExpenses();
+    loadBudgetStatus();
+    loadSummary();
+    loadTags();
+    loadAccounts();
+    showSuccess(`♻️ ${ids.length} record(s) restored`);
+  } catch (error) {
+    await loadExpenses();
+    showError(error.message || 'Failed to restore expenses');
+  }
+}
+
+/**
+ * Setup bulk action listeners (row checkboxes are bound with the list)
+ */
+function setupBulkActionListeners() {
+  elements.bulkCategoryBtn.addEventListener('click', onBulkCategoryChange);
+  elements.bulkDeleteBtn.addEventListener('click', onBulkDelete);
+}
+
+// ============================================================
+// TRASH
+// ============================================================
+
+/**
+ * Open the trash and list what is in it
+ */
+async function onOpenTrash() {
+  openTrashDrawer();
+
+  try {
+    renderTrash(await getTrash());
+  } catch (error) {
+    closeTrashDrawer();
+    showError(error.message || 'Failed to load the trash');
+  }
+}
+
+/**
+ * Take an expense back out of the trash (also the Undo after a delete)
+ * @param {number} id
+ */
+async function onRestoreExpense(id) {
+  try {
+    const expense = await restoreExpense(id);
+
+    // Totals, tags, budgets and balances all count it again
+    await loadExpenses();
+    loadTags();
+    loadAccounts();
+    loadBudgetStatus();
+    loadSummary();
+    if (expense.group_id) onSelectGroup(expense.group_id);
+
+    if (elements.trashDialog.open) renderTrash(await getTrash());
+    showSuccess('♻️ Expense restored');
+  } catch (error) {
+    showError(error.message || 'Failed to restore expense');
+  }
+}
+
+/**
+ * Permanently delete one expense in the trash
+ * @param {number} id
+ */
+async function onPurgeExpense(id) {
+  try {
+    await purgeExpense(id);
+    renderTrash(await getTrash());
+    showSuccess('Expense deleted for good');
+  } catch (error) {
+    showError(error.message || 'Failed to delete expense');
+  }
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+async function onEmptyTrash() {
+  if (!confirm('Delete everything in the trash for good? This cannot be undone.')) return;
+
+  try {
+    const count = await emptyTrash();
+    renderTrash([]);
+    showSuccess(`${count} expense(s) deleted for good`);
+  } catch (error) {
+    showError(error.message || 'Failed to empty the trash');
+  }
+}
+
+/**
+ * Setup trash listeners
+ */
+function setupTrashListeners() {
+  elements.trashBtn.addEventListener('click', onOpenTrash);
+  elements.trashCloseBtn.addEventListener('click', closeTrashDrawer);
+  elements.emptyTrashBtn.addEventListener('click', onEmptyTrash);
+}
+
+// ============================================================
+// ACCOUNTS
+// ============================================================
+
+/**
+ * Fetch the user's accounts with their balances
+ * @param {number|null} selectedId - Account to pick in the expense form
+ */
+async function loadAccounts(selectedId = Number(elements.accountSelect.value) || null) {
+  try {
+    appState.accounts = await getAccounts();
+    renderAccountOptions(appState.accounts, selectedId);
+    renderAccounts(appState.accounts);
+    updateCurrencyPlaceholder();
+  } catch (error) {
+    showError('Could not load accounts.');
+    console.error(error);
+  }
+}
+
+/**
+ * Hint at the currency a blank currency field will get:
+ * the account's, else the group's, else the base currency
+ */
+function updateCurrencyPlaceholder() {
+  const accountId = Number(elements.accountSelect.value);
+  const groupId = Number(elements.groupSelect.value);
+  const account = appState.accounts.find(a => a.id === accountId);
+  const group = appState.groups.find(g => g.id === groupId);
+
+  elements.currencyInput.placeholder = account?.currency || group?.currency || getBaseCurrency();
+}
+
+/**
+ * Create an account from the accounts form
+ */
+async function onAccountSubmit(e) {
+  e.preventDefault();
+
+  const account = getAccountFormData();
+  if (!account.name) {
+    showError('Account name is required');
+    return;
+  }
+
+  try {
+    const created = await addAccount(account);
+    elements.accountForm.reset();
+    await loadAccounts();
+    showSuccess(`✅ Account "${created.name}" added`);
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to add account');
+  }
+}
+
+/**
+ * Delete an account (the server refuses if anything was recorded against it)
+ * @param {number} id
+ */
+async function onDeleteAccount(id) {
+  try {
+    await deleteAccount(id);
+    await loadAccounts();
+  } catch (error) {
+    showError(error.message || 'Failed to delete account');
+  }
+}
+
+/**
+ * Move money between two accounts from the transfer form
+ */
+async function onTransferSubmit(e) {
+  e.preventDefault();
+
+  const transfer = getTransferFormData();
+  if (transfer.fromAccountId === transfer.toAccountId) {
+    showError('Choose two different accounts');
+    return;
+  }
+
+  try {
+    await addTransfer(transfer);
+    elements.transferAmountInput.value = '';
+    elements.transferToAmountInput.value = '';
+    await loadAccounts();
+    showSuccess('✅ Transfer recorded');
+  } catch (error) {
+    const errorMessages = error.details?.errors?.map(e => e.message).join(', ');
+    showError(errorMessages || error.message || 'Failed to record transfer');
+  }
+}
+
+/**
+ * Setup account listeners
+ */
+function setupAccountListeners() {
+  elements.accountForm.addEventListener('submit', onAccountSubmit);
+  elements.transferForm.addEventListener('submit', onTransferSubmit);
+  elements.accountSelect.addEventListener('change', updateCurrencyPlaceholder);
+  elements.transferFromSelect.addEventListener('change', updateTransferInputs);
+  elements.transferToSelect.addEventListener('change', updateTransferInputs);
+}
+
+// ============================================================
+// CSV IMPORT
+// ============================================================
+
+/**
+ * Read the chosen file and preview it with automatic column matching
+ */
+async function onImportFileChange() {
+  const file = elements.importFile.files[0];
+  appState.importCsv = file ? await file.text() : null;
+  if (!appState.importCsv) return;
+
+  // Start from the server's best guess at the columns
+  elements.importMapSelects.forEach(select => {
+    select.innerHTML = '';
+  });
+  await runImportPreview();
+}
+
+/**
+ * Validate the file without saving anything
+ */
+async function runImportPreview() {
+  if (!appState.importCsv) return;
+
+  setImportLoading(true);
+  try {
+    const preview = await importExpenses(appState.importCsv, {
+      ...getImportOptions(),
+      dryRun: true
+    });
+    renderImportMapping(preview);
+    renderImportPreview(preview);
+  } catch (error) {
+    showImportError(error.message || 'Could not read the CSV file');
+  } finally {
+    elements.importPreviewBtn.disabled = false;
+  }
+}
+
+/**
+ * Save every row of the previewed file
+ */
+async function onImportConfirm() {
+  setImportLoading(true);
+  try {
+    const result = await importExpenses(appState.importCsv, getImportOptions());
+
+    appState.importCsv = null;
+    closeImportDialog();
+    await Promise.all([loadExpenses(), loadBudgetStatus(), loadSummary()]);
+    showSuccess(`✅ Imported ${result.imported} expense(s)`);
+  } catch (error) {
+    // Something changed since the preview; show the fresh errors
+    showImportError(error.message || 'Import failed');
+    await runImportPreview();
+  }
+}
+
+/**
+ * Setup CSV import dialog listeners
+ */
+function setupImportListeners() {
+  elements.importBtn.addEventListener('click', openImportDialog);
+  elements.importCancelBtn.addEventListener('click', closeImportDialog);
+  elements.importFile.addEventListener('change', onImportFileChange);
+  elements.importPreviewBtn.addEventListener('click', runImportPreview);
+  elements.importConfirmBtn.addEventListener('click', onImportConfirm);
+
+  // Changing how the file is read needs a fresh preview
+  elements.importDateFormat.addEventListener('change', runImportPreview);
+  elements.importHasHeader.addEventListener('change', () => {
+    elements.importMapSelects.forEach(select => {
+      select.innerHTML = '';
+    });
+    runImportPreview();
+  });
+}
+
+// ============================================================
+// EVENT LISTENERS
+// ============================================================
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+  // Form submission
+  elements.form.addEventListener('submit', onFormSubmit);
+  elements.cancelEditBtn.addEventListener('click', onCancelFormEdit);
+
+  // Real-time validation (optional - improves UX)
+  elements.amountInput.addEventListener('blur', () => {
+    const error = validateField('amount', elements.amountInput.value);
+    if (error) {
+      showError(error);
+    }
+  });
+
+  elements.dateInput.addEventListener('blur', () => {
+    const error = validateField('date', elements.dateInput.value);
+    if (error) {
       showError(error);
     }
   });
 
+  elements.typeSelect.addEventListener('change', onExpenseTypeChange);
+
   elements.categorySelect.addEventListener('change', () => {
     const error = validateField('category', elements.categorySelect.value);
     if (error) {
       showError(error);
     }
   });
+
+  elements.exportBtn.addEventListener('click', onExport);
+
+  // Suggest existing tags as the user types
+  elements.tagsInput.addEventListener('input', () => renderTagOptions(appState.tags));
+
+  // Files chosen with an expense's Attach button
+  elements.attachmentFile.addEventListener('change', onAttachmentFileChange);
+
+  // Search as the user types (once they pause)
+  elements.searchInput.addEventListener('input', debounce(() => {
+    appState.searchQuery = elements.searchInput.value.trim();
+    loadExpenses();
+  }, 300));
+}
+
+/**
+ * Setup login/register/logout listeners
+ */
+function setupAuthListeners() {
+  elements.authForm.addEventListener('submit', onAuthSubmit);
+
+  elements.authToggle.addEventListener('click', () => {
+    appState.authMode = appState.authMode === 'login' ? 'register' : 'login';
+    setAuthMode(appState.authMode);
+  });
+
+  elements.logoutBtn.addEventListener('click', onLogout);
+}
+
+// ============================================================
+// INSTALLABLE APP
+// ============================================================
+
+/**
+ * Register the service worker, which lets the app open (and be installed)
+ * without waiting on the network
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('sw.js')
+    .catch(error => logError('Service worker registration failed', error));
+}
+
+/**
+ * Ask the service worker to drop its saved expense responses, so the next
+ * user on this device never sees them
+ */
+function clearServiceWorkerApiCache() {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-api-cache' });
+}
+
+/**
+ * Open the form ready to type, when launched from the "Add expense" shortcut
+ */
+function handleLaunchAction() {
+  if (new URLSearchParams(window.location.search).get('action') === 'add-expense') {
+    focusExpenseForm();
+  }
 }
 
 // ============================================================
@@ -0,0 +1,305 @@
+const {
+  getAccounts,
+  getAccountById,
+  addAccount,
+  updateAccount,
+  countAccountActivity,
+  deleteAccount,
+  getDailyBalances,
+  getTransfers,
+  addTransfer,
+  deleteTransfer
+} = require('../models/accounts');
+
+const {
+  validateAccount,
+  sanitizeAccount,
+  validateTransfer,
+  sanitizeTransfer,
+  validateExpenseFilters,
+  sanitizeExpenseFilters
+} = require('../utils/validators');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Load an account owned by the user or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function findAccountOr404(id, userId) {
+  const account = await getAccountById(id, userId);
+  if (!account) {
+    const error = new Error(`Account with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  return account;
+}
+
+/**
+ * Throw a 400 if validation failed
+ * @param {Object} result - { isValid, errors }
+ */
+function assertValid({ isValid, errors }) {
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+}
+
+// ============================================================
+// ACCOUNT LOGIC
+// ============================================================
+
+/**
+ * Get the logged-in user's accounts with current balances
+ */
+async function fetchAccounts(req, res, next) {
+  try {
+    const accounts = await getAccounts(req.user.id);
+
+    res.json({
+      success: true,
+      data: accounts,
+      count: accounts.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create an account
+ * Body: { name, type?, openingBalance?, currency? } (currency defaults to the base currency)
+ */
+async function createAccount(req, res, next) {
+  try {
+    const sanitized = sanitizeAccount(req.body || {});
+    sanitized.currency = sanitized.currency || req.user.base_currency;
+    assertValid(validateAccount(sanitized));
+
+    const account = await addAccount(sanitized, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update an account
+ * Its currency is fixed once anything has been recorded against it.
+ */
+async function updateAccountData(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const existing = await findAccountOr404(id, req.user.id);
+
+    // Merge existing with updates
+    const updates = sanitizeAccount({
+      name: existing.name,
+      type: existing.type,
+      openingBalance: existing.opening_balance,
+      currency: existing.currency,
+      ...req.body
+    });
+    assertValid(validateAccount(updates));
+
+    if (updates.currency !== existing.currency && await countAccountActivity(id) > 0) {
+      const error = new Error('The currency of an account with expenses or transfers cannot change');
+      error.statusCode = 409;
+      error.code = 'ACCOUNT_IN_USE';
+      throw error;
+    }
+
+    const updated = await updateAccount(id, updates, req.user.id);
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Account updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete an account (only when nothing is recorded against it)
+ */
+async function removeAccount(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    await findAccountOr404(id, req.user.id);
+
+    if (await countAccountActivity(id) > 0) {
+      const error = new Error('Account has expenses or transfers and cannot be deleted');
+      error.statusCode = 409;
+      error.code = 'ACCOUNT_IN_USE';
+      throw error;
+    }
+
+    await deleteAccount(id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Running balance of every account, optionally between from and to
+ * Each account lists its balance at the start of the period, at the end,
+ * and after every day in between that changed it.
+ */
+async function getAccountBalances(req, res, next) {
+  try {
+    // Dates are checked the same way as the expense list's
+    const range = sanitizeExpenseFilters({ from: req.query.from, to: req.query.to });
+    assertValid(validateExpenseFilters(range));
+
+    const [accounts, days] = await Promise.all([
+      getAccounts(req.user.id),
+      getDailyBalances(req.user.id)
+    ]);
+
+    const balances = accounts.map(account => {
+      const own = days.filter(day => day.accountId === account.id);
+      const before = own.filter(day => range.from && day.date < range.from);
+      const history = own
+        .filter(day => (!range.from || day.date >= range.from) && (!range.to || day.date <= range.to))
+        .map(({ date, change, balance }) => ({ date, change, balance }));
+
+      const startBalance = before.length > 0 ? before[before.length - 1].balance : account.opening_balance;
+
+      return {
+        id: account.id,
+        name: account.name,
+        type: account.type,
+        currency: account.currency,
+        openingBalance: account.opening_balance,
+        startBalance,
+        endBalance: history.length > 0 ? history[history.length - 1].balance : startBalance,
+        history
+      };
+    });
+
+    res.json({
+      success: true,
+      data: balances,
+      count: balances.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================================
+// TRANSFER LOGIC
+// ============================================================
+
+/**
+ * Get the logged-in user's transfers, newest first
+ */
+async function fetchTransfers(req, res, next) {
+  try {
+    const transfers = await getTransfers(req.user.id);
+
+    res.json({
+      success: true,
+      data: transfers,
+      count: transfers.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Move money between two accounts
+ * Body: { fromAccountId, toAccountId, amount, toAmount?, date?, description? }
+ * toAmount (what arrives) is needed only when the currencies differ.
+ */
+async function createTransfer(req, res, next) {
+  try {
+    const sanitized = sanitizeTransfer(req.body || {});
+    assertValid(validateTransfer(sanitized));
+
+    const from = await findAccountOr404(sanitized.fromAccountId, req.user.id);
+    const to = await findAccountOr404(sanitized.toAccountId, req.user.id);
+
+    if (from.currency === to.currency) {
+      sanitized.toAmount = sanitized.amount;
+    } else if (sanitized.toAmount === null) {
+      const error = new Error('Validation failed');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = {
+        errors: [{ field: 'toAmount', message: `Give the amount received in ${to.currency}` }]
+      };
+      throw error;
+    }
+
+    const transfer = await addTransfer(sanitized, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: 'Transfer recorded'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a transfer
+ */
+async function removeTransfer(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const deleted = await deleteTransfer(id, req.user.id);
+    if (!deleted) {
+      const error = new Error(`Transfer with ID ${id} not found`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchAccounts,
+  createAccount,
+  updateAccountData,
+  removeAccount,
+  getAccountBalances,
+  fetchTransfers,
+  createTransfer,
+  removeTransfer
+};
@@ -0,0 +1,263 @@
+const path = require('path');
+
+const {
+  getStoredPath,
+  writeStoredFile,
+  removeStoredFiles,
+  getAttachments,
+  getAttachmentById,
+  addAttachment,
+  deleteAttachments
+} = require('../models/attachments');
+const { getExpenseById, runInTransaction } = require('../models/database');
+
+const { ATTACHMENT_TYPES, detectMimeType, checksum } = require('../utils/attachments');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Attachment fields safe to send to the client (no disk paths)
+ * @param {Object} attachment - Row from attachments
+ * @returns {Object}
+ */
+function toPublicAttachment(attachment) {
+  const { stored_name, user_id, ...fields } = attachment;
+  return fields;
+}
+
+/**
+ * Make sure the expense exists and belongs to the user, or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ */
+async function assertExpenseExists(id, userId) {
+  const expense = await getExpenseById(id, userId);
+  if (!expense) {
+    const error = new Error(`Expense with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+}
+
+/**
+ * Check the uploaded files and work out their real types
+ * @param {Array} files - req.files from the upload middleware
+ * @returns {Array} [{ file, mimeType }]
+ */
+function checkUploadedFiles(files) {
+  if (!files || files.length === 0) {
+    const error = new Error('No files uploaded (send them in the "files" field)');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const checked = files.map(file => ({ file, mimeType: detectMimeType(file.buffer) }));
+  const unsupported = checked.filter(item => !item.mimeType);
+  if (unsupported.length > 0) {
+    const error = new Error(
+      `Unsupported file type: ${unsupported.map(item => item.file.originalname).join(', ')} ` +
+      '(use JPEG, PNG, GIF, WebP or PDF)'
+    );
+    error.statusCode = 415;
+    error.code = 'UNSUPPORTED_MEDIA_TYPE';
+    throw error;
+  }
+
+  return checked;
+}
+
+/**
+ * Write files to disk and record them, optionally replacing what's there
+ * Files are written before the transaction and removed again if it fails,
+ * so the database never points at a missing file.
+ * @param {number} expenseId
+ * @param {Array} checked - Output of checkUploadedFiles()
+ * @param {number} userId
+ * @param {Array} replaced - Existing attachments to delete in the same transaction
+ * @returns {Promise<Array>} Created attachments
+ */
+async function storeAttachments(expenseId, checked, userId, replaced = []) {
+  const written = [];
+
+  try {
+    for (const { file, mimeType } of checked) {
+      written.push({
+        storedName: await writeStoredFile(file.buffer, mimeType),
+        file,
+        mimeType
+      });
+    }
+
+    const created = await runInTransaction(async () => {
+      await deleteAttachments(replaced.map(attachment => attachment.id), userId);
+
+      const rows = [];
+      for (const { storedName, file, mimeType } of written) {
+        rows.push(await addAttachment({
+          expenseId,
+          // Only the base name is kept, and never shown as a path
+          filename: path.basename(file.originalname || 'receipt').slice(0, 255),
+          storedName,
+          mimeType,
+          size: file.size,
+          checksum: checksum(file.buffer)
+        }, userId));
+      }
+      return rows;
+    });
+
+    await removeStoredFiles(replaced.map(attachment => attachment.stored_name));
+    return created;
+  } catch (error) {
+    await removeStoredFiles(written.map(item => item.storedName));
+    throw error;
+  }
+}
+
+/**
+ * Load an attachment owned by the user or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function findAttachmentOr404(id, userId) {
+  const attachment = await getAttachmentById(id, userId);
+  if (!attachment) {
+    const error = new Error(`Attachment with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  return attachment;
+}
+
+// ============================================================
+// ATTACHMENT LOGIC
+// ============================================================
+
+/**
+ * List an expense's attachments
+ */
+async function fetchAttachments(req, res, next) {
+  try {
+    const { id } = req.params;
+    await assertExpenseExists(id, req.user.id);
+
+    const attachments = await getAttachments(id, req.user.id);
+
+    res.json({
+      success: true,
+      data: attachments.map(toPublicAttachment),
+      count: attachments.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add receipts to an expense (multipart, field "files")
+ */
+async function addAttachments(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    await assertExpenseExists(id, req.user.id);
+    const checked = checkUploadedFiles(req.files);
+
+    const created = await storeAttachments(id, checked, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: created.map(toPublicAttachment),
+      message: `${created.length} file(s) attached`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace all of an expense's receipts with the uploaded files
+ */
+async function replaceAttachments(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    await assertExpenseExists(id, req.user.id);
+    const checked = checkUploadedFiles(req.files);
+
+    const existing = await getAttachments(id, req.user.id);
+    const created = await storeAttachments(id, checked, req.user.id, existing);
+
+    res.json({
+      success: true,
+      data: created.map(toPublicAttachment),
+      message: `Attachments replaced (${created.length} file(s))`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send an attachment's file
+ * Images and PDFs open in the browser; ?download=true saves instead.
+ */
+async function downloadAttachment(req, res, next) {
+  try {
+    const attachment = await findAttachmentOr404(req.params.id, req.user.id);
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    const extension = ATTACHMENT_TYPES[attachment.mime_type]?.extension || 'bin';
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Disposition': `${disposition}; filename="receipt-${attachment.id}.${extension}"; ` +
+        `filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    res.sendFile(getStoredPath(attachment.stored_name), (err) => {
+      if (err && !res.headersSent) {
+        const error = new Error('Attachment file is missing');
+        error.statusCode = 404;
+        error.code = 'NOT_FOUND';
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete one attachment and its file
+ */
+async function removeAttachment(req, res, next) {
+  try {
+    const { id } = req.params;
+    const attachment = await findAttachmentOr404(id, req.user.id);
+
+    await deleteAttachments([attachment.id], req.user.id);
+    await removeStoredFiles([attachment.stored_name]);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchAttachments,
+  addAttachments,
+  replaceAttachments,
+  downloadAttachment,
+  removeAttachment
+};
@@ -0,0 +1,127 @@
+const {
+  createUser,
+  claimLegacyExpenses,
+  getUserByEmail
+} = require('../models/users');
+const { seedDefaultCategories } = require('../models/categories');
+
+const {
+  validateCredentials,
+  sanitizeCredentials
+} = require('../utils/validators');
+
+const {
+  hashPassword,
+  verifyPassword,
+  createToken
+} = require('../utils/auth');
+
+// ============================================================
+// AUTHENTICATION LOGIC
+// ============================================================
+
+/**
+ * Validate credentials from the request body or throw a 400
+ * @param {Object} body
+ * @returns {Object} Sanitized { email, password }
+ */
+function parseCredentials(body) {
+  const credentials = sanitizeCredentials(body || {});
+
+  const { isValid, errors } = validateCredentials(credentials);
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+
+  return credentials;
+}
+
+/**
+ * Register a new account
+ */
+async function register(req, res, next) {
+  try {
+    const { email, password } = parseCredentials(req.body);
+
+    // Check for an existing account first
+    const existing = await getUserByEmail(email);
+    if (existing) {
+      const error = new Error('An account with this email already exists');
+      error.statusCode = 409;
+      error.code = 'EMAIL_TAKEN';
+      throw error;
+    }
+
+    const passwordHash = await hashPassword(password);
+    const user = await createUser(email, passwordHash);
+    await claimLegacyExpenses(user.id);
+    await seedDefaultCategories(user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        token: createToken(user)
+      },
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Log in with email and password
+ */
+async function login(req, res, next) {
+  try {
+    const { email, password } = sanitizeCredentials(req.body || {});
+
+    const user = email && password ? await getUserByEmail(email) : null;
+    const isMatch = user ? await verifyPassword(password, user.password_hash) : false;
+
+    // Same message for unknown email and wrong password
+    if (!isMatch) {
+      const error = new Error('Invalid email or password');
+      error.statusCode = 401;
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    const publicUser = {
+      id: user.id,
+      email: user.email,
+      created_at: user.created_at
+    };
+
+    res.json({
+      success: true,
+      data: {
+        user: publicUser,
+        token: createToken(publicUser)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the logged-in user
+ */
+function getCurrentUser(req, res) {
+  res.json({
+    success: true,
+    data: req.user
+  });
+}
+
+module.exports = {
+  register,
+  login,
+  getCurrentUser
+};
@@ -0,0 +1,230 @@
+const {
+  getBudgets,
+  getBudgetById,
+  getBudgetByCategory,
+  addBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetSpending
+} = require('../models/budgets');
+const { getCategoryById } = require('../models/categories');
+
+const {
+  validateBudget,
+  sanitizeBudget,
+  isValidMonth
+} = require('../utils/validators');
+
+// Percent of a budget used before it is flagged
+const WARNING_PERCENT = 80;
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Load a budget owned by the user or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function findBudgetOr404(id, userId) {
+  const budget = await getBudgetById(id, userId);
+  if (!budget) {
+    const error = new Error(`Budget with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  return budget;
+}
+
+/**
+ * Validate budget input or throw a 400
+ * @param {Object} budget - Sanitized budget
+ */
+function assertValidBudget(budget) {
+  const { isValid, errors } = validateBudget(budget);
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+}
+
+/**
+ * Current month as YYYY-MM
+ * @returns {string}
+ */
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+// ============================================================
+// BUDGET LOGIC
+// ============================================================
+
+/**
+ * Get the logged-in user's budgets
+ */
+async function fetchBudgets(req, res, next) {
+  try {
+    const budgets = await getBudgets(req.user.id);
+
+    res.json({
+      success: true,
+      data: budgets,
+      count: budgets.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a monthly budget for a category
+ */
+async function createBudget(req, res, next) {
+  try {
+    const sanitized = sanitizeBudget(req.body || {});
+    assertValidBudget(sanitized);
+
+    const category = await getCategoryById(sanitized.categoryId, req.user.id);
+    if (!category) {
+      const error = new Error(`Category with ID ${sanitized.categoryId} not found`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    if (category.type !== 'expense') {
+      const error = new Error('Budgets can only be set on expense categories');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'categoryId', message: error.message }] };
+      throw error;
+    }
+
+    const existing = await getBudgetByCategory(sanitized.categoryId, req.user.id);
+    if (existing) {
+      const error = new Error(`"${category.name}" already has a budget; update it instead`);
+      error.statusCode = 409;
+      error.code = 'BUDGET_EXISTS';
+      throw error;
+    }
+
+    const budget = await addBudget(sanitized, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: budget,
+      message: 'Budget created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change a budget's monthly amount
+ */
+async function updateBudgetData(req, res, next) {
+  try {
+    const { id } = req.params;
+    const existing = await findBudgetOr404(id, req.user.id);
+
+    // The category is fixed; only the amount changes
+    const updates = sanitizeBudget({
+      categoryId: existing.category_id,
+      amount: req.body?.amount
+    });
+    assertValidBudget(updates);
+
+    const budget = await updateBudget(id, updates.amount, req.user.id);
+
+    res.json({
+      success: true,
+      data: budget,
+      message: 'Budget updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete budget
+ */
+async function removeBudget(req, res, next) {
+  try {
+    const { id } = req.params;
+    await findBudgetOr404(id, req.user.id);
+
+    await deleteBudget(id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Spent, remaining and percent used per budget for a month
+ * Query: month=YYYY-MM (defaults to the current month)
+ */
+async function getBudgetStatus(req, res, next) {
+  try {
+    const month = req.query.month || currentMonth();
+    if (!isValidMonth(month)) {
+      const error = new Error('Invalid month format (use YYYY-MM)');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'month', message: error.message }] };
+      throw error;
+    }
+
+    const rows = await getBudgetSpending(month, req.user.id);
+
+    const status = rows.map(row => {
+      const spent = Math.round(row.spent * 100) / 100;
+      const percentUsed = Math.round((spent / row.amount) * 1000) / 10;
+
+      return {
+        budgetId: row.id,
+        categoryId: row.category_id,
+        category: row.category,
+        color: row.color,
+        icon: row.icon,
+        budget: row.amount,
+        spent,
+        remaining: Math.round((row.amount - spent) * 100) / 100,
+        percentUsed,
+        status: spent > row.amount ? 'over' : percentUsed >= WARNING_PERCENT ? 'warning' : 'ok'
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        month,
+        budgets: status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchBudgets,
+  createBudget,
+  updateBudgetData,
+  removeBudget,
+  getBudgetStatus
+};
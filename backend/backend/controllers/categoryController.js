@@ -0,0 +1,298 @@
+const {
+  getCategories,
+  getCategoryById,
+  getCategoryByName,
+  getDescendantIds,
+  countCategoryExpenses,
+  addCategory,
+  updateCategory,
+  reassignExpenses,
+  reparentChildren,
+  deleteCategory
+} = require('../models/categories');
+const { reassignRecurring, countCategoryRecurring } = require('../models/recurring');
+const { getBudgetByCategory, moveBudget } = require('../models/budgets');
+const { runInTransaction } = require('../models/database');
+
+const {
+  validateCategory,
+  sanitizeCategory
+} = require('../utils/validators');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Load a category owned by the user or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function findCategoryOr404(id, userId) {
+  const category = await getCategoryById(id, userId);
+  if (!category) {
+    const error = new Error(`Category with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  return category;
+}
+
+/**
+ * Validate category input or throw a 400
+ * @param {Object} category - Sanitized category
+ */
+function assertValidCategory(category) {
+  const { isValid, errors } = validateCategory(category);
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+}
+
+/**
+ * Make sure the parent exists, is of the same type and wouldn't create a loop
+ * @param {number|null} parentId
+ * @param {number|null} categoryId - Category being edited (null when creating)
+ * @param {string} type - Type of the category being saved
+ * @param {number} userId
+ */
+async function assertValidParent(parentId, categoryId, type, userId) {
+  if (!parentId) return;
+
+  const parent = await findCategoryOr404(parentId, userId);
+  if (parent.type !== type) {
+    const error = new Error(`An ${type} category cannot go under an ${parent.type} category`);
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors: [{ field: 'parentId', message: error.message }] };
+    throw error;
+  }
+
+  if (categoryId) {
+    const descendants = await getDescendantIds(categoryId, userId);
+    if (descendants.includes(parentId)) {
+      const error = new Error('A category cannot be moved under itself or its subcategories');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'parentId', message: error.message }] };
+      throw error;
+    }
+  }
+}
+
+/**
+ * Reject a name that another category of this user already has
+ * @param {string} name
+ * @param {number|null} categoryId - Category being edited (null when creating)
+ * @param {number} userId
+ */
+async function assertNameAvailable(name, categoryId, userId) {
+  const existing = await getCategoryByName(name, userId);
+  if (existing && existing.id !== categoryId) {
+    const error = new Error(`Category "${existing.name}" already exists (merge into it instead)`);
+    error.statusCode = 409;
+    error.code = 'CATEGORY_EXISTS';
+    throw error;
+  }
+}
+
+// ============================================================
+// CATEGORY LOGIC
+// ============================================================
+
+/**
+ * Get the logged-in user's categories
+ */
+async function fetchCategories(req, res, next) {
+  try {
+    const categories = await getCategories(req.user.id);
+
+    res.json({
+      success: true,
+      data: categories,
+      count: categories.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create new category
+ */
+async function createCategory(req, res, next) {
+  try {
+    const sanitized = sanitizeCategory(req.body || {});
+    assertValidCategory(sanitized);
+
+    await assertNameAvailable(sanitized.name, null, req.user.id);
+    await assertValidParent(sanitized.parentId, null, sanitized.type, req.user.id);
+
+    const category = await addCategory(sanitized, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update category (renaming moves its expenses to the new name)
+ * The type is fixed once created, since records are filed under it.
+ */
+async function updateCategoryData(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const existing = await findCategoryOr404(id, req.user.id);
+
+    // Merge existing with updates
+    const updates = sanitizeCategory({
+      name: existing.name,
+      color: existing.color,
+      icon: existing.icon,
+      parentId: existing.parent_id,
+      ...req.body,
+      type: existing.type
+    });
+    assertValidCategory(updates);
+
+    await assertNameAvailable(updates.name, id, req.user.id);
+    await assertValidParent(updates.parentId, id, updates.type, req.user.id);
+
+    const updated = await runInTransaction(async () => {
+      const category = await updateCategory(id, updates, req.user.id);
+      if (existing.name !== updates.name) {
+        await reassignExpenses(existing.name, updates.name, req.user.id);
+        await reassignRecurring(existing.name, updates.name, req.user.id);
+      }
+      return category;
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Category updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Merge one category into another: its expenses, subcategories and
+ * budget move to the target, then it is deleted. A 409 if both have a
+ * budget, since which one to keep is the user's call.
+ */
+async function mergeCategory(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const targetId = Number(req.body?.targetId);
+
+    const source = await findCategoryOr404(id, req.user.id);
+    if (!Number.isInteger(targetId) || targetId === id) {
+      const error = new Error('targetId must be a different category');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'targetId', message: error.message }] };
+      throw error;
+    }
+
+    const target = await findCategoryOr404(targetId, req.user.id);
+    if (target.type !== source.type) {
+      const error = new Error(`Cannot merge an ${source.type} category into an ${target.type} category`);
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'targetId', message: error.message }] };
+      throw error;
+    }
+
+    const descendants = await getDescendantIds(id, req.user.id);
+    if (descendants.includes(targetId)) {
+      const error = new Error('Cannot merge a category into one of its subcategories');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'targetId', message: error.message }] };
+      throw error;
+    }
+
+    const [sourceBudget, targetBudget] = await Promise.all([
+      getBudgetByCategory(id, req.user.id),
+      getBudgetByCategory(targetId, req.user.id)
+    ]);
+    if (sourceBudget && targetBudget) {
+      const error = new Error(`"${source.name}" and "${target.name}" both have a budget; delete one before merging`);
+      error.statusCode = 409;
+      error.code = 'BUDGET_CONFLICT';
+      throw error;
+    }
+
+    const movedExpenses = await runInTransaction(async () => {
+      const moved = await reassignExpenses(source.name, target.name, req.user.id);
+      await reassignRecurring(source.name, target.name, req.user.id);
+      await reparentChildren(id, targetId, req.user.id);
+      if (sourceBudget) await moveBudget(id, targetId, req.user.id);
+      await deleteCategory(id, req.user.id);
+      return moved;
+    });
+
+    res.json({
+      success: true,
+      data: await getCategoryById(targetId, req.user.id),
+      movedExpenses,
+      message: `Merged "${source.name}" into "${target.name}"`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete category (only when no expenses use it)
+ */
+async function removeCategory(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const existing = await findCategoryOr404(id, req.user.id);
+
+    const expenseCount = await countCategoryExpenses(existing.name, req.user.id)
+      + await countCategoryRecurring(existing.name, req.user.id);
+    if (expenseCount > 0) {
+      const error = new Error('Category has expenses; merge it into another category instead');
+      error.statusCode = 409;
+      error.code = 'CATEGORY_IN_USE';
+      throw error;
+    }
+
+    // Subcategories move up one level
+    await runInTransaction(async () => {
+      await reparentChildren(id, existing.parent_id, req.user.id);
+      await deleteCategory(id, req.user.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchCategories,
+  createCategory,
+  updateCategoryData,
+  mergeCategory,
+  removeCategory
+};
@@ -1,28 +1,326 @@
 const {
   getAllExpenses,
+  eachExpense,
   getExpenseById,
+  findExpenseByClientId,
   addExpense,
   updateExpense,
   deleteExpense,
-  getExpenseSummary
+  getTrashedExpenses,
+  restoreExpense,
+  purgeTrash,
+  getExpenseSummary,
+  getCashFlow,
+  runInTransaction
 } = require('../models/database');
+const { getCategoryNames } = require('../models/categories');
+const { getMissingRateCurrencies } = require('../models/rates');
+const { removeOrphanedFiles } = require('../models/attachments');
+const { setExpenseTags } = require('../models/tags');
+const { getGroupById, setExpenseSplits } = require('../models/groups');
+const { getAccountById } = require('../models/accounts');
+const {
+  getExpenseSnapshot,
+  recordExpenseChange,
+  getExpenseHistory,
+  getRevision
+} = require('../models/history');
 
 const {
   validateExpense,
   sanitizeExpense,
-  VALID_CATEGORIES
+  validateSyncFields,
+  sanitizeSyncFields,
+  validateExpenseFilters,
+  sanitizeExpenseFilters,
+  validateGroupShare,
+  sanitizeGroupShare,
+  validateBatch
 } = require('../utils/validators');
+const { computeShares } = require('../utils/splits');
+const { toCsvRow } = require('../utils/csv');
+const { ofxHeader, ofxTransaction, ofxFooter } = require('../utils/ofx');
 
 // ============================================================
 // BUSINESS LOGIC LAYER
 // ============================================================
 
+// Columns of an expense that isn't shared with a group
+const NOT_SHARED = { group_id: null, paid_by: null, split_method: null };
+
+/**
+ * Check the account an expense is paid from (or income paid into), or
+ * throw a 400/404. Without a currency, the expense is in the account's.
+ * @param {number|null} accountId - From the request; empty = no account
+ * @param {Object} expense - Sanitized, validated expense
+ * @param {number} userId
+ * @returns {Promise<Object>} { account_id, currency }
+ */
+async function resolveAccount(accountId, expense, userId) {
+  if (accountId === undefined || accountId === null || accountId === '') {
+    return { account_id: null, currency: expense.currency };
+  }
+
+  const account = await getAccountById(accountId, userId);
+  if (!account) {
+    const error = new Error(`Account with ID ${accountId} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const currency = expense.currency || account.currency;
+  if (currency !== account.currency) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = {
+      errors: [{ field: 'currency', message: `Records in ${account.name} must be in ${account.currency}` }]
+    };
+    throw error;
+  }
+
+  return { account_id: account.id, currency };
+}
+
+/**
+ * Work out how a group expense is paid and split, or throw a 400/404
+ * Defaults: paid by the logged-in user's member, split equally between
+ * all members, in the group's currency.
+ * @param {Object} input - { groupId, paidBy, split } from the request
+ * @param {Object} expense - Sanitized, validated expense
+ * @param {number} userId
+ * @returns {Promise<Object>} { fields: { group_id, paid_by, split_method, currency }, shares }
+ */
+async function resolveGroupShare(input, expense, userId) {
+  if (input.groupId === undefined || input.groupId === null || input.groupId === '') {
+    return { fields: NOT_SHARED, shares: [] };
+  }
+
+  if (expense.type !== 'expense') {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors: [{ field: 'groupId', message: 'Only expenses can be shared with a group' }] };
+    throw error;
+  }
+
+  const group = await getGroupById(input.groupId, userId);
+  if (!group) {
+    const error = new Error(`Group with ID ${input.groupId} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const memberIds = group.members.map(member => member.id);
+  const share = sanitizeGroupShare({
+    paidBy: input.paidBy ?? group.my_member_id,
+    split: input.split || { method: 'equal', members: memberIds.map(memberId => ({ memberId })) }
+  });
+
+  const currency = expense.currency || group.currency;
+  const errors = validateGroupShare(share, expense.amount, memberIds);
+  if (currency !== group.currency) {
+    errors.push({ field: 'currency', message: `Expenses shared in ${group.name} must be in ${group.currency}` });
+  }
+  if (errors.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+
+  return {
+    fields: { group_id: group.id, paid_by: share.paidBy, split_method: share.split.method, currency },
+    shares: computeShares(expense.amount, share.split)
+  };
+}
+
+/**
+ * The sharing input for an update: stored values, overridden by the body
+ * Moving to another group starts over from that group's defaults.
+ * @param {Object} existing - Stored expense
+ * @param {Object} body - req.body
+ * @returns {Object} { groupId, paidBy, split }
+ */
+function mergeGroupShare(existing, body) {
+  if ('groupId' in body && Number(body.groupId) !== existing.group_id) {
+    return { groupId: body.groupId, paidBy: body.paidBy, split: body.split };
+  }
+
+  const stored = existing.group_id ? {
+    groupId: existing.group_id,
+    paidBy: existing.paid_by,
+    split: {
+      method: existing.split_method,
+      members: existing.splits.map(share => ({ memberId: share.member_id, value: share.value }))
+    }
+  } : {};
+
+  const changes = {};
+  for (const key of ['paidBy', 'split']) {
+    if (key in body) changes[key] = body[key];
+  }
+  return { ...stored, ...changes };
+}
+
+/**
+ * Check an expense's fields, account and sharing, or throw a 400/404
+ * Fields missing from body keep their stored value; a new expense has none.
+ * @param {Object} body - Fields to set (as in a create/update request)
+ * @param {Object} existing - Stored expense, or {} for a new one
+ * @param {number} userId
+ * @returns {Promise<Object>} { record, shares } - record is ready for addExpense()/updateExpense()
+ */
+async function prepareExpense(body, existing, userId) {
+  const sanitized = sanitizeExpense({ ...existing, ...body });
+
+  // Validate against the user's categories of the same type
+  const categoryNames = await getCategoryNames(userId, sanitized.type);
+  const { isValid, errors } = validateExpense(sanitized, categoryNames);
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+
+  // accountId says where the money came from (or went to, for income)
+  const account = await resolveAccount(
+    'accountId' in body ? body.accountId : existing.account_id,
+    sanitized,
+    userId
+  );
+
+  // A groupId shares the expense; paidBy and split say how. Shares are
+  // worked out again whenever a shared expense changes.
+  const { fields, shares } = await resolveGroupShare(
+    mergeGroupShare(existing, body),
+    { ...sanitized, ...account },
+    userId
+  );
+
+  return { record: { ...sanitized, ...account, ...fields }, shares };
+}
+
+/**
+ * Save a checked new expense with its tags, split and first history entry
+ * Call inside runInTransaction().
+ * @param {Object} prepared - { record, shares } from prepareExpense()
+ * @param {number} userId
+ * @returns {Promise<Object>} The created expense
+ */
+async function insertExpense({ record, shares }, userId) {
+  const created = await addExpense(record, userId);
+  if (record.tags) await setExpenseTags(created.id, record.tags, userId);
+  await setExpenseSplits(created.id, shares);
+  await recordExpenseChange({
+    expenseId: created.id, userId, actorId: userId, action: 'create', before: null
+  });
+  return getExpenseById(created.id, userId);
+}
+
+/**
+ * Write checked changes to an expense and record them in its history
+ * Call inside runInTransaction().
+ * @param {number} id
+ * @param {Object} prepared - { record, shares } from prepareExpense()
+ * @param {boolean} replaceTags - Tags are replaced only when they were sent
+ * @param {number} userId
+ * @returns {Promise<Object>} The updated expense
+ */
+async function applyExpenseUpdate(id, { record, shares }, replaceTags, userId) {
+  const before = await getExpenseSnapshot(id, userId);
+  await updateExpense(id, record, userId);
+  if (replaceTags) await setExpenseTags(id, record.tags || [], userId);
+  await setExpenseSplits(id, shares);
+  await recordExpenseChange({
+    expenseId: id, userId, actorId: userId, action: 'update', before
+  });
+  return getExpenseById(id, userId);
+}
+
+/**
+ * Move an expense to the trash and record it in its history
+ * Call inside runInTransaction().
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+async function trashExpense(id, userId) {
+  const before = await getExpenseSnapshot(id, userId);
+  await deleteExpense(id, userId);
+  await recordExpenseChange({
+    expenseId: id, userId, actorId: userId, action: 'delete', before
+  });
+}
+
+/**
+ * Read the offline sync fields of a request or throw a 400
+ * @param {Object} source - req.body or req.query
+ * @returns {Object} { clientId, baseRevision }
+ */
+function parseSyncFields(source) {
+  const fields = sanitizeSyncFields(source);
+  const { isValid, errors } = validateSyncFields(fields);
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+  return fields;
+}
+
+/**
+ * Throw a 409 if an expense changed after the client's copy of it was
+ * made (nothing is checked without a base revision)
+ * @param {Object} existing - Stored expense, with its revision
+ * @param {number|null|undefined} baseRevision - Revision of the client's copy
+ */
+function assertUnchangedSince(existing, baseRevision) {
+  if (baseRevision === undefined || (existing.revision ?? null) === baseRevision) return;
+
+  const error = new Error('This expense was changed elsewhere in the meantime');
+  error.statusCode = 409;
+  error.code = 'EXPENSE_CHANGED';
+  error.details = { current: existing };
+  throw error;
+}
+
+/**
+ * Read list filters from the query string or throw a 400
+ * Query: q (full-text search), type (expense|income), account (ID), from, to, category (repeatable),
+ * tag (repeatable; every tag must match), minAmount, maxAmount, sort, order
+ * @param {Object} query - req.query
+ * @returns {Object} Validated filters
+ */
+function parseListFilters(query) {
+  // Validate filters before they reach SQL
+  const filters = sanitizeExpenseFilters(query);
+  const { isValid, errors } = validateExpenseFilters(filters);
+  if (!isValid) {
+    const error = new Error('Invalid filters');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+  return filters;
+}
+
 /**
- * Get all expenses with optional filtering
+ * Get the logged-in user's expenses with optional filtering
+ * (see parseListFilters for the query parameters)
  */
 async function fetchAllExpenses(req, res, next) {
   try {
-    const expenses = await getAllExpenses(req.query);
+    const filters = parseListFilters(req.query);
+    const expenses = await getAllExpenses(filters, req.user.id);
     
     res.json({
       success: true,
@@ -34,26 +332,157 @@ async function fetchAllExpenses(req, res, next) {
   }
 }
 
+// Download formats: content type, file extension, and how to write rows
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: () => toCsvRow(['id', 'type', 'date', 'amount', 'currency', 'base_amount', 'category', 'description', 'tags']),
+    row: (expense) => toCsvRow([
+      expense.id,
+      expense.type,
+      expense.date,
+      expense.amount,
+      expense.currency,
+      expense.base_amount,
+      expense.category,
+      expense.description,
+      expense.tags.join(', ')
+    ]),
+    end: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: () => '[',
+    row: (expense, index) => (index > 0 ? ',' : '') + '\n' + JSON.stringify(expense),
+    end: () => '\n]\n'
+  },
+  ofx: {
+    contentType: 'application/x-ofx; charset=utf-8',
+    start: (filters, currency) => ofxHeader({ currency, from: filters.from, to: filters.to }),
+    row: (expense, index, currency) => ofxTransaction(expense, currency),
+    end: (filters, net) => ofxFooter({ balance: net })
+  }
+};
+
 /**
- * Create new expense
+ * Write to a response, waiting for it to drain when its buffer is full,
+ * so a slow client holds the export back instead of it piling up in memory
+ * @param {Object} res
+ * @param {string} chunk
+ * @returns {Promise<void>} Rejects if the client goes away first
  */
-async function createExpense(req, res, next) {
-  try {
-    // Sanitize input
-    const sanitized = sanitizeExpense(req.body);
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
 
-    // Validate input
-    const { isValid, errors } = validateExpense(sanitized);
-    if (!isValid) {
-      const error = new Error('Validation failed');
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('The client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Download the logged-in user's expenses as CSV, JSON or OFX
+ * Takes the same filters as the list, plus format=csv|json|ofx.
+ * Rows are written to the response as they are read, no faster than the
+ * client takes them.
+ */
+async function exportExpenses(req, res, next) {
+  let started = false;
+
+  try {
+    const { format = 'csv', ...query } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      const error = new Error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
       error.statusCode = 400;
       error.code = 'VALIDATION_ERROR';
-      error.details = { errors };
+      error.details = { errors: [{ field: 'format', message: error.message }] };
       throw error;
     }
 
-    // Save to database
-    const expense = await addExpense(sanitized);
+    const filters = parseListFilters(query);
+
+    // OFX states every amount in one currency; one without a rate can't be
+    if (format === 'ofx') {
+      const missing = await getMissingRateCurrencies(req.user.id);
+      if (missing.length > 0) {
+        const error = new Error(`Add exchange rates for ${missing.join(', ')} before exporting OFX`);
+        error.statusCode = 409;
+        error.code = 'MISSING_EXCHANGE_RATES';
+        error.details = { currencies: missing };
+        throw error;
+      }
+    }
+
+    const filename = `expenses-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    started = true;
+    const baseCurrency = req.user.base_currency;
+    await writeChunk(res, exporter.start(filters, baseCurrency));
+
+    // The balance is income less spending in the base currency; records
+    // without a rate add nothing
+    let index = 0;
+    let net = 0;
+    await eachExpense(filters, req.user.id, async (expense) => {
+      const row = exporter.row(expense, index, baseCurrency);
+      index += 1;
+      net += (expense.type === 'income' ? 1 : -1) * (expense.base_amount || 0);
+      await writeChunk(res, row);
+    });
+
+    res.end(exporter.end(filters, net));
+  } catch (error) {
+    // Once the download has started the status can't change; cut it off
+    if (started) {
+      console.error('❌ Export failed mid-stream:', error.message);
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  }
+}
+
+/**
+ * Create new expense
+ * With a clientId (one made offline), sending it again returns the
+ * expense already created (data is null if it has since been deleted).
+ */
+async function createExpense(req, res, next) {
+  try {
+    const { clientId } = parseSyncFields(req.body);
+    if (clientId) {
+      const saved = await findExpenseByClientId(clientId, req.user.id);
+      if (saved) {
+        res.json({
+          success: true,
+          data: saved.deleted_at ? null : await getExpenseById(saved.id, req.user.id),
+          message: 'Expense already created'
+        });
+        return;
+      }
+    }
+
+    const prepared = await prepareExpense(req.body, {}, req.user.id);
+    if (clientId) prepared.record.client_id = clientId;
+
+    // Save the expense, its tags, its split and its first history entry together
+    const expense = await runInTransaction(() => insertExpense(prepared, req.user.id));
 
     // Return created expense with 201 status
     res.status(201).json({
@@ -68,25 +497,122 @@ async function createExpense(req, res, next) {
 
 /**
  * Update existing expense
+ * With a baseRevision, a 409 (with the current expense) says it changed since.
  */
 async function updateExpenseData(req, res, next) {
   try {
     const { id } = req.params;
+    const { baseRevision } = parseSyncFields(req.body);
 
-    // Check if expense exists
-    const existing = await getExpenseById(id);
+    // Check if expense exists (and belongs to this user)
+    const existing = await getExpenseById(id, req.user.id);
     if (!existing) {
       const error = new Error(`Expense with ID ${id} not found`);
       error.statusCode = 404;
       error.code = 'NOT_FOUND';
       throw error;
     }
+    assertUnchangedSince(existing, baseRevision);
+
+    const prepared = await prepareExpense(req.body, existing, req.user.id);
 
-    // Merge existing with updates
-    const updates = sanitizeExpense({ ...existing, ...req.body });
+    // Update in database (tags are replaced only when sent)
+    const updated = await runInTransaction(() => (
+      applyExpenseUpdate(existing.id, prepared, 'tags' in req.body, req.user.id)
+    ));
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Expense updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Validate merged data
-    const { isValid, errors } = validateExpense(updates);
+/**
+ * Delete expense (it goes to the trash, receipts and all)
+ * Query: baseRevision, as for updates
+ */
+async function removeExpense(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { baseRevision } = parseSyncFields(req.query);
+
+    // Check if expense exists (and belongs to this user) first
+    const existing = await getExpenseById(id, req.user.id);
+    if (!existing) {
+      const error = new Error(`Expense with ID ${id} not found`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    assertUnchangedSince(existing, baseRevision);
+
+    await runInTransaction(() => trashExpense(existing.id, req.user.id));
+
+    res.json({
+      success: true,
+      message: 'Expense moved to the trash',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================================
+// BATCH
+// ============================================================
+
+// Most operations one batch may hold
+const MAX_BATCH_OPERATIONS = 500;
+
+/**
+ * Check one batch operation the way the single create, update or delete
+ * would, or throw a 400/404
+ * @param {Object} operation - { op, id, data }, already shape-checked by validateBatch()
+ * @param {number} userId
+ * @returns {Promise<Object>} { op, id, prepared, replaceTags }
+ */
+async function prepareOperation(operation, userId) {
+  if (operation.op === 'create') {
+    return { op: 'create', prepared: await prepareExpense(operation.data, {}, userId) };
+  }
+
+  const existing = await getExpenseById(operation.id, userId);
+  if (!existing) {
+    const error = new Error(`Expense with ID ${operation.id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    error.details = { errors: [{ field: 'id', message: error.message }] };
+    throw error;
+  }
+
+  if (operation.op === 'delete') return { op: 'delete', id: existing.id };
+
+  return {
+    op: 'update',
+    id: existing.id,
+    prepared: await prepareExpense(operation.data, existing, userId),
+    replaceTags: 'tags' in operation.data
+  };
+}
+
+/**
+ * Create, update and delete several expenses at once
+ * Body: { operations: [{ op: 'create', data }, { op: 'update', id, data }, { op: 'delete', id }] }
+ *
+ * Every operation is checked before anything is written, then all are
+ * applied in one transaction: if any fails, none are. Results come back in
+ * the order of the operations; deletes go to the trash.
+ */
+async function batchExpenses(req, res, next) {
+  try {
+    const { operations } = req.body || {};
+
+    const { isValid, errors } = validateBatch(operations);
     if (!isValid) {
       const error = new Error('Validation failed');
       error.statusCode = 400;
@@ -95,41 +621,145 @@ async function updateExpenseData(req, res, next) {
       throw error;
     }
 
-    // Update in database
-    const updated = await updateExpense(id, updates);
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      const error = new Error(`Too many operations (max ${MAX_BATCH_OPERATIONS} per batch)`);
+      error.statusCode = 413;
+      error.code = 'BATCH_TOO_LARGE';
+      throw error;
+    }
+
+    // Check every operation before touching the database
+    const prepared = [];
+    const invalid = [];
+    for (const [index, operation] of operations.entries()) {
+      try {
+        prepared.push(await prepareOperation(operation, req.user.id));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        invalid.push({
+          index,
+          errors: error.details?.errors || [{ field: 'data', message: error.message }]
+        });
+      }
+    }
+
+    if (invalid.length > 0) {
+      const error = new Error(`${invalid.length} operation(s) failed validation; nothing was changed`);
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { operations: invalid };
+      throw error;
+    }
+
+    // All or nothing
+    const results = await runInTransaction(async () => {
+      const applied = [];
+      for (const [index, operation] of prepared.entries()) {
+        if (operation.op === 'create') {
+          const expense = await insertExpense(operation.prepared, req.user.id);
+          applied.push({ index, op: 'create', id: expense.id, data: expense });
+        } else if (operation.op === 'update') {
+          const expense = await applyExpenseUpdate(operation.id, operation.prepared, operation.replaceTags, req.user.id);
+          applied.push({ index, op: 'update', id: operation.id, data: expense });
+        } else {
+          await trashExpense(operation.id, req.user.id);
+          applied.push({ index, op: 'delete', id: operation.id });
+        }
+      }
+      return applied;
+    });
+
+    const countOf = op => results.filter(result => result.op === op).length;
 
     res.json({
       success: true,
-      data: updated,
-      message: 'Expense updated successfully'
+      data: {
+        results,
+        created: countOf('create'),
+        updated: countOf('update'),
+        deleted: countOf('delete')
+      },
+      message: `Applied ${results.length} operation(s)`
     });
   } catch (error) {
     next(error);
   }
 }
 
+// ============================================================
+// TRASH
+// ============================================================
+
 /**
- * Delete expense
+ * Get the expenses in the trash, most recently deleted first
+ * Each has deleted_at and purge_at (null when kept until the trash is emptied).
  */
-async function removeExpense(req, res, next) {
+async function fetchTrash(req, res, next) {
   try {
-    const { id } = req.params;
+    const expenses = await getTrashedExpenses(req.user.id);
 
-    // Check if expense exists first
-    const existing = await getExpenseById(id);
-    if (!existing) {
-      const error = new Error(`Expense with ID ${id} not found`);
+    res.json({
+      success: true,
+      data: expenses,
+      count: expenses.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Take an expense back out of the trash
+ */
+async function restoreTrashedExpense(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+
+    const restored = await runInTransaction(async () => {
+      if (!(await restoreExpense(id, req.user.id))) return null;
+      await recordExpenseChange({
+        expenseId: id, userId: req.user.id, actorId: req.user.id, action: 'restore', before: null
+      });
+      return getExpenseById(id, req.user.id);
+    });
+
+    if (!restored) {
+      const error = new Error(`Expense with ID ${req.params.id} is not in the trash`);
       error.statusCode = 404;
       error.code = 'NOT_FOUND';
       throw error;
     }
 
-    // Delete from database
-    await deleteExpense(id);
+    res.json({
+      success: true,
+      data: restored,
+      message: 'Expense restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Permanently delete one expense in the trash
+ * Its receipts are deleted too; its history is kept.
+ */
+async function purgeTrashedExpense(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+
+    const purged = await purgeTrash(req.user.id, id);
+    if (purged === 0) {
+      const error = new Error(`Expense with ID ${req.params.id} is not in the trash`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    await removeOrphanedFiles();
 
     res.json({
       success: true,
-      message: 'Expense deleted successfully',
+      message: 'Expense deleted permanently',
       deletedId: id
     });
   } catch (error) {
@@ -138,25 +768,187 @@ async function removeExpense(req, res, next) {
 }
 
 /**
- * Get categories list (for frontend dropdown)
+ * Permanently delete everything in the trash
  */
-function getCategories(req, res) {
-  res.json({
-    success: true,
-    data: VALID_CATEGORIES
-  });
+async function emptyTrash(req, res, next) {
+  try {
+    const purged = await purgeTrash(req.user.id);
+    if (purged > 0) await removeOrphanedFiles();
+
+    res.json({
+      success: true,
+      message: purged > 0 ? `${purged} expense(s) deleted permanently` : 'The trash is already empty',
+      count: purged
+    });
+  } catch (error) {
+    next(error);
+  }
 }
 
 /**
  * Get summary statistics
+ * data is the spending total, count, average, per-category totals and the
+ * largest expense; cashFlow has income, expenses and net for the same dates.
+ * ?from and ?to (YYYY-MM-DD) limit the period, ?category (repeatable) the
+ * categories; ?rollup=true adds subcategory totals into their top-level category
  */
 async function getSummary(req, res, next) {
   try {
-    const summary = await getExpenseSummary();
+    const rollup = req.query.rollup === 'true';
+
+    // Dates and categories are checked the same way as the expense list's
+    const { from, to, categories } = parseListFilters({
+      from: req.query.from,
+      to: req.query.to,
+      category: req.query.category
+    });
+
+    const [summary, cashFlow, missingRates] = await Promise.all([
+      getExpenseSummary(req.user.id, { rollup, from, to, categories }),
+      getCashFlow(req.user.id, { from, to }),
+      getMissingRateCurrencies(req.user.id)
+    ]);
     
     res.json({
       success: true,
-      data: summary
+      data: summary,
+      cashFlow,
+      baseCurrency: req.user.base_currency,
+      missingRates
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================================
+// HISTORY
+// ============================================================
+
+// Snapshot fields compared between revisions, in the order they are listed
+const HISTORY_FIELDS = [
+  'type', 'date', 'amount', 'currency', 'category', 'description',
+  'account_name', 'group_name', 'paid_by', 'split_method', 'splits', 'tags'
+];
+
+/**
+ * List what a revision changed
+ * @param {Object|null} before - Snapshot (null for a create)
+ * @param {Object|null} after - Snapshot (null for a delete)
+ * @returns {Array} [{ field, from, to }]
+ */
+function describeChanges(before, after) {
+  const valueOf = (snapshot, field) => (snapshot ? snapshot[field] ?? null : null);
+  // No tags and no split read the same whether the list is empty or absent
+  const comparable = (value) => JSON.stringify(Array.isArray(value) && value.length === 0 ? null : value);
+
+  return HISTORY_FIELDS
+    .filter(field => comparable(valueOf(before, field)) !== comparable(valueOf(after, field)))
+    .map(field => ({ field, from: valueOf(before, field), to: valueOf(after, field) }));
+}
+
+/**
+ * Turn a history snapshot back into create/update fields
+ * @param {Object} snapshot
+ * @returns {Object} Request-style body
+ */
+function snapshotToBody(snapshot) {
+  return {
+    type: snapshot.type,
+    date: snapshot.date,
+    amount: snapshot.amount,
+    currency: snapshot.currency,
+    category: snapshot.category,
+    description: snapshot.description,
+    tags: snapshot.tags,
+    accountId: snapshot.account_id,
+    groupId: snapshot.group_id,
+    paidBy: snapshot.paid_by,
+    split: snapshot.group_id ? {
+      method: snapshot.split_method,
+      members: snapshot.splits.map(share => ({ memberId: share.member_id, value: share.value }))
+    } : undefined
+  };
+}
+
+/**
+ * Get every change made to an expense, newest first
+ * Each revision has before/after snapshots, who made it (actor_email is
+ * null for changes the app made itself) and the fields it changed.
+ * Works for deleted expenses too.
+ */
+async function fetchExpenseHistory(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const history = await getExpenseHistory(id, req.user.id);
+
+    if (history.length === 0 && !(await getExpenseById(id, req.user.id))) {
+      const error = new Error(`Expense with ID ${req.params.id} not found`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: history.map(revision => ({
+        ...revision,
+        changes: describeChanges(revision.before, revision.after)
+      })),
+      count: history.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Put an expense back the way a revision left it
+ * An expense in the trash is taken out of it; one purged from the trash
+ * comes back under its old ID (its receipts don't).
+ * The revert is checked like any update and recorded in the history.
+ */
+async function revertExpense(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    const revision = await getRevision(req.params.revisionId, id, req.user.id);
+    if (!revision) {
+      const error = new Error(`Revision ${req.params.revisionId} of expense ${req.params.id} not found`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    if (!revision.after) {
+      const error = new Error('That revision deleted the expense; revert to one before it');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: [{ field: 'revisionId', message: error.message }] };
+      throw error;
+    }
+
+    const existing = await getExpenseById(id, req.user.id);
+    const { record, shares } = await prepareExpense(snapshotToBody(revision.after), existing || {}, req.user.id);
+
+    const reverted = await runInTransaction(async () => {
+      const before = await getExpenseSnapshot(id, req.user.id);
+      if (existing || await restoreExpense(id, req.user.id)) {
+        await updateExpense(id, record, req.user.id);
+      } else {
+        await addExpense({ ...record, id }, req.user.id);
+      }
+      await setExpenseTags(id, record.tags, req.user.id);
+      await setExpenseSplits(id, shares);
+      await recordExpenseChange({
+        expenseId: id, userId: req.user.id, actorId: req.user.id, action: 'revert', before, revertedTo: revision.id
+      });
+      return getExpenseById(id, req.user.id);
+    });
+
+    res.json({
+      success: true,
+      data: reverted,
+      message: existing ? 'Expense reverted successfully' : 'Expense restored successfully'
     });
   } catch (error) {
     next(error);
@@ -165,9 +957,16 @@ async function getSummary(req, res, next) {
 
 module.exports = {
   fetchAllExpenses,
+  exportExpenses,
   createExpense,
   updateExpenseData,
   removeExpense,
-  getCategories,
+  batchExpenses,
+  fetchTrash,
+  restoreTrashedExpense,
+  purgeTrashedExpense,
+  emptyTrash,
+  fetchExpenseHistory,
+  revertExpense,
   getSummary
 };
@@ -0,0 +1,372 @@
+const {
+  getGroups,
+  getGroupById,
+  addGroup,
+  deleteGroup,
+  addMember,
+  countMemberActivity,
+  deleteMember,
+  getGroupExpenses,
+  getMemberTotals,
+  addSettlement,
+  getSettlements
+} = require('../models/groups');
+const { getUserByEmail } = require('../models/users');
+const { runInTransaction } = require('../models/database');
+
+const {
+  validateGroup,
+  sanitizeGroup,
+  validateMember,
+  sanitizeMember,
+  validateSettlement,
+  sanitizeSettlement
+} = require('../utils/validators');
+const { toCents, settleUp } = require('../utils/splits');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Load a group the user belongs to or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function findGroupOr404(id, userId) {
+  const group = await getGroupById(id, userId);
+  if (!group) {
+    const error = new Error(`Group with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  return group;
+}
+
+/**
+ * Throw a 400 if validation failed
+ * @param {Object} result - { isValid, errors }
+ */
+function assertValid({ isValid, errors }) {
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+}
+
+/**
+ * Link a member to an account when an email is given
+ * @param {Object} member - Sanitized { name, email }
+ * @param {string} field - Field name for the error
+ * @returns {Promise<Object>} { name, userId }
+ */
+async function resolveMember(member, field = 'email') {
+  if (!member.email) return { name: member.name, userId: null };
+
+  const user = await getUserByEmail(member.email);
+  if (!user) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors: [{ field, message: `No account found for ${member.email}` }] };
+    throw error;
+  }
+  return { name: member.name, userId: user.id };
+}
+
+/**
+ * Work out who is owed what in a group and how to settle it
+ * balance > 0: the member is owed money; < 0: the member owes money.
+ * @param {number} groupId
+ * @returns {Promise<Object>} { balances, transfers }
+ */
+async function computeBalances(groupId) {
+  const totals = await getMemberTotals(groupId);
+
+  const balances = totals.map(member => ({
+    ...member,
+    balance: (toCents(member.paid) - toCents(member.owed)
+      + toCents(member.settledOut) - toCents(member.settledIn)) / 100
+  }));
+
+  return { balances, transfers: settleUp(balances) };
+}
+
+// ============================================================
+// GROUP LOGIC
+// ============================================================
+
+/**
+ * Get the groups the logged-in user belongs to
+ */
+async function fetchGroups(req, res, next) {
+  try {
+    const groups = await getGroups(req.user.id);
+
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one group with its members
+ */
+async function fetchGroup(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a group; the logged-in user is added as the first member
+ * Body: { name, currency?, yourName?, members: [{ name, email? }] }
+ */
+async function createGroup(req, res, next) {
+  try {
+    const sanitized = sanitizeGroup(req.body);
+    assertValid(validateGroup(sanitized));
+
+    const members = [];
+    for (const [i, member] of sanitized.members.entries()) {
+      members.push(await resolveMember(member, `members[${i}].email`));
+    }
+
+    const groupId = await runInTransaction(() => addGroup({
+      ...sanitized,
+      currency: sanitized.currency || req.user.base_currency,
+      members
+    }, req.user));
+
+    const group = await getGroupById(groupId, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: group,
+      message: 'Group created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a group (only its creator may); shared expenses become personal again
+ */
+async function removeGroup(req, res, next) {
+  try {
+    const { id } = req.params;
+    const group = await findGroupOr404(id, req.user.id);
+
+    if (group.created_by !== req.user.id) {
+      const error = new Error('Only the person who created the group can delete it');
+      error.statusCode = 403;
+      error.code = 'FORBIDDEN';
+      throw error;
+    }
+
+    await runInTransaction(() => deleteGroup(group.id));
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a member to a group
+ * Body: { name, email? } (email links the member to an existing account)
+ */
+async function createMember(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+
+    const sanitized = sanitizeMember(req.body);
+    assertValid(validateMember(sanitized));
+
+    await addMember(group.id, await resolveMember(sanitized));
+    const updated = await getGroupById(group.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: updated,
+      message: 'Member added successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a member who hasn't paid, shared or settled anything yet
+ */
+async function removeMember(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+    const memberId = Number(req.params.memberId);
+    const member = group.members.find(m => m.id === memberId);
+
+    if (!member) {
+      const error = new Error(`Member with ID ${req.params.memberId} not found`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    if (member.user_id !== null && member.user_id === group.created_by) {
+      const error = new Error('The group\'s creator cannot be removed; delete the group instead');
+      error.statusCode = 409;
+      error.code = 'MEMBER_IN_USE';
+      throw error;
+    }
+
+    if (await countMemberActivity(memberId) > 0) {
+      const error = new Error(`${member.name} has shared expenses or settlements and cannot be removed`);
+      error.statusCode = 409;
+      error.code = 'MEMBER_IN_USE';
+      throw error;
+    }
+
+    await deleteMember(group.id, memberId);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      deletedId: memberId
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get every expense shared in a group, whoever recorded it
+ */
+async function fetchGroupExpenses(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+    const expenses = await getGroupExpenses(group.id);
+
+    res.json({
+      success: true,
+      data: expenses,
+      count: expenses.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Who owes whom, with the transfers that would settle everything
+ */
+async function getGroupBalances(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+    const { balances, transfers } = await computeBalances(group.id);
+
+    res.json({
+      success: true,
+      data: {
+        currency: group.currency,
+        balances,
+        transfers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a group's settlements, newest first
+ */
+async function fetchSettlements(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+    const settlements = await getSettlements(group.id);
+
+    res.json({
+      success: true,
+      data: settlements,
+      count: settlements.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a payment between two members
+ * Body: { from, to, amount?, date? } (member IDs). Without an amount, the
+ * suggested transfer from `from` to `to` is settled in full.
+ */
+async function createSettlement(req, res, next) {
+  try {
+    const group = await findGroupOr404(req.params.id, req.user.id);
+
+    const sanitized = sanitizeSettlement(req.body);
+    assertValid(validateSettlement(sanitized, group.members.map(member => member.id)));
+
+    if (sanitized.amount === null) {
+      const { transfers } = await computeBalances(group.id);
+      const transfer = transfers.find(t => t.from === sanitized.from && t.to === sanitized.to);
+      if (!transfer) {
+        const error = new Error('Nothing is owed between these members; give an amount to record a payment anyway');
+        error.statusCode = 400;
+        error.code = 'VALIDATION_ERROR';
+        error.details = { errors: [{ field: 'amount', message: error.message }] };
+        throw error;
+      }
+      sanitized.amount = transfer.amount;
+    }
+
+    const settlement = await addSettlement(group.id, sanitized, req.user.id);
+    const { balances, transfers } = await computeBalances(group.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        settlement,
+        balances,
+        transfers
+      },
+      message: 'Settlement recorded'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchGroups,
+  fetchGroup,
+  createGroup,
+  removeGroup,
+  createMember,
+  removeMember,
+  fetchGroupExpenses,
+  getGroupBalances,
+  fetchSettlements,
+  createSettlement
+};
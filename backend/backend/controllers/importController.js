@@ -0,0 +1,252 @@
+const { addExpense, runInTransaction } = require('../models/database');
+const { recordExpenseChange } = require('../models/history');
+const { getCategoryNames } = require('../models/categories');
+const { parseCsv } = require('../utils/csv');
+
+const {
+  validateExpense,
+  sanitizeExpense,
+  normalizeDate,
+  cleanAmount,
+  validateImportOptions,
+  IMPORT_FIELDS
+} = require('../utils/validators');
+
+// Keep one request from tying up the database for too long
+const MAX_IMPORT_ROWS = 5000;
+
+const REQUIRED_FIELDS = ['date', 'amount', 'category'];
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Work out which CSV column feeds each expense field
+ * @param {Array<string>|null} header - Header row, or null if the file has none
+ * @param {Object} mapping - { field: header name or 0-based column index }
+ * @returns {Object} { columns: { field: index }, errors: [] }
+ */
+function resolveColumns(header, mapping) {
+  const columns = {};
+  const errors = [];
+  const unresolved = new Set();
+  const normalizedHeader = (header || []).map(name => name.trim().toLowerCase());
+
+  for (const field of IMPORT_FIELDS) {
+    // Without a mapping, look for a column named like the field
+    const source = mapping[field] !== undefined ? mapping[field] : (header ? field : undefined);
+    if (source === undefined || source === null || source === '') continue;
+
+    const index = typeof source === 'number' || /^\d+$/.test(String(source))
+      ? Number(source)
+      : normalizedHeader.indexOf(String(source).trim().toLowerCase());
+
+    if (index >= 0 && (!header || index < header.length)) {
+      columns[field] = index;
+    } else if (mapping[field] !== undefined) {
+      errors.push({ field: 'mapping', message: `Column "${source}" for ${field} not found` });
+      unresolved.add(field);
+    }
+  }
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (columns[field] === undefined && !unresolved.has(field)) {
+      errors.push({ field: 'mapping', message: `No column mapped to ${field}` });
+    }
+  });
+
+  return { columns, errors };
+}
+
+/**
+ * Read a yes/no option sent as a JSON boolean or as "true"/"false"
+ * @param {boolean|string|undefined} value - Checked by validateImportOptions
+ * @param {boolean} fallback - Used when the option is missing
+ * @returns {boolean}
+ */
+function readFlag(value, fallback) {
+  return value === undefined ? fallback : value === true || value === 'true';
+}
+
+/**
+ * Build and validate one expense from a CSV row
+ * @param {Array<string>} values
+ * @param {Object} columns - { field: index }
+ * @param {string} dateFormat
+ * @param {Array<string>} categoryNames - The user's categories
+ * @returns {Object} { expense, errors }
+ */
+function buildExpenseFromRow(values, columns, dateFormat, categoryNames) {
+  const read = (field) => (columns[field] === undefined ? undefined : (values[columns[field]] || '').trim());
+
+  const rawDate = read('date');
+  const date = normalizeDate(rawDate, dateFormat);
+
+  // Accept "food" for "Food"
+  const rawCategory = read('category');
+  const category = categoryNames.find(
+    name => name.toLowerCase() === (rawCategory || '').toLowerCase()
+  ) || rawCategory;
+
+  const expense = sanitizeExpense({
+    date: date || rawDate,
+    amount: cleanAmount(read('amount')),
+    currency: read('currency'),
+    category,
+    description: read('description')
+  });
+
+  const errors = [];
+  if (rawDate && !date) {
+    errors.push({ field: 'date', message: `Date "${rawDate}" does not match ${dateFormat}` });
+  }
+
+  validateExpense(expense, categoryNames).errors
+    .filter(error => !(error.field === 'date' && rawDate && !date))
+    .forEach(error => errors.push(error));
+
+  return { expense, errors };
+}
+
+// ============================================================
+// IMPORT LOGIC
+// ============================================================
+
+/**
+ * Import expenses from CSV
+ * Body: { csv, mapping, dateFormat, hasHeader = true, dryRun = false }
+ *
+ * With dryRun every row is validated and returned with its errors, and
+ * nothing is saved. Otherwise all rows are saved in one transaction, or
+ * none are if any row is invalid.
+ */
+async function importExpenses(req, res, next) {
+  try {
+    const options = req.body || {};
+    const { csv, mapping = {}, dateFormat = 'YYYY-MM-DD' } = options;
+
+    const { isValid, errors } = validateImportOptions({ ...options, mapping, dateFormat });
+    if (!isValid) {
+      const error = new Error('Validation failed');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors };
+      throw error;
+    }
+
+    const hasHeader = readFlag(options.hasHeader, true);
+    const dryRun = readFlag(options.dryRun, false);
+
+    const rows = parseCsv(csv);
+    const header = hasHeader ? rows.shift() || [] : null;
+
+    if (rows.length === 0) {
+      const error = new Error('The CSV has no data rows');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      const error = new Error(`Too many rows (max ${MAX_IMPORT_ROWS} per import)`);
+      error.statusCode = 413;
+      error.code = 'IMPORT_TOO_LARGE';
+      throw error;
+    }
+
+    const { columns, errors: mappingErrors } = resolveColumns(header, mapping);
+    const columnCount = Math.max(header ? header.length : 0, ...rows.map(r => r.length));
+
+    // A preview still returns the headers so the mapping can be fixed
+    if (mappingErrors.length > 0 && dryRun) {
+      res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          headers: header,
+          columnCount,
+          columns,
+          mappingErrors,
+          total: rows.length,
+          valid: 0,
+          invalid: rows.length,
+          rows: []
+        }
+      });
+      return;
+    }
+
+    if (mappingErrors.length > 0) {
+      const error = new Error('Column mapping is incomplete');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors: mappingErrors, headers: header };
+      throw error;
+    }
+
+    // Validate every row before touching the database
+    const categoryNames = await getCategoryNames(req.user.id);
+    const preview = rows.map((values, index) => ({
+      row: index + 1,
+      ...buildExpenseFromRow(values, columns, dateFormat, categoryNames)
+    }));
+    const invalid = preview.filter(item => item.errors.length > 0);
+
+    if (dryRun) {
+      res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          headers: header,
+          columnCount,
+          columns,
+          mappingErrors: [],
+          total: preview.length,
+          valid: preview.length - invalid.length,
+          invalid: invalid.length,
+          rows: preview
+        }
+      });
+      return;
+    }
+
+    if (invalid.length > 0) {
+      const error = new Error(`${invalid.length} row(s) failed validation; nothing was imported`);
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = {
+        rows: invalid.map(({ row, errors: rowErrors }) => ({ row, errors: rowErrors }))
+      };
+      throw error;
+    }
+
+    // All or nothing
+    const created = await runInTransaction(async () => {
+      const saved = [];
+      for (const item of preview) {
+        const expense = await addExpense(item.expense, req.user.id);
+        await recordExpenseChange({
+          expenseId: expense.id, userId: req.user.id, actorId: req.user.id, action: 'create', before: null
+        });
+        saved.push(expense);
+      }
+      return saved;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        imported: created.length,
+        expenses: created
+      },
+      message: `Imported ${created.length} expense(s)`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  importExpenses
+};
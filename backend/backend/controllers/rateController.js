@@ -0,0 +1,220 @@
+const {
+  getRates,
+  getRate,
+  saveRate,
+  deleteRate,
+  scaleRates,
+  getMissingRateCurrencies,
+  countExpensesNotIn
+} = require('../models/rates');
+const { updateBaseCurrency } = require('../models/users');
+const { runInTransaction } = require('../models/database');
+
+const {
+  validateRate,
+  sanitizeRate,
+  isValidCurrency,
+  sanitizeCurrency
+} = require('../utils/validators');
+const { parseRatesFile } = require('../utils/rates');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Throw a 400 for one bad field
+ * @param {string} field
+ * @param {string} message
+ */
+function throwValidationError(field, message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VALIDATION_ERROR';
+  error.details = { errors: [{ field, message }] };
+  throw error;
+}
+
+// ============================================================
+// EXCHANGE RATE LOGIC
+// ============================================================
+
+/**
+ * Get the base currency, the stored rates, and currencies still missing a rate
+ */
+async function fetchRates(req, res, next) {
+  try {
+    const [rates, missing] = await Promise.all([
+      getRates(req.user.id),
+      getMissingRateCurrencies(req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: req.user.base_currency,
+        rates,
+        missing
+      },
+      count: rates.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Set the rate for one currency
+ * Body: { rate } - units of the currency per one unit of base
+ */
+async function setRate(req, res, next) {
+  try {
+    const sanitized = sanitizeRate({ currency: req.params.currency, rate: req.body?.rate });
+    const { isValid, errors } = validateRate(sanitized, req.user.base_currency);
+    if (!isValid) {
+      const error = new Error('Validation failed');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors };
+      throw error;
+    }
+
+    const rate = await saveRate(sanitized, req.user.id);
+
+    res.json({
+      success: true,
+      data: rate,
+      message: `Rate for ${rate.currency} saved`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import rates from a file's contents
+ * Body: { file } - JSON { base, rates: { EUR: 0.92 } } or CSV "currency,rate" lines.
+ * Valid rates are saved; bad lines are returned in skipped.
+ */
+async function importRates(req, res, next) {
+  try {
+    const { file } = req.body || {};
+    if (typeof file !== 'string' || file.trim() === '') {
+      throwValidationError('file', 'Rates file contents are required');
+    }
+
+    const { rates, errors } = parseRatesFile(file, req.user.base_currency);
+    if (rates.length === 0) {
+      const error = new Error('No usable exchange rates in file');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors };
+      throw error;
+    }
+
+    const saved = await runInTransaction(async () => {
+      const results = [];
+      for (const rate of rates) {
+        results.push(await saveRate(rate, req.user.id));
+      }
+      return results;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        imported: saved.length,
+        rates: saved,
+        skipped: errors
+      },
+      message: `${saved.length} exchange rate(s) imported`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete the rate for one currency
+ */
+async function removeRate(req, res, next) {
+  try {
+    const currency = sanitizeCurrency(req.params.currency);
+    const existing = await getRate(currency, req.user.id);
+    if (!existing) {
+      const error = new Error(`No exchange rate for ${currency}`);
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    await deleteRate(currency, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Rate for ${currency} deleted`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change the base currency
+ * Body: { currency }. Stored rates are re-expressed against the new base,
+ * which needs a rate for it unless nothing has to be converted.
+ */
+async function setBaseCurrency(req, res, next) {
+  try {
+    const currency = sanitizeCurrency(req.body?.currency);
+    if (!isValidCurrency(currency)) {
+      throwValidationError('currency', 'Currency must be a 3-letter code like USD or EUR');
+    }
+
+    const oldBase = req.user.base_currency;
+    if (currency === oldBase) {
+      res.json({ success: true, data: req.user, message: `Base currency is already ${currency}` });
+      return;
+    }
+
+    const newBaseRate = await getRate(currency, req.user.id);
+    if (!newBaseRate) {
+      const [rates, foreignCount] = await Promise.all([
+        getRates(req.user.id),
+        countExpensesNotIn(currency, req.user.id)
+      ]);
+      if (rates.length > 0 || foreignCount > 0) {
+        const error = new Error(`Add an exchange rate for ${currency} before making it the base currency`);
+        error.statusCode = 409;
+        error.code = 'RATE_REQUIRED';
+        throw error;
+      }
+    }
+
+    const user = await runInTransaction(async () => {
+      if (newBaseRate) {
+        // 1 old = r new, so every rate is divided by r and the old base gets 1/r
+        await scaleRates(newBaseRate.rate, req.user.id);
+        await deleteRate(currency, req.user.id);
+        await saveRate({ currency: oldBase, rate: 1 / newBaseRate.rate }, req.user.id);
+      }
+      return updateBaseCurrency(req.user.id, currency);
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: `Base currency changed to ${currency}`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchRates,
+  setRate,
+  importRates,
+  removeRate,
+  setBaseCurrency
+};
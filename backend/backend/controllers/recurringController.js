@@ -0,0 +1,178 @@
+const {
+  getRecurringRules,
+  getRecurringById,
+  addRecurring,
+  updateRecurring,
+  deleteRecurring,
+  generateForRule,
+  regenerateFrom
+} = require('../models/recurring');
+const { getCategoryNames } = require('../models/categories');
+
+const {
+  validateRecurring,
+  sanitizeRecurring,
+  isValidDate
+} = require('../utils/validators');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Load a recurring rule owned by the user or throw a 404
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function findRecurringOr404(id, userId) {
+  const rule = await getRecurringById(id, userId);
+  if (!rule) {
+    const error = new Error(`Recurring expense with ID ${id} not found`);
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  return rule;
+}
+
+/**
+ * Validate a rule against the user's categories or throw a 400
+ * @param {Object} rule - Sanitized rule
+ * @param {number} userId
+ */
+async function assertValidRecurring(rule, userId) {
+  const categoryNames = await getCategoryNames(userId);
+  const { isValid, errors } = validateRecurring(rule, categoryNames);
+  if (!isValid) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.code = 'VALIDATION_ERROR';
+    error.details = { errors };
+    throw error;
+  }
+}
+
+// ============================================================
+// RECURRING EXPENSE LOGIC
+// ============================================================
+
+/**
+ * Get the logged-in user's recurring rules
+ */
+async function fetchRecurring(req, res, next) {
+  try {
+    const rules = await getRecurringRules(req.user.id);
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a recurring rule and generate any occurrences already due
+ * (a start date in the past back-fills expenses up to today)
+ */
+async function createRecurring(req, res, next) {
+  try {
+    const sanitized = sanitizeRecurring(req.body || {});
+    await assertValidRecurring(sanitized, req.user.id);
+
+    const rule = await addRecurring(sanitized, req.user.id);
+    const generated = await generateForRule(rule);
+
+    res.status(201).json({
+      success: true,
+      data: await getRecurringById(rule.id, req.user.id),
+      generated,
+      message: 'Recurring expense created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a recurring rule
+ * Fields left out keep their current value. With applyFrom (YYYY-MM-DD),
+ * expenses the rule generated on or after that date go to the trash and
+ * are replaced with ones matching the new rule (dates already in the
+ * trash stay skipped); otherwise only later occurrences change.
+ */
+async function updateRecurringData(req, res, next) {
+  try {
+    const { id } = req.params;
+    const existing = await findRecurringOr404(id, req.user.id);
+    const body = req.body || {};
+
+    const updates = sanitizeRecurring({
+      amount: existing.amount,
+      currency: existing.currency,
+      category: existing.category,
+      description: existing.description,
+      frequency: existing.frequency,
+      dayOfMonth: existing.day_of_month,
+      startDate: existing.start_date,
+      endDate: existing.end_date,
+      ...body
+    });
+    await assertValidRecurring(updates, req.user.id);
+
+    const { applyFrom } = body;
+    if (applyFrom !== undefined && !isValidDate(applyFrom)) {
+      const error = new Error('Validation failed');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = {
+        errors: [{ field: 'applyFrom', message: 'Invalid date format (use YYYY-MM-DD)' }]
+      };
+      throw error;
+    }
+
+    const rule = await updateRecurring(id, updates, req.user.id);
+    const result = applyFrom
+      ? await regenerateFrom(rule, applyFrom)
+      : { removed: 0, created: await generateForRule(rule) };
+
+    res.json({
+      success: true,
+      data: await getRecurringById(id, req.user.id),
+      ...result,
+      message: 'Recurring expense updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a recurring rule; expenses it already generated are kept
+ */
+async function removeRecurring(req, res, next) {
+  try {
+    const { id } = req.params;
+    await findRecurringOr404(id, req.user.id);
+
+    await deleteRecurring(id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring expense deleted successfully',
+      deletedId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchRecurring,
+  createRecurring,
+  updateRecurringData,
+  removeRecurring
+};
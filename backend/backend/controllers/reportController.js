@@ -0,0 +1,226 @@
+const { getTotalsByPeriod } = require('../models/reports');
+
+const {
+  sanitizeReportQuery,
+  validateReportQuery,
+  MAX_REPORT_PERIODS
+} = require('../utils/validators');
+const { addDays } = require('../utils/schedule');
+const {
+  periodStart,
+  addPeriods,
+  periodEnd,
+  samePeriodLastYear,
+  listPeriods,
+  daysBetween
+} = require('../utils/periods');
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+// Periods shown when no start date is given, counting the current one
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12, year: 5 };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const sumOf = (rows, field) => rows.reduce((sum, row) => sum + row[field], 0);
+
+/**
+ * How the current total moved against an earlier one
+ * @param {number} current
+ * @param {number} earlier
+ * @returns {Object} { absolute, percent } - percent is null when the earlier total was 0
+ */
+function describeChange(current, earlier) {
+  return {
+    absolute: roundMoney(current - earlier),
+    percent: earlier === 0 ? null : Math.round(((current - earlier) / earlier) * 1000) / 10
+  };
+}
+
+/**
+ * Group keys in a report, largest total first
+ * @param {Array} rows - From getTotalsByPeriod()
+ * @returns {Array} Keys (an expense without an account has the key null)
+ */
+function rankGroups(rows) {
+  const totals = new Map();
+  rows.forEach(row => totals.set(row.group, (totals.get(row.group) || 0) + row.total));
+
+  return [...totals.keys()].sort((a, b) => (
+    totals.get(b) - totals.get(a) || String(a).localeCompare(String(b))
+  ));
+}
+
+/**
+ * One bucket per period, with zeros where nothing was recorded
+ * With groups, every bucket lists every group in the same order.
+ * @param {Array<string>} periods - First days, in order
+ * @param {Array} rows - From getTotalsByPeriod()
+ * @param {string} interval
+ * @param {Array|null} groups - From rankGroups(); null without groupBy
+ * @returns {Array} [{ start, end, total, count, unconvertedCount, groups? }]
+ */
+function fillPeriods(periods, rows, interval, groups) {
+  return periods.map(start => {
+    const inPeriod = rows.filter(row => row.period === start);
+    const bucket = {
+      start,
+      end: periodEnd(start, interval),
+      total: roundMoney(sumOf(inPeriod, 'total')),
+      count: sumOf(inPeriod, 'count'),
+      unconvertedCount: sumOf(inPeriod, 'unconvertedCount')
+    };
+
+    if (groups) {
+      bucket.groups = groups.map(key => {
+        const row = inPeriod.find(item => item.group === key);
+        return { key, total: row ? row.total : 0, count: row ? row.count : 0 };
+      });
+    }
+    return bucket;
+  });
+}
+
+/**
+ * Totals of the period holding `to`, the period before it and the same
+ * period a year earlier. The earlier ones are cut off the same number of
+ * days in, so a month to date is compared with the same days of last month.
+ * @param {number} userId
+ * @param {Object} query - Validated report query
+ * @param {string} to - Last day of the current period
+ * @returns {Promise<Object>} { current, previous, sameLastYear } - the
+ *   earlier two have change: { absolute, percent } from them to the current
+ *   one; sameLastYear is null for yearly reports (it would be previous).
+ *   With groupBy, all three list the same group keys in the same order.
+ */
+async function comparePeriods(userId, query, to) {
+  const { interval, groupBy } = query;
+  const currentStart = periodStart(to, interval);
+  const daysIn = daysBetween(currentStart, to);
+
+  const cutOff = (start) => {
+    const end = addDays(start, daysIn);
+    const last = periodEnd(start, interval);
+    return { start, end: end < last ? end : last };
+  };
+
+  const summarize = async ({ start, end }) => {
+    const rows = await getTotalsByPeriod(userId, {
+      type: query.type, categories: query.categories, groupBy, from: start, to: end
+    });
+    return {
+      start,
+      end,
+      total: roundMoney(sumOf(rows, 'total')),
+      count: sumOf(rows, 'count'),
+      unconvertedCount: sumOf(rows, 'unconvertedCount'),
+      rows
+    };
+  };
+
+  const current = await summarize({ start: currentStart, end: to });
+  const previous = await summarize(cutOff(addPeriods(currentStart, interval, -1)));
+  const sameLastYear = interval === 'year' ? null : await summarize(cutOff(samePeriodLastYear(currentStart, interval)));
+
+  // Every period lists the groups found in any of them, in the same order
+  // and with zeros where it had none, so the periods line up key for key
+  const keys = groupBy ? rankGroups([current, previous, sameLastYear].filter(Boolean).flatMap(period => period.rows)) : null;
+  const totalsIn = (period, key) => period.rows.find(row => row.group === key) || { total: 0, count: 0 };
+
+  // Earlier periods also get the change from them to the current one
+  const finish = (period, isEarlier) => {
+    const { rows, ...result } = period;
+    if (isEarlier) result.change = describeChange(current.total, period.total);
+
+    if (keys) {
+      result.groups = keys.map(key => {
+        const { total, count } = totalsIn(period, key);
+        return isEarlier
+          ? { key, total, count, change: describeChange(totalsIn(current, key).total, total) }
+          : { key, total, count };
+      });
+    }
+    return result;
+  };
+
+  return {
+    current: finish(current, false),
+    previous: finish(previous, true),
+    sameLastYear: sameLastYear && finish(sameLastYear, true)
+  };
+}
+
+// ============================================================
+// REPORT LOGIC
+// ============================================================
+
+/**
+ * Get spending (or income) over time, in the base currency
+ * Query: interval (day|week|month|year, default month), from, to (default:
+ * the last few periods up to today), groupBy (category|account), type
+ * (expense|income, default expense), category (repeatable)
+ *
+ * Every period between from and to gets a bucket, with zeros where nothing
+ * was recorded; with groupBy, every bucket lists every group. A `from`
+ * inside a period moves back to that period's start. The comparison sets
+ * the period holding `to` against the one before it and the same one a
+ * year earlier.
+ */
+async function getTimeseries(req, res, next) {
+  try {
+    const query = sanitizeReportQuery(req.query);
+    const { isValid, errors } = validateReportQuery(query);
+    if (!isValid) {
+      const error = new Error('Invalid report parameters');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors };
+      throw error;
+    }
+
+    const to = query.to || new Date().toISOString().slice(0, 10);
+    // Buckets are whole periods, so the first one starts before a mid-period `from`
+    const from = query.from
+      ? periodStart(query.from, query.interval)
+      : addPeriods(periodStart(to, query.interval), query.interval, 1 - DEFAULT_PERIODS[query.interval]);
+
+    // A start date in the future has nothing up to today to report on
+    const periods = from <= to ? listPeriods(from, to, query.interval, MAX_REPORT_PERIODS + 1) : [];
+    if (periods.length === 0 || periods.length > MAX_REPORT_PERIODS) {
+      const error = new Error('Invalid report parameters');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = {
+        errors: [periods.length === 0
+          ? { field: 'to', message: 'End date must be on or after start date' }
+          : { field: 'from', message: `At most ${MAX_REPORT_PERIODS} periods per report; use a longer interval` }]
+      };
+      throw error;
+    }
+
+    const rows = await getTotalsByPeriod(req.user.id, { ...query, from, to });
+    const groups = query.groupBy ? rankGroups(rows) : null;
+
+    res.json({
+      success: true,
+      data: {
+        interval: query.interval,
+        from,
+        to,
+        type: query.type,
+        groupBy: query.groupBy || null,
+        baseCurrency: req.user.base_currency,
+        ...(groups && { groups }),
+        buckets: fillPeriods(periods, rows, query.interval, groups),
+        comparison: await comparePeriods(req.user.id, query, to)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getTimeseries
+};
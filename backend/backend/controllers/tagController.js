@@ -0,0 +1,62 @@
+const { getTags, getTagTotals } = require('../models/tags');
+
+const {
+  validateExpenseFilters,
+  sanitizeExpenseFilters
+} = require('../utils/validators');
+
+// ============================================================
+// TAG LOGIC
+// ============================================================
+
+/**
+ * Get the logged-in user's tags with how often each is used
+ * (the expense form's autocomplete)
+ */
+async function fetchTags(req, res, next) {
+  try {
+    const tags = await getTags(req.user.id);
+
+    res.json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Spending per tag in the base currency, optionally between from and to
+ */
+async function getTagSummary(req, res, next) {
+  try {
+    // Dates are checked the same way as the expense list's
+    const range = sanitizeExpenseFilters({ from: req.query.from, to: req.query.to });
+    const { isValid, errors } = validateExpenseFilters(range);
+    if (!isValid) {
+      const error = new Error('Invalid filters');
+      error.statusCode = 400;
+      error.code = 'VALIDATION_ERROR';
+      error.details = { errors };
+      throw error;
+    }
+
+    const totals = await getTagTotals(range, req.user.id);
+
+    res.json({
+      success: true,
+      data: totals,
+      baseCurrency: req.user.base_currency,
+      count: totals.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  fetchTags,
+  getTagSummary
+};
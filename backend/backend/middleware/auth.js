@@ -0,0 +1,40 @@
+const { verifyToken } = require('../utils/auth');
+const { getUserById } = require('../models/users');
+
+/**
+ * Authentication middleware
+ * Requires "Authorization: Bearer <token>" and sets req.user
+ *
+ * Usage:
+ * app.use('/api/expenses', requireAuth, expenseRoutes);
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    const payload = scheme === 'Bearer' ? verifyToken(token) : null;
+    if (!payload) {
+      const error = new Error('Authentication required');
+      error.statusCode = 401;
+      error.code = 'UNAUTHORIZED';
+      throw error;
+    }
+
+    // Make sure the account still exists
+    const user = await getUserById(payload.sub);
+    if (!user) {
+      const error = new Error('Account no longer exists');
+      error.statusCode = 401;
+      error.code = 'UNAUTHORIZED';
+      throw error;
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { requireAuth };
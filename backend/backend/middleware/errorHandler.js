@@ -21,13 +21,17 @@ function errorHandler(err, req, res, next) {
     details
   });
 
+  // A client error's details say what to fix (e.g. which fields are
+  // invalid); a server error's are only shown in dev
+  const showDetails = statusCode < 500 || process.env.NODE_ENV === 'development';
+
   // Send consistent error response to client
   res.status(statusCode).json({
     success: false,
     error: {
       code: errorCode,
       message,
-      ...(process.env.NODE_ENV === 'development' && { details }) // Only show details in dev
+      ...(showDetails && { details })
     }
   });
 }
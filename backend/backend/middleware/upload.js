@@ -0,0 +1,45 @@
+const multer = require('multer');
+
+// Largest single file, and how many files one request may carry
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Files are kept in memory until their type and checksum have been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_BYTES,
+    files: MAX_FILES_PER_UPLOAD
+  }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Files must be ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB or smaller`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES_PER_UPLOAD} files per upload`,
+  LIMIT_UNEXPECTED_FILE: `Send files in the "files" field (at most ${MAX_FILES_PER_UPLOAD})`
+};
+
+/**
+ * Parse a multipart upload into req.files
+ * Upload limit errors become 400/413 responses instead of 500s.
+ */
+function uploadAttachments(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) {
+      next();
+      return;
+    }
+
+    if (err instanceof multer.MulterError) {
+      const error = new Error(UPLOAD_ERROR_MESSAGES[err.code] || err.message);
+      error.statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      error.code = 'UPLOAD_ERROR';
+      next(error);
+      return;
+    }
+
+    next(err);
+  });
+}
+
+module.exports = { uploadAttachments };
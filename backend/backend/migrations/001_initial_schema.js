@@ -0,0 +1,236 @@
+/**
+ * The schema as it stood before migrations were introduced.
+ *
+ * Tables are created only if missing and older columns are added only if
+ * absent, so a database created by an earlier version of the app is
+ * adopted as-is instead of failing on tables it already has.
+ */
+
+const TABLES = [
+  `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      base_currency TEXT NOT NULL DEFAULT 'USD',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS expenses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      recurring_id INTEGER REFERENCES recurring_expenses(id) ON DELETE SET NULL,
+      group_id INTEGER REFERENCES expense_groups(id) ON DELETE SET NULL,
+      paid_by INTEGER REFERENCES group_members(id) ON DELETE SET NULL,
+      split_method TEXT,
+      account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+      type TEXT NOT NULL DEFAULT 'expense' CHECK (type IN ('expense', 'income')),
+      date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'USD',
+      category TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      type TEXT NOT NULL DEFAULT 'expense' CHECK (type IN ('expense', 'income')),
+      color TEXT,
+      icon TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, name)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS budgets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+      amount REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, category_id)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS recurring_expenses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'USD',
+      category TEXT NOT NULL,
+      description TEXT,
+      frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+      day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+      start_date TEXT NOT NULL,
+      end_date TEXT,
+      last_generated_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      currency TEXT NOT NULL,
+      rate REAL NOT NULL CHECK (rate > 0),
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, currency)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      filename TEXT NOT NULL,
+      stored_name TEXT NOT NULL UNIQUE,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      checksum TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL COLLATE NOCASE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, name)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS expense_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      name TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS group_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL REFERENCES expense_groups(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (group_id, name),
+      UNIQUE (group_id, user_id)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS expense_splits (
+      expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+      member_id INTEGER NOT NULL REFERENCES group_members(id) ON DELETE CASCADE,
+      value REAL,
+      amount REAL NOT NULL,
+      PRIMARY KEY (expense_id, member_id)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS settlements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL REFERENCES expense_groups(id) ON DELETE CASCADE,
+      from_member_id INTEGER NOT NULL REFERENCES group_members(id) ON DELETE CASCADE,
+      to_member_id INTEGER NOT NULL REFERENCES group_members(id) ON DELETE CASCADE,
+      amount REAL NOT NULL CHECK (amount > 0),
+      date TEXT NOT NULL,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS expense_tags (
+      expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (expense_id, tag_id)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL COLLATE NOCASE,
+      type TEXT NOT NULL DEFAULT 'checking',
+      opening_balance REAL NOT NULL DEFAULT 0,
+      currency TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, name)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      from_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      to_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      amount REAL NOT NULL CHECK (amount > 0),
+      to_amount REAL NOT NULL CHECK (to_amount > 0),
+      date TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `
+];
+
+// Columns added to tables after their first release
+const LEGACY_COLUMNS = [
+  // Databases created before user accounts have no owner column
+  ['expenses', 'user_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE'],
+  ['expenses', 'recurring_id', 'INTEGER REFERENCES recurring_expenses(id) ON DELETE SET NULL'],
+  // Everything entered before currencies existed was in dollars
+  ['users', 'base_currency', "TEXT NOT NULL DEFAULT 'USD'"],
+  ['expenses', 'currency', "TEXT NOT NULL DEFAULT 'USD'"],
+  ['recurring_expenses', 'currency', "TEXT NOT NULL DEFAULT 'USD'"],
+  ['expenses', 'group_id', 'INTEGER REFERENCES expense_groups(id) ON DELETE SET NULL'],
+  ['expenses', 'paid_by', 'INTEGER REFERENCES group_members(id) ON DELETE SET NULL'],
+  ['expenses', 'split_method', 'TEXT'],
+  ['expenses', 'account_id', 'INTEGER REFERENCES accounts(id) ON DELETE SET NULL'],
+  // Everything recorded before income existed was spending
+  ['expenses', 'type', "TEXT NOT NULL DEFAULT 'expense' CHECK (type IN ('expense', 'income'))"],
+  ['categories', 'type', "TEXT NOT NULL DEFAULT 'expense' CHECK (type IN ('expense', 'income'))"]
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_expenses_user_date ON expenses(user_id, date)',
+  'CREATE INDEX IF NOT EXISTS idx_categories_user ON categories(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_attachments_expense ON attachments(expense_id)',
+  'CREATE INDEX IF NOT EXISTS idx_expense_tags_tag ON expense_tags(tag_id)',
+  'CREATE INDEX IF NOT EXISTS idx_expenses_group ON expenses(group_id) WHERE group_id IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_expense_splits_member ON expense_splits(member_id)',
+  'CREATE INDEX IF NOT EXISTS idx_settlements_group ON settlements(group_id)',
+  'CREATE INDEX IF NOT EXISTS idx_expenses_account ON expenses(account_id) WHERE account_id IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS idx_transfers_user ON transfers(user_id, date)',
+  // One generated expense per rule per date, so generation can safely re-run
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_date
+     ON expenses(recurring_id, date) WHERE recurring_id IS NOT NULL`
+];
+
+// Tables that reference others go first
+const DROP_ORDER = [
+  'expense_tags', 'expense_splits', 'attachments', 'settlements', 'transfers', 'budgets',
+  'exchange_rates', 'expenses', 'tags', 'group_members', 'expense_groups', 'accounts',
+  'recurring_expenses', 'categories', 'users'
+];
+
+module.exports = {
+  async up({ run, addColumn }) {
+    for (const sql of TABLES) await run(sql);
+    for (const [table, column, definition] of LEGACY_COLUMNS) {
+      await addColumn(table, column, definition);
+    }
+    for (const sql of INDEXES) await run(sql);
+  },
+
+  async down({ run }) {
+    for (const table of DROP_ORDER) await run(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Full-text index over description and category name. It is an
+ * external-content table, so triggers keep it in step with expenses.
+ * The rebuild fills it from the rows already there.
+ */
+
+const STATEMENTS = [
+  `
+    CREATE VIRTUAL TABLE IF NOT EXISTS expenses_fts USING fts5(
+      description,
+      category,
+      content = 'expenses',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `,
+  `
+    CREATE TRIGGER IF NOT EXISTS expenses_fts_insert AFTER INSERT ON expenses BEGIN
+      INSERT INTO expenses_fts (rowid, description, category)
+      VALUES (new.id, new.description, new.category);
+    END;
+  `,
+  `
+    CREATE TRIGGER IF NOT EXISTS expenses_fts_delete AFTER DELETE ON expenses BEGIN
+      INSERT INTO expenses_fts (expenses_fts, rowid, description, category)
+      VALUES ('delete', old.id, old.description, old.category);
+    END;
+  `,
+  `
+    CREATE TRIGGER IF NOT EXISTS expenses_fts_update AFTER UPDATE ON expenses BEGIN
+      INSERT INTO expenses_fts (expenses_fts, rowid, description, category)
+      VALUES ('delete', old.id, old.description, old.category);
+      INSERT INTO expenses_fts (rowid, description, category)
+      VALUES (new.id, new.description, new.category);
+    END;
+  `,
+  "INSERT INTO expenses_fts (expenses_fts) VALUES ('rebuild')"
+];
+
+module.exports = {
+  async up({ run }) {
+    for (const sql of STATEMENTS) await run(sql);
+  },
+
+  async down({ run }) {
+    await run('DROP TRIGGER IF EXISTS expenses_fts_insert');
+    await run('DROP TRIGGER IF EXISTS expenses_fts_delete');
+    await run('DROP TRIGGER IF EXISTS expenses_fts_update');
+    await run('DROP TABLE IF EXISTS expenses_fts');
+  }
+};
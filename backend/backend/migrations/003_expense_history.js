@@ -0,0 +1,28 @@
+/**
+ * Audit trail of every expense change. Rows keep no foreign key to the
+ * expense, so the history of a deleted expense stays readable (and
+ * revertible). before/after are JSON snapshots; actor_id is NULL for
+ * changes the app made by itself, such as generated recurring expenses.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE expense_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        expense_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'revert')),
+        reverted_to INTEGER REFERENCES expense_history(id) ON DELETE SET NULL,
+        before TEXT,
+        after TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX idx_expense_history_expense ON expense_history(expense_id, id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE expense_history');
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Deleting an expense moves it to the trash: deleted_at is set and the
+ * row stays until it is purged. The history table is rebuilt (SQLite
+ * can't alter a CHECK) so it can record restores from the trash.
+ */
+
+/**
+ * Recreate expense_history with another set of allowed actions, keeping
+ * every row. The old table is renamed rather than dropped first, so
+ * reverted_to links survive the copy.
+ * @param {Function} run
+ * @param {string[]} actions - Allowed values of action
+ * @param {string} actionSql - Expression copying the old action over
+ */
+async function rebuildHistory(run, actions, actionSql = 'action') {
+  await run('ALTER TABLE expense_history RENAME TO expense_history_old');
+  await run(`
+    CREATE TABLE expense_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      expense_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      action TEXT NOT NULL CHECK (action IN (${actions.map(action => `'${action}'`).join(', ')})),
+      reverted_to INTEGER REFERENCES expense_history(id) ON DELETE SET NULL,
+      before TEXT,
+      after TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    INSERT INTO expense_history (id, expense_id, user_id, actor_id, action, reverted_to, before, after, created_at)
+    SELECT id, expense_id, user_id, actor_id, ${actionSql}, reverted_to, before, after, created_at
+    FROM expense_history_old
+  `);
+  await run('DROP TABLE expense_history_old');
+  await run('CREATE INDEX idx_expense_history_expense ON expense_history(expense_id, id)');
+}
+
+module.exports = {
+  async up({ run }) {
+    await run('ALTER TABLE expenses ADD COLUMN deleted_at DATETIME');
+    await run('CREATE INDEX idx_expenses_deleted ON expenses(deleted_at) WHERE deleted_at IS NOT NULL');
+    await rebuildHistory(run, ['create', 'update', 'delete', 'revert', 'restore']);
+  },
+
+  // Whatever is in the trash is gone for good, and restores read as reverts
+  async down({ run }) {
+    await rebuildHistory(run, ['create', 'update', 'delete', 'revert'],
+      "CASE action WHEN 'restore' THEN 'revert' ELSE action END");
+    await run('DELETE FROM expenses WHERE deleted_at IS NOT NULL');
+    await run('DROP INDEX idx_expenses_deleted');
+    await run('ALTER TABLE expenses DROP COLUMN deleted_at');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Expenses made offline carry the ID the client gave them. Sending the
+ * same client ID again returns the expense already created, so a change
+ * replayed after a lost response isn't saved twice.
+ */
+module.exports = {
+  async up({ run }) {
+    await run('ALTER TABLE expenses ADD COLUMN client_id TEXT');
+    await run('CREATE UNIQUE INDEX idx_expenses_client_id ON expenses(user_id, client_id) WHERE client_id IS NOT NULL');
+  },
+
+  async down({ run }) {
+    await run('DROP INDEX idx_expenses_client_id');
+    await run('ALTER TABLE expenses DROP COLUMN client_id');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Expenses from before user accounts were added got an owner column but
+ * no owner, so no account could see them. They go to the first account
+ * registered; on a database with no accounts yet, registering the first
+ * one claims them instead (see claimLegacyExpenses).
+ */
+module.exports = {
+  async up({ run }) {
+    await run('UPDATE expenses SET user_id = (SELECT MIN(id) FROM users) WHERE user_id IS NULL');
+  },
+
+  // Which expenses were claimed isn't recorded, so they keep their owner
+  async down() {}
+};
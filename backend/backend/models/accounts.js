@@ -0,0 +1,297 @@
+const { db } = require('./database');
+
+// How much each record moves an account's balance, one row per record:
+// spending takes money out, income puts it in, transfers do both
+const MOVEMENTS_SQL = `
+  SELECT account_id, date,
+         CASE WHEN type = 'income' THEN amount ELSE -amount END AS change
+  FROM expenses WHERE user_id = ? AND account_id IS NOT NULL AND deleted_at IS NULL
+  UNION ALL
+  SELECT from_account_id, date, -amount FROM transfers WHERE user_id = ?
+  UNION ALL
+  SELECT to_account_id, date, to_amount FROM transfers WHERE user_id = ?
+`;
+
+/**
+ * Run one write statement
+ * @param {string} sql
+ * @param {Array} params
+ * @param {string} failure - Start of the error message
+ * @returns {Promise<Object>} { lastID, changes }
+ */
+function run(sql, params, failure) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(new Error(`${failure}: ${err.message}`));
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+/**
+ * Turn a duplicate-name failure into a 409; other errors pass through
+ * @param {Error} error
+ * @param {string} name
+ * @returns {Error}
+ */
+function nameConflict(error, name) {
+  if (!error.message.includes('UNIQUE')) return error;
+
+  const conflict = new Error(`An account named "${name}" already exists`);
+  conflict.statusCode = 409;
+  conflict.code = 'ACCOUNT_EXISTS';
+  return conflict;
+}
+
+// ============================================================
+// ACCOUNT OPERATIONS
+// ============================================================
+
+/**
+ * Get a user's accounts with their current balances
+ * @param {number} userId
+ * @returns {Promise<Array>} Accounts, each with balance in its own currency
+ */
+function getAccounts(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT a.*, ROUND(a.opening_balance + COALESCE(SUM(m.change), 0), 2) AS balance
+      FROM accounts a
+      LEFT JOIN (${MOVEMENTS_SQL}) m ON m.account_id = a.id
+      WHERE a.user_id = ?
+      GROUP BY a.id
+      ORDER BY a.name
+    `;
+
+    db.all(sql, [userId, userId, userId, userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch accounts: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get single account by ID
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} Account or undefined
+ */
+function getAccountById(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM accounts WHERE id = ? AND user_id = ?';
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch account: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Add new account
+ * @param {Object} account - { name, type, openingBalance, currency }
+ * @param {number} userId
+ * @returns {Promise<Object>} Created account
+ */
+async function addAccount(account, userId) {
+  const { lastID } = await run(`
+    INSERT INTO accounts (user_id, name, type, opening_balance, currency)
+    VALUES (?, ?, ?, ?, ?)
+  `, [userId, account.name, account.type, account.openingBalance, account.currency],
+  'Failed to add account').catch(error => {
+    throw nameConflict(error, account.name);
+  });
+
+  return getAccountById(lastID, userId);
+}
+
+/**
+ * Update account
+ * @param {number} id
+ * @param {Object} updates - { name, type, openingBalance, currency }
+ * @param {number} userId
+ * @returns {Promise<Object>} Updated account
+ */
+async function updateAccount(id, updates, userId) {
+  await run(`
+    UPDATE accounts SET name = ?, type = ?, opening_balance = ?, currency = ?
+    WHERE id = ? AND user_id = ?
+  `, [updates.name, updates.type, updates.openingBalance, updates.currency, id, userId],
+  'Failed to update account').catch(error => {
+    throw nameConflict(error, updates.name);
+  });
+
+  return getAccountById(id, userId);
+}
+
+/**
+ * Count the expenses, income and transfers recorded against an account
+ * (trashed expenses too: restoring one needs its account)
+ * @param {number} id
+ * @returns {Promise<number>}
+ */
+function countAccountActivity(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        (SELECT COUNT(*) FROM expenses WHERE account_id = ?) +
+        (SELECT COUNT(*) FROM transfers WHERE from_account_id = ? OR to_account_id = ?) AS count
+    `;
+
+    db.get(sql, [id, id, id], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to count account activity: ${err.message}`));
+      } else {
+        resolve(row.count);
+      }
+    });
+  });
+}
+
+/**
+ * Delete account
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAccount(id, userId) {
+  const { changes } = await run(
+    'DELETE FROM accounts WHERE id = ? AND user_id = ?',
+    [id, userId],
+    'Failed to delete account'
+  );
+  return changes > 0;
+}
+
+/**
+ * Each account's balance at the end of every day something changed it
+ * @param {number} userId
+ * @returns {Promise<Array>} [{ accountId, date, change, balance }] by account, then date
+ */
+function getDailyBalances(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        d.account_id AS accountId,
+        d.date,
+        ROUND(d.change, 2) AS change,
+        ROUND(a.opening_balance + SUM(d.change) OVER (
+          PARTITION BY d.account_id ORDER BY d.date
+        ), 2) AS balance
+      FROM (
+        SELECT account_id, date, SUM(change) AS change
+        FROM (${MOVEMENTS_SQL})
+        GROUP BY account_id, date
+      ) d
+      JOIN accounts a ON a.id = d.account_id
+      ORDER BY d.account_id, d.date
+    `;
+
+    db.all(sql, [userId, userId, userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to compute balances: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+// ============================================================
+// TRANSFER OPERATIONS
+// ============================================================
+
+/**
+ * Get a user's transfers, newest first
+ * @param {number} userId
+ * @returns {Promise<Array>} Transfers with both account names
+ */
+function getTransfers(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT t.*, f.name AS from_account, f.currency AS from_currency,
+             r.name AS to_account, r.currency AS to_currency
+      FROM transfers t
+      JOIN accounts f ON f.id = t.from_account_id
+      JOIN accounts r ON r.id = t.to_account_id
+      WHERE t.user_id = ?
+      ORDER BY t.date DESC, t.id DESC
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch transfers: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Record money moved from one account to another
+ * @param {Object} transfer - { fromAccountId, toAccountId, amount, toAmount, date, description }
+ * @param {number} userId
+ * @returns {Promise<Object>} Created transfer
+ */
+async function addTransfer(transfer, userId) {
+  const { lastID } = await run(`
+    INSERT INTO transfers (user_id, from_account_id, to_account_id, amount, to_amount, date, description)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    userId,
+    transfer.fromAccountId,
+    transfer.toAccountId,
+    transfer.amount,
+    transfer.toAmount,
+    transfer.date,
+    transfer.description
+  ], 'Failed to add transfer');
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM transfers WHERE id = ?', [lastID], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch transfer: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Delete transfer
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteTransfer(id, userId) {
+  const { changes } = await run(
+    'DELETE FROM transfers WHERE id = ? AND user_id = ?',
+    [id, userId],
+    'Failed to delete transfer'
+  );
+  return changes > 0;
+}
+
+module.exports = {
+  getAccounts,
+  getAccountById,
+  addAccount,
+  updateAccount,
+  countAccountActivity,
+  deleteAccount,
+  getDailyBalances,
+  getTransfers,
+  addTransfer,
+  deleteTransfer
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { db, dataDir } = require('./database');
+const { ATTACHMENT_TYPES } = require('../utils/attachments');
+
+// Uploaded files live next to the database, under random names
+const ATTACHMENTS_DIR = path.join(dataDir, 'attachments');
+
+// An upload writes its file before the attachment row is inserted, so a
+// file this recent without a row may still be claimed by a running request
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// ============================================================
+// FILE STORAGE
+// ============================================================
+
+/**
+ * Absolute path of a stored file
+ * @param {string} storedName
+ * @returns {string}
+ */
+function getStoredPath(storedName) {
+  return path.resolve(ATTACHMENTS_DIR, storedName);
+}
+
+/**
+ * Write an uploaded file to disk
+ * @param {Buffer} buffer
+ * @param {string} mimeType - Key of ATTACHMENT_TYPES
+ * @returns {Promise<string>} Stored file name
+ */
+async function writeStoredFile(buffer, mimeType) {
+  await fs.promises.mkdir(ATTACHMENTS_DIR, { recursive: true });
+
+  const storedName = `${crypto.randomUUID()}.${ATTACHMENT_TYPES[mimeType].extension}`;
+  await fs.promises.writeFile(getStoredPath(storedName), buffer, { flag: 'wx' });
+  return storedName;
+}
+
+/**
+ * Delete stored files; ones already gone are ignored
+ * @param {Array<string>} storedNames
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(storedNames) {
+  await Promise.all(storedNames.map(name => (
+    fs.promises.unlink(getStoredPath(name)).catch(err => {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to delete attachment file ${name}:`, err.message);
+      }
+    })
+  )));
+}
+
+/**
+ * Delete files on disk that no attachment row points to any more
+ * (left behind when expenses are removed by cascades or bulk deletes).
+ * Files younger than ORPHAN_GRACE_MS are kept for a later run.
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function removeOrphanedFiles(now = Date.now()) {
+  let names;
+  try {
+    names = await fs.promises.readdir(ATTACHMENTS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  const known = await new Promise((resolve, reject) => {
+    db.all('SELECT stored_name FROM attachments', [], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch attachments: ${err.message}`));
+      } else {
+        resolve(new Set(rows.map(row => row.stored_name)));
+      }
+    });
+  });
+
+  const orphans = [];
+  for (const name of names.filter(candidate => !known.has(candidate))) {
+    try {
+      const { mtimeMs } = await fs.promises.stat(getStoredPath(name));
+      if (now - mtimeMs >= ORPHAN_GRACE_MS) orphans.push(name);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  await removeStoredFiles(orphans);
+  return orphans.length;
+}
+
+// ============================================================
+// ATTACHMENT OPERATIONS
+// ============================================================
+
+/**
+ * Get the attachments of one expense
+ * @param {number} expenseId
+ * @param {number} userId
+ * @returns {Promise<Array>}
+ */
+function getAttachments(expenseId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT * FROM attachments
+      WHERE expense_id = ? AND user_id = ?
+      ORDER BY id
+    `;
+
+    db.all(sql, [expenseId, userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch attachments: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get single attachment by ID
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} Attachment or undefined
+ */
+function getAttachmentById(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM attachments WHERE id = ? AND user_id = ?';
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch attachment: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Record a stored file as an attachment of an expense
+ * @param {Object} attachment - { expenseId, filename, storedName, mimeType, size, checksum }
+ * @param {number} userId
+ * @returns {Promise<Object>} Created attachment with ID
+ */
+function addAttachment(attachment, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO attachments (expense_id, user_id, filename, stored_name, mime_type, size, checksum)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      attachment.expenseId,
+      userId,
+      attachment.filename,
+      attachment.storedName,
+      attachment.mimeType,
+      attachment.size,
+      attachment.checksum
+    ];
+
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(new Error(`Failed to add attachment: ${err.message}`));
+      } else {
+        getAttachmentById(this.lastID, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Delete attachment rows (the caller removes the files afterwards)
+ * @param {Array<number>} ids
+ * @param {number} userId
+ * @returns {Promise<number>} Number of rows deleted
+ */
+function deleteAttachments(ids, userId) {
+  return new Promise((resolve, reject) => {
+    if (ids.length === 0) {
+      resolve(0);
+      return;
+    }
+
+    const sql = `DELETE FROM attachments WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`;
+
+    db.run(sql, [userId, ...ids], function(err) {
+      if (err) {
+        reject(new Error(`Failed to delete attachments: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getStoredPath,
+  writeStoredFile,
+  removeStoredFiles,
+  removeOrphanedFiles,
+  getAttachments,
+  getAttachmentById,
+  addAttachment,
+  deleteAttachments
+};
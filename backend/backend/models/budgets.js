@@ -0,0 +1,223 @@
+const { db, BASE_AMOUNT_JOINS, BASE_AMOUNT_SQL } = require('./database');
+
+// ============================================================
+// BUDGET OPERATIONS
+// ============================================================
+
+/**
+ * Get all budgets belonging to a user, with their category details
+ * @param {number} userId
+ * @returns {Promise<Array>}
+ */
+function getBudgets(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT b.*, c.name AS category, c.color, c.icon
+      FROM budgets b
+      JOIN categories c ON c.id = b.category_id
+      WHERE b.user_id = ?
+      ORDER BY c.name
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch budgets: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get single budget by ID
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} Budget or undefined
+ */
+function getBudgetById(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT b.*, c.name AS category, c.color, c.icon
+      FROM budgets b
+      JOIN categories c ON c.id = b.category_id
+      WHERE b.id = ? AND b.user_id = ?
+    `;
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch budget: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get the budget set for a category
+ * @param {number} categoryId
+ * @param {number} userId
+ * @returns {Promise<Object>} Budget or undefined
+ */
+function getBudgetByCategory(categoryId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM budgets WHERE category_id = ? AND user_id = ?';
+
+    db.get(sql, [categoryId, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch budget: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Add new budget
+ * @param {Object} budget - { categoryId, amount }
+ * @param {number} userId
+ * @returns {Promise<Object>} Created budget
+ */
+function addBudget(budget, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'INSERT INTO budgets (user_id, category_id, amount) VALUES (?, ?, ?)';
+
+    db.run(sql, [userId, budget.categoryId, budget.amount], function(err) {
+      if (err) {
+        reject(new Error(`Failed to add budget: ${err.message}`));
+      } else {
+        getBudgetById(this.lastID, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Update budget amount
+ * @param {number} id
+ * @param {number} amount - New monthly limit
+ * @param {number} userId
+ * @returns {Promise<Object>} Updated budget
+ */
+function updateBudget(id, amount, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE budgets SET amount = ? WHERE id = ? AND user_id = ?';
+
+    db.run(sql, [amount, id, userId], (err) => {
+      if (err) {
+        reject(new Error(`Failed to update budget: ${err.message}`));
+      } else {
+        getBudgetById(id, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Delete budget
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<boolean>} True if deleted
+ */
+function deleteBudget(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'DELETE FROM budgets WHERE id = ? AND user_id = ?';
+
+    db.run(sql, [id, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to delete budget: ${err.message}`));
+      } else if (this.changes === 0) {
+        reject(new Error(`Budget with ID ${id} not found`));
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Move a category's budget to another category (which must have none)
+ * @param {number} fromCategoryId
+ * @param {number} toCategoryId
+ * @param {number} userId
+ * @returns {Promise<number>} Number of budgets moved (0 or 1)
+ */
+function moveBudget(fromCategoryId, toCategoryId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE budgets SET category_id = ? WHERE category_id = ? AND user_id = ?';
+
+    db.run(sql, [toCategoryId, fromCategoryId, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to move budget: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Spending against each budget for one month. A budget on a parent
+ * category also counts spending in its subcategories. Budgets are in the
+ * base currency; expenses with no exchange rate are not counted.
+ * @param {string} month - YYYY-MM
+ * @param {number} userId
+ * @returns {Promise<Array>} Budgets with a spent total
+ */
+function getBudgetSpending(month, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      WITH RECURSIVE covered(budget_id, category_id) AS (
+        SELECT id, category_id FROM budgets WHERE user_id = ?
+        UNION
+        SELECT covered.budget_id, c.id
+        FROM categories c JOIN covered ON c.parent_id = covered.category_id
+      )
+      SELECT
+        b.id, b.category_id, b.amount,
+        c.name AS category, c.color, c.icon,
+        COALESCE((
+          SELECT SUM(${BASE_AMOUNT_SQL})
+          FROM covered
+          JOIN categories cc ON cc.id = covered.category_id
+          JOIN expenses ON expenses.category = cc.name AND expenses.user_id = cc.user_id
+          ${BASE_AMOUNT_JOINS}
+          WHERE covered.budget_id = b.id
+            AND expenses.date >= ? AND expenses.date <= ?
+            AND expenses.deleted_at IS NULL
+        ), 0) AS spent
+      FROM budgets b
+      JOIN categories c ON c.id = b.category_id
+      WHERE b.user_id = ?
+      ORDER BY c.name
+    `;
+
+    // Dates are YYYY-MM-DD text, so "-31" bounds every month
+    const params = [userId, `${month}-01`, `${month}-31`, userId];
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to compute budget status: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getBudgets,
+  getBudgetById,
+  getBudgetByCategory,
+  addBudget,
+  updateBudget,
+  deleteBudget,
+  moveBudget,
+  getBudgetSpending
+};
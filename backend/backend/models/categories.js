@@ -0,0 +1,320 @@
+const { db, EXPENSE_SNAPSHOT_SQL } = require('./database');
+const { DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES } = require('../utils/validators');
+
+// ============================================================
+// CATEGORY OPERATIONS
+// ============================================================
+
+/**
+ * Get all categories belonging to a user
+ * @param {number} userId
+ * @returns {Promise<Array>} Categories with expense counts, parents before children
+ */
+function getCategories(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT c.*, COUNT(e.id) AS expense_count
+      FROM categories c
+      LEFT JOIN expenses e ON e.user_id = c.user_id AND e.category = c.name AND e.deleted_at IS NULL
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.parent_id IS NOT NULL, c.name
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch categories: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get just the category names a user may assign to records of a type
+ * @param {number} userId
+ * @param {string} type - 'expense' or 'income'
+ * @returns {Promise<Array<string>>}
+ */
+function getCategoryNames(userId, type = 'expense') {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT name FROM categories WHERE user_id = ? AND type = ? ORDER BY name';
+
+    db.all(sql, [userId, type], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch categories: ${err.message}`));
+      } else {
+        resolve((rows || []).map(row => row.name));
+      }
+    });
+  });
+}
+
+/**
+ * Get single category by ID
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} Category or undefined
+ */
+function getCategoryById(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM categories WHERE id = ? AND user_id = ?';
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch category: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get category by name (case-insensitive)
+ * @param {string} name
+ * @param {number} userId
+ * @returns {Promise<Object>} Category or undefined
+ */
+function getCategoryByName(name, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM categories WHERE name = ? AND user_id = ?';
+
+    db.get(sql, [name, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch category: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get IDs of a category and everything below it
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Array<number>>}
+ */
+function getDescendantIds(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      WITH RECURSIVE tree(id) AS (
+        SELECT id FROM categories WHERE id = ? AND user_id = ?
+        UNION
+        SELECT c.id FROM categories c JOIN tree ON c.parent_id = tree.id
+      )
+      SELECT id FROM tree
+    `;
+
+    db.all(sql, [id, userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch category tree: ${err.message}`));
+      } else {
+        resolve((rows || []).map(row => row.id));
+      }
+    });
+  });
+}
+
+/**
+ * Count a user's expenses filed under a category name, trash included
+ * @param {string} name
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+function countCategoryExpenses(name, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT COUNT(*) AS count FROM expenses WHERE category = ? AND user_id = ?';
+
+    db.get(sql, [name, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to count expenses: ${err.message}`));
+      } else {
+        resolve(row.count);
+      }
+    });
+  });
+}
+
+/**
+ * Add new category
+ * @param {Object} category - { name, type, color, icon, parentId }
+ * @param {number} userId
+ * @returns {Promise<Object>} Created category with ID
+ */
+function addCategory(category, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO categories (user_id, parent_id, name, type, color, icon)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      userId,
+      category.parentId || null,
+      category.name,
+      category.type || 'expense',
+      category.color || null,
+      category.icon || null
+    ];
+
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(new Error(`Failed to add category: ${err.message}`));
+      } else {
+        getCategoryById(this.lastID, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Give a new user the default expense and income categories
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+function seedDefaultCategories(userId) {
+  const defaults = [
+    ...DEFAULT_CATEGORIES.map(category => ({ ...category, type: 'expense' })),
+    ...DEFAULT_INCOME_CATEGORIES.map(category => ({ ...category, type: 'income' }))
+  ];
+
+  return defaults.reduce(
+    (chain, category) => chain.then(() => addCategory(category, userId)),
+    Promise.resolve()
+  ).then(() => undefined);
+}
+
+/**
+ * Update category (its type never changes)
+ * @param {number} id
+ * @param {Object} updates - { name, color, icon, parentId }
+ * @param {number} userId
+ * @returns {Promise<Object>} Updated category
+ */
+function updateCategory(id, updates, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE categories
+      SET name = ?, color = ?, icon = ?, parent_id = ?
+      WHERE id = ? AND user_id = ?
+    `;
+
+    const params = [
+      updates.name,
+      updates.color || null,
+      updates.icon || null,
+      updates.parentId || null,
+      id,
+      userId
+    ];
+
+    db.run(sql, params, (err) => {
+      if (err) {
+        reject(new Error(`Failed to update category: ${err.message}`));
+      } else {
+        getCategoryById(id, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Move a user's expenses from one category name to another
+ * Each live expense gets an update entry in its history first, so open
+ * edit forms see a new revision. Call inside runInTransaction().
+ * @param {string} fromName
+ * @param {string} toName
+ * @param {number} userId
+ * @returns {Promise<number>} Number of expenses moved
+ */
+function reassignExpenses(fromName, toName, userId) {
+  return new Promise((resolve, reject) => {
+    const history = `
+      INSERT INTO expense_history (expense_id, user_id, actor_id, action, before, after)
+      SELECT id, user_id, user_id, 'update', ${EXPENSE_SNAPSHOT_SQL}, json_set(${EXPENSE_SNAPSHOT_SQL}, '$.category', ?)
+      FROM expenses WHERE category = ? AND user_id = ? AND deleted_at IS NULL
+    `;
+
+    db.run(history, [toName, fromName, userId], (historyErr) => {
+      if (historyErr) {
+        reject(new Error(`Failed to record expense history: ${historyErr.message}`));
+        return;
+      }
+
+      const sql = 'UPDATE expenses SET category = ? WHERE category = ? AND user_id = ?';
+
+      db.run(sql, [toName, fromName, userId], function(err) {
+        if (err) {
+          reject(new Error(`Failed to reassign expenses: ${err.message}`));
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Move the direct children of one category under another
+ * @param {number} fromId
+ * @param {number|null} toId - null makes them top-level
+ * @param {number} userId
+ * @returns {Promise<number>} Number of categories moved
+ */
+function reparentChildren(fromId, toId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE categories SET parent_id = ? WHERE parent_id = ? AND user_id = ?';
+
+    db.run(sql, [toId, fromId, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to move subcategories: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Delete category
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<boolean>} True if deleted
+ */
+function deleteCategory(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'DELETE FROM categories WHERE id = ? AND user_id = ?';
+
+    db.run(sql, [id, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to delete category: ${err.message}`));
+      } else if (this.changes === 0) {
+        reject(new Error(`Category with ID ${id} not found`));
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getCategories,
+  getCategoryNames,
+  getCategoryById,
+  getCategoryByName,
+  getDescendantIds,
+  countCategoryExpenses,
+  addCategory,
+  seedDefaultCategories,
+  updateCategory,
+  reassignExpenses,
+  reparentChildren,
+  deleteCategory
+};
@@ -1,9 +1,17 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const { DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES } = require('../utils/validators');
 
 const DB_PATH = process.env.DB_PATH || './data/database.db';
 
+// Days a deleted expense stays in the trash before it is purged (0 keeps it until emptied)
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS === undefined
+  ? 30
+  : Math.max(0, parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0);
+
 // Create data folder if it doesn't exist
 const dataDir = path.dirname(DB_PATH);
 if (!fs.existsSync(dataDir)) {
@@ -20,72 +28,181 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
 });
 
 // ============================================================
-// SCHEMA: Create table if it doesn't exist
+// TRANSACTIONS
 // ============================================================
 
-function initializeDatabase() {
-  return new Promise((resolve, reject) => {
-    // Enable foreign keys (for future features with relationships)
-    db.run('PRAGMA foreign_keys = ON', (err) => {
-      if (err) reject(err);
-      
-      // Create expenses table
-      const createTableSQL = `
-        CREATE TABLE IF NOT EXISTS expenses (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          date TEXT NOT NULL,
-          amount REAL NOT NULL,
-          category TEXT NOT NULL,
-          description TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-      `;
-
-      db.run(createTableSQL, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('✅ Database schema initialized');
-          resolve();
+// One connection is shared by every request, so transactions take turns.
+// While one is open, statements from outside it wait until it ends: on the
+// shared connection they would otherwise run inside it and be lost if it
+// rolled back. Statements run in the order they are issued.
+const transactionScope = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let openTransaction = null;
+
+db.serialize();
+
+/**
+ * Make a db method hold statements from outside the open transaction
+ * Callbacks keep the caller's scope, so a statement issued from one inside
+ * a transaction still counts as part of it.
+ * @param {string} method - 'run', 'get', 'all', 'each' or 'exec'
+ */
+function holdDuringTransactions(method) {
+  const issue = db[method].bind(db);
+
+  db[method] = (...args) => {
+    if (openTransaction && transactionScope.getStore() !== openTransaction) {
+      openTransaction.finished.then(() => db[method](...args));
+    } else {
+      issue(...args.map(arg => (typeof arg === 'function' ? AsyncResource.bind(arg) : arg)));
+    }
+    return db;
+  };
+}
+
+['run', 'get', 'all', 'each', 'exec'].forEach(holdDuringTransactions);
+
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Run several operations atomically
+ * @param {Function} work - async () => result; any rejection rolls back
+ * @returns {Promise<any>} Whatever work() resolved with
+ */
+function runInTransaction(work) {
+  const run = () => {
+    let finish;
+    const transaction = { finished: new Promise(resolve => { finish = resolve; }) };
+    openTransaction = transaction;
+
+    return transactionScope.run(transaction, async () => {
+      try {
+        await exec('BEGIN IMMEDIATE');
+        try {
+          const result = await work();
+          await exec('COMMIT');
+          return result;
+        } catch (error) {
+          await exec('ROLLBACK').catch(() => {});
+          throw error;
         }
-      });
+      } finally {
+        openTransaction = null;
+        finish();
+      }
     });
-  });
+  };
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
 }
 
 // ============================================================
-// DATABASE OPERATIONS (CRUD)
+// MIGRATIONS
 // ============================================================
 
+// Numbered files (001_name.js) exporting async up() and down(). Each gets
+// { run, addColumn } and runs in a transaction unless it sets
+// `transaction: false` (needed for PRAGMAs that SQLite ignores mid-transaction).
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
 /**
- * Get all expenses
- * @param {Object} options - Query options (filter, sort)
- * @returns {Promise<Array>} Array of expense objects
+ * Run one statement
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {Promise<void>}
  */
-function getAllExpenses(options = {}) {
+function run(sql, params = []) {
   return new Promise((resolve, reject) => {
-    // Build WHERE clause for filters
-    let whereClause = '';
-    const params = [];
-    
-    if (options.category) {
-      whereClause += 'category = ?';
-      params.push(options.category);
-    }
-    
-    if (options.minAmount && options.maxAmount) {
-      whereClause += (whereClause ? ' AND ' : '') + 'amount BETWEEN ? AND ?';
-      params.push(options.minAmount, options.maxAmount);
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<void>}
+ */
+function addColumn(table, column, definition) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      if (columns.some(col => col.name === column)) {
+        resolve();
+        return;
+      }
+
+      run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).then(resolve).catch(reject);
+    });
+  });
+}
+
+/**
+ * How a migration is named in messages, as its file is: "001_name"
+ * @param {Object} migration - { version, name }
+ * @returns {string}
+ */
+function migrationId({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+/**
+ * Read the migration files, oldest first
+ * @returns {Array<Object>} [{ version, name, up, down, transaction }]
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      transaction: true,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
     }
+  });
+  return migrations;
+}
 
-    // SQL query with sorting
-    let sql = 'SELECT * FROM expenses';
-    if (whereClause) sql += ' WHERE ' + whereClause;
-    sql += ' ORDER BY date DESC'; // Newest first
+/**
+ * Create the table recording applied migrations
+ * applied_at stays NULL while a migration is being applied or rolled back,
+ * so a row left with NULL marks one that stopped partway.
+ * @returns {Promise<Array>} Its rows, by version
+ */
+async function readMigrationLog() {
+  // Enable foreign keys (expenses belong to users)
+  await run('PRAGMA foreign_keys = ON');
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME
+    )
+  `);
 
-    db.all(sql, params, (err, rows) => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM schema_migrations ORDER BY version', [], (err, rows) => {
       if (err) {
-        reject(new Error(`Failed to fetch expenses: ${err.message}`));
+        reject(new Error(`Failed to read schema_migrations: ${err.message}`));
       } else {
         resolve(rows || []);
       }
@@ -94,15 +211,491 @@ function getAllExpenses(options = {}) {
 }
 
 /**
- * Get single expense by ID
+ * Throw if a migration stopped partway; the schema is then in an unknown state
+ * @param {Array} log - Rows of schema_migrations
+ */
+function assertNoIncompleteMigration(log) {
+  const incomplete = log.find(row => row.applied_at === null);
+  if (incomplete) {
+    const error = new Error(
+      `Migration ${migrationId(incomplete)} stopped partway. ` +
+      'Finish or undo it by hand (or restore a backup), then set applied_at on its ' +
+      'schema_migrations row if it is now applied, or delete the row if it is not.'
+    );
+    error.code = 'MIGRATION_INCOMPLETE';
+    throw error;
+  }
+}
+
+/**
+ * Run a migration step, in a transaction unless the migration opts out
+ * @param {Object} migration
+ * @param {Function} work - async () => void
+ * @returns {Promise<void>}
+ */
+async function runMigrationStep(migration, work) {
+  try {
+    await (migration.transaction === false ? work() : runInTransaction(work));
+  } catch (error) {
+    error.message = `Migration ${migrationId(migration)} failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Every migration file and applied version, with its state
+ * @returns {Promise<Array>} [{ version, id, state, appliedAt }] where state is
+ *   'applied', 'pending', 'incomplete' or 'missing' (applied, but no file)
+ */
+async function getMigrationStatus() {
+  const log = await readMigrationLog();
+  const migrations = loadMigrations();
+  const versions = new Set([...log.map(row => row.version), ...migrations.map(m => m.version)]);
+
+  return [...versions].sort((a, b) => a - b).map(version => {
+    const row = log.find(r => r.version === version);
+    const migration = migrations.find(m => m.version === version);
+    let state = 'pending';
+    if (row) state = row.applied_at === null ? 'incomplete' : (migration ? 'applied' : 'missing');
+
+    return {
+      version,
+      id: migrationId(migration || row),
+      state,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+}
+
+/**
+ * Apply pending migrations, oldest first
+ * @param {number} target - Highest version to apply (default: all)
+ * @returns {Promise<Array<string>>} Migrations applied, as "001_name"
+ */
+async function migrate(target = Infinity) {
+  const log = await readMigrationLog();
+  assertNoIncompleteMigration(log);
+
+  const applied = new Set(log.map(row => row.version));
+  const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+  const done = [];
+
+  for (const migration of pending) {
+    await runMigrationStep(migration, async () => {
+      await run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await migration.up({ run, addColumn });
+      await run('UPDATE schema_migrations SET applied_at = CURRENT_TIMESTAMP WHERE version = ?', [migration.version]);
+    });
+    done.push(migrationId(migration));
+  }
+  return done;
+}
+
+/**
+ * Roll back the most recently applied migrations, newest first
+ * @param {number} steps - How many to roll back
+ * @returns {Promise<Array<string>>} Migrations rolled back, as "001_name"
+ */
+async function rollback(steps = 1) {
+  const log = await readMigrationLog();
+  assertNoIncompleteMigration(log);
+
+  const migrations = loadMigrations();
+  const done = [];
+
+  for (const row of log.reverse().slice(0, steps)) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration ${migrationId(row)} is applied but its file is missing`);
+    }
+
+    await runMigrationStep(migration, async () => {
+      await run('UPDATE schema_migrations SET applied_at = NULL WHERE version = ?', [migration.version]);
+      await migration.down({ run, addColumn });
+      await run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    done.push(migrationId(migration));
+  }
+  return done;
+}
+
+/**
+ * Give every user without categories of a type the default set
+ * Names a user already has (of either type) are skipped.
+ * @param {string} type - 'expense' or 'income'
+ * @param {Array<Object>} defaults - [{ name, color, icon }]
+ * @returns {Promise<void>}
+ */
+function seedMissingCategories(type, defaults) {
+  return new Promise((resolve, reject) => {
+    const values = defaults.map(() => '(?, ?, ?)').join(', ');
+    const params = [...defaults.flatMap(c => [c.name, c.color, c.icon]), type, type];
+
+    const sql = `
+      WITH defaults(name, color, icon) AS (VALUES ${values})
+      INSERT OR IGNORE INTO categories (user_id, name, type, color, icon)
+      SELECT u.id, d.name, ?, d.color, d.icon
+      FROM users u CROSS JOIN defaults d
+      WHERE NOT EXISTS (SELECT 1 FROM categories c WHERE c.user_id = u.id AND c.type = ?)
+    `;
+
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Bring the schema up to date and fill in default data
+ * Refuses (rejects) if an earlier migration stopped partway.
+ * @returns {Promise<void>}
+ */
+async function initializeDatabase() {
+  const applied = await migrate();
+  applied.forEach(name => console.log(`⬆️  Applied migration ${name}`));
+
+  // Accounts created before custom categories (or income) start with the defaults
+  await seedMissingCategories('expense', DEFAULT_CATEGORIES);
+  await seedMissingCategories('income', DEFAULT_INCOME_CATEGORIES);
+
+  console.log('✅ Database schema initialized');
+}
+
+// ============================================================
+// CURRENCY CONVERSION
+// ============================================================
+
+// Joins that BASE_AMOUNT_SQL needs on a query over `expenses`.
+// A stored rate is how many units of the currency one base unit buys.
+const BASE_AMOUNT_JOINS = `
+  JOIN users owner ON owner.id = expenses.user_id
+  LEFT JOIN exchange_rates rate
+    ON rate.user_id = expenses.user_id AND rate.currency = expenses.currency
+`;
+
+// An expense's amount in its owner's base currency (NULL if no rate is stored)
+const BASE_AMOUNT_SQL = `
+  CASE WHEN expenses.currency = owner.base_currency THEN expenses.amount
+  ELSE ROUND(expenses.amount / rate.rate, 2) END
+`;
+
+// An expense's attachments as a JSON array (file details only, no paths)
+const ATTACHMENTS_SQL = `
+  (SELECT json_group_array(json_object(
+     'id', a.id, 'filename', a.filename, 'mime_type', a.mime_type, 'size', a.size
+   ))
+   FROM attachments a WHERE a.expense_id = expenses.id)
+`;
+
+// An expense's tag names as a JSON array, alphabetically
+const TAGS_SQL = `
+  (SELECT json_group_array(name) FROM (
+     SELECT t.name FROM expense_tags et JOIN tags t ON t.id = et.tag_id
+     WHERE et.expense_id = expenses.id
+     ORDER BY t.name
+   ))
+`;
+
+// Name of the account an expense was paid from (NULL if none)
+const ACCOUNT_NAME_SQL = `
+  (SELECT name FROM accounts WHERE accounts.id = expenses.account_id)
+`;
+
+// How a group expense is shared: [{ member_id, value, amount }] (empty if not shared)
+const SPLITS_SQL = `
+  (SELECT json_group_array(json_object(
+     'member_id', s.member_id, 'value', s.value, 'amount', s.amount
+   ))
+   FROM expense_splits s WHERE s.expense_id = expenses.id)
+`;
+
+// An expense's latest history entry. It moves on with every change, so a
+// client can tell whether its copy is out of date (NULL if none recorded).
+const REVISION_SQL = `
+  (SELECT MAX(h.id) FROM expense_history h WHERE h.expense_id = expenses.id)
+`;
+
+// What the audit history keeps of an expense, as JSON text: everything the
+// user can edit, tags and split included (not attachments or base_amount)
+const EXPENSE_SNAPSHOT_SQL = `
+  json_object(
+    'id', expenses.id, 'type', expenses.type, 'date', expenses.date,
+    'amount', expenses.amount, 'currency', expenses.currency,
+    'category', expenses.category, 'description', expenses.description,
+    'account_id', expenses.account_id, 'account_name', ${ACCOUNT_NAME_SQL},
+    'group_id', expenses.group_id,
+    'group_name', (SELECT name FROM expense_groups WHERE expense_groups.id = expenses.group_id),
+    'paid_by', expenses.paid_by, 'split_method', expenses.split_method,
+    'recurring_id', expenses.recurring_id,
+    'tags', json(${TAGS_SQL}), 'splits', json(${SPLITS_SQL})
+  )
+`;
+
+/**
+ * Turn the JSON columns of an expense row into values
+ * @param {Object} row
+ * @returns {Object}
+ */
+function parseExpenseRow(row) {
+  if (!row) return row;
+
+  const parsed = { ...row };
+  for (const column of ['attachments', 'tags', 'splits']) {
+    if (typeof parsed[column] === 'string') parsed[column] = JSON.parse(parsed[column]);
+  }
+  return parsed;
+}
+
+// ============================================================
+// DATABASE OPERATIONS (CRUD)
+// ============================================================
+
+/**
+ * Turn free text into a safe FTS5 query: every word must match,
+ * as a prefix, so "ube mar" finds "Uber to Marina"
+ * @param {string} text
+ * @returns {string} FTS5 MATCH expression ('' if nothing searchable)
+ */
+function buildSearchQuery(text) {
+  return (text || '')
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ');
+}
+
+/**
+ * Build the SELECT for a user's filtered expense list
+ * @param {Object} options - Validated filters
+ *   { q, type, accountId, from, to, categories, tags, minAmount, maxAmount, sort, order }
+ * @param {number} userId - Owner of the expenses
+ * @returns {Object|null} { sql, params, isSearch }, or null when the
+ *   search text has nothing searchable in it (no rows can match)
+ */
+function buildExpenseListQuery(options, userId) {
+  // Build WHERE clause for filters (always scoped to the owner, never the trash)
+  const conditions = ['expenses.user_id = ?', 'expenses.deleted_at IS NULL'];
+  const params = [userId];
+
+  const searchQuery = buildSearchQuery(options.q);
+  if (options.q && !searchQuery) return null;
+
+  if (searchQuery) {
+    conditions.push('expenses_fts MATCH ?');
+    params.push(searchQuery);
+  }
+
+  if (options.type) {
+    conditions.push('expenses.type = ?');
+    params.push(options.type);
+  }
+
+  if (options.accountId !== undefined) {
+    conditions.push('expenses.account_id = ?');
+    params.push(options.accountId);
+  }
+
+  if (options.from) {
+    conditions.push('expenses.date >= ?');
+    params.push(options.from);
+  }
+
+  if (options.to) {
+    conditions.push('expenses.date <= ?');
+    params.push(options.to);
+  }
+
+  if (options.categories && options.categories.length > 0) {
+    conditions.push(`expenses.category IN (${options.categories.map(() => '?').join(', ')})`);
+    params.push(...options.categories);
+  }
+
+  // Several tags narrow the list: an expense must carry every one of them
+  if (options.tags && options.tags.length > 0) {
+    conditions.push(`
+      expenses.id IN (
+        SELECT et.expense_id FROM expense_tags et JOIN tags t ON t.id = et.tag_id
+        WHERE t.name IN (${options.tags.map(() => '?').join(', ')})
+        GROUP BY et.expense_id
+        HAVING COUNT(*) = ?
+      )
+    `);
+    params.push(...options.tags, options.tags.length);
+  }
+
+  // Either bound may be given on its own
+  if (options.minAmount !== undefined) {
+    conditions.push('expenses.amount >= ?');
+    params.push(options.minAmount);
+  }
+
+  if (options.maxAmount !== undefined) {
+    conditions.push('expenses.amount <= ?');
+    params.push(options.maxAmount);
+  }
+
+  // sort/order are whitelisted by validateExpenseFilters, never raw input
+  const order = options.order === 'asc' ? 'ASC' : 'DESC';
+  const orderBy = options.sort === 'relevance'
+    ? 'rank ASC, expenses.date DESC, expenses.id DESC' // bm25: lower is better
+    : `expenses.${options.sort || 'date'} ${order}, expenses.id ${order}`;
+
+  const sql = searchQuery ? `
+    SELECT
+      expenses.*,
+      ${BASE_AMOUNT_SQL} AS base_amount,
+      ${ATTACHMENTS_SQL} AS attachments,
+      ${TAGS_SQL} AS tags,
+      ${SPLITS_SQL} AS splits,
+      ${ACCOUNT_NAME_SQL} AS account_name,
+      ${REVISION_SQL} AS revision,
+      bm25(expenses_fts) AS rank,
+      snippet(expenses_fts, 0, '<mark>', '</mark>', '…', 12) AS description_highlight,
+      highlight(expenses_fts, 1, '<mark>', '</mark>') AS category_highlight
+    FROM expenses
+    JOIN expenses_fts ON expenses_fts.rowid = expenses.id
+    ${BASE_AMOUNT_JOINS}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${orderBy}
+  ` : `
+    SELECT
+      expenses.*,
+      ${BASE_AMOUNT_SQL} AS base_amount,
+      ${ATTACHMENTS_SQL} AS attachments,
+      ${TAGS_SQL} AS tags,
+      ${SPLITS_SQL} AS splits,
+      ${ACCOUNT_NAME_SQL} AS account_name,
+      ${REVISION_SQL} AS revision
+    FROM expenses
+    ${BASE_AMOUNT_JOINS}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${orderBy}
+  `;
+
+  return { sql, params, isSearch: Boolean(searchQuery) };
+}
+
+/**
+ * Get all expenses belonging to a user
+ * @param {Object} options - Validated filters (see buildExpenseListQuery)
+ * @param {number} userId - Owner of the expenses
+ * @returns {Promise<Array>} Array of expense objects, each with base_amount
+ *   (null when no exchange rate is stored), attachments and tags; with q, each also has
+ *   rank and highlight { description, category } with <mark> around matches
+ */
+function getAllExpenses(options = {}, userId) {
+  return new Promise((resolve, reject) => {
+    const query = buildExpenseListQuery(options, userId);
+    if (!query) {
+      resolve([]);
+      return;
+    }
+
+    db.all(query.sql, query.params, (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch expenses: ${err.message}`));
+        return;
+      }
+
+      const expenses = (rows || []).map(parseExpenseRow);
+      if (!query.isSearch) {
+        resolve(expenses);
+        return;
+      }
+
+      // Group the highlight columns under one key
+      resolve(expenses.map(({ description_highlight, category_highlight, ...expense }) => ({
+        ...expense,
+        highlight: {
+          description: description_highlight,
+          category: category_highlight
+        }
+      })));
+    });
+  });
+}
+
+// Rows read per query by eachExpense()
+const EXPENSE_PAGE_SIZE = 500;
+
+/**
+ * Visit a user's filtered expenses a page at a time, without loading
+ * them all into memory (used for exports). The next page is read only once
+ * onRow has settled for every row of this one, so a slow consumer holds
+ * the reading back. A failed read rejects, so nothing is skipped quietly.
+ * @param {Object} options - Validated filters (see buildExpenseListQuery)
+ * @param {number} userId - Owner of the expenses
+ * @param {Function} onRow - Called with each expense; may return a promise to wait for
+ * @returns {Promise<number>} Number of rows visited
+ */
+async function eachExpense(options, userId, onRow) {
+  const query = buildExpenseListQuery(options, userId);
+  if (!query) return 0;
+
+  let count = 0;
+  for (;;) {
+    const rows = await new Promise((resolve, reject) => {
+      const sql = `${query.sql} LIMIT ? OFFSET ?`;
+
+      db.all(sql, [...query.params, EXPENSE_PAGE_SIZE, count], (err, page) => {
+        if (err) {
+          reject(new Error(`Failed to fetch expenses: ${err.message}`));
+        } else {
+          resolve(page);
+        }
+      });
+    });
+
+    for (const { description_highlight, category_highlight, rank, ...expense } of rows) {
+      await onRow(parseExpenseRow(expense));
+      count += 1;
+    }
+    if (rows.length < EXPENSE_PAGE_SIZE) return count;
+  }
+}
+
+/**
+ * Get single expense by ID (not one in the trash)
  * @param {number} id - Expense ID
+ * @param {number} userId - Owner of the expense
  * @returns {Promise<Object>} Expense object or null
  */
-function getExpenseById(id) {
+function getExpenseById(id, userId) {
   return new Promise((resolve, reject) => {
-    const sql = 'SELECT * FROM expenses WHERE id = ?';
-    
-    db.get(sql, [id], (err, row) => {
+    const sql = `
+      SELECT
+        expenses.*,
+        ${BASE_AMOUNT_SQL} AS base_amount,
+        ${ATTACHMENTS_SQL} AS attachments,
+        ${TAGS_SQL} AS tags,
+        ${SPLITS_SQL} AS splits,
+        ${ACCOUNT_NAME_SQL} AS account_name,
+        ${REVISION_SQL} AS revision
+      FROM expenses
+      ${BASE_AMOUNT_JOINS}
+      WHERE expenses.id = ? AND expenses.user_id = ? AND expenses.deleted_at IS NULL
+    `;
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch expense: ${err.message}`));
+      } else {
+        resolve(parseExpenseRow(row));
+      }
+    });
+  });
+}
+
+/**
+ * Find the expense a client created under its own ID
+ * @param {string} clientId
+ * @param {number} userId - Owner of the expense
+ * @returns {Promise<Object>} { id, deleted_at } or undefined
+ */
+function findExpenseByClientId(clientId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, deleted_at FROM expenses WHERE client_id = ? AND user_id = ?';
+
+    db.get(sql, [clientId, userId], (err, row) => {
       if (err) {
         reject(new Error(`Failed to fetch expense: ${err.message}`));
       } else {
@@ -113,20 +706,34 @@ function getExpenseById(id) {
 }
 
 /**
- * Add new expense
- * @param {Object} expense - { date, amount, category, description }
+ * Add new expense (or income, with type 'income')
+ * @param {Object} expense - { type, date, amount, currency, category, description }
+ *   plus account_id, and group_id, paid_by and split_method for a shared expense;
+ *   client_id for one made offline; id only to recreate a deleted expense under its old ID
+ * @param {number} userId - Owner of the expense
  * @returns {Promise<Object>} Created expense with ID
  */
-function addExpense(expense) {
+function addExpense(expense, userId) {
   return new Promise((resolve, reject) => {
     const sql = `
-      INSERT INTO expenses (date, amount, category, description)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO expenses (id, user_id, client_id, group_id, paid_by, split_method, account_id, type, date, amount, currency, category, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT base_currency FROM users WHERE id = ?)), ?, ?)
     `;
     
+    // Without a currency the expense is in the owner's base currency
     const params = [
+      expense.id || null,
+      userId,
+      expense.client_id || null,
+      expense.group_id || null,
+      expense.paid_by || null,
+      expense.split_method || null,
+      expense.account_id || null,
+      expense.type || 'expense',
       expense.date,
       expense.amount,
+      expense.currency || null,
+      userId,
       expense.category,
       expense.description || null
     ];
@@ -136,7 +743,7 @@ function addExpense(expense) {
         reject(new Error(`Failed to add expense: ${err.message}`));
       } else {
         // Return newly created expense
-        getExpenseById(this.lastID)
+        getExpenseById(this.lastID, userId)
           .then(resolve)
           .catch(reject);
       }
@@ -148,11 +755,15 @@ function addExpense(expense) {
  * Update expense
  * @param {number} id - Expense ID
  * @param {Object} updates - Fields to update
+ * @param {number} userId - Owner of the expense
  * @returns {Promise<Object>} Updated expense
  */
-function updateExpense(id, updates) {
+function updateExpense(id, updates, userId) {
   return new Promise((resolve, reject) => {
-    const allowedFields = ['date', 'amount', 'category', 'description'];
+    const allowedFields = [
+      'type', 'date', 'amount', 'currency', 'category', 'description',
+      'group_id', 'paid_by', 'split_method', 'account_id'
+    ];
     const updateFields = [];
     const params = [];
 
@@ -169,14 +780,14 @@ function updateExpense(id, updates) {
       return;
     }
 
-    params.push(id);
-    const sql = `UPDATE expenses SET ${updateFields.join(', ')} WHERE id = ?`;
+    params.push(id, userId);
+    const sql = `UPDATE expenses SET ${updateFields.join(', ')} WHERE id = ? AND user_id = ? AND deleted_at IS NULL`;
 
     db.run(sql, params, (err) => {
       if (err) {
         reject(new Error(`Failed to update expense: ${err.message}`));
       } else {
-        getExpenseById(id)
+        getExpenseById(id, userId)
           .then(resolve)
           .catch(reject);
       }
@@ -185,15 +796,16 @@ function updateExpense(id, updates) {
 }
 
 /**
- * Delete expense
+ * Delete expense (it moves to the trash until restored or purged)
  * @param {number} id - Expense ID
+ * @param {number} userId - Owner of the expense
  * @returns {Promise<boolean>} True if deleted
  */
-function deleteExpense(id) {
+function deleteExpense(id, userId) {
   return new Promise((resolve, reject) => {
-    const sql = 'DELETE FROM expenses WHERE id = ?';
-    
-    db.run(sql, [id], function(err) {
+    const sql = 'UPDATE expenses SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND deleted_at IS NULL';
+
+    db.run(sql, [id, userId], function(err) {
       if (err) {
         reject(new Error(`Failed to delete expense: ${err.message}`));
       } else if (this.changes === 0) {
@@ -205,34 +817,272 @@ function deleteExpense(id) {
   });
 }
 
+// ============================================================
+// TRASH
+// ============================================================
+
 /**
- * Get summary statistics
- * @returns {Promise<Object>} { totalExpenses, totalAmount, byCategory }
+ * Get the expenses a user has deleted, most recently deleted first
+ * @param {number} userId - Owner of the expenses
+ * @returns {Promise<Array>} Expenses with deleted_at and purge_at (when the
+ *   retention period runs out; null if they are kept until the trash is emptied)
  */
-function getExpenseSummary() {
+function getTrashedExpenses(userId) {
   return new Promise((resolve, reject) => {
+    const purgeAt = TRASH_RETENTION_DAYS > 0 ? 'datetime(expenses.deleted_at, ?)' : 'NULL';
     const sql = `
-      SELECT 
-        COUNT(*) as totalCount,
-        SUM(amount) as totalAmount,
-        category,
-        ROUND(SUM(amount), 2) as categoryTotal
-      FROM expenses
-      GROUP BY category
-      UNION ALL
-      SELECT 
-        COUNT(*) as totalCount,
-        SUM(amount) as totalAmount,
-        'TOTAL' as category,
-        ROUND(SUM(amount), 2) as categoryTotal
+      SELECT
+        expenses.*,
+        ${BASE_AMOUNT_SQL} AS base_amount,
+        ${ATTACHMENTS_SQL} AS attachments,
+        ${TAGS_SQL} AS tags,
+        ${SPLITS_SQL} AS splits,
+        ${ACCOUNT_NAME_SQL} AS account_name,
+        ${purgeAt} AS purge_at
       FROM expenses
+      ${BASE_AMOUNT_JOINS}
+      WHERE expenses.user_id = ? AND expenses.deleted_at IS NOT NULL
+      ORDER BY expenses.deleted_at DESC, expenses.id DESC
     `;
-    
-    db.all(sql, [], (err, rows) => {
+
+    const params = TRASH_RETENTION_DAYS > 0 ? [`+${TRASH_RETENTION_DAYS} days`, userId] : [userId];
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch trash: ${err.message}`));
+      } else {
+        resolve((rows || []).map(parseExpenseRow));
+      }
+    });
+  });
+}
+
+/**
+ * Take an expense back out of the trash
+ * @param {number} id - Expense ID
+ * @param {number} userId - Owner of the expense
+ * @returns {Promise<boolean>} False if it isn't in the trash
+ */
+function restoreExpense(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE expenses SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL';
+
+    db.run(sql, [id, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to restore expense: ${err.message}`));
+      } else {
+        resolve(this.changes > 0);
+      }
+    });
+  });
+}
+
+/**
+ * Permanently delete expenses in a user's trash (their tags, splits and
+ * attachment rows go with them; the history is kept)
+ * @param {number} userId - Owner of the expenses
+ * @param {number} [id] - Only this expense; the whole trash without it
+ * @returns {Promise<number>} Number of expenses purged
+ */
+function purgeTrash(userId, id) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DELETE FROM expenses
+      WHERE user_id = ? AND deleted_at IS NOT NULL ${id === undefined ? '' : 'AND id = ?'}
+    `;
+
+    db.run(sql, id === undefined ? [userId] : [userId, id], function(err) {
+      if (err) {
+        reject(new Error(`Failed to purge trash: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Permanently delete every user's expenses that have been in the trash
+ * longer than TRASH_RETENTION_DAYS
+ * @returns {Promise<number>} Number of expenses purged
+ */
+function purgeExpiredTrash() {
+  return new Promise((resolve, reject) => {
+    if (TRASH_RETENTION_DAYS === 0) {
+      resolve(0);
+      return;
+    }
+
+    const sql = "DELETE FROM expenses WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)";
+
+    db.run(sql, [`-${TRASH_RETENTION_DAYS} days`], function(err) {
+      if (err) {
+        reject(new Error(`Failed to purge trash: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Conditions and params limiting a summary to a user's records of one
+ * type, optionally between two dates and in some categories
+ * @param {number} userId
+ * @param {Object} options - { type, from, to, categories }
+ * @returns {Object} { where, params }
+ */
+function buildSummaryFilter(userId, options) {
+  const conditions = ['expenses.user_id = ?', 'expenses.deleted_at IS NULL'];
+  const params = [userId];
+
+  if (options.type) {
+    conditions.push('expenses.type = ?');
+    params.push(options.type);
+  }
+
+  if (options.from) {
+    conditions.push('expenses.date >= ?');
+    params.push(options.from);
+  }
+
+  if (options.to) {
+    conditions.push('expenses.date <= ?');
+    params.push(options.to);
+  }
+
+  if (options.categories && options.categories.length > 0) {
+    conditions.push(`expenses.category IN (${options.categories.map(() => '?').join(', ')})`);
+    params.push(...options.categories);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Get summary statistics for spending (income is left out)
+ * Amounts are in the base currency; expenses without a rate are left out
+ * of the sums and the average and counted in unconvertedCount instead.
+ * @param {number} userId - Owner of the expenses
+ * @param {Object} options - { from, to } (YYYY-MM-DD) limit the period and
+ *   categories limits it to some categories; { rollup: true } adds child
+ *   categories into their top-level parent (and then a category filter
+ *   takes in its children as well)
+ * @returns {Promise<Object>} { total, count, average, unconvertedCount,
+ *   byCategory: [{ category, total, count, share }], largest } - byCategory
+ *   is largest total first, share is a percentage of the total; average
+ *   and largest are null when no expense could be converted
+ */
+function getExpenseSummary(userId, options = {}) {
+  return new Promise((resolve, reject) => {
+    const { rollup, categories } = options;
+
+    // Map every category to its top-level ancestor when rolling up
+    const categoryColumn = rollup ? 'COALESCE(tree.root_name, expenses.category)' : 'expenses.category';
+    const treeJoin = rollup ? `
+      LEFT JOIN (
+        WITH RECURSIVE tree(id, name, root_name) AS (
+          SELECT id, name, name FROM categories WHERE user_id = ? AND parent_id IS NULL
+          UNION ALL
+          SELECT c.id, c.name, tree.root_name
+          FROM categories c JOIN tree ON c.parent_id = tree.id
+        )
+        SELECT name, root_name FROM tree
+      ) tree ON tree.name = expenses.category
+    ` : '';
+
+    const filter = buildSummaryFilter(userId, { ...options, type: 'expense', categories: rollup ? null : categories });
+    let where = filter.where;
+    const params = [...(rollup ? [userId] : []), ...filter.params];
+
+    if (rollup && categories && categories.length > 0) {
+      where += ` AND ${categoryColumn} IN (${categories.map(() => '?').join(', ')})`;
+      params.push(...categories);
+    }
+
+    const source = `FROM expenses ${BASE_AMOUNT_JOINS} ${treeJoin} WHERE ${where}`;
+
+    const byCategorySql = `
+      SELECT
+        ${categoryColumn} AS category,
+        ROUND(COALESCE(SUM(${BASE_AMOUNT_SQL}), 0), 2) AS total,
+        COUNT(*) AS count,
+        COUNT(${BASE_AMOUNT_SQL}) AS convertedCount
+      ${source}
+      GROUP BY 1
+      ORDER BY total DESC, category
+    `;
+
+    const largestSql = `
+      SELECT expenses.id, expenses.date, expenses.amount, expenses.currency,
+        ${BASE_AMOUNT_SQL} AS base_amount, expenses.category, expenses.description
+      ${source} AND ${BASE_AMOUNT_SQL} IS NOT NULL
+      ORDER BY base_amount DESC, expenses.date DESC, expenses.id DESC
+      LIMIT 1
+    `;
+
+    db.all(byCategorySql, params, (err, rows) => {
       if (err) {
         reject(new Error(`Failed to get summary: ${err.message}`));
+        return;
+      }
+
+      db.get(largestSql, params, (largestErr, largest) => {
+        if (largestErr) {
+          reject(new Error(`Failed to get summary: ${largestErr.message}`));
+          return;
+        }
+
+        const total = Math.round(rows.reduce((sum, row) => sum + row.total, 0) * 100) / 100;
+        const count = rows.reduce((sum, row) => sum + row.count, 0);
+        const converted = rows.reduce((sum, row) => sum + row.convertedCount, 0);
+
+        resolve({
+          total,
+          count,
+          average: converted > 0 ? Math.round((total / converted) * 100) / 100 : null,
+          unconvertedCount: count - converted,
+          byCategory: rows.map(row => ({
+            category: row.category,
+            total: row.total,
+            count: row.count,
+            share: total > 0 ? Math.round((row.total / total) * 1000) / 10 : 0
+          })),
+          largest: largest || null
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Money in, money out and the difference, in the base currency
+ * @param {number} userId - Owner of the records
+ * @param {Object} range - { from, to } (YYYY-MM-DD, both optional)
+ * @returns {Promise<Object>} { income, expenses, net, incomeCount, expenseCount, unconvertedCount }
+ */
+function getCashFlow(userId, range = {}) {
+  return new Promise((resolve, reject) => {
+    const filter = buildSummaryFilter(userId, range);
+
+    // As in the summary, rows without an exchange rate are only counted
+    const sql = `
+      SELECT
+        ROUND(COALESCE(SUM(CASE WHEN expenses.type = 'income' THEN ${BASE_AMOUNT_SQL} END), 0), 2) AS income,
+        ROUND(COALESCE(SUM(CASE WHEN expenses.type = 'expense' THEN ${BASE_AMOUNT_SQL} END), 0), 2) AS expenses,
+        COUNT(CASE WHEN expenses.type = 'income' THEN 1 END) AS incomeCount,
+        COUNT(CASE WHEN expenses.type = 'expense' THEN 1 END) AS expenseCount,
+        COUNT(*) - COUNT(${BASE_AMOUNT_SQL}) AS unconvertedCount
+      FROM expenses
+      ${BASE_AMOUNT_JOINS}
+      WHERE ${filter.where}
+    `;
+
+    db.get(sql, filter.params, (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to get cash flow: ${err.message}`));
       } else {
-        resolve(rows || []);
+        resolve({ ...row, net: Math.round((row.income - row.expenses) * 100) / 100 });
       }
     });
   });
@@ -244,11 +1094,27 @@ function getExpenseSummary() {
 
 module.exports = {
   db,
+  dataDir,
   initializeDatabase,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  runInTransaction,
   getAllExpenses,
+  eachExpense,
   getExpenseById,
+  findExpenseByClientId,
   addExpense,
   updateExpense,
   deleteExpense,
-  getExpenseSummary
+  getTrashedExpenses,
+  restoreExpense,
+  purgeTrash,
+  purgeExpiredTrash,
+  getExpenseSummary,
+  getCashFlow,
+  buildSummaryFilter,
+  BASE_AMOUNT_JOINS,
+  BASE_AMOUNT_SQL,
+  EXPENSE_SNAPSHOT_SQL
 };
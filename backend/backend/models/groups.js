@@ -0,0 +1,353 @@
+const { db } = require('./database');
+
+// Members of a group as a JSON array, by name
+const MEMBERS_SQL = `
+  (SELECT json_group_array(json_object('id', id, 'name', name, 'user_id', user_id)) FROM (
+     SELECT id, name, user_id FROM group_members
+     WHERE group_id = g.id
+     ORDER BY name
+   ))
+`;
+
+/**
+ * Turn the members column of a group row into a list
+ * @param {Object} row
+ * @returns {Object}
+ */
+function parseGroupRow(row) {
+  if (!row || typeof row.members !== 'string') return row;
+  return { ...row, members: JSON.parse(row.members) };
+}
+
+/**
+ * Run one write statement
+ * @param {string} sql
+ * @param {Array} params
+ * @param {string} failure - Start of the error message
+ * @returns {Promise<Object>} { lastID, changes }
+ */
+function run(sql, params, failure) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(new Error(`${failure}: ${err.message}`));
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================
+// GROUP OPERATIONS
+// ============================================================
+
+/**
+ * Get the groups a user belongs to
+ * @param {number} userId
+ * @returns {Promise<Array>} Groups with their members
+ */
+function getGroups(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT g.*, me.id AS my_member_id, ${MEMBERS_SQL} AS members
+      FROM expense_groups g
+      JOIN group_members me ON me.group_id = g.id AND me.user_id = ?
+      ORDER BY g.name
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch groups: ${err.message}`));
+      } else {
+        resolve((rows || []).map(parseGroupRow));
+      }
+    });
+  });
+}
+
+/**
+ * Get a group by ID, if the user belongs to it
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} Group with members and my_member_id, or undefined
+ */
+function getGroupById(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT g.*, me.id AS my_member_id, ${MEMBERS_SQL} AS members
+      FROM expense_groups g
+      JOIN group_members me ON me.group_id = g.id AND me.user_id = ?
+      WHERE g.id = ?
+    `;
+
+    db.get(sql, [userId, id], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch group: ${err.message}`));
+      } else {
+        resolve(parseGroupRow(row));
+      }
+    });
+  });
+}
+
+/**
+ * Create a group; the creator becomes its first member
+ * Call inside runInTransaction() so a failed member insert leaves nothing behind.
+ * @param {Object} group - { name, currency, yourName, members: [{ name, userId }] }
+ * @param {Object} user - Creator { id, email }
+ * @returns {Promise<number>} New group ID
+ */
+async function addGroup(group, user) {
+  const { lastID: groupId } = await run(
+    'INSERT INTO expense_groups (created_by, name, currency) VALUES (?, ?, ?)',
+    [user.id, group.name, group.currency],
+    'Failed to create group'
+  );
+
+  await addMember(groupId, { name: group.yourName || user.email, userId: user.id });
+  for (const member of group.members) {
+    await addMember(groupId, member);
+  }
+
+  return groupId;
+}
+
+/**
+ * Delete a group with its members, splits and settlements
+ * Its expenses stay with whoever recorded them, no longer shared.
+ * Call inside runInTransaction().
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteGroup(id) {
+  await run(
+    'UPDATE expenses SET group_id = NULL, paid_by = NULL, split_method = NULL WHERE group_id = ?',
+    [id],
+    'Failed to unshare group expenses'
+  );
+  await run('DELETE FROM expense_groups WHERE id = ?', [id], 'Failed to delete group');
+}
+
+// ============================================================
+// MEMBER OPERATIONS
+// ============================================================
+
+/**
+ * Add a member to a group
+ * @param {number} groupId
+ * @param {Object} member - { name, userId } (userId links an account, may be null)
+ * @returns {Promise<number>} New member ID
+ */
+async function addMember(groupId, member) {
+  try {
+    const { lastID } = await run(
+      'INSERT INTO group_members (group_id, user_id, name) VALUES (?, ?, ?)',
+      [groupId, member.userId || null, member.name],
+      'Failed to add member'
+    );
+    return lastID;
+  } catch (error) {
+    if (error.message.includes('UNIQUE')) {
+      const conflict = new Error(`"${member.name}" (or that account) is already in the group`);
+      conflict.statusCode = 409;
+      conflict.code = 'DUPLICATE_MEMBER';
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count what references a member (paid expenses, splits, settlements),
+ * including trashed expenses that could still be restored
+ * @param {number} memberId
+ * @returns {Promise<number>}
+ */
+function countMemberActivity(memberId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        (SELECT COUNT(*) FROM expenses WHERE paid_by = ?) +
+        (SELECT COUNT(*) FROM expense_splits WHERE member_id = ?) +
+        (SELECT COUNT(*) FROM settlements WHERE from_member_id = ? OR to_member_id = ?) AS count
+    `;
+
+    db.get(sql, [memberId, memberId, memberId, memberId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to count member activity: ${err.message}`));
+      } else {
+        resolve(row.count);
+      }
+    });
+  });
+}
+
+/**
+ * Remove a member from a group
+ * @param {number} groupId
+ * @param {number} memberId
+ * @returns {Promise<boolean>} True if removed
+ */
+async function deleteMember(groupId, memberId) {
+  const { changes } = await run(
+    'DELETE FROM group_members WHERE id = ? AND group_id = ?',
+    [memberId, groupId],
+    'Failed to remove member'
+  );
+  return changes > 0;
+}
+
+// ============================================================
+// SHARED EXPENSES AND BALANCES
+// ============================================================
+
+/**
+ * Replace how an expense is split between members
+ * Call inside runInTransaction() together with the expense write.
+ * @param {number} expenseId
+ * @param {Array<Object>} shares - [{ memberId, value, amount }] (empty = not shared)
+ * @returns {Promise<void>}
+ */
+async function setExpenseSplits(expenseId, shares) {
+  await run('DELETE FROM expense_splits WHERE expense_id = ?', [expenseId], 'Failed to save split');
+
+  for (const share of shares) {
+    await run(
+      'INSERT INTO expense_splits (expense_id, member_id, value, amount) VALUES (?, ?, ?, ?)',
+      [expenseId, share.memberId, share.value, share.amount],
+      'Failed to save split'
+    );
+  }
+}
+
+/**
+ * Get every expense shared in a group, whoever recorded it
+ * @param {number} groupId
+ * @returns {Promise<Array>} Expenses with payer name and splits
+ */
+function getGroupExpenses(groupId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        e.id, e.date, e.amount, e.currency, e.category, e.description, e.split_method,
+        e.paid_by, payer.name AS paid_by_name,
+        (SELECT json_group_array(json_object(
+           'member_id', s.member_id, 'name', m.name, 'value', s.value, 'amount', s.amount
+         ))
+         FROM expense_splits s JOIN group_members m ON m.id = s.member_id
+         WHERE s.expense_id = e.id) AS splits
+      FROM expenses e
+      LEFT JOIN group_members payer ON payer.id = e.paid_by
+      WHERE e.group_id = ? AND e.deleted_at IS NULL
+      ORDER BY e.date DESC, e.id DESC
+    `;
+
+    db.all(sql, [groupId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch group expenses: ${err.message}`));
+      } else {
+        resolve((rows || []).map(row => ({ ...row, splits: JSON.parse(row.splits) })));
+      }
+    });
+  });
+}
+
+/**
+ * What each member paid, owes and has settled, in the group's currency
+ * @param {number} groupId
+ * @returns {Promise<Array>} [{ memberId, name, paid, owed, settledOut, settledIn }]
+ */
+function getMemberTotals(groupId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        m.id AS memberId,
+        m.name,
+        COALESCE((SELECT SUM(e.amount) FROM expenses e
+                  WHERE e.group_id = m.group_id AND e.paid_by = m.id AND e.deleted_at IS NULL), 0) AS paid,
+        COALESCE((SELECT SUM(s.amount) FROM expense_splits s
+                  JOIN expenses e ON e.id = s.expense_id
+                  WHERE e.group_id = m.group_id AND s.member_id = m.id AND e.deleted_at IS NULL), 0) AS owed,
+        COALESCE((SELECT SUM(amount) FROM settlements WHERE from_member_id = m.id), 0) AS settledOut,
+        COALESCE((SELECT SUM(amount) FROM settlements WHERE to_member_id = m.id), 0) AS settledIn
+      FROM group_members m
+      WHERE m.group_id = ?
+      ORDER BY m.name
+    `;
+
+    db.all(sql, [groupId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to compute balances: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Record money paid from one member to another
+ * @param {number} groupId
+ * @param {Object} settlement - { from, to, amount, date }
+ * @param {number} userId - Who recorded it
+ * @returns {Promise<Object>} Created settlement
+ */
+async function addSettlement(groupId, settlement, userId) {
+  const { lastID } = await run(`
+    INSERT INTO settlements (group_id, from_member_id, to_member_id, amount, date, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [groupId, settlement.from, settlement.to, settlement.amount, settlement.date, userId],
+  'Failed to record settlement');
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM settlements WHERE id = ?', [lastID], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch settlement: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get a group's settlements, newest first
+ * @param {number} groupId
+ * @returns {Promise<Array>}
+ */
+function getSettlements(groupId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT s.*, f.name AS from_name, t.name AS to_name
+      FROM settlements s
+      JOIN group_members f ON f.id = s.from_member_id
+      JOIN group_members t ON t.id = s.to_member_id
+      WHERE s.group_id = ?
+      ORDER BY s.date DESC, s.id DESC
+    `;
+
+    db.all(sql, [groupId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch settlements: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getGroups,
+  getGroupById,
+  addGroup,
+  deleteGroup,
+  addMember,
+  countMemberActivity,
+  deleteMember,
+  setExpenseSplits,
+  getGroupExpenses,
+  getMemberTotals,
+  addSettlement,
+  getSettlements
+};
@@ -0,0 +1,134 @@
+const { db, EXPENSE_SNAPSHOT_SQL } = require('./database');
+
+/**
+ * Parse the snapshot columns of a history row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function parseHistoryRow(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null
+  };
+}
+
+// ============================================================
+// HISTORY OPERATIONS
+// ============================================================
+
+/**
+ * Snapshot an expense as the history stores it
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<string|null>} JSON text, or null if there is no such
+ *   expense (or it is in the trash)
+ */
+function getExpenseSnapshot(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT ${EXPENSE_SNAPSHOT_SQL} AS snapshot FROM expenses WHERE id = ? AND user_id = ? AND deleted_at IS NULL`;
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to snapshot expense: ${err.message}`));
+      } else {
+        resolve(row ? row.snapshot : null);
+      }
+    });
+  });
+}
+
+/**
+ * Record a change to an expense, after it has been written
+ * The after snapshot is read from the expense as it is now (none once
+ * deleted, even while it is in the trash). A change that left the expense as it was is not recorded.
+ * Call inside runInTransaction() together with the expense write.
+ * @param {Object} change - { expenseId, userId, actorId, action, before, revertedTo? }
+ *   before is JSON text from getExpenseSnapshot() (null for a create);
+ *   actorId is null for changes the app made by itself
+ * @returns {Promise<void>}
+ */
+function recordExpenseChange(change) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO expense_history (expense_id, user_id, actor_id, action, reverted_to, before, after)
+      SELECT ?, ?, ?, ?, ?, ?, latest.snapshot
+      FROM (SELECT (SELECT ${EXPENSE_SNAPSHOT_SQL} FROM expenses WHERE id = ? AND deleted_at IS NULL) AS snapshot) latest
+      WHERE latest.snapshot IS NOT ?
+    `;
+
+    const params = [
+      change.expenseId,
+      change.userId,
+      change.actorId,
+      change.action,
+      change.revertedTo || null,
+      change.before,
+      change.expenseId,
+      change.before
+    ];
+
+    db.run(sql, params, (err) => {
+      if (err) {
+        reject(new Error(`Failed to record expense history: ${err.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get every recorded change to an expense, newest first
+ * @param {number} expenseId
+ * @param {number} userId
+ * @returns {Promise<Array>} Revisions with before/after snapshots and actor_email
+ */
+function getExpenseHistory(expenseId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT h.*, actor.email AS actor_email
+      FROM expense_history h
+      LEFT JOIN users actor ON actor.id = h.actor_id
+      WHERE h.expense_id = ? AND h.user_id = ?
+      ORDER BY h.id DESC
+    `;
+
+    db.all(sql, [expenseId, userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch expense history: ${err.message}`));
+      } else {
+        resolve((rows || []).map(parseHistoryRow));
+      }
+    });
+  });
+}
+
+/**
+ * Get one revision of an expense
+ * @param {number} id - Revision ID
+ * @param {number} expenseId
+ * @param {number} userId
+ * @returns {Promise<Object>} Revision or undefined
+ */
+function getRevision(id, expenseId, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM expense_history WHERE id = ? AND expense_id = ? AND user_id = ?';
+
+    db.get(sql, [id, expenseId, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch revision: ${err.message}`));
+      } else {
+        resolve(parseHistoryRow(row));
+      }
+    });
+  });
+}
+
+module.exports = {
+  getExpenseSnapshot,
+  recordExpenseChange,
+  getExpenseHistory,
+  getRevision
+};
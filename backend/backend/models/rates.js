@@ -0,0 +1,176 @@
+const { db } = require('./database');
+
+// ============================================================
+// EXCHANGE RATE OPERATIONS
+// ============================================================
+// A rate is how many units of a currency one unit of the user's base
+// currency buys (base USD: EUR 0.92, INR 83.1). The base itself has no row.
+
+/**
+ * Get all exchange rates belonging to a user
+ * @param {number} userId
+ * @returns {Promise<Array>}
+ */
+function getRates(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM exchange_rates WHERE user_id = ? ORDER BY currency';
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch exchange rates: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get the rate stored for one currency
+ * @param {string} currency
+ * @param {number} userId
+ * @returns {Promise<Object>} Rate or undefined
+ */
+function getRate(currency, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM exchange_rates WHERE currency = ? AND user_id = ?';
+
+    db.get(sql, [currency, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch exchange rate: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Add or replace the rate for a currency
+ * @param {Object} rate - { currency, rate }
+ * @param {number} userId
+ * @returns {Promise<Object>} Saved rate
+ */
+function saveRate(rate, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO exchange_rates (user_id, currency, rate)
+      VALUES (?, ?, ?)
+      ON CONFLICT (user_id, currency)
+      DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP
+    `;
+
+    db.run(sql, [userId, rate.currency, rate.rate], (err) => {
+      if (err) {
+        reject(new Error(`Failed to save exchange rate: ${err.message}`));
+      } else {
+        getRate(rate.currency, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Delete the rate for a currency
+ * @param {string} currency
+ * @param {number} userId
+ * @returns {Promise<boolean>} True if deleted
+ */
+function deleteRate(currency, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'DELETE FROM exchange_rates WHERE currency = ? AND user_id = ?';
+
+    db.run(sql, [currency, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to delete exchange rate: ${err.message}`));
+      } else if (this.changes === 0) {
+        reject(new Error(`No exchange rate for ${currency}`));
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Divide all of a user's rates by one factor (used when the base changes)
+ * @param {number} factor
+ * @param {number} userId
+ * @returns {Promise<number>} Number of rates changed
+ */
+function scaleRates(factor, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE exchange_rates
+      SET rate = rate / ?, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `;
+
+    db.run(sql, [factor, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to update exchange rates: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Currencies a user has expenses in but no rate for (so they can't be
+ * converted to the base currency)
+ * @param {number} userId
+ * @returns {Promise<Array<string>>}
+ */
+function getMissingRateCurrencies(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT DISTINCT e.currency
+      FROM expenses e
+      JOIN users u ON u.id = e.user_id
+      LEFT JOIN exchange_rates r ON r.user_id = e.user_id AND r.currency = e.currency
+      WHERE e.user_id = ? AND e.currency != u.base_currency AND r.id IS NULL AND e.deleted_at IS NULL
+      ORDER BY e.currency
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to check exchange rates: ${err.message}`));
+      } else {
+        resolve((rows || []).map(row => row.currency));
+      }
+    });
+  });
+}
+
+/**
+ * Count a user's expenses in any currency other than the given one
+ * @param {string} currency
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+function countExpensesNotIn(currency, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT COUNT(*) AS count FROM expenses WHERE user_id = ? AND currency != ?';
+
+    db.get(sql, [userId, currency], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to count expenses: ${err.message}`));
+      } else {
+        resolve(row.count);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getRates,
+  getRate,
+  saveRate,
+  deleteRate,
+  scaleRates,
+  getMissingRateCurrencies,
+  countExpensesNotIn
+};
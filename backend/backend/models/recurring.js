@@ -0,0 +1,408 @@
+const { db, runInTransaction, EXPENSE_SNAPSHOT_SQL } = require('./database');
+const { recordExpenseChange } = require('./history');
+const { addDays, getOccurrencesBetween } = require('../utils/schedule');
+
+// ============================================================
+// RECURRING RULE OPERATIONS
+// ============================================================
+
+/**
+ * Get all recurring rules belonging to a user
+ * @param {number} userId
+ * @returns {Promise<Array>} Rules with the number of expenses generated so far
+ */
+function getRecurringRules(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT r.*, COUNT(e.id) AS generated_count
+      FROM recurring_expenses r
+      LEFT JOIN expenses e ON e.recurring_id = r.id
+      WHERE r.user_id = ?
+      GROUP BY r.id
+      ORDER BY r.start_date, r.id
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch recurring expenses: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get single recurring rule by ID
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} Rule or undefined
+ */
+function getRecurringById(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM recurring_expenses WHERE id = ? AND user_id = ?';
+
+    db.get(sql, [id, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch recurring expense: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Add new recurring rule
+ * @param {Object} rule - { amount, currency, category, description, frequency, dayOfMonth, startDate, endDate }
+ *   (currency defaults to the user's base currency)
+ * @param {number} userId
+ * @returns {Promise<Object>} Created rule with ID
+ */
+function addRecurring(rule, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO recurring_expenses
+        (user_id, amount, currency, category, description, frequency, day_of_month, start_date, end_date)
+      VALUES (?, ?, COALESCE(?, (SELECT base_currency FROM users WHERE id = ?)), ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      userId,
+      rule.amount,
+      rule.currency || null,
+      userId,
+      rule.category,
+      rule.description || null,
+      rule.frequency,
+      rule.dayOfMonth || null,
+      rule.startDate,
+      rule.endDate || null
+    ];
+
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(new Error(`Failed to add recurring expense: ${err.message}`));
+      } else {
+        getRecurringById(this.lastID, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Update recurring rule
+ * @param {number} id
+ * @param {Object} updates - Same shape as addRecurring()
+ * @param {number} userId
+ * @returns {Promise<Object>} Updated rule
+ */
+function updateRecurring(id, updates, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE recurring_expenses
+      SET amount = ?, currency = ?, category = ?, description = ?, frequency = ?,
+          day_of_month = ?, start_date = ?, end_date = ?
+      WHERE id = ? AND user_id = ?
+    `;
+
+    const params = [
+      updates.amount,
+      updates.currency,
+      updates.category,
+      updates.description || null,
+      updates.frequency,
+      updates.dayOfMonth || null,
+      updates.startDate,
+      updates.endDate || null,
+      id,
+      userId
+    ];
+
+    db.run(sql, params, (err) => {
+      if (err) {
+        reject(new Error(`Failed to update recurring expense: ${err.message}`));
+      } else {
+        getRecurringById(id, userId)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Delete recurring rule (expenses it already generated are kept)
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<boolean>} True if deleted
+ */
+function deleteRecurring(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'DELETE FROM recurring_expenses WHERE id = ? AND user_id = ?';
+
+    db.run(sql, [id, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to delete recurring expense: ${err.message}`));
+      } else if (this.changes === 0) {
+        reject(new Error(`Recurring expense with ID ${id} not found`));
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Move a user's recurring rules from one category name to another
+ * @param {string} fromName
+ * @param {string} toName
+ * @param {number} userId
+ * @returns {Promise<number>} Number of rules moved
+ */
+function reassignRecurring(fromName, toName, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE recurring_expenses SET category = ? WHERE category = ? AND user_id = ?';
+
+    db.run(sql, [toName, fromName, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to reassign recurring expenses: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Count a user's recurring rules filed under a category name
+ * @param {string} name
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+function countCategoryRecurring(name, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT COUNT(*) AS count FROM recurring_expenses WHERE category = ? AND user_id = ?';
+
+    db.get(sql, [name, userId], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to count recurring expenses: ${err.message}`));
+      } else {
+        resolve(row.count);
+      }
+    });
+  });
+}
+
+/**
+ * Move the live expenses a rule generated on or after a date to the trash
+ * They are detached from the rule so it can generate their dates again;
+ * occurrences already in the trash stay attached, so those dates remain
+ * skipped. Each deletion goes into the expense history first. Call inside
+ * runInTransaction().
+ * @param {number} id - Rule ID
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {number} userId
+ * @returns {Promise<number>} Number of expenses deleted
+ */
+function deleteOccurrencesFrom(id, fromDate, userId) {
+  return new Promise((resolve, reject) => {
+    const where = 'WHERE recurring_id = ? AND user_id = ? AND date >= ? AND deleted_at IS NULL';
+    const history = `
+      INSERT INTO expense_history (expense_id, user_id, action, before)
+      SELECT id, user_id, 'delete', ${EXPENSE_SNAPSHOT_SQL} FROM expenses ${where}
+    `;
+
+    db.run(history, [id, userId, fromDate], (historyErr) => {
+      if (historyErr) {
+        reject(new Error(`Failed to record expense history: ${historyErr.message}`));
+        return;
+      }
+
+      const sql = `UPDATE expenses SET deleted_at = CURRENT_TIMESTAMP, recurring_id = NULL ${where}`;
+
+      db.run(sql, [id, userId, fromDate], function(err) {
+        if (err) {
+          reject(new Error(`Failed to delete generated expenses: ${err.message}`));
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Record how far a rule has been generated
+ * @param {number} id - Rule ID
+ * @param {string|null} date - YYYY-MM-DD (null = nothing generated yet)
+ * @returns {Promise<void>}
+ */
+function setLastGeneratedDate(id, date) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE recurring_expenses SET last_generated_date = ? WHERE id = ?';
+
+    db.run(sql, [date, id], (err) => {
+      if (err) {
+        reject(new Error(`Failed to update recurring expense: ${err.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// ============================================================
+// GENERATION
+// ============================================================
+
+/**
+ * Today's date (UTC) as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Insert one generated expense; a repeat for the same rule and date is ignored
+ * Call inside runInTransaction(), as it also writes the expense history.
+ * @param {Object} rule
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>} 1 if inserted, 0 if it already existed
+ */
+async function insertOccurrence(rule, date) {
+  const { lastID, changes } = await new Promise((resolve, reject) => {
+    const sql = `
+      INSERT OR IGNORE INTO expenses (user_id, recurring_id, date, amount, currency, category, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [rule.user_id, rule.id, date, rule.amount, rule.currency, rule.category, rule.description];
+
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(new Error(`Failed to add recurring expense: ${err.message}`));
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+
+  if (changes > 0) {
+    await recordExpenseChange({ expenseId: lastID, userId: rule.user_id, actorId: null, action: 'create', before: null });
+  }
+  return changes;
+}
+
+/**
+ * Generate every occurrence of one rule that is due but missing
+ * Each batch is one transaction, so a crash never leaves a half-done run
+ * and a re-run picks up exactly where the last one stopped.
+ * @param {Object} rule - Row from recurring_expenses
+ * @param {string} until - Inclusive YYYY-MM-DD (defaults to today)
+ * @returns {Promise<number>} Number of expenses created
+ */
+async function generateForRule(rule, until = today()) {
+  let after = rule.last_generated_date;
+  let created = 0;
+
+  for (;;) {
+    const dates = getOccurrencesBetween(rule, after, until);
+    if (dates.length === 0) break;
+
+    created += await runInTransaction(async () => {
+      let inserted = 0;
+      for (const date of dates) {
+        inserted += await insertOccurrence(rule, date);
+      }
+      await setLastGeneratedDate(rule.id, dates[dates.length - 1]);
+      return inserted;
+    });
+
+    after = dates[dates.length - 1];
+  }
+
+  return created;
+}
+
+/**
+ * Get every rule that may have occurrences due
+ * @param {string} until - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+function getDueRules(until) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT * FROM recurring_expenses
+      WHERE start_date <= ?
+        AND (last_generated_date IS NULL OR last_generated_date < ?)
+        AND (end_date IS NULL OR last_generated_date IS NULL OR last_generated_date < end_date)
+    `;
+
+    db.all(sql, [until, until], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch recurring expenses: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Generate due occurrences for all users' rules (run by the scheduler)
+ * A failing rule is logged and skipped so the others still run.
+ * @returns {Promise<number>} Number of expenses created
+ */
+async function generateDueExpenses() {
+  const until = today();
+  const rules = await getDueRules(until);
+  let created = 0;
+
+  for (const rule of rules) {
+    try {
+      created += await generateForRule(rule, until);
+    } catch (error) {
+      console.error(`Failed to generate recurring expense ${rule.id}:`, error.message);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Rebuild a rule's generated expenses from a date onwards, after the rule changed
+ * @param {Object} rule - Updated row from recurring_expenses
+ * @param {string} fromDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { removed, created }
+ */
+async function regenerateFrom(rule, fromDate) {
+  const resetTo = rule.last_generated_date && rule.last_generated_date >= fromDate
+    ? addDays(fromDate, -1)
+    : rule.last_generated_date;
+
+  const removed = await runInTransaction(async () => {
+    const count = await deleteOccurrencesFrom(rule.id, fromDate, rule.user_id);
+    await setLastGeneratedDate(rule.id, resetTo);
+    return count;
+  });
+
+  const created = await generateForRule({ ...rule, last_generated_date: resetTo });
+  return { removed, created };
+}
+
+module.exports = {
+  getRecurringRules,
+  getRecurringById,
+  addRecurring,
+  updateRecurring,
+  deleteRecurring,
+  reassignRecurring,
+  countCategoryRecurring,
+  generateForRule,
+  generateDueExpenses,
+  regenerateFrom
+};
@@ -0,0 +1,64 @@
+const { db, BASE_AMOUNT_JOINS, BASE_AMOUNT_SQL, buildSummaryFilter } = require('./database');
+
+// First day of the period an expense falls in, matching periodStart()
+// in utils/periods.js (weeks start on Monday)
+const PERIOD_START_SQL = {
+  day: 'expenses.date',
+  week: "date(expenses.date, '-6 days', 'weekday 1')",
+  month: "strftime('%Y-%m-01', expenses.date)",
+  year: "strftime('%Y-01-01', expenses.date)"
+};
+
+// What a report can be broken down by (REPORT_GROUPS in validators.js)
+const GROUP_KEY_SQL = {
+  category: 'expenses.category',
+  account: '(SELECT name FROM accounts WHERE accounts.id = expenses.account_id)'
+};
+
+// ============================================================
+// REPORT OPERATIONS
+// ============================================================
+
+/**
+ * Total a user's records in the base currency, per period and/or group
+ * @param {number} userId
+ * @param {Object} options - { type, from, to, categories } filters, plus
+ *   interval (one of PERIOD_START_SQL; omit for one total over the range)
+ *   and groupBy (one of GROUP_KEY_SQL; omit for no breakdown)
+ * @returns {Promise<Array>} [{ period, group, total, count, unconvertedCount }];
+ *   only periods and groups with records (period/group are null when not asked for)
+ */
+function getTotalsByPeriod(userId, options) {
+  return new Promise((resolve, reject) => {
+    const periodSql = options.interval ? PERIOD_START_SQL[options.interval] : 'NULL';
+    const groupSql = options.groupBy ? GROUP_KEY_SQL[options.groupBy] : 'NULL';
+    const filter = buildSummaryFilter(userId, options);
+
+    // As in the summary, rows without an exchange rate are only counted
+    const sql = `
+      SELECT
+        ${periodSql} AS period,
+        ${groupSql} AS "group",
+        ROUND(COALESCE(SUM(${BASE_AMOUNT_SQL}), 0), 2) AS total,
+        COUNT(*) AS count,
+        COUNT(*) - COUNT(${BASE_AMOUNT_SQL}) AS unconvertedCount
+      FROM expenses
+      ${BASE_AMOUNT_JOINS}
+      WHERE ${filter.where}
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `;
+
+    db.all(sql, filter.params, (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to build report: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getTotalsByPeriod
+};
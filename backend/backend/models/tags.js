@@ -0,0 +1,127 @@
+const { db, BASE_AMOUNT_JOINS, BASE_AMOUNT_SQL } = require('./database');
+
+// ============================================================
+// TAG OPERATIONS
+// ============================================================
+
+/**
+ * Get the tags a user has on at least one expense, most used first
+ * @param {number} userId
+ * @returns {Promise<Array>} [{ id, name, count }]
+ */
+function getTags(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT t.id, t.name, COUNT(*) AS count
+      FROM tags t
+      JOIN expense_tags et ON et.tag_id = t.id
+      JOIN expenses ON expenses.id = et.expense_id
+      WHERE t.user_id = ? AND expenses.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY count DESC, t.name
+    `;
+
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to fetch tags: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Run one write statement
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {Promise<void>}
+ */
+function run(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) {
+        reject(new Error(`Failed to save tags: ${err.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Replace the tags on an expense, creating tags the user doesn't have yet
+ * Call inside runInTransaction() together with the expense write.
+ * @param {number} expenseId
+ * @param {Array<string>} names - Sanitized tag names
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+async function setExpenseTags(expenseId, names, userId) {
+  await run('DELETE FROM expense_tags WHERE expense_id = ?', [expenseId]);
+  if (names.length === 0) return;
+
+  // Names are case-insensitive, so "Work" reuses an existing "work"
+  for (const name of names) {
+    await run('INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)', [userId, name]);
+  }
+
+  await run(`
+    INSERT INTO expense_tags (expense_id, tag_id)
+    SELECT ?, id FROM tags WHERE user_id = ? AND name IN (${names.map(() => '?').join(', ')})
+  `, [expenseId, userId, ...names]);
+}
+
+/**
+ * Spending per tag, in the base currency
+ * An expense with several tags counts towards each of them.
+ * @param {Object} range - { from, to } (YYYY-MM-DD, both optional)
+ * @param {number} userId
+ * @returns {Promise<Array>} [{ tag, count, total, unconvertedCount }]
+ */
+function getTagTotals(range, userId) {
+  return new Promise((resolve, reject) => {
+    const conditions = ['t.user_id = ?', "expenses.type = 'expense'", 'expenses.deleted_at IS NULL'];
+    const params = [userId];
+
+    if (range.from) {
+      conditions.push('expenses.date >= ?');
+      params.push(range.from);
+    }
+
+    if (range.to) {
+      conditions.push('expenses.date <= ?');
+      params.push(range.to);
+    }
+
+    // Rows without an exchange rate are left out of total and counted instead
+    const sql = `
+      SELECT
+        t.name AS tag,
+        COUNT(*) AS count,
+        ROUND(COALESCE(SUM(${BASE_AMOUNT_SQL}), 0), 2) AS total,
+        COUNT(*) - COUNT(${BASE_AMOUNT_SQL}) AS unconvertedCount
+      FROM tags t
+      JOIN expense_tags et ON et.tag_id = t.id
+      JOIN expenses ON expenses.id = et.expense_id
+      ${BASE_AMOUNT_JOINS}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY t.id
+      ORDER BY total DESC, t.name
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(new Error(`Failed to compute tag totals: ${err.message}`));
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getTags,
+  setExpenseTags,
+  getTagTotals
+};
@@ -0,0 +1,123 @@
+const { db } = require('./database');
+
+// Currency new accounts total their expenses in (they can change it later)
+const DEFAULT_BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// ============================================================
+// USER OPERATIONS
+// ============================================================
+
+/**
+ * Create a new user
+ * @param {string} email - Normalized email address
+ * @param {string} passwordHash - Output of hashPassword()
+ * @returns {Promise<Object>} Created user (without password hash)
+ */
+function createUser(email, passwordHash) {
+  return new Promise((resolve, reject) => {
+    const sql = 'INSERT INTO users (email, password_hash, base_currency) VALUES (?, ?, ?)';
+
+    db.run(sql, [email, passwordHash, DEFAULT_BASE_CURRENCY], function(err) {
+      if (err) {
+        reject(new Error(`Failed to create user: ${err.message}`));
+      } else {
+        getUserById(this.lastID)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Get user by ID (public fields only)
+ * @param {number} id - User ID
+ * @returns {Promise<Object>} User object or undefined
+ */
+function getUserById(id) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, email, base_currency, created_at FROM users WHERE id = ?';
+
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch user: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get user by email, including the password hash (for login and for
+ * linking group members; never send the row to the client)
+ * @param {string} email
+ * @returns {Promise<Object>} User row or undefined
+ */
+function getUserByEmail(email) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM users WHERE email = ?';
+
+    db.get(sql, [email], (err, row) => {
+      if (err) {
+        reject(new Error(`Failed to fetch user: ${err.message}`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Change the currency a user's totals are shown in
+ * @param {number} id - User ID
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} Updated user (public fields)
+ */
+function updateBaseCurrency(id, currency) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE users SET base_currency = ? WHERE id = ?';
+
+    db.run(sql, [currency, id], (err) => {
+      if (err) {
+        reject(new Error(`Failed to update base currency: ${err.message}`));
+      } else {
+        getUserById(id)
+          .then(resolve)
+          .catch(reject);
+      }
+    });
+  });
+}
+
+/**
+ * Give the expenses saved before user accounts existed (they have no
+ * owner) to the first account registered, so upgrading doesn't hide them.
+ * Does nothing for any later account.
+ * @param {number} userId - The account just registered
+ * @returns {Promise<number>} How many expenses were claimed
+ */
+function claimLegacyExpenses(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE expenses SET user_id = ?
+      WHERE user_id IS NULL AND ? = (SELECT MIN(id) FROM users)
+    `;
+
+    db.run(sql, [userId, userId], function(err) {
+      if (err) {
+        reject(new Error(`Failed to claim existing expenses: ${err.message}`));
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+module.exports = {
+  createUser,
+  claimLegacyExpenses,
+  getUserById,
+  getUserByEmail,
+  updateBaseCurrency
+};
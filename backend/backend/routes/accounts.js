@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchAccounts,
+  createAccount,
+  updateAccountData,
+  removeAccount,
+  getAccountBalances,
+  fetchTransfers,
+  createTransfer,
+  removeTransfer
+} = require('../controllers/accountController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/accounts - Get the user's accounts with current balances
+router.get('/', fetchAccounts);
+
+// GET /api/accounts/balances?from&to - Running balance of each account over time
+router.get('/balances', getAccountBalances);
+
+// GET /api/accounts/transfers - Get transfers between accounts
+router.get('/transfers', fetchTransfers);
+
+// POST /api/accounts/transfers - Move money from one account to another
+router.post('/transfers', createTransfer);
+
+// DELETE /api/accounts/transfers/:id - Delete a transfer
+router.delete('/transfers/:id', removeTransfer);
+
+// POST /api/accounts - Create an account
+router.post('/', createAccount);
+
+// PUT /api/accounts/:id - Update an account
+router.put('/:id', updateAccountData);
+
+// DELETE /api/accounts/:id - Delete an unused account
+router.delete('/:id', removeAccount);
+
+module.exports = router;
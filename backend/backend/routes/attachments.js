@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  downloadAttachment,
+  removeAttachment
+} = require('../controllers/attachmentController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+// Uploads go through /api/expenses/:id/attachments
+
+// GET /api/attachments/:id - Download a receipt (?download=true to save it)
+router.get('/:id', downloadAttachment);
+
+// DELETE /api/attachments/:id - Delete a receipt
+router.delete('/:id', removeAttachment);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  register,
+  login,
+  getCurrentUser
+} = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// POST /api/auth/register - Create account and get a token
+router.post('/register', register);
+
+// POST /api/auth/login - Exchange credentials for a token
+router.post('/login', login);
+
+// GET /api/auth/me - Get the logged-in user
+router.get('/me', requireAuth, getCurrentUser);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchBudgets,
+  createBudget,
+  updateBudgetData,
+  removeBudget,
+  getBudgetStatus
+} = require('../controllers/budgetController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/budgets - Get the user's budgets
+router.get('/', fetchBudgets);
+
+// GET /api/budgets/status?month=YYYY-MM - Spending against each budget
+router.get('/status', getBudgetStatus);
+
+// POST /api/budgets - Create a monthly budget for a category
+router.post('/', createBudget);
+
+// PUT /api/budgets/:id - Change a budget's amount
+router.put('/:id', updateBudgetData);
+
+// DELETE /api/budgets/:id - Delete budget
+router.delete('/:id', removeBudget);
+
+module.exports = router;
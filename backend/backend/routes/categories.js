@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchCategories,
+  createCategory,
+  updateCategoryData,
+  mergeCategory,
+  removeCategory
+} = require('../controllers/categoryController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/categories - Get the user's categories
+router.get('/', fetchCategories);
+
+// POST /api/categories - Create new category
+router.post('/', createCategory);
+
+// PUT /api/categories/:id - Update (or rename) category
+router.put('/:id', updateCategoryData);
+
+// POST /api/categories/:id/merge - Move everything into another category
+router.post('/:id/merge', mergeCategory);
+
+// DELETE /api/categories/:id - Delete unused category
+router.delete('/:id', removeCategory);
+
+module.exports = router;
@@ -3,33 +3,80 @@ const router = express.Router();
 
 const {
   fetchAllExpenses,
+  exportExpenses,
   createExpense,
   updateExpenseData,
   removeExpense,
-  getCategories,
+  batchExpenses,
+  fetchTrash,
+  restoreTrashedExpense,
+  purgeTrashedExpense,
+  emptyTrash,
+  fetchExpenseHistory,
+  revertExpense,
   getSummary
 } = require('../controllers/expenseController');
+const { importExpenses } = require('../controllers/importController');
+const {
+  fetchAttachments,
+  addAttachments,
+  replaceAttachments
+} = require('../controllers/attachmentController');
+const { uploadAttachments } = require('../middleware/upload');
 
 // ============================================================
 // ROUTE DEFINITIONS
 // ============================================================
 
-// GET /api/expenses - Get all expenses
+// GET /api/expenses - Get all expenses and income (?type=expense|income for one kind)
 router.get('/', fetchAllExpenses);
 
-// GET /api/expenses/categories - Get available categories
-router.get('/categories', getCategories);
+// GET /api/expenses/export - Download as CSV, JSON or OFX (same filters as the list)
+router.get('/export', exportExpenses);
 
-// GET /api/expenses/summary - Get spending summary
+// GET /api/expenses/summary - Spending summary with income and net (?from, ?to, ?category, ?rollup=true)
 router.get('/summary', getSummary);
 
-// POST /api/expenses - Create new expense
+// POST /api/expenses - Create new expense (type: 'income' for money in; clientId makes a retry safe)
 router.post('/', createExpense);
 
-// PUT /api/expenses/:id - Update expense
+// POST /api/expenses/import - Import expenses from CSV (dryRun to preview)
+router.post('/import', importExpenses);
+
+// POST /api/expenses/batch - Create, update and delete many expenses in one transaction
+router.post('/batch', batchExpenses);
+
+// GET /api/expenses/trash - Deleted expenses, with when each will be purged
+router.get('/trash', fetchTrash);
+
+// DELETE /api/expenses/trash - Permanently delete everything in the trash
+router.delete('/trash', emptyTrash);
+
+// DELETE /api/expenses/trash/:id - Permanently delete one expense in the trash
+router.delete('/trash/:id', purgeTrashedExpense);
+
+// POST /api/expenses/:id/restore - Take an expense back out of the trash
+router.post('/:id/restore', restoreTrashedExpense);
+
+// PUT /api/expenses/:id - Update expense (409 if baseRevision is out of date)
 router.put('/:id', updateExpenseData);
 
-// DELETE /api/expenses/:id - Delete expense
+// GET /api/expenses/:id/history - Every change made to an expense, newest first
+router.get('/:id/history', fetchExpenseHistory);
+
+// POST /api/expenses/:id/revert/:revisionId - Put an expense back as a revision left it
+router.post('/:id/revert/:revisionId', revertExpense);
+
+// GET /api/expenses/:id/attachments - List an expense's receipts
+router.get('/:id/attachments', fetchAttachments);
+
+// POST /api/expenses/:id/attachments - Attach receipts (multipart field "files")
+router.post('/:id/attachments', uploadAttachments, addAttachments);
+
+// PUT /api/expenses/:id/attachments - Replace all receipts with the uploaded files
+router.put('/:id/attachments', uploadAttachments, replaceAttachments);
+
+// DELETE /api/expenses/:id - Move expense to the trash (?baseRevision, as for updates)
 router.delete('/:id', removeExpense);
 
 module.exports = router;
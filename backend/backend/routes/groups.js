@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchGroups,
+  fetchGroup,
+  createGroup,
+  removeGroup,
+  createMember,
+  removeMember,
+  fetchGroupExpenses,
+  getGroupBalances,
+  fetchSettlements,
+  createSettlement
+} = require('../controllers/groupController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+// Shared expenses are added through /api/expenses with groupId, paidBy and split
+
+// GET /api/groups - Groups the user belongs to
+router.get('/', fetchGroups);
+
+// POST /api/groups - Create a group (the user becomes its first member)
+router.post('/', createGroup);
+
+// GET /api/groups/:id - One group with its members
+router.get('/:id', fetchGroup);
+
+// DELETE /api/groups/:id - Delete a group (creator only)
+router.delete('/:id', removeGroup);
+
+// POST /api/groups/:id/members - Add a member (by name, optionally linked by email)
+router.post('/:id/members', createMember);
+
+// DELETE /api/groups/:id/members/:memberId - Remove a member with no activity
+router.delete('/:id/members/:memberId', removeMember);
+
+// GET /api/groups/:id/expenses - Expenses shared in the group
+router.get('/:id/expenses', fetchGroupExpenses);
+
+// GET /api/groups/:id/balances - Who owes whom, and how to settle up
+router.get('/:id/balances', getGroupBalances);
+
+// GET /api/groups/:id/settlements - Payments recorded between members
+router.get('/:id/settlements', fetchSettlements);
+
+// POST /api/groups/:id/settlements - Record a payment between members
+router.post('/:id/settlements', createSettlement);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchRates,
+  setRate,
+  importRates,
+  removeRate,
+  setBaseCurrency
+} = require('../controllers/rateController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/rates - Base currency, stored rates and currencies missing one
+router.get('/', fetchRates);
+
+// PUT /api/rates/base - Change the base currency (rates are converted)
+router.put('/base', setBaseCurrency);
+
+// POST /api/rates/import - Import rates from a JSON or CSV file's contents
+router.post('/import', importRates);
+
+// PUT /api/rates/:currency - Set the rate for one currency
+router.put('/:currency', setRate);
+
+// DELETE /api/rates/:currency - Delete a rate
+router.delete('/:currency', removeRate);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchRecurring,
+  createRecurring,
+  updateRecurringData,
+  removeRecurring
+} = require('../controllers/recurringController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/recurring - Get the user's recurring expenses
+router.get('/', fetchRecurring);
+
+// POST /api/recurring - Create a rule (back-fills occurrences already due)
+router.post('/', createRecurring);
+
+// PUT /api/recurring/:id - Update a rule ({ applyFrom } also rewrites generated expenses)
+router.put('/:id', updateRecurringData);
+
+// DELETE /api/recurring/:id - Delete a rule, keeping its past expenses
+router.delete('/:id', removeRecurring);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const { getTimeseries } = require('../controllers/reportController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/reports/timeseries?interval&from&to&groupBy&type&category - Totals per period, zero-filled, with comparisons
+router.get('/timeseries', getTimeseries);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  fetchTags,
+  getTagSummary
+} = require('../controllers/tagController');
+
+// ============================================================
+// ROUTE DEFINITIONS
+// ============================================================
+
+// GET /api/tags - Tags in use, most used first
+router.get('/', fetchTags);
+
+// GET /api/tags/summary?from=&to= - Spending per tag
+router.get('/summary', getTagSummary);
+
+module.exports = router;
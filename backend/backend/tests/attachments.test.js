@@ -0,0 +1,23 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { closeDatabase } = require('./helpers');
+const { initializeDatabase } = require('../models/database');
+const { writeStoredFile, getStoredPath, removeOrphanedFiles } = require('../models/attachments');
+
+before(() => initializeDatabase());
+after(() => closeDatabase());
+
+const HOUR = 60 * 60 * 1000;
+
+test('orphan cleanup keeps a file an upload has not recorded yet', async () => {
+  // Written but its row not inserted yet, as in the middle of an upload
+  const storedName = await writeStoredFile(Buffer.from('%PDF-1.4'), 'application/pdf');
+
+  assert.equal(await removeOrphanedFiles(), 0);
+  assert.ok(fs.existsSync(getStoredPath(storedName)));
+
+  assert.equal(await removeOrphanedFiles(Date.now() + HOUR), 1);
+  assert.ok(!fs.existsSync(getStoredPath(storedName)));
+});
@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let aliceExpense;
+
+before(async () => {
+  server = await startServer();
+  alice = await registerUser(server.baseUrl, 'alice@example.com');
+  bob = await registerUser(server.baseUrl, 'bob@example.com');
+
+  const { body } = await request(server.baseUrl, 'POST', '/api/expenses', {
+    token: alice.token,
+    body: { date: '2024-03-01', amount: 12.5, category: 'Food', description: 'Lunch' }
+  });
+  aliceExpense = body.data;
+});
+
+after(() => server.close());
+
+test('expense endpoints need a valid token', async () => {
+  const missing = await request(server.baseUrl, 'GET', '/api/expenses');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error.code, 'UNAUTHORIZED');
+
+  const forged = await request(server.baseUrl, 'GET', '/api/expenses', { token: `${alice.token}x` });
+  assert.equal(forged.status, 401);
+});
+
+test('login returns a token for the same account', async () => {
+  const wrong = await request(server.baseUrl, 'POST', '/api/auth/login', {
+    body: { email: 'alice@example.com', password: 'not the password' }
+  });
+  assert.equal(wrong.status, 401);
+
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/auth/login', {
+    body: { email: 'ALICE@example.com', password: 'correct horse battery' }
+  });
+  assert.equal(status, 200);
+
+  const me = await request(server.baseUrl, 'GET', '/api/auth/me', { token: body.data.token });
+  assert.equal(me.body.data.id, alice.user.id);
+});
+
+test('an email can only be registered once', async () => {
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/auth/register', {
+    body: { email: 'Alice@Example.com', password: 'another password' }
+  });
+  assert.equal(status, 409);
+  assert.equal(body.error.code, 'EMAIL_TAKEN');
+});
+
+test('users only list their own expenses', async () => {
+  const mine = await request(server.baseUrl, 'GET', '/api/expenses', { token: alice.token });
+  assert.deepEqual(mine.body.data.map(expense => expense.id), [aliceExpense.id]);
+
+  const theirs = await request(server.baseUrl, 'GET', '/api/expenses', { token: bob.token });
+  assert.deepEqual(theirs.body.data, []);
+});
+
+test("another user's expense can't be changed, deleted or read", async () => {
+  const url = `/api/expenses/${aliceExpense.id}`;
+
+  const update = await request(server.baseUrl, 'PUT', url, { token: bob.token, body: { amount: 1 } });
+  assert.equal(update.status, 404);
+
+  const remove = await request(server.baseUrl, 'DELETE', url, { token: bob.token });
+  assert.equal(remove.status, 404);
+
+  const history = await request(server.baseUrl, 'GET', `${url}/history`, { token: bob.token });
+  assert.equal(history.status, 404);
+
+  const { body } = await request(server.baseUrl, 'GET', '/api/expenses', { token: alice.token });
+  assert.equal(body.data[0].amount, 12.5);
+});
+
+test('summaries and categories are per user', async () => {
+  const summary = await request(server.baseUrl, 'GET', '/api/expenses/summary', { token: bob.token });
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.data.count, 0);
+
+  const created = await request(server.baseUrl, 'POST', '/api/categories', {
+    token: alice.token,
+    body: { name: 'Hobbies' }
+  });
+  assert.equal(created.status, 201);
+
+  const { body } = await request(server.baseUrl, 'GET', '/api/categories', { token: bob.token });
+  assert.ok(!body.data.some(category => category.name === 'Hobbies'));
+});
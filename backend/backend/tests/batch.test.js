@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+const { db } = require('../models/database');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'batch@example.com'));
+});
+
+after(() => server.close());
+
+/**
+ * Create an expense and return it as saved
+ * @param {string} description
+ * @returns {Promise<Object>}
+ */
+async function createExpense(description) {
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-05-01', amount: 20, category: 'Food', description }
+  });
+  assert.equal(status, 201);
+  return body.data;
+}
+
+/**
+ * The user's live expenses and trash, as [description, amount, revision]
+ * @returns {Promise<Object>} { live, trash }
+ */
+async function snapshot() {
+  const list = async url => (await request(server.baseUrl, 'GET', url, { token })).body.data
+    .map(expense => [expense.description, expense.amount, expense.revision])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  return { live: await list('/api/expenses'), trash: await list('/api/expenses/trash') };
+}
+
+/**
+ * Run one statement on the app's connection
+ * @param {string} sql
+ * @returns {Promise<void>}
+ */
+function run(sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Send a batch
+ * @param {Array<Object>} operations
+ * @returns {Promise<Object>} Response
+ */
+function sendBatch(operations) {
+  return request(server.baseUrl, 'POST', '/api/expenses/batch', { token, body: { operations } });
+}
+
+test('a batch applies every operation in order', async () => {
+  const kept = await createExpense('Kept');
+  const gone = await createExpense('Gone');
+
+  const { status, body } = await sendBatch([
+    { op: 'create', data: { date: '2024-05-02', amount: 5, category: 'Food', description: 'New' } },
+    { op: 'update', id: kept.id, data: { amount: 25 } },
+    { op: 'delete', id: gone.id }
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual([body.data.created, body.data.updated, body.data.deleted], [1, 1, 1]);
+  assert.deepEqual(body.data.results.map(result => result.op), ['create', 'update', 'delete']);
+
+  const { live, trash } = await snapshot();
+  assert.deepEqual(live.map(([description, amount]) => [description, amount]), [['Kept', 25], ['New', 5]]);
+  assert.deepEqual(trash.map(([description]) => description), ['Gone']);
+});
+
+test('an invalid operation leaves the whole batch unapplied', async () => {
+  const expense = await createExpense('Untouched');
+  const start = await snapshot();
+
+  const { status, body } = await sendBatch([
+    { op: 'create', data: { date: '2024-05-03', amount: 7, category: 'Food', description: 'Never' } },
+    { op: 'update', id: expense.id, data: { amount: -1 } },
+    { op: 'delete', id: 999999 }
+  ]);
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(body.error.details.operations.map(operation => operation.index), [1, 2]);
+
+  assert.deepEqual(await snapshot(), start);
+});
+
+test('a failure while applying rolls back the operations before it', async () => {
+  const edited = await createExpense('Edited');
+  const trashed = await createExpense('Trashed');
+  const start = await snapshot();
+
+  // Passes every check, then fails inside the transaction
+  await run(`
+    CREATE TEMP TRIGGER fail_batch_insert BEFORE INSERT ON expenses
+    WHEN NEW.description = 'Explodes'
+    BEGIN SELECT RAISE(ABORT, 'insert refused'); END
+  `);
+
+  try {
+    const { status } = await sendBatch([
+      { op: 'update', id: edited.id, data: { amount: 99 } },
+      { op: 'delete', id: trashed.id },
+      { op: 'create', data: { date: '2024-05-04', amount: 9, category: 'Food', description: 'Rolled back' } },
+      { op: 'create', data: { date: '2024-05-04', amount: 9, category: 'Food', description: 'Explodes' } }
+    ]);
+    assert.equal(status, 500);
+  } finally {
+    await run('DROP TRIGGER fail_batch_insert');
+  }
+
+  assert.deepEqual(await snapshot(), start);
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'categories@example.com'));
+});
+
+after(() => server.close());
+
+/**
+ * The user's category with this name
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+async function findCategory(name) {
+  const { body } = await request(server.baseUrl, 'GET', '/api/categories', { token });
+  return body.data.find(category => category.name === name);
+}
+
+/**
+ * Create a category and return it
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+async function createCategory(name) {
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/categories', { token, body: { name } });
+  assert.equal(status, 201);
+  return body.data;
+}
+
+/**
+ * Set a budget on a category
+ * @param {Object} category
+ * @param {number} amount
+ */
+async function createBudget(category, amount) {
+  const { status } = await request(server.baseUrl, 'POST', '/api/budgets', {
+    token,
+    body: { categoryId: category.id, amount }
+  });
+  assert.equal(status, 201);
+}
+
+test('merging moves the budget to the target category', async () => {
+  const source = await createCategory('Dining');
+  const target = await createCategory('Eating out');
+  await createBudget(source, 600);
+
+  const { status } = await request(server.baseUrl, 'POST', `/api/categories/${source.id}/merge`, {
+    token,
+    body: { targetId: target.id }
+  });
+  assert.equal(status, 200);
+
+  const { body } = await request(server.baseUrl, 'GET', '/api/budgets', { token });
+  assert.deepEqual(body.data.map(budget => [budget.category, budget.amount]), [['Eating out', 600]]);
+});
+
+test('merging two categories that both have a budget is refused', async () => {
+  const source = await createCategory('Snacks');
+  const target = await findCategory('Eating out');
+  await createBudget(source, 50);
+
+  const { status, body } = await request(server.baseUrl, 'POST', `/api/categories/${source.id}/merge`, {
+    token,
+    body: { targetId: target.id }
+  });
+  assert.equal(status, 409);
+  assert.equal(body.error.code, 'BUDGET_CONFLICT');
+
+  assert.ok(await findCategory('Snacks'));
+  const budgets = await request(server.baseUrl, 'GET', '/api/budgets', { token });
+  assert.equal(budgets.body.data.length, 2);
+});
+
+test('renaming or merging a category records the change in each expense history', async () => {
+  const hobbies = await createCategory('Hobbies');
+  const created = await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-05-01', amount: 12, category: 'Hobbies' }
+  });
+  const expense = created.body.data;
+
+  const renamed = await request(server.baseUrl, 'PUT', `/api/categories/${hobbies.id}`, {
+    token,
+    body: { name: 'Pastimes' }
+  });
+  assert.equal(renamed.status, 200);
+
+  // An edit made before the rename is stale now
+  const stale = await request(server.baseUrl, 'PUT', `/api/expenses/${expense.id}`, {
+    token,
+    body: { amount: 15, baseRevision: expense.revision }
+  });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.error.details.current.category, 'Pastimes');
+
+  const target = await createCategory('Leisure');
+  await request(server.baseUrl, 'POST', `/api/categories/${hobbies.id}/merge`, {
+    token,
+    body: { targetId: target.id }
+  });
+
+  const { body } = await request(server.baseUrl, 'GET', `/api/expenses/${expense.id}/history`, { token });
+  assert.deepEqual(
+    body.data.map(entry => [entry.action, entry.before?.category, entry.after.category]),
+    [['update', 'Pastimes', 'Leisure'], ['update', 'Hobbies', 'Pastimes'], ['create', undefined, 'Hobbies']]
+  );
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { startServer, request, registerUser } = require('./helpers');
+const { db } = require('../models/database');
+const { exportExpenses } = require('../controllers/expenseController');
+
+// More than two pages of rows (see eachExpense)
+const ROW_COUNT = 1201;
+
+let server;
+let user;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ user, token } = await registerUser(server.baseUrl, 'export@example.com'));
+
+  await new Promise((resolve, reject) => {
+    const sql = `
+      WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+      INSERT INTO expenses (user_id, date, amount, currency, category, description)
+      SELECT ?, date('2024-01-01', '+' || (i % 365) || ' days'), i, 'USD', 'Food', 'Row ' || i FROM n
+    `;
+    db.run(sql, [ROW_COUNT, user.id], (err) => (err ? reject(err) : resolve()));
+  });
+});
+
+after(() => server.close());
+
+/**
+ * A stand-in response whose buffer is always full: every write returns
+ * false and 'drain' follows a moment later
+ * @returns {Object}
+ */
+function createSlowResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writesWhileFull = 0;
+  res.full = false;
+
+  res.status = () => res;
+  res.set = () => res;
+  res.write = (chunk) => {
+    if (res.full) res.writesWhileFull += 1;
+    res.chunks.push(chunk);
+    res.full = true;
+    setImmediate(() => {
+      res.full = false;
+      res.emit('drain');
+    });
+    return false;
+  };
+  res.end = (chunk) => {
+    res.chunks.push(chunk);
+    res.ended = true;
+  };
+  res.destroy = (error) => {
+    res.destroyedWith = error;
+  };
+  return res;
+}
+
+test('the export has every row once, across pages', async () => {
+  const { status, text } = await request(server.baseUrl, 'GET', '/api/expenses/export?format=csv', { token });
+  assert.equal(status, 200);
+
+  const ids = text.trim().split('\n').slice(1).map(line => line.split(',')[0]);
+  assert.equal(ids.length, ROW_COUNT);
+  assert.equal(new Set(ids).size, ROW_COUNT);
+});
+
+test('a full buffer is left to drain before writing more', async () => {
+  const res = createSlowResponse();
+  await exportExpenses({ query: { format: 'json' }, user }, res, assert.fail);
+
+  assert.equal(res.writesWhileFull, 0);
+  assert.ok(res.ended);
+  assert.equal(JSON.parse(res.chunks.join('')).length, ROW_COUNT);
+});
+
+test('the export stops when the client goes away', async () => {
+  const res = createSlowResponse();
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    if (res.chunks.length === 10) setImmediate(() => res.emit('close'));
+    else setImmediate(() => res.emit('drain'));
+    return false;
+  };
+
+  await exportExpenses({ query: { format: 'csv' }, user }, res, assert.fail);
+
+  assert.match(res.destroyedWith.message, /closed/);
+  assert.equal(res.chunks.length, 10);
+  assert.ok(!res.ended);
+});
+
+test('OFX needs a rate for every currency, as it states amounts in one', async () => {
+  await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-06-01', amount: 50, currency: 'EUR', category: 'Food' }
+  });
+
+  const refused = await request(server.baseUrl, 'GET', '/api/expenses/export?format=ofx', { token });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.error.code, 'MISSING_EXCHANGE_RATES');
+  assert.deepEqual(refused.body.error.details.currencies, ['EUR']);
+
+  // A rate is how many units of the currency one base unit buys
+  await request(server.baseUrl, 'PUT', '/api/rates/EUR', { token, body: { rate: 0.8 } });
+
+  const { status, text } = await request(server.baseUrl, 'GET', '/api/expenses/export?format=ofx', { token });
+  assert.equal(status, 200);
+  assert.match(text, /<TRNAMT>-50\.00<\/TRNAMT>[\s\S]*?<CURRATE>1\.250000<\/CURRATE><CURSYM>EUR<\/CURSYM>/);
+});
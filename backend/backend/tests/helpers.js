@@ -0,0 +1,111 @@
+/**
+ * TEST HELPERS
+ * node --test runs every test file in its own process, so each file gets
+ * its own database: a temporary file set as DB_PATH before any model loads.
+ * Require this module before anything under models/.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expense-tracker-test-'));
+process.env.DB_PATH = path.join(tempDir, 'database.db');
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+
+// The app logs its connection, each migration and every handled error;
+// keep the output to the test results (TEST_VERBOSE=1 shows the logs)
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const { db, initializeDatabase } = require('../models/database');
+const { app } = require('../../server');
+
+// ============================================================
+// SERVER
+// ============================================================
+
+/**
+ * Migrate the test database and serve the API on a free port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function startServer() {
+  await initializeDatabase();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)).then(closeDatabase)
+  };
+}
+
+/**
+ * Close the database and delete the temporary files
+ * @returns {Promise<void>}
+ */
+function closeDatabase() {
+  return new Promise((resolve, reject) => {
+    db.close((err) => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+// ============================================================
+// REQUESTS
+// ============================================================
+
+/**
+ * Call the API
+ * @param {string} baseUrl
+ * @param {string} method
+ * @param {string} url - Path and query, e.g. '/api/expenses?sort=date'
+ * @param {Object} [options] - { token, body }
+ * @returns {Promise<Object>} { status, headers, text, body }, body parsed if JSON
+ */
+async function request(baseUrl, method, url, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    text,
+    body: text && response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : null
+  };
+}
+
+/**
+ * Register an account and return its token
+ * @param {string} baseUrl
+ * @param {string} email
+ * @returns {Promise<Object>} { user, token }
+ */
+async function registerUser(baseUrl, email) {
+  const { status, body } = await request(baseUrl, 'POST', '/api/auth/register', {
+    body: { email, password: 'correct horse battery' }
+  });
+  if (status !== 201) throw new Error(`Registering ${email} failed: ${JSON.stringify(body)}`);
+  return body.data;
+}
+
+module.exports = {
+  startServer,
+  closeDatabase,
+  request,
+  registerUser
+};
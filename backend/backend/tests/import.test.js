@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'import@example.com'));
+});
+
+after(() => server.close());
+
+const CSV = 'date,amount,category\n2024-01-02,5,Food\n2024-01-03,7.5,Transport\n';
+
+/**
+ * Post an import
+ * @param {Object} body
+ * @returns {Promise<Object>} { status, body }
+ */
+function importCsv(body) {
+  return request(server.baseUrl, 'POST', '/api/expenses/import', { token, body });
+}
+
+test('a dry run previews the rows and saves nothing', async () => {
+  const { status, body } = await importCsv({ csv: CSV, dryRun: 'true' });
+  assert.equal(status, 200);
+  assert.equal(body.data.dryRun, true);
+  assert.equal(body.data.valid, 2);
+
+  const list = await request(server.baseUrl, 'GET', '/api/expenses', { token });
+  assert.equal(list.body.data.length, 0);
+});
+
+test('dryRun "false" imports the rows', async () => {
+  const { status, body } = await importCsv({ csv: CSV, dryRun: 'false' });
+  assert.equal(status, 201);
+  assert.equal(body.data.imported, 2);
+});
+
+test('hasHeader "false" imports the first row too', async () => {
+  const { status, body } = await importCsv({
+    csv: '2024-02-01,3,Food\n2024-02-02,4,Food\n',
+    hasHeader: 'false',
+    mapping: { date: 0, amount: 1, category: 2 },
+    dryRun: false
+  });
+  assert.equal(status, 201);
+  assert.deepEqual(body.data.expenses.map(expense => expense.date), ['2024-02-01', '2024-02-02']);
+});
+
+test('flags other than true or false are rejected', async () => {
+  const { status, body } = await importCsv({ csv: CSV, dryRun: 'yes', hasHeader: 0 });
+  assert.equal(status, 400);
+  assert.deepEqual(body.error.details.errors.map(error => error.field).sort(), ['dryRun', 'hasHeader']);
+});
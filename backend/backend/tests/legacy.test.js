@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+const { db } = require('../models/database');
+
+let server;
+
+/**
+ * Run one statement
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {Promise<void>}
+ */
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// A database as the app left it before user accounts and migrations
+before(async () => {
+  await run(`
+    CREATE TABLE expenses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      category TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run("INSERT INTO expenses (date, amount, category, description) VALUES ('2023-01-05', 9.99, 'Food', 'Pizza')");
+  await run("INSERT INTO expenses (date, amount, category) VALUES ('2023-01-06', 45, 'Transport')");
+
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('the first account registered gets the expenses from before accounts', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner@example.com');
+  const { body } = await request(server.baseUrl, 'GET', '/api/expenses?sort=date&order=asc', { token: owner.token });
+
+  assert.deepEqual(body.data.map(expense => [expense.date, expense.amount, expense.currency]), [
+    ['2023-01-05', 9.99, 'USD'],
+    ['2023-01-06', 45, 'USD']
+  ]);
+});
+
+test('later accounts see none of them', async () => {
+  const other = await registerUser(server.baseUrl, 'other@example.com');
+  const { body } = await request(server.baseUrl, 'GET', '/api/expenses', { token: other.token });
+  assert.deepEqual(body.data, []);
+});
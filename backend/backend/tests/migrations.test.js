@@ -0,0 +1,149 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { closeDatabase } = require('./helpers');
+const { db, migrate, rollback, getMigrationStatus } = require('../models/database');
+
+after(() => closeDatabase());
+
+const SERVER_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Run one statement
+ * @param {string} sql
+ * @returns {Promise<void>}
+ */
+function run(sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Names of the tables in the database
+ * @returns {Promise<Array<string>>}
+ */
+function listTables() {
+  return new Promise((resolve, reject) => {
+    db.all("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name", [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.name));
+    });
+  });
+}
+
+/**
+ * Names of a table's columns
+ * @param {string} table
+ * @returns {Promise<Array<string>>}
+ */
+function listColumns(table) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.name));
+    });
+  });
+}
+
+test('migrate applies every migration once', async () => {
+  const applied = await migrate();
+  assert.ok(applied.length > 0);
+  assert.equal(applied[0], '001_initial_schema');
+
+  const status = await getMigrationStatus();
+  assert.ok(status.every(migration => migration.state === 'applied'));
+  assert.deepEqual(await migrate(), []);
+
+  const tables = await listTables();
+  for (const table of ['users', 'expenses', 'categories', 'expense_history', 'schema_migrations']) {
+    assert.ok(tables.includes(table), `${table} exists`);
+  }
+  assert.ok((await listColumns('expenses')).includes('client_id'));
+});
+
+test('each migration rolls back and applies again', async () => {
+  const count = (await getMigrationStatus()).length;
+
+  for (let step = 1; step <= count; step++) {
+    const [rolledBack] = await rollback(1);
+    const status = await getMigrationStatus();
+    assert.equal(status.find(migration => migration.id === rolledBack).state, 'pending');
+  }
+
+  // Only the migration log is left
+  assert.deepEqual((await listTables()).filter(name => name !== 'sqlite_sequence'), ['schema_migrations']);
+
+  assert.equal((await migrate()).length, count);
+  assert.ok((await getMigrationStatus()).every(migration => migration.state === 'applied'));
+});
+
+test('rolling back stops at the last applied migration', async () => {
+  const [latest] = (await getMigrationStatus()).slice(-1);
+  assert.deepEqual(await rollback(1), [latest.id]);
+  assert.deepEqual(await migrate(), [latest.id]);
+});
+
+test('ownerless expenses go to the first account on upgrade', async () => {
+  const status = await getMigrationStatus();
+  await rollback(status.filter(migration => migration.version >= 6).length);
+  await run("INSERT INTO users (email, password_hash) VALUES ('first@example.com', 'x'), ('second@example.com', 'x')");
+  await run("INSERT INTO expenses (date, amount, category) VALUES ('2023-02-01', 3.5, 'Food')");
+
+  await migrate();
+
+  const owners = await new Promise((resolve, reject) => {
+    db.all('SELECT u.email FROM expenses e JOIN users u ON u.id = e.user_id', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.email));
+    });
+  });
+  assert.deepEqual(owners, ['first@example.com']);
+});
+
+test('node migrate.js reports, applies and rolls back migrations', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expense-tracker-cli-'));
+
+  /**
+   * Run the CLI against its own database
+   * @param {...string} args
+   * @returns {Promise<Object>} { code, stdout, stderr }
+   */
+  const cli = (...args) => new Promise((resolve) => {
+    execFile(process.execPath, ['migrate.js', ...args], {
+      cwd: SERVER_DIR,
+      env: { ...process.env, DB_PATH: path.join(dataDir, 'database.db') },
+      timeout: 30000
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+
+  try {
+    let result = await cli('status');
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /pending +001_initial_schema/);
+
+    result = await cli('up', '1');
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Applied 001_initial_schema/);
+    assert.doesNotMatch(result.stdout, /002_/);
+
+    result = await cli('up');
+    assert.match(result.stdout, /Applied 006_claim_legacy_expenses/);
+    assert.match((await cli('up')).stdout, /Already up to date/);
+
+    result = await cli('down', '2');
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Rolled back 006_claim_legacy_expenses\n.*Rolled back 005_client_ids/);
+    assert.match((await cli('status')).stdout, /applied +004_soft_delete[^\n]*\npending +005_client_ids/);
+
+    result = await cli('down', 'all');
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Expected a positive whole number/);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'recurring@example.com'));
+});
+
+after(() => server.close());
+
+/**
+ * [date, amount] of the user's expenses, live or in the trash
+ * @param {string} url - '/api/expenses' or '/api/expenses/trash'
+ * @returns {Promise<Array>}
+ */
+async function listDates(url) {
+  const { body } = await request(server.baseUrl, 'GET', url, { token });
+  return body.data
+    .map(expense => [expense.date, expense.amount])
+    .sort((a, b) => a[0].localeCompare(b[0]) || a[1] - b[1]);
+}
+
+test('rewriting a rule moves its occurrences to the trash and keeps skipped dates skipped', async () => {
+  const created = await request(server.baseUrl, 'POST', '/api/recurring', {
+    token,
+    body: { amount: 10, category: 'Food', frequency: 'monthly', startDate: '2024-01-15', endDate: '2024-04-15' }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.generated, 4);
+
+  // The user skips February
+  const { body } = await request(server.baseUrl, 'GET', '/api/expenses', { token });
+  const february = body.data.find(expense => expense.date === '2024-02-15');
+  assert.equal((await request(server.baseUrl, 'DELETE', `/api/expenses/${february.id}`, { token })).status, 200);
+
+  const updated = await request(server.baseUrl, 'PUT', `/api/recurring/${created.body.data.id}`, {
+    token,
+    body: { amount: 20, applyFrom: '2024-01-01' }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.removed, 3);
+  assert.equal(updated.body.created, 3);
+
+  assert.deepEqual(await listDates('/api/expenses'), [
+    ['2024-01-15', 20], ['2024-03-15', 20], ['2024-04-15', 20]
+  ]);
+  assert.deepEqual(await listDates('/api/expenses/trash'), [
+    ['2024-01-15', 10], ['2024-02-15', 10], ['2024-03-15', 10], ['2024-04-15', 10]
+  ]);
+});
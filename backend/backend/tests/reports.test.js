@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'reports@example.com'));
+
+  const expenses = [
+    { date: '2024-03-05', amount: 30, category: 'Food' },
+    { date: '2024-02-10', amount: 20, category: 'Transport' },
+    { date: '2023-03-02', amount: 15, category: 'Utilities' }
+  ];
+  for (const expense of expenses) {
+    await request(server.baseUrl, 'POST', '/api/expenses', { token, body: expense });
+  }
+});
+
+after(() => server.close());
+
+test('compared periods list the same groups, with zeros filled in', async () => {
+  const { status, body } = await request(
+    server.baseUrl, 'GET', '/api/reports/timeseries?interval=month&groupBy=category&from=2024-01-01&to=2024-03-31', { token }
+  );
+  assert.equal(status, 200);
+
+  const { current, previous, sameLastYear } = body.data.comparison;
+  const keys = current.groups.map(group => group.key);
+  assert.deepEqual([...keys].sort(), ['Food', 'Transport', 'Utilities']);
+  assert.deepEqual(previous.groups.map(group => group.key), keys);
+  assert.deepEqual(sameLastYear.groups.map(group => group.key), keys);
+
+  const totals = (period) => Object.fromEntries(period.groups.map(group => [group.key, group.total]));
+  assert.deepEqual(totals(current), { Food: 30, Transport: 0, Utilities: 0 });
+  assert.deepEqual(totals(previous), { Food: 0, Transport: 20, Utilities: 0 });
+  assert.deepEqual(totals(sameLastYear), { Food: 0, Transport: 0, Utilities: 15 });
+
+  const transport = previous.groups.find(group => group.key === 'Transport');
+  assert.deepEqual(transport.change, { absolute: -20, percent: -100 });
+});
+
+test('the first bucket covers its whole period when from falls inside it', async () => {
+  // 2024-04-15 is a Monday; the report starts on the Wednesday after it
+  await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-04-15', amount: 8, category: 'Food' }
+  });
+
+  const { status, body } = await request(
+    server.baseUrl, 'GET', '/api/reports/timeseries?interval=week&from=2024-04-17&to=2024-04-28', { token }
+  );
+  assert.equal(status, 200);
+  assert.equal(body.data.from, '2024-04-15');
+  assert.deepEqual(body.data.buckets.map(bucket => [bucket.start, bucket.total]), [
+    ['2024-04-15', 8], ['2024-04-22', 0]
+  ]);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addDays, getOccurrencesBetween } = require('../utils/schedule');
+
+test('addDays crosses months, years and leap days', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2023-02-28', 1), '2023-03-01');
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+});
+
+test('a monthly rule on the 31st falls on the last day of shorter months', () => {
+  const rule = { frequency: 'monthly', start_date: '2024-01-31' };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2024-05-31'), [
+    '2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31'
+  ]);
+});
+
+test('clamping one month does not drag the day down for the next', () => {
+  const rule = { frequency: 'monthly', start_date: '2023-01-30' };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2023-03-31'), ['2023-01-30', '2023-02-28', '2023-03-30']);
+});
+
+test('a yearly rule from Feb 29 falls on Feb 28 outside leap years', () => {
+  const rule = { frequency: 'yearly', start_date: '2024-02-29' };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2028-12-31'), [
+    '2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29'
+  ]);
+});
+
+test('day_of_month before the start day starts the next month', () => {
+  const rule = { frequency: 'monthly', start_date: '2024-01-20', day_of_month: 5 };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2024-03-31'), ['2024-02-05', '2024-03-05']);
+});
+
+test('day_of_month after the start day starts the same month', () => {
+  const rule = { frequency: 'monthly', start_date: '2024-01-20', day_of_month: 31 };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2024-02-29'), ['2024-01-31', '2024-02-29']);
+});
+
+test('a yearly day_of_month already past this year starts next year', () => {
+  const rule = { frequency: 'yearly', start_date: '2024-06-15', day_of_month: 1 };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2026-06-30'), ['2025-06-01', '2026-06-01']);
+});
+
+test('daily and weekly rules step from the start date', () => {
+  assert.deepEqual(
+    getOccurrencesBetween({ frequency: 'weekly', start_date: '2024-02-19' }, null, '2024-03-11'),
+    ['2024-02-19', '2024-02-26', '2024-03-04', '2024-03-11']
+  );
+  assert.deepEqual(
+    getOccurrencesBetween({ frequency: 'daily', start_date: '2024-02-28' }, null, '2024-03-01'),
+    ['2024-02-28', '2024-02-29', '2024-03-01']
+  );
+});
+
+test('catching up after downtime returns every missed date once', () => {
+  const rule = { frequency: 'monthly', start_date: '2024-01-15' };
+
+  // Last generated in February; the server was down until May
+  assert.deepEqual(getOccurrencesBetween(rule, '2024-02-15', '2024-05-20'), ['2024-03-15', '2024-04-15', '2024-05-15']);
+  assert.deepEqual(getOccurrencesBetween(rule, '2024-05-15', '2024-05-20'), []);
+});
+
+test('nothing is generated past the end date', () => {
+  const rule = { frequency: 'monthly', start_date: '2024-01-10', end_date: '2024-03-09' };
+  assert.deepEqual(getOccurrencesBetween(rule, null, '2024-12-31'), ['2024-01-10', '2024-02-10']);
+});
+
+test('one catch-up run is capped', () => {
+  const rule = { frequency: 'daily', start_date: '2000-01-01' };
+  const dates = getOccurrencesBetween(rule, null, '2024-01-01');
+  assert.equal(dates.length, 1000);
+  assert.equal(dates[999], '2002-09-26');
+});
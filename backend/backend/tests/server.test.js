@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+const SERVER_DIR = path.join(__dirname, '..', '..');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'server@example.com'));
+});
+
+after(() => server.close());
+
+test('every API is mounted behind authentication', async () => {
+  const urls = [
+    '/api/expenses', '/api/categories', '/api/budgets', '/api/recurring', '/api/rates',
+    '/api/attachments/1', '/api/tags', '/api/groups', '/api/accounts', '/api/reports/timeseries'
+  ];
+
+  for (const url of urls) {
+    const { status } = await request(server.baseUrl, 'GET', url);
+    assert.equal(status, 401, url);
+  }
+
+  const unknown = await request(server.baseUrl, 'GET', '/api/nothing-here', { token });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error.code, 'NOT_FOUND');
+});
+
+test('imports take bodies over the default JSON limit', async () => {
+  const rows = Array.from({ length: 4000 }, (_, i) => `2024-01-01,${i + 1},Food,${'x'.repeat(20)}`);
+  const csv = `date,amount,category,description\n${rows.join('\n')}\n`;
+  assert.ok(csv.length > 100 * 1024);
+
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/expenses/import', {
+    token,
+    body: { csv, dryRun: true }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.data.valid, 4000);
+});
+
+test('node server.js migrates and starts listening', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expense-tracker-start-'));
+  const port = 40000 + Math.floor(Math.random() * 10000);
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_DIR,
+    env: { ...process.env, PORT: String(port), DB_PATH: path.join(dataDir, 'database.db') },
+    stdio: 'ignore'
+  });
+
+  try {
+    let health = null;
+    for (let attempt = 0; attempt < 50 && !health; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      health = await fetch(`http://127.0.0.1:${port}/health`).then(res => res.json(), () => null);
+    }
+    assert.deepEqual(health, { status: 'ok' });
+  } finally {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
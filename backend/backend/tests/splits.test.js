@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeShares, settleUp } = require('../utils/splits');
+
+/**
+ * Share amounts of a split
+ * @param {number} amount
+ * @param {string} method
+ * @param {Array<number|null>} values - One per member
+ * @returns {Array<number>}
+ */
+function shareAmounts(amount, method, values) {
+  const members = values.map((value, i) => ({ memberId: i + 1, value }));
+  return computeShares(amount, { method, members }).map(share => share.amount);
+}
+
+/**
+ * Sum amounts in whole cents
+ * @param {Array<number>} amounts
+ * @returns {number}
+ */
+function sumCents(amounts) {
+  return amounts.reduce((sum, amount) => sum + Math.round(amount * 100), 0);
+}
+
+test('an equal split gives the leftover cent to the first member', () => {
+  assert.deepEqual(shareAmounts(10, 'equal', [null, null, null]), [3.34, 3.33, 3.33]);
+  assert.deepEqual(shareAmounts(0.01, 'equal', [null, null, null]), [0.01, 0, 0]);
+});
+
+test('leftover cents go to the largest remainders', () => {
+  // 33.33 and 66.67 exactly: the second member has the larger fraction
+  assert.deepEqual(shareAmounts(1, 'shares', [1, 2]), [0.33, 0.67]);
+  assert.deepEqual(shareAmounts(100, 'percent', [12.5, 12.5, 75]), [12.5, 12.5, 75]);
+  assert.deepEqual(shareAmounts(0.05, 'percent', [50, 50]), [0.03, 0.02]);
+});
+
+test('shares always add up to the expense amount', () => {
+  for (const amount of [0.01, 0.1, 9.99, 19.97, 100, 1234.56]) {
+    assert.equal(sumCents(shareAmounts(amount, 'equal', [null, null, null, null, null, null, null])), Math.round(amount * 100));
+    assert.equal(sumCents(shareAmounts(amount, 'percent', [33.33, 33.33, 33.34])), Math.round(amount * 100));
+    assert.equal(sumCents(shareAmounts(amount, 'shares', [3, 1, 1])), Math.round(amount * 100));
+  }
+});
+
+test('an exact split keeps the given amounts and values', () => {
+  const shares = computeShares(10, {
+    method: 'exact',
+    members: [{ memberId: 1, value: 2.5 }, { memberId: 2, value: 7.5 }]
+  });
+  assert.deepEqual(shares, [
+    { memberId: 1, value: 2.5, amount: 2.5 },
+    { memberId: 2, value: 7.5, amount: 7.5 }
+  ]);
+  assert.equal(computeShares(10, { method: 'equal', members: [{ memberId: 1 }] })[0].value, null);
+});
+
+test('settle-up matches the largest debt with the largest credit', () => {
+  const transfers = settleUp([
+    { memberId: 1, name: 'Ann', balance: 15 },
+    { memberId: 2, name: 'Ben', balance: 5 },
+    { memberId: 3, name: 'Cas', balance: -20 }
+  ]);
+  assert.deepEqual(transfers, [
+    { from: 3, fromName: 'Cas', to: 1, toName: 'Ann', amount: 15 },
+    { from: 3, fromName: 'Cas', to: 2, toName: 'Ben', amount: 5 }
+  ]);
+});
+
+test('settle-up needs fewer transfers than members and clears every balance', () => {
+  const balances = [
+    { memberId: 1, name: 'Ann', balance: 42.5 },
+    { memberId: 2, name: 'Ben', balance: -12.25 },
+    { memberId: 3, name: 'Cas', balance: -30.26 },
+    { memberId: 4, name: 'Dee', balance: 0.01 },
+    { memberId: 5, name: 'Eve', balance: 0 }
+  ];
+  const transfers = settleUp(balances);
+  assert.ok(transfers.length < balances.length - 1);
+
+  const left = new Map(balances.map(member => [member.memberId, Math.round(member.balance * 100)]));
+  for (const transfer of transfers) {
+    left.set(transfer.from, left.get(transfer.from) + Math.round(transfer.amount * 100));
+    left.set(transfer.to, left.get(transfer.to) - Math.round(transfer.amount * 100));
+  }
+  assert.ok([...left.values()].every(cents => cents === 0));
+});
+
+test('settle-up ignores floating point dust and settled members', () => {
+  assert.deepEqual(settleUp([
+    { memberId: 1, name: 'Ann', balance: 0.1 + 0.2 },
+    { memberId: 2, name: 'Ben', balance: -0.3 },
+    { memberId: 3, name: 'Cas', balance: 0.001 }
+  ]), [{ from: 2, fromName: 'Ben', to: 1, toName: 'Ann', amount: 0.3 }]);
+  assert.deepEqual(settleUp([]), []);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, request, registerUser } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.baseUrl, 'sync@example.com'));
+});
+
+after(() => server.close());
+
+/**
+ * Create an expense and return it as saved
+ * @param {Object} [fields]
+ * @returns {Promise<Object>}
+ */
+async function createExpense(fields = {}) {
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-05-01', amount: 20, category: 'Food', description: 'Groceries', ...fields }
+  });
+  assert.equal(status, 201);
+  return body.data;
+}
+
+test('every change gives an expense a newer revision', async () => {
+  const created = await createExpense();
+  assert.ok(Number.isInteger(created.revision));
+
+  const { body } = await request(server.baseUrl, 'PUT', `/api/expenses/${created.id}`, {
+    token,
+    body: { amount: 25, baseRevision: created.revision }
+  });
+  assert.equal(body.data.amount, 25);
+  assert.ok(body.data.revision > created.revision);
+});
+
+test('sending a clientId again returns the expense already created', async () => {
+  const first = await createExpense({ clientId: 'local-retry-1' });
+
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-05-01', amount: 20, category: 'Food', clientId: 'local-retry-1' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.data.id, first.id);
+
+  const list = await request(server.baseUrl, 'GET', '/api/expenses', { token });
+  assert.equal(list.body.data.filter(expense => expense.id === first.id).length, 1);
+});
+
+test('an update based on an old revision gets a 409 with the current copy', async () => {
+  const created = await createExpense();
+  const url = `/api/expenses/${created.id}`;
+
+  const first = await request(server.baseUrl, 'PUT', url, {
+    token,
+    body: { amount: 30, baseRevision: created.revision }
+  });
+  assert.equal(first.status, 200);
+
+  const stale = await request(server.baseUrl, 'PUT', url, {
+    token,
+    body: { amount: 40, baseRevision: created.revision }
+  });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.error.code, 'EXPENSE_CHANGED');
+  assert.equal(stale.body.error.details.current.amount, 30);
+  assert.equal(stale.body.error.details.current.revision, first.body.data.revision);
+
+  // Without a base revision the change is taken as it is
+  const forced = await request(server.baseUrl, 'PUT', url, { token, body: { amount: 40 } });
+  assert.equal(forced.status, 200);
+  assert.equal(forced.body.data.amount, 40);
+});
+
+test('a delete based on an old revision gets a 409 and keeps the expense', async () => {
+  const created = await createExpense();
+  const url = `/api/expenses/${created.id}`;
+
+  await request(server.baseUrl, 'PUT', url, { token, body: { description: 'Edited elsewhere' } });
+
+  const stale = await request(server.baseUrl, 'DELETE', `${url}?baseRevision=${created.revision}`, { token });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.error.details.current.description, 'Edited elsewhere');
+
+  const current = stale.body.error.details.current.revision;
+  const deleted = await request(server.baseUrl, 'DELETE', `${url}?baseRevision=${current}`, { token });
+  assert.equal(deleted.status, 200);
+});
+
+test('malformed sync fields are rejected', async () => {
+  const created = await createExpense();
+
+  const badRevision = await request(server.baseUrl, 'PUT', `/api/expenses/${created.id}`, {
+    token,
+    body: { amount: 5, baseRevision: 'latest' }
+  });
+  assert.equal(badRevision.status, 400);
+  assert.equal(badRevision.body.error.details.errors[0].field, 'baseRevision');
+
+  const badClientId = await request(server.baseUrl, 'POST', '/api/expenses', {
+    token,
+    body: { date: '2024-05-01', amount: 20, category: 'Food', clientId: 'not valid!' }
+  });
+  assert.equal(badClientId.status, 400);
+  assert.equal(badClientId.body.error.details.errors[0].field, 'clientId');
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { closeDatabase } = require('./helpers');
+const { db, runInTransaction } = require('../models/database');
+
+/**
+ * Run one statement
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {Promise<void>}
+ */
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Every note, in insertion order
+ * @returns {Promise<Array<string>>}
+ */
+function listNotes() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT text FROM notes ORDER BY id', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.text));
+    });
+  });
+}
+
+before(() => run('CREATE TABLE notes (id INTEGER PRIMARY KEY AUTOINCREMENT, text TEXT NOT NULL)'));
+
+after(() => closeDatabase());
+
+/**
+ * Start a transaction that runs `steps` and then waits to be released, so
+ * the test can act (from outside it) while it is open
+ * @param {Function} steps - async () => void, run first
+ * @param {Function} finish - async () => any, run once released
+ * @returns {Object} { opened, release, result }
+ */
+function holdTransaction(steps, finish) {
+  let release;
+  let opened;
+  const isOpen = new Promise(resolve => { opened = resolve; });
+  const released = new Promise(resolve => { release = resolve; });
+
+  const result = runInTransaction(async () => {
+    await steps();
+    opened();
+    await released;
+    return finish();
+  });
+
+  return { opened: isOpen, release, result };
+}
+
+test('a write from another request survives a transaction rolling back', async () => {
+  const transaction = holdTransaction(
+    () => run("INSERT INTO notes (text) VALUES ('inside')"),
+    () => { throw new Error('rolled back'); }
+  );
+
+  await transaction.opened;
+  const outside = run("INSERT INTO notes (text) VALUES ('outside')");
+  await new Promise(resolve => setTimeout(resolve, 20));
+  transaction.release();
+
+  await assert.rejects(transaction.result, /rolled back/);
+  await outside;
+  assert.deepEqual(await listNotes(), ['outside']);
+
+  await run('DELETE FROM notes');
+});
+
+test('writes from outside wait for the open transaction to commit', async () => {
+  const transaction = holdTransaction(
+    () => run("INSERT INTO notes (text) VALUES ('first')"),
+    () => run("INSERT INTO notes (text) VALUES ('second')")
+  );
+
+  await transaction.opened;
+  const outside = run("INSERT INTO notes (text) VALUES ('after commit')");
+  await new Promise(resolve => setTimeout(resolve, 20));
+  transaction.release();
+
+  await transaction.result;
+  await outside;
+  assert.deepEqual(await listNotes(), ['first', 'second', 'after commit']);
+});
+
+test('statements from a callback inside a transaction are part of it', async () => {
+  await run('DELETE FROM notes');
+
+  const count = await runInTransaction(() => new Promise((resolve, reject) => {
+    db.run("INSERT INTO notes (text) VALUES ('nested')", (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      db.get('SELECT COUNT(*) AS n FROM notes', [], (err2, row) => (err2 ? reject(err2) : resolve(row.n)));
+    });
+  }));
+
+  assert.equal(count, 1);
+});
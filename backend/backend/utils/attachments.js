@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// ============================================================
+// ATTACHMENT FILE TYPES
+// ============================================================
+
+// Receipt formats we accept, keyed by MIME type
+const ATTACHMENT_TYPES = {
+  'image/jpeg': { extension: 'jpg', signatures: [[0xff, 0xd8, 0xff]] },
+  'image/png': { extension: 'png', signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]] },
+  'image/gif': { extension: 'gif', signatures: [[0x47, 0x49, 0x46, 0x38]] },
+  'image/webp': { extension: 'webp', signatures: [[0x52, 0x49, 0x46, 0x46]], at8: [0x57, 0x45, 0x42, 0x50] },
+  'application/pdf': { extension: 'pdf', signatures: [[0x25, 0x50, 0x44, 0x46, 0x2d]] }
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length &&
+    bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Work out a file's type from its first bytes
+ * The browser-supplied type is ignored: it is easy to fake and a
+ * mislabelled file could be served back as something else.
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type from ATTACHMENT_TYPES, or null if unsupported
+ */
+function detectMimeType(buffer) {
+  const match = Object.entries(ATTACHMENT_TYPES).find(([, type]) => (
+    type.signatures.some(signature => startsWith(buffer, signature)) &&
+    (!type.at8 || startsWith(buffer, type.at8, 8))
+  ));
+  return match ? match[0] : null;
+}
+
+/**
+ * SHA-256 of a file's contents (hex)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function checksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  detectMimeType,
+  checksum
+};
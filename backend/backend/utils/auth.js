@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// ============================================================
+// PASSWORD HASHING
+// ============================================================
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt (scrypt)
+ * @param {string} password
+ * @returns {Promise<string>} "salt:hash" in hex
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(`${salt}:${derivedKey.toString('hex')}`);
+      }
+    });
+  });
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} storedHash - "salt:hash" from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [salt, hash] = (storedHash || '').split(':');
+    if (!salt || !hash) {
+      resolve(false);
+      return;
+    }
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const expected = Buffer.from(hash, 'hex');
+      // Constant-time comparison so timing doesn't leak how much matched
+      resolve(
+        expected.length === derivedKey.length &&
+        crypto.timingSafeEqual(expected, derivedKey)
+      );
+    });
+  });
+}
+
+// ============================================================
+// AUTH TOKENS
+// ============================================================
+
+// Tokens are "payload.signature", signed with HMAC-SHA256.
+// Without AUTH_SECRET a random secret is used, so tokens stop working on restart.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️  AUTH_SECRET not set - using a temporary secret for this run');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token for a user
+ * @param {Object} user - { id, email }
+ * @returns {string}
+ */
+function createToken(user) {
+  const payload = {
+    sub: user.id,
+    email: user.email,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token
+ * @returns {Object|null} Payload { sub, email, exp } or null if invalid
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken
+};
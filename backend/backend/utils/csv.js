@@ -0,0 +1,93 @@
+// ============================================================
+// CSV PARSING
+// ============================================================
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180: quoted fields,
+ * "" for a literal quote, newlines inside quotes, CRLF or LF)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line may not end with a newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// ============================================================
+// CSV WRITING
+// ============================================================
+
+/**
+ * Format one value as a CSV field
+ * Text starting with = + - @ is prefixed with ' so spreadsheets
+ * don't run it as a formula
+ * @param {any} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format values as one CSV line (with CRLF, per RFC 4180)
+ * @param {Array<any>} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return values.map(toCsvField).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsvField,
+  toCsvRow
+};
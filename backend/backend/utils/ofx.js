@@ -0,0 +1,110 @@
+// ============================================================
+// OFX WRITING (Open Financial Exchange 2.2, XML flavour)
+// ============================================================
+
+/**
+ * Escape text for an XML element
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a date for OFX (YYYYMMDD)
+ * @param {string|Date} value - YYYY-MM-DD or Date
+ * @returns {string}
+ */
+function toOfxDate(value) {
+  const iso = value instanceof Date ? value.toISOString() : String(value);
+  return iso.slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Everything up to and including the start of the transaction list
+ * @param {Object} options - { currency, from, to }
+ * @returns {string}
+ */
+function ofxHeader({ currency = 'USD', from, to }) {
+  const now = toOfxDate(new Date());
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${now}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>1</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${escapeXml(currency)}</CURDEF>`,
+    '<BANKACCTFROM><BANKID>000000000</BANKID><ACCTID>expense-tracker</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${from ? toOfxDate(from) : '19700101'}</DTSTART>`,
+    `<DTEND>${to ? toOfxDate(to) : now}</DTEND>`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * One expense as an OFX debit transaction (income as a credit)
+ * An expense in another currency keeps its own amount, with the rate to
+ * the statement currency (CURRATE is statement units per expense unit).
+ * Without a rate it would read as statement currency, so it throws instead.
+ * @param {Object} expense - With base_amount from the list query
+ * @param {string} currency - Statement currency (CURDEF)
+ * @returns {string}
+ */
+function ofxTransaction(expense, currency = 'USD') {
+  const foreign = Boolean(expense.currency) && expense.currency !== currency;
+  const income = expense.type === 'income';
+
+  if (foreign && expense.base_amount === null) {
+    throw new Error(`No exchange rate for ${expense.currency} (expense ${expense.id})`);
+  }
+
+  return [
+    '<STMTTRN>',
+    `<TRNTYPE>${income ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+    `<DTPOSTED>${toOfxDate(expense.date)}</DTPOSTED>`,
+    `<TRNAMT>${(income ? expense.amount : -expense.amount).toFixed(2)}</TRNAMT>`,
+    `<FITID>${expense.id}</FITID>`,
+    `<NAME>${escapeXml(String(expense.category).slice(0, 32))}</NAME>`,
+    expense.description ? `<MEMO>${escapeXml(expense.description)}</MEMO>` : '',
+    foreign
+      ? `<CURRENCY><CURRATE>${(expense.base_amount / expense.amount).toFixed(6)}</CURRATE><CURSYM>${escapeXml(expense.currency)}</CURSYM></CURRENCY>`
+      : '',
+    '</STMTTRN>',
+    ''
+  ].filter(line => line !== '').join('\n') + '\n';
+}
+
+/**
+ * Close the transaction list and the document
+ * @param {Object} options - { balance } income less spending in CURDEF
+ * @returns {string}
+ */
+function ofxFooter({ balance = 0 }) {
+  return [
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${balance.toFixed(2)}</BALAMT><DTASOF>${toOfxDate(new Date())}</DTASOF></LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  ofxHeader,
+  ofxTransaction,
+  ofxFooter
+};
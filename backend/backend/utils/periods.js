@@ -0,0 +1,125 @@
+// ============================================================
+// REPORTING PERIODS
+// ============================================================
+// Buckets for time-series reports. A period is named by its first day
+// (YYYY-MM-DD) and weeks start on Monday. As in schedule.js, all math
+// is done in UTC.
+
+const { addDays } = require('./schedule');
+
+const INTERVALS = ['day', 'week', 'month', 'year'];
+
+function toUtcDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First day of the period a date falls in
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} interval - One of INTERVALS
+ * @returns {string}
+ */
+function periodStart(dateStr, interval) {
+  switch (interval) {
+    case 'day':
+      return dateStr;
+    case 'week':
+      return addDays(dateStr, -((toUtcDate(dateStr).getUTCDay() + 6) % 7));
+    case 'month':
+      return `${dateStr.slice(0, 7)}-01`;
+    case 'year':
+      return `${dateStr.slice(0, 4)}-01-01`;
+    default:
+      throw new Error(`Unknown interval: ${interval}`);
+  }
+}
+
+/**
+ * Move a period's first day by whole periods
+ * @param {string} start - First day of a period
+ * @param {string} interval
+ * @param {number} count - May be negative
+ * @returns {string}
+ */
+function addPeriods(start, interval, count) {
+  const date = toUtcDate(start);
+
+  switch (interval) {
+    case 'day':
+      return addDays(start, count);
+    case 'week':
+      return addDays(start, count * 7);
+    case 'month':
+      return toDateString(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1)));
+    case 'year':
+      return toDateString(new Date(Date.UTC(date.getUTCFullYear() + count, 0, 1)));
+    default:
+      throw new Error(`Unknown interval: ${interval}`);
+  }
+}
+
+/**
+ * Last day of a period
+ * @param {string} start - First day of the period
+ * @param {string} interval
+ * @returns {string}
+ */
+function periodEnd(start, interval) {
+  return addDays(addPeriods(start, interval, 1), -1);
+}
+
+/**
+ * The same period a year earlier. Weeks go back 52 weeks so they still
+ * start on Monday; anything else keeps its date (Feb 29 becomes Feb 28).
+ * @param {string} start - First day of a period
+ * @param {string} interval
+ * @returns {string}
+ */
+function samePeriodLastYear(start, interval) {
+  if (interval === 'week') return addDays(start, -364);
+
+  const date = toUtcDate(start);
+  const year = date.getUTCFullYear() - 1;
+  const lastDay = new Date(Date.UTC(year, date.getUTCMonth() + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, date.getUTCMonth(), Math.min(date.getUTCDate(), lastDay))));
+}
+
+/**
+ * Every period from the one holding one date to the one holding another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD, not before from
+ * @param {string} interval
+ * @param {number} limit - Stop after this many
+ * @returns {Array<string>} First days, in order
+ */
+function listPeriods(from, to, interval, limit = Infinity) {
+  const starts = [];
+  for (let start = periodStart(from, interval); start <= to && starts.length < limit; start = addPeriods(start, interval, 1)) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((toUtcDate(to) - toUtcDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+module.exports = {
+  INTERVALS,
+  periodStart,
+  addPeriods,
+  periodEnd,
+  samePeriodLastYear,
+  listPeriods,
+  daysBetween
+};
@@ -0,0 +1,96 @@
+const { parseCsv } = require('./csv');
+const { isValidCurrency, sanitizeCurrency } = require('./validators');
+
+// ============================================================
+// RATES FILE PARSING
+// ============================================================
+
+/**
+ * Read exchange rates from JSON { base, rates: { EUR: 0.92, ... } }
+ * @param {Object} data
+ * @returns {Object} { base, entries: [[currency, rate]] }
+ */
+function readJsonRates(data) {
+  const rates = data && typeof data.rates === 'object' && data.rates !== null ? data.rates : {};
+  return {
+    base: data ? data.base : undefined,
+    entries: Object.entries(rates)
+  };
+}
+
+/**
+ * Read exchange rates from CSV lines "currency,rate" (header optional)
+ * @param {string} text
+ * @returns {Object} { base: undefined, entries: [[currency, rate]] }
+ */
+function readCsvRates(text) {
+  const rows = parseCsv(text);
+  // A header row has no number in the rate column
+  if (rows.length > 0 && Number.isNaN(parseFloat(rows[0][1]))) rows.shift();
+
+  return {
+    base: undefined,
+    entries: rows.map(row => [row[0], row[1]])
+  };
+}
+
+/**
+ * Parse a rates file into rates against the user's base currency
+ * Files quote "units of currency per one unit of base". When a JSON file
+ * has a different base, the user's base must be in it so everything can
+ * be re-expressed against it.
+ * @param {string} text - JSON or CSV file contents
+ * @param {string} baseCurrency - The user's base currency
+ * @returns {Object} { rates: [{ currency, rate }], errors: [{ currency, message }] }
+ */
+function parseRatesFile(text, baseCurrency) {
+  const trimmed = String(text || '').trim();
+  let parsed;
+
+  if (trimmed.startsWith('{')) {
+    try {
+      parsed = readJsonRates(JSON.parse(trimmed));
+    } catch (e) {
+      return { rates: [], errors: [{ currency: null, message: `Invalid JSON: ${e.message}` }] };
+    }
+  } else {
+    parsed = readCsvRates(trimmed);
+  }
+
+  const fileBase = sanitizeCurrency(parsed.base) || baseCurrency;
+  const quoted = new Map();
+  const errors = [];
+
+  parsed.entries.forEach(([rawCurrency, rawRate]) => {
+    const currency = sanitizeCurrency(rawCurrency);
+    const rate = parseFloat(rawRate);
+
+    if (!isValidCurrency(currency)) {
+      errors.push({ currency: rawCurrency, message: `"${rawCurrency}" is not a currency code` });
+    } else if (!(rate > 0) || !Number.isFinite(rate)) {
+      errors.push({ currency, message: `Rate for ${currency} must be greater than 0` });
+    } else {
+      quoted.set(currency, rate);
+    }
+  });
+  quoted.set(fileBase, 1);
+
+  const baseRate = quoted.get(baseCurrency);
+  if (!baseRate) {
+    errors.push({
+      currency: baseCurrency,
+      message: `File is based on ${fileBase} and has no rate for ${baseCurrency}`
+    });
+    return { rates: [], errors };
+  }
+
+  const rates = [...quoted.entries()]
+    .filter(([currency]) => currency !== baseCurrency)
+    .map(([currency, rate]) => ({ currency, rate: rate / baseRate }));
+
+  return { rates, errors };
+}
+
+module.exports = {
+  parseRatesFile
+};
@@ -0,0 +1,98 @@
+// ============================================================
+// RECURRENCE SCHEDULES
+// ============================================================
+// All dates are YYYY-MM-DD strings and all math is done in UTC so
+// daylight saving changes never shift a day.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety limit for one catch-up run (e.g. a daily rule started years ago)
+const MAX_OCCURRENCES_PER_RUN = 1000;
+
+function toUtcDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a date string
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+function addDays(dateStr, days) {
+  const date = toUtcDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Date in a given month, moved back to the last day when the month is
+ * shorter (day 31 in April becomes April 30)
+ * @param {number} year
+ * @param {number} monthIndex - 0-11, may overflow into later years
+ * @param {number} day - 1-31
+ * @returns {string}
+ */
+function clampedMonthDate(year, monthIndex, day) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))));
+}
+
+/**
+ * The nth occurrence of a rule (n = 0 is the first on or after start)
+ * @param {Object} rule - { frequency, start_date, day_of_month }
+ * @param {number} n
+ * @returns {string}
+ */
+function nthOccurrence(rule, n) {
+  const start = toUtcDate(rule.start_date);
+  const day = rule.day_of_month || start.getUTCDate();
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(rule.start_date, n);
+    case 'weekly':
+      return addDays(rule.start_date, n * 7);
+    case 'monthly': {
+      // If day_of_month is earlier than the start day, the first one is next month
+      const offset = clampedMonthDate(start.getUTCFullYear(), start.getUTCMonth(), day) < rule.start_date ? 1 : 0;
+      return clampedMonthDate(start.getUTCFullYear(), start.getUTCMonth() + n + offset, day);
+    }
+    case 'yearly': {
+      const offset = clampedMonthDate(start.getUTCFullYear(), start.getUTCMonth(), day) < rule.start_date ? 1 : 0;
+      return clampedMonthDate(start.getUTCFullYear() + n + offset, start.getUTCMonth(), day);
+    }
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+}
+
+/**
+ * Occurrence dates of a rule that fall after one date and up to another
+ * @param {Object} rule - { frequency, start_date, end_date, day_of_month }
+ * @param {string|null} after - Exclusive lower bound (null = from the start)
+ * @param {string} until - Inclusive upper bound (usually today)
+ * @returns {Array<string>} Dates in order, at most MAX_OCCURRENCES_PER_RUN
+ */
+function getOccurrencesBetween(rule, after, until) {
+  const last = rule.end_date && rule.end_date < until ? rule.end_date : until;
+  const dates = [];
+
+  for (let n = 0; dates.length < MAX_OCCURRENCES_PER_RUN; n++) {
+    const date = nthOccurrence(rule, n);
+    if (date > last) break;
+    if (!after || date > after) dates.push(date);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  FREQUENCIES,
+  addDays,
+  getOccurrencesBetween
+};
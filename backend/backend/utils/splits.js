@@ -0,0 +1,111 @@
+// ============================================================
+// EXPENSE SPLITS
+// ============================================================
+// Money is handled in whole cents so shares always add up to the
+// expense amount exactly.
+
+const SPLIT_METHODS = ['equal', 'exact', 'percent', 'shares'];
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Divide cents in proportion to weights (largest remainder method)
+ * @param {number} cents - Whole cents to divide
+ * @param {Array<number>} weights - Positive numbers
+ * @returns {Array<number>} Cents per weight, summing to `cents`
+ */
+function allocateCents(cents, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (cents * weight) / totalWeight);
+  const allocated = exact.map(Math.floor);
+
+  // Hand out the leftover cents to the biggest fractional parts
+  let leftover = cents - allocated.reduce((sum, value) => sum + value, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) break;
+    allocated[index] += 1;
+    leftover -= 1;
+  }
+
+  return allocated;
+}
+
+/**
+ * Work out each member's share of an expense
+ * Input must already be validated (see validateSplit).
+ * @param {number} amount - Expense amount
+ * @param {Object} split - { method, members: [{ memberId, value }] }
+ *   value: ignored for equal, an amount for exact, a percentage for
+ *   percent, a share count for shares
+ * @returns {Array<Object>} [{ memberId, value, amount }]
+ */
+function computeShares(amount, split) {
+  const cents = toCents(amount);
+  const { method, members } = split;
+
+  const shareCents = method === 'exact'
+    ? members.map(member => toCents(member.value))
+    : allocateCents(cents, members.map(member => (method === 'equal' ? 1 : member.value)));
+
+  return members.map((member, i) => ({
+    memberId: member.memberId,
+    value: method === 'equal' ? null : member.value,
+    amount: shareCents[i] / 100
+  }));
+}
+
+/**
+ * Suggest transfers that settle every balance
+ * Largest debts are matched with largest credits first, which needs at
+ * most one transfer fewer than the number of members with a balance.
+ * @param {Array<Object>} balances - [{ memberId, name, balance }]
+ *   (positive = is owed money, negative = owes money)
+ * @returns {Array<Object>} [{ from, fromName, to, toName, amount }]
+ */
+function settleUp(balances) {
+  const debtors = balances
+    .filter(member => toCents(member.balance) < 0)
+    .map(member => ({ ...member, cents: -toCents(member.balance) }))
+    .sort((a, b) => b.cents - a.cents);
+  const creditors = balances
+    .filter(member => toCents(member.balance) > 0)
+    .map(member => ({ ...member, cents: toCents(member.balance) }))
+    .sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  let d = 0;
+  let c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const debtor = debtors[d];
+    const creditor = creditors[c];
+    const cents = Math.min(debtor.cents, creditor.cents);
+
+    transfers.push({
+      from: debtor.memberId,
+      fromName: debtor.name,
+      to: creditor.memberId,
+      toName: creditor.name,
+      amount: cents / 100
+    });
+
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) d += 1;
+    if (creditor.cents === 0) c += 1;
+  }
+
+  return transfers;
+}
+
+module.exports = {
+  SPLIT_METHODS,
+  toCents,
+  computeShares,
+  settleUp
+};
@@ -1,25 +1,56 @@
+const { FREQUENCIES } = require('./schedule');
+const { SPLIT_METHODS, toCents } = require('./splits');
+const { INTERVALS } = require('./periods');
+
 // ============================================================
 // EXPENSE VALIDATION
 // ============================================================
 
-const VALID_CATEGORIES = [
-  'Food',
-  'Transport',
-  'Entertainment',
-  'Utilities',
-  'Healthcare',
-  'Shopping',
-  'Other'
+// Categories every new account starts with (users can add their own)
+const DEFAULT_CATEGORIES = [
+  { name: 'Food', color: '#f97316', icon: '🍔' },
+  { name: 'Transport', color: '#3b82f6', icon: '🚗' },
+  { name: 'Entertainment', color: '#a855f7', icon: '🎬' },
+  { name: 'Utilities', color: '#eab308', icon: '💡' },
+  { name: 'Healthcare', color: '#ef4444', icon: '🏥' },
+  { name: 'Shopping', color: '#ec4899', icon: '🛍️' },
+  { name: 'Other', color: '#6b7280', icon: '📌' }
+];
+
+// Income categories every account starts with
+const DEFAULT_INCOME_CATEGORIES = [
+  { name: 'Salary', color: '#10b981', icon: '💼' },
+  { name: 'Refunds', color: '#14b8a6', icon: '↩️' },
+  { name: 'Interest', color: '#22c55e', icon: '🏦' },
+  { name: 'Other Income', color: '#84cc16', icon: '💰' }
 ];
 
+// Every record is money out (expense) or money in (income)
+const RECORD_TYPES = ['expense', 'income'];
+
+/**
+ * Normalize a record type (missing means expense)
+ * @param {any} type
+ * @returns {any}
+ */
+function sanitizeType(type) {
+  if (type === undefined || type === null || type === '') return 'expense';
+  return typeof type === 'string' ? type.trim().toLowerCase() : type;
+}
+
 /**
  * Validate expense object
  * @param {Object} expense - Expense to validate
+ * @param {Array<string>} categoryNames - The user's category names for the expense's type
  * @returns {Object} { isValid: bool, errors: [] }
  */
-function validateExpense(expense) {
+function validateExpense(expense, categoryNames = []) {
   const errors = [];
 
+  if (!RECORD_TYPES.includes(expense.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${RECORD_TYPES.join(', ')}` });
+  }
+
   // Date validation
   if (!expense.date) {
     errors.push({ field: 'date', message: 'Date is required' });
@@ -43,13 +74,18 @@ function validateExpense(expense) {
   // Category validation
   if (!expense.category) {
     errors.push({ field: 'category', message: 'Category is required' });
-  } else if (!VALID_CATEGORIES.includes(expense.category)) {
+  } else if (!categoryNames.includes(expense.category)) {
     errors.push({
       field: 'category',
-      message: `Category must be one of: ${VALID_CATEGORIES.join(', ')}`
+      message: `Category must be one of: ${categoryNames.join(', ')}`
     });
   }
 
+  // Currency validation (optional, defaults to the user's base currency)
+  if (expense.currency && !isValidCurrency(expense.currency)) {
+    errors.push({ field: 'currency', message: 'Currency must be a 3-letter code like USD or EUR' });
+  }
+
   // Description validation (optional, but if provided, check length)
   if (expense.description && typeof expense.description !== 'string') {
     errors.push({ field: 'description', message: 'Description must be text' });
@@ -57,6 +93,12 @@ function validateExpense(expense) {
     errors.push({ field: 'description', message: 'Description too long (max 255 chars)' });
   }
 
+  // Tags validation (optional list of short labels)
+  if (expense.tags !== undefined) {
+    const tagError = validateTags(expense.tags);
+    if (tagError) errors.push({ field: 'tags', message: tagError });
+  }
+
   return {
     isValid: errors.length === 0,
     errors
@@ -76,23 +118,1162 @@ function isValidDate(dateStr) {
   return date instanceof Date && !isNaN(date);
 }
 
+/**
+ * Check if string is a currency code (ISO 4217 style, e.g. EUR)
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isValidCurrency(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * Normalize a currency code (trimmed, upper case; null if blank)
+ * @param {any} code
+ * @returns {string|null}
+ */
+function sanitizeCurrency(code) {
+  if (typeof code !== 'string') return code ?? null;
+  return code.trim().toUpperCase() || null;
+}
+
+// Limits for free-form tags; commas separate tags in filters and the form
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Check a sanitized tag list
+ * @param {any} tags
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTags(tags) {
+  if (!Array.isArray(tags)) return 'Tags must be a list of text labels';
+  if (tags.some(tag => typeof tag !== 'string')) return 'Tags must be text';
+  if (tags.some(tag => tag.length === 0)) return 'Tags cannot be empty';
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+  if (tags.some(tag => tag.includes(','))) return 'Tags cannot contain commas';
+  if (tags.length > MAX_TAGS) return `At most ${MAX_TAGS} tags per expense`;
+  return null;
+}
+
+/**
+ * Normalize a tag list: trimmed, inner spaces collapsed, blanks and
+ * case-insensitive duplicates dropped (anything not a list is left for validation)
+ * @param {any} tags
+ * @returns {any}
+ */
+function sanitizeTags(tags) {
+  if (!Array.isArray(tags)) return tags;
+
+  const seen = new Set();
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag.trim().replace(/\s+/g, ' ') : tag))
+    .filter(tag => tag !== '')
+    .filter(tag => {
+      if (typeof tag !== 'string') return true;
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
 /**
  * Sanitize expense data (remove extra fields)
+ * Tags stay undefined when not sent, so an update leaves them alone.
  * @param {Object} expense
  * @returns {Object} Sanitized expense
  */
 function sanitizeExpense(expense) {
   return {
+    type: sanitizeType(expense.type),
     date: expense.date?.trim(),
     amount: parseFloat(expense.amount),
+    currency: sanitizeCurrency(expense.currency),
     category: expense.category?.trim(),
-    description: expense.description?.trim() || null
+    description: expense.description?.trim() || null,
+    tags: expense.tags === undefined || expense.tags === null ? undefined : sanitizeTags(expense.tags)
+  };
+}
+
+// ============================================================
+// OFFLINE SYNC
+// ============================================================
+
+// ID a client gives an expense it made offline, e.g. "local-" and a UUID
+const CLIENT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Read the fields a client sends with a change it made offline
+ * baseRevision stays undefined when not sent (no check is made); a
+ * blank one means the client's copy had no recorded revision.
+ * @param {Object} source - Request body or query
+ * @returns {Object} { clientId, baseRevision }
+ */
+function sanitizeSyncFields(source) {
+  const { clientId, baseRevision } = source || {};
+  return {
+    clientId: typeof clientId === 'string' ? clientId.trim() : clientId,
+    baseRevision: baseRevision === undefined ? undefined
+      : baseRevision === null || baseRevision === '' ? null : Number(baseRevision)
+  };
+}
+
+/**
+ * Validate sanitized offline sync fields
+ * @param {Object} fields - From sanitizeSyncFields()
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateSyncFields({ clientId, baseRevision }) {
+  const errors = [];
+
+  if (clientId !== undefined && clientId !== null &&
+      (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId))) {
+    errors.push({ field: 'clientId', message: 'Client ID must be 1-64 letters, digits, dashes or underscores' });
+  }
+
+  if (baseRevision !== undefined && baseRevision !== null &&
+      (!Number.isInteger(baseRevision) || baseRevision <= 0)) {
+    errors.push({ field: 'baseRevision', message: 'Base revision must be a revision ID' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// ============================================================
+// LIST FILTER VALIDATION
+// ============================================================
+
+// Columns the expense list may be sorted by ('relevance' needs a search query)
+const SORTABLE_FIELDS = ['date', 'amount', 'category', 'description', 'created_at', 'relevance'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Read a list query parameter:
+ * ?category=Food&category=Transport and ?category=Food,Transport both work
+ * @param {any} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize list query parameters
+ * @param {Object} query - Raw req.query
+ * @returns {Object} { q, type, accountId, from, to, categories, tags, minAmount, maxAmount, sort, order }
+ */
+function sanitizeExpenseFilters(query) {
+  const categories = splitList(query.category);
+  const tags = sanitizeTags(splitList(query.tag));
+
+  // Repeated scalar params (?from=a&from=b) arrive as arrays; those are rejected
+  const text = (value) => (typeof value === 'string' ? value.trim() : value);
+  const toNumber = (value) => (
+    value === undefined || value === '' ? undefined : Number(value)
+  );
+
+  // Search results are ranked by relevance unless another sort is asked for
+  const q = text(query.q) || undefined;
+
+  return {
+    q,
+    type: typeof query.type === 'string' ? query.type.trim().toLowerCase() || undefined : query.type,
+    accountId: toNumber(query.account),
+    from: text(query.from) || undefined,
+    to: text(query.to) || undefined,
+    categories,
+    tags,
+    minAmount: toNumber(query.minAmount),
+    maxAmount: toNumber(query.maxAmount),
+    sort: text(query.sort) || (q ? 'relevance' : 'date'),
+    order: String(text(query.order) || 'desc').toLowerCase()
+  };
+}
+
+/**
+ * Validate list filters
+ * @param {Object} filters - Output of sanitizeExpenseFilters()
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateExpenseFilters(filters) {
+  const errors = [];
+
+  if (filters.q !== undefined && (typeof filters.q !== 'string' || filters.q.length > 200)) {
+    errors.push({ field: 'q', message: 'Search text must be at most 200 characters' });
+  }
+
+  if (filters.type !== undefined && !RECORD_TYPES.includes(filters.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${RECORD_TYPES.join(', ')}` });
+  }
+
+  if (filters.accountId !== undefined && !Number.isInteger(filters.accountId)) {
+    errors.push({ field: 'account', message: 'Account must be an account ID' });
+  }
+
+  for (const field of ['from', 'to']) {
+    if (filters[field] !== undefined && !isValidDate(filters[field])) {
+      errors.push({ field, message: 'Invalid date format (use YYYY-MM-DD)' });
+    }
+  }
+  if (filters.from && filters.to && isValidDate(filters.from) &&
+      isValidDate(filters.to) && filters.from > filters.to) {
+    errors.push({ field: 'to', message: 'End date must be on or after start date' });
+  }
+
+  if (filters.tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    errors.push({ field: 'tag', message: `Tags must be at most ${MAX_TAG_LENGTH} characters` });
+  }
+
+  for (const field of ['minAmount', 'maxAmount']) {
+    const value = filters[field];
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      errors.push({ field, message: `${field} must be a non-negative number` });
+    }
+  }
+  if (Number.isFinite(filters.minAmount) && Number.isFinite(filters.maxAmount) &&
+      filters.minAmount > filters.maxAmount) {
+    errors.push({ field: 'maxAmount', message: 'maxAmount must be greater than or equal to minAmount' });
+  }
+
+  if (!SORTABLE_FIELDS.includes(filters.sort)) {
+    errors.push({ field: 'sort', message: `Sort must be one of: ${SORTABLE_FIELDS.join(', ')}` });
+  } else if (filters.sort === 'relevance' && !filters.q) {
+    errors.push({ field: 'sort', message: 'Sorting by relevance needs a search query (q)' });
+  }
+  if (!SORT_ORDERS.includes(filters.order)) {
+    errors.push({ field: 'order', message: 'Order must be asc or desc' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// ============================================================
+// REPORT VALIDATION
+// ============================================================
+
+// What a time-series report can be broken down by
+const REPORT_GROUPS = ['category', 'account'];
+
+// Most periods one time-series report may hold (a year and a bit of days)
+const MAX_REPORT_PERIODS = 400;
+
+/**
+ * Normalize time-series report query parameters
+ * @param {Object} query - Raw req.query
+ * @returns {Object} { interval, from, to, groupBy, type, categories }
+ */
+function sanitizeReportQuery(query) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : value);
+
+  return {
+    interval: String(text(query.interval) || 'month').toLowerCase(),
+    from: text(query.from) || undefined,
+    to: text(query.to) || undefined,
+    groupBy: text(query.groupBy) || undefined,
+    type: sanitizeType(query.type),
+    categories: splitList(query.category)
+  };
+}
+
+/**
+ * Validate time-series report parameters
+ * @param {Object} query - Output of sanitizeReportQuery()
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateReportQuery(query) {
+  const errors = [];
+
+  if (!INTERVALS.includes(query.interval)) {
+    errors.push({ field: 'interval', message: `Interval must be one of: ${INTERVALS.join(', ')}` });
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && !isValidDate(query[field])) {
+      errors.push({ field, message: 'Invalid date format (use YYYY-MM-DD)' });
+    }
+  }
+  if (query.from && query.to && isValidDate(query.from) &&
+      isValidDate(query.to) && query.from > query.to) {
+    errors.push({ field: 'to', message: 'End date must be on or after start date' });
+  }
+
+  if (query.groupBy !== undefined && !REPORT_GROUPS.includes(query.groupBy)) {
+    errors.push({ field: 'groupBy', message: `Group by must be one of: ${REPORT_GROUPS.join(', ')}` });
+  }
+
+  if (!RECORD_TYPES.includes(query.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${RECORD_TYPES.join(', ')}` });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// ============================================================
+// IMPORT HELPERS
+// ============================================================
+
+// Date layouts accepted by CSV import (D and M may be one or two digits)
+const IMPORT_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+
+// Expense fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['date', 'amount', 'currency', 'category', 'description'];
+
+/**
+ * Convert a date in one of IMPORT_DATE_FORMATS to YYYY-MM-DD
+ * @param {string} value
+ * @param {string} format
+ * @returns {string|null} Normalized date, or null if it doesn't match
+ */
+function normalizeDate(value, format = 'YYYY-MM-DD') {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.trim().split(/[-/.]/);
+  const order = format.split(/[-/.]/);
+  if (parts.length !== 3 || order.length !== 3) return null;
+
+  const pieces = {};
+  order.forEach((token, i) => {
+    pieces[token] = parts[i];
+  });
+
+  const year = pieces.YYYY;
+  const month = (pieces.MM || '').padStart(2, '0');
+  const day = (pieces.DD || '').padStart(2, '0');
+  if (!/^\d{4}$/.test(year) || !/^\d{2}$/.test(month) || !/^\d{2}$/.test(day)) {
+    return null;
+  }
+
+  const normalized = `${year}-${month}-${day}`;
+
+  // Reject dates that roll over, like 2024-02-31
+  const date = new Date(`${normalized}T00:00:00Z`);
+  if (isNaN(date) || date.toISOString().slice(0, 10) !== normalized) return null;
+
+  return normalized;
+}
+
+/**
+ * Parse an amount as spreadsheets write it ("$1,234.50", " 12 ")
+ * @param {string} value
+ * @returns {string} Cleaned number text (validated later by validateExpense)
+ */
+function cleanAmount(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/[^\d.-]/g, '');
+}
+
+/**
+ * Validate CSV import options
+ * hasHeader and dryRun may be JSON booleans or "true"/"false".
+ * @param {Object} options - { csv, mapping, dateFormat, hasHeader, dryRun }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateImportOptions(options) {
+  const errors = [];
+
+  if (!options.csv || typeof options.csv !== 'string') {
+    errors.push({ field: 'csv', message: 'CSV text is required' });
+  }
+
+  if (options.mapping !== undefined) {
+    if (typeof options.mapping !== 'object' || options.mapping === null || Array.isArray(options.mapping)) {
+      errors.push({ field: 'mapping', message: 'Mapping must be an object like { "date": "Date" }' });
+    } else {
+      Object.keys(options.mapping).forEach(field => {
+        if (!IMPORT_FIELDS.includes(field)) {
+          errors.push({
+            field: 'mapping',
+            message: `Unknown field "${field}" (use ${IMPORT_FIELDS.join(', ')})`
+          });
+        }
+      });
+    }
+  }
+
+  if (options.dateFormat !== undefined && !IMPORT_DATE_FORMATS.includes(options.dateFormat)) {
+    errors.push({
+      field: 'dateFormat',
+      message: `Date format must be one of: ${IMPORT_DATE_FORMATS.join(', ')}`
+    });
+  }
+
+  ['hasHeader', 'dryRun'].forEach(field => {
+    if (options[field] !== undefined && ![true, false, 'true', 'false'].includes(options[field])) {
+      errors.push({ field, message: `${field} must be true or false` });
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// ============================================================
+// BATCH VALIDATION
+// ============================================================
+
+// What one operation in a batch can do
+const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+
+/**
+ * Validate the shape of a batch of operations; the expense fields in each
+ * are checked separately, like a single create or update
+ * @param {Array} operations - [{ op, id, data }] (no id for create, no data for delete)
+ * @returns {Object} { isValid, errors } - fields look like "operations[2].id"
+ */
+function validateBatch(operations) {
+  const errors = [];
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    errors.push({ field: 'operations', message: 'Operations must be a non-empty list' });
+    return { isValid: false, errors };
+  }
+
+  // Two operations on one expense would each be checked against the stored row
+  const seenIds = new Set();
+
+  operations.forEach((operation, index) => {
+    const field = `operations[${index}]`;
+
+    if (typeof operation !== 'object' || operation === null || Array.isArray(operation)) {
+      errors.push({ field, message: 'Each operation must be an object like { "op": "update", "id": 1, "data": {} }' });
+      return;
+    }
+
+    if (!BATCH_OPERATIONS.includes(operation.op)) {
+      errors.push({ field: `${field}.op`, message: `Operation must be one of: ${BATCH_OPERATIONS.join(', ')}` });
+      return;
+    }
+
+    if (operation.op !== 'create') {
+      const id = Number(operation.id);
+      if (!Number.isInteger(id) || id < 1) {
+        errors.push({ field: `${field}.id`, message: 'ID must be a positive whole number' });
+      } else if (seenIds.has(id)) {
+        errors.push({ field: `${field}.id`, message: `Expense ${id} appears in more than one operation` });
+      } else {
+        seenIds.add(id);
+      }
+    }
+
+    const { data } = operation;
+    if (operation.op !== 'delete' && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+      errors.push({ field: `${field}.data`, message: 'Data must be an object of expense fields' });
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// ============================================================
+// CATEGORY VALIDATION
+// ============================================================
+
+/**
+ * Validate category object
+ * @param {Object} category - { name, type, color, icon, parentId }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateCategory(category) {
+  const errors = [];
+
+  if (!category.name) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else if (typeof category.name !== 'string') {
+    errors.push({ field: 'name', message: 'Name must be text' });
+  } else if (category.name.length > 50) {
+    errors.push({ field: 'name', message: 'Name too long (max 50 chars)' });
+  }
+
+  if (!RECORD_TYPES.includes(category.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${RECORD_TYPES.join(', ')}` });
+  }
+
+  if (category.color && !/^#[0-9a-fA-F]{6}$/.test(category.color)) {
+    errors.push({ field: 'color', message: 'Color must be a hex value like #3b82f6' });
+  }
+
+  if (category.icon && (typeof category.icon !== 'string' || category.icon.length > 16)) {
+    errors.push({ field: 'icon', message: 'Icon must be a short piece of text (max 16 chars)' });
+  }
+
+  if (category.parentId !== null && category.parentId !== undefined &&
+      !Number.isInteger(category.parentId)) {
+    errors.push({ field: 'parentId', message: 'Parent must be a category ID' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize category data (remove extra fields)
+ * @param {Object} category
+ * @returns {Object} Sanitized category
+ */
+function sanitizeCategory(category) {
+  const { parentId } = category;
+
+  return {
+    name: typeof category.name === 'string' ? category.name.trim() : category.name,
+    type: sanitizeType(category.type),
+    color: category.color?.trim() || null,
+    icon: category.icon?.trim() || null,
+    parentId: parentId === null || parentId === undefined || parentId === ''
+      ? null
+      : Number(parentId)
+  };
+}
+
+// ============================================================
+// BUDGET VALIDATION
+// ============================================================
+
+/**
+ * Validate budget object
+ * @param {Object} budget - { categoryId, amount }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateBudget(budget) {
+  const errors = [];
+
+  if (!Number.isInteger(budget.categoryId)) {
+    errors.push({ field: 'categoryId', message: 'Category is required' });
+  }
+
+  if (budget.amount === undefined || budget.amount === null || Number.isNaN(budget.amount)) {
+    errors.push({ field: 'amount', message: 'Amount must be a number' });
+  } else if (budget.amount <= 0) {
+    errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+  } else if (budget.amount > 999999) {
+    errors.push({ field: 'amount', message: 'Amount too large' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize budget data (remove extra fields)
+ * @param {Object} budget
+ * @returns {Object} { categoryId, amount }
+ */
+function sanitizeBudget(budget) {
+  return {
+    categoryId: Number(budget.categoryId),
+    amount: parseFloat(budget.amount)
+  };
+}
+
+/**
+ * Check if string is a valid month (YYYY-MM)
+ * @param {string} monthStr
+ * @returns {boolean}
+ */
+function isValidMonth(monthStr) {
+  return typeof monthStr === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(monthStr);
+}
+
+// ============================================================
+// RECURRING EXPENSE VALIDATION
+// ============================================================
+
+/**
+ * Validate a recurring expense rule
+ * @param {Object} rule - Sanitized rule
+ * @param {Array<string>} categoryNames - The user's category names
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateRecurring(rule, categoryNames = []) {
+  // Amount, category and description follow the expense rules; the start
+  // date replaces the expense date and may be in the future. Rules only
+  // ever generate expenses, never income.
+  const errors = validateExpense({ ...rule, type: 'expense' }, categoryNames).errors
+    .filter(error => error.field !== 'date');
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push({ field: 'frequency', message: `Frequency must be one of: ${FREQUENCIES.join(', ')}` });
+  }
+
+  if (rule.dayOfMonth !== null) {
+    if (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31) {
+      errors.push({ field: 'dayOfMonth', message: 'Day of month must be between 1 and 31' });
+    } else if (rule.frequency !== 'monthly' && rule.frequency !== 'yearly') {
+      errors.push({ field: 'dayOfMonth', message: 'Day of month only applies to monthly and yearly rules' });
+    }
+  }
+
+  if (!rule.startDate) {
+    errors.push({ field: 'startDate', message: 'Start date is required' });
+  } else if (!isValidDate(rule.startDate)) {
+    errors.push({ field: 'startDate', message: 'Invalid date format (use YYYY-MM-DD)' });
+  }
+
+  if (rule.endDate) {
+    if (!isValidDate(rule.endDate)) {
+      errors.push({ field: 'endDate', message: 'Invalid date format (use YYYY-MM-DD)' });
+    } else if (rule.startDate && rule.endDate < rule.startDate) {
+      errors.push({ field: 'endDate', message: 'End date cannot be before the start date' });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize recurring expense rule (remove extra fields)
+ * @param {Object} rule
+ * @returns {Object} { amount, currency, category, description, frequency, dayOfMonth, startDate, endDate }
+ */
+function sanitizeRecurring(rule) {
+  const hasDay = rule.dayOfMonth !== undefined && rule.dayOfMonth !== null && rule.dayOfMonth !== '';
+
+  return {
+    amount: parseFloat(rule.amount),
+    currency: sanitizeCurrency(rule.currency),
+    category: rule.category?.trim(),
+    description: rule.description?.trim() || null,
+    frequency: typeof rule.frequency === 'string' ? rule.frequency.trim().toLowerCase() : rule.frequency,
+    dayOfMonth: hasDay ? Number(rule.dayOfMonth) : null,
+    startDate: typeof rule.startDate === 'string' ? rule.startDate.trim() : rule.startDate,
+    endDate: typeof rule.endDate === 'string' && rule.endDate.trim() ? rule.endDate.trim() : null
+  };
+}
+
+// ============================================================
+// EXCHANGE RATE VALIDATION
+// ============================================================
+
+/**
+ * Validate an exchange rate
+ * @param {Object} rate - { currency, rate } (units of currency per base unit)
+ * @param {string} baseCurrency - The user's base currency
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateRate(rate, baseCurrency) {
+  const errors = [];
+
+  if (!isValidCurrency(rate.currency)) {
+    errors.push({ field: 'currency', message: 'Currency must be a 3-letter code like USD or EUR' });
+  } else if (rate.currency === baseCurrency) {
+    errors.push({ field: 'currency', message: `${baseCurrency} is the base currency and always has rate 1` });
+  }
+
+  if (rate.rate === undefined || rate.rate === null || Number.isNaN(rate.rate)) {
+    errors.push({ field: 'rate', message: 'Rate must be a number' });
+  } else if (rate.rate <= 0 || !Number.isFinite(rate.rate)) {
+    errors.push({ field: 'rate', message: 'Rate must be greater than 0' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize exchange rate data (remove extra fields)
+ * @param {Object} rate
+ * @returns {Object} { currency, rate }
+ */
+function sanitizeRate(rate) {
+  return {
+    currency: sanitizeCurrency(rate.currency),
+    rate: parseFloat(rate.rate)
+  };
+}
+
+// ============================================================
+// GROUP VALIDATION
+// ============================================================
+
+const MAX_GROUP_MEMBERS = 50;
+
+/**
+ * Check a group member's name and optional account email
+ * @param {Object} member - { name, email }
+ * @param {string} field - Field name used in error messages
+ * @returns {Array} Errors
+ */
+function validateMemberFields(member, field = 'name') {
+  const errors = [];
+
+  if (!member.name || typeof member.name !== 'string') {
+    errors.push({ field, message: 'Member name is required' });
+  } else if (member.name.length > 50) {
+    errors.push({ field, message: 'Member name too long (max 50 chars)' });
+  }
+
+  if (member.email && (typeof member.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(member.email))) {
+    errors.push({ field: 'email', message: 'Invalid email address' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a new member of a group
+ * @param {Object} member - Sanitized { name, email }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateMember(member) {
+  const errors = validateMemberFields(member);
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize group member data (remove extra fields)
+ * @param {Object} member
+ * @returns {Object} { name, email }
+ */
+function sanitizeMember(member) {
+  const email = typeof member?.email === 'string' ? member.email.trim().toLowerCase() : null;
+  return {
+    name: typeof member?.name === 'string' ? member.name.trim().replace(/\s+/g, ' ') : member?.name,
+    email: email || null
+  };
+}
+
+/**
+ * Validate a new group
+ * @param {Object} group - Sanitized { name, currency, yourName, members }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateGroup(group) {
+  const errors = [];
+
+  if (!group.name || typeof group.name !== 'string') {
+    errors.push({ field: 'name', message: 'Group name is required' });
+  } else if (group.name.length > 50) {
+    errors.push({ field: 'name', message: 'Group name too long (max 50 chars)' });
+  }
+
+  if (group.currency && !isValidCurrency(group.currency)) {
+    errors.push({ field: 'currency', message: 'Currency must be a 3-letter code like USD or EUR' });
+  }
+
+  if (group.yourName) {
+    errors.push(...validateMemberFields({ name: group.yourName }, 'yourName'));
+  }
+
+  if (!Array.isArray(group.members)) {
+    errors.push({ field: 'members', message: 'Members must be a list' });
+  } else {
+    group.members.forEach((member, i) => {
+      errors.push(...validateMemberFields(member, `members[${i}]`));
+    });
+
+    // Names identify members in balances, so they must differ
+    const names = [group.yourName, ...group.members.map(member => member.name)]
+      .filter(name => typeof name === 'string')
+      .map(name => name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      errors.push({ field: 'members', message: 'Member names must be different' });
+    }
+    if (group.members.length + 1 > MAX_GROUP_MEMBERS) {
+      errors.push({ field: 'members', message: `At most ${MAX_GROUP_MEMBERS} members per group` });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize group data (remove extra fields)
+ * @param {Object} group
+ * @returns {Object} { name, currency, yourName, members }
+ */
+function sanitizeGroup(group) {
+  return {
+    name: typeof group.name === 'string' ? group.name.trim() : group.name,
+    currency: sanitizeCurrency(group.currency),
+    yourName: typeof group.yourName === 'string' ? group.yourName.trim() || null : null,
+    members: Array.isArray(group.members) ? group.members.map(sanitizeMember) : (group.members ?? [])
+  };
+}
+
+/**
+ * Validate how a group expense is paid and split
+ * @param {Object} share - Sanitized { paidBy, split: { method, members } }
+ * @param {number} amount - Expense amount
+ * @param {Array<number>} memberIds - IDs of the group's members
+ * @returns {Array} Errors
+ */
+function validateGroupShare(share, amount, memberIds) {
+  const errors = [];
+  const { split } = share;
+
+  if (!memberIds.includes(share.paidBy)) {
+    errors.push({ field: 'paidBy', message: 'Paid by must be a member of the group' });
+  }
+
+  if (!SPLIT_METHODS.includes(split.method)) {
+    errors.push({ field: 'split.method', message: `Split method must be one of: ${SPLIT_METHODS.join(', ')}` });
+    return errors;
+  }
+
+  if (!Array.isArray(split.members) || split.members.length === 0) {
+    errors.push({ field: 'split.members', message: 'Split the expense between at least one member' });
+    return errors;
+  }
+
+  const ids = split.members.map(member => member.memberId);
+  if (ids.some(id => !memberIds.includes(id))) {
+    errors.push({ field: 'split.members', message: 'Every split member must belong to the group' });
+  } else if (new Set(ids).size !== ids.length) {
+    errors.push({ field: 'split.members', message: 'Each member can appear in a split only once' });
+  }
+
+  if (split.method === 'equal') return errors;
+
+  const values = split.members.map(member => member.value);
+  if (values.some(value => !Number.isFinite(value) || value <= 0)) {
+    errors.push({ field: 'split.members', message: 'Every split value must be a number greater than 0' });
+    return errors;
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (split.method === 'exact' && toCents(total) !== toCents(amount)) {
+    errors.push({ field: 'split.members', message: `Exact amounts must add up to ${amount} (they add up to ${total})` });
+  } else if (split.method === 'percent' && Math.abs(total - 100) > 0.01) {
+    errors.push({ field: 'split.members', message: `Percentages must add up to 100 (they add up to ${total})` });
+  }
+
+  return errors;
+}
+
+/**
+ * Sanitize how a group expense is paid and split
+ * @param {Object} share - { paidBy, split: { method, members: [{ memberId, value }] } }
+ * @returns {Object} Same shape with numbers parsed
+ */
+function sanitizeGroupShare(share) {
+  const split = share.split || {};
+  const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+  return {
+    paidBy: toNumber(share.paidBy),
+    split: {
+      method: typeof split.method === 'string' ? split.method.trim().toLowerCase() : split.method,
+      members: Array.isArray(split.members)
+        ? split.members.map(member => ({
+          memberId: toNumber(member?.memberId),
+          value: toNumber(member?.value)
+        }))
+        : split.members
+    }
+  };
+}
+
+/**
+ * Validate a settlement between two group members
+ * @param {Object} settlement - Sanitized { from, to, amount, date }
+ * @param {Array<number>} memberIds - IDs of the group's members
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateSettlement(settlement, memberIds) {
+  const errors = [];
+
+  for (const field of ['from', 'to']) {
+    if (!memberIds.includes(settlement[field])) {
+      errors.push({ field, message: `"${field}" must be a member of the group` });
+    }
+  }
+  if (settlement.from === settlement.to) {
+    errors.push({ field: 'to', message: 'A member cannot settle with themselves' });
+  }
+
+  // Amount is optional: without one, the whole suggested transfer is settled
+  if (settlement.amount !== null) {
+    if (!Number.isFinite(settlement.amount) || settlement.amount <= 0) {
+      errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+    } else if (settlement.amount > 999999) {
+      errors.push({ field: 'amount', message: 'Amount too large' });
+    }
+  }
+
+  if (!isValidDate(settlement.date)) {
+    errors.push({ field: 'date', message: 'Invalid date format (use YYYY-MM-DD)' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize settlement data (remove extra fields); date defaults to today
+ * @param {Object} settlement
+ * @returns {Object} { from, to, amount, date }
+ */
+function sanitizeSettlement(settlement) {
+  const hasAmount = settlement.amount !== undefined && settlement.amount !== null && settlement.amount !== '';
+
+  return {
+    from: Number(settlement.from),
+    to: Number(settlement.to),
+    amount: hasAmount ? parseFloat(settlement.amount) : null,
+    date: typeof settlement.date === 'string' && settlement.date.trim()
+      ? settlement.date.trim()
+      : new Date().toISOString().slice(0, 10)
+  };
+}
+
+// ============================================================
+// ACCOUNT VALIDATION
+// ============================================================
+
+// Kinds of places money is paid from
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'other'];
+
+/**
+ * Validate a payment account
+ * @param {Object} account - { name, type, openingBalance, currency }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateAccount(account) {
+  const errors = [];
+
+  if (!account.name || typeof account.name !== 'string') {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else if (account.name.length > 50) {
+    errors.push({ field: 'name', message: 'Name too long (max 50 chars)' });
+  }
+
+  if (!ACCOUNT_TYPES.includes(account.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${ACCOUNT_TYPES.join(', ')}` });
+  }
+
+  // Negative is fine: a credit card starts out owing money
+  if (!Number.isFinite(account.openingBalance)) {
+    errors.push({ field: 'openingBalance', message: 'Opening balance must be a number' });
+  } else if (Math.abs(account.openingBalance) > 99999999) {
+    errors.push({ field: 'openingBalance', message: 'Opening balance too large' });
+  }
+
+  if (!isValidCurrency(account.currency)) {
+    errors.push({ field: 'currency', message: 'Currency must be a 3-letter code like USD or EUR' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize account data (remove extra fields); blank opening balance is 0
+ * @param {Object} account
+ * @returns {Object} { name, type, openingBalance, currency }
+ */
+function sanitizeAccount(account) {
+  const { openingBalance } = account;
+
+  return {
+    name: typeof account.name === 'string' ? account.name.trim() : account.name,
+    type: typeof account.type === 'string' ? account.type.trim().toLowerCase() : (account.type ?? 'checking'),
+    openingBalance: openingBalance === undefined || openingBalance === null || openingBalance === ''
+      ? 0
+      : parseFloat(openingBalance),
+    currency: sanitizeCurrency(account.currency)
+  };
+}
+
+/**
+ * Validate a transfer between two accounts
+ * toAmount is what arrives, in the receiving account's currency.
+ * @param {Object} transfer - { fromAccountId, toAccountId, amount, toAmount, date, description }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateTransfer(transfer) {
+  const errors = [];
+
+  for (const field of ['fromAccountId', 'toAccountId']) {
+    if (!Number.isInteger(transfer[field])) {
+      errors.push({ field, message: 'Account is required' });
+    }
+  }
+  if (transfer.fromAccountId === transfer.toAccountId) {
+    errors.push({ field: 'toAccountId', message: 'Cannot transfer to the same account' });
+  }
+
+  for (const field of ['amount', 'toAmount']) {
+    const value = transfer[field];
+    if (field === 'toAmount' && value === null) continue;
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push({ field, message: 'Amount must be greater than 0' });
+    } else if (value > 999999) {
+      errors.push({ field, message: 'Amount too large' });
+    }
+  }
+
+  if (!isValidDate(transfer.date)) {
+    errors.push({ field: 'date', message: 'Invalid date format (use YYYY-MM-DD)' });
+  } else if (new Date(transfer.date) > new Date()) {
+    errors.push({ field: 'date', message: 'Date cannot be in the future' });
+  }
+
+  if (transfer.description && transfer.description.length > 255) {
+    errors.push({ field: 'description', message: 'Description too long (max 255 chars)' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize transfer data (remove extra fields); date defaults to today
+ * @param {Object} transfer
+ * @returns {Object} { fromAccountId, toAccountId, amount, toAmount, date, description }
+ */
+function sanitizeTransfer(transfer) {
+  const hasToAmount = transfer.toAmount !== undefined && transfer.toAmount !== null && transfer.toAmount !== '';
+
+  return {
+    fromAccountId: Number(transfer.fromAccountId),
+    toAccountId: Number(transfer.toAccountId),
+    amount: parseFloat(transfer.amount),
+    toAmount: hasToAmount ? parseFloat(transfer.toAmount) : null,
+    date: typeof transfer.date === 'string' && transfer.date.trim()
+      ? transfer.date.trim()
+      : new Date().toISOString().slice(0, 10),
+    description: typeof transfer.description === 'string' ? transfer.description.trim() || null : null
+  };
+}
+
+// ============================================================
+// USER VALIDATION
+// ============================================================
+
+/**
+ * Validate registration/login credentials
+ * @param {Object} credentials - { email, password }
+ * @returns {Object} { isValid: bool, errors: [] }
+ */
+function validateCredentials(credentials) {
+  const errors = [];
+  const { email, password } = credentials;
+
+  if (!email) {
+    errors.push({ field: 'email', message: 'Email is required' });
+  } else if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.push({ field: 'email', message: 'Invalid email address' });
+  } else if (email.length > 255) {
+    errors.push({ field: 'email', message: 'Email too long (max 255 chars)' });
+  }
+
+  if (!password) {
+    errors.push({ field: 'password', message: 'Password is required' });
+  } else if (typeof password !== 'string') {
+    errors.push({ field: 'password', message: 'Password must be text' });
+  } else if (password.length < 8) {
+    errors.push({ field: 'password', message: 'Password must be at least 8 characters' });
+  } else if (password.length > 128) {
+    errors.push({ field: 'password', message: 'Password too long (max 128 chars)' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize credentials (normalize email, keep password as typed)
+ * @param {Object} credentials
+ * @returns {Object} { email, password }
+ */
+function sanitizeCredentials(credentials) {
+  return {
+    email: typeof credentials.email === 'string'
+      ? credentials.email.trim().toLowerCase()
+      : credentials.email,
+    password: credentials.password
   };
 }
 
 module.exports = {
   validateExpense,
   isValidDate,
+  isValidCurrency,
+  sanitizeCurrency,
+  validateTags,
+  sanitizeTags,
   sanitizeExpense,
-  VALID_CATEGORIES
+  validateSyncFields,
+  sanitizeSyncFields,
+  validateExpenseFilters,
+  sanitizeExpenseFilters,
+  normalizeDate,
+  cleanAmount,
+  sanitizeReportQuery,
+  validateReportQuery,
+  validateImportOptions,
+  validateBatch,
+  validateCategory,
+  sanitizeCategory,
+  validateBudget,
+  sanitizeBudget,
+  isValidMonth,
+  validateRecurring,
+  sanitizeRecurring,
+  validateRate,
+  sanitizeRate,
+  validateMember,
+  sanitizeMember,
+  validateGroup,
+  sanitizeGroup,
+  validateGroupShare,
+  sanitizeGroupShare,
+  validateSettlement,
+  sanitizeSettlement,
+  validateAccount,
+  sanitizeAccount,
+  validateTransfer,
+  sanitizeTransfer,
+  validateCredentials,
+  sanitizeCredentials,
+  DEFAULT_CATEGORIES,
+  DEFAULT_INCOME_CATEGORIES,
+  RECORD_TYPES,
+  ACCOUNT_TYPES,
+  SORTABLE_FIELDS,
+  REPORT_GROUPS,
+  MAX_REPORT_PERIODS,
+  IMPORT_DATE_FORMATS,
+  IMPORT_FIELDS,
+  BATCH_OPERATIONS
 };
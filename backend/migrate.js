@@ -0,0 +1,72 @@
+/**
+ * DATABASE MIGRATIONS CLI
+ *
+ *   node migrate.js status          List every migration and whether it is applied
+ *   node migrate.js up [version]    Apply pending migrations (up to version)
+ *   node migrate.js down [steps]    Roll back the last migration (or the last steps)
+ *
+ * The server applies pending migrations itself on startup; this is for
+ * checking, rolling back, or migrating before a deploy.
+ */
+require('dotenv').config();
+
+const { db, getMigrationStatus, migrate, rollback } = require('./backend/models/database');
+
+const USAGE = 'Usage: node migrate.js status | up [version] | down [steps]';
+
+/**
+ * Read an optional positive whole-number argument
+ * @param {string} value
+ * @param {number} fallback - Used when the argument is missing
+ * @returns {number}
+ */
+function parseCount(value, fallback) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Expected a positive whole number, got "${value}"\n${USAGE}`);
+  }
+  return number;
+}
+
+async function main([command = 'status', arg]) {
+  switch (command) {
+    case 'status': {
+      const migrations = await getMigrationStatus();
+      if (migrations.length === 0) console.log('No migrations found');
+
+      migrations.forEach(({ id, state, appliedAt }) => {
+        console.log(`${state.padEnd(10)} ${id.padEnd(40)} ${appliedAt || ''}`);
+      });
+      break;
+    }
+
+    case 'up': {
+      const applied = await migrate(parseCount(arg, Infinity));
+      console.log(applied.length > 0
+        ? applied.map(name => `⬆️  Applied ${name}`).join('\n')
+        : '✅ Already up to date');
+      break;
+    }
+
+    case 'down': {
+      const rolledBack = await rollback(parseCount(arg, 1));
+      console.log(rolledBack.length > 0
+        ? rolledBack.map(name => `⬇️  Rolled back ${name}`).join('\n')
+        : 'Nothing to roll back');
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(() => db.close())
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    db.close();
+    process.exitCode = 1;
+  });
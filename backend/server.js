@@ -3,14 +3,33 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 require('dotenv').config();
 
-const { initializeDatabase } = require('./models/database');
-const expenseRoutes = require('./routes/expenses');
-const { errorHandler } = require('./middleware/errorHandler');
+const { initializeDatabase, purgeExpiredTrash } = require('./backend/models/database');
+const { generateDueExpenses } = require('./backend/models/recurring');
+const { removeOrphanedFiles } = require('./backend/models/attachments');
+const authRoutes = require('./backend/routes/auth');
+const expenseRoutes = require('./backend/routes/expenses');
+const categoryRoutes = require('./backend/routes/categories');
+const budgetRoutes = require('./backend/routes/budgets');
+const recurringRoutes = require('./backend/routes/recurring');
+const rateRoutes = require('./backend/routes/rates');
+const attachmentRoutes = require('./backend/routes/attachments');
+const tagRoutes = require('./backend/routes/tags');
+const groupRoutes = require('./backend/routes/groups');
+const accountRoutes = require('./backend/routes/accounts');
+const reportRoutes = require('./backend/routes/reports');
+const { errorHandler } = require('./backend/middleware/errorHandler');
+const { requireAuth } = require('./backend/middleware/auth');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// How often due recurring expenses are generated (default: hourly)
+const RECURRING_INTERVAL_MS = parseInt(process.env.RECURRING_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// How often the trash is checked for expenses past TRASH_RETENTION_DAYS (daily)
+const TRASH_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
 // ============================================================
 // MIDDLEWARE (Runs before every request)
 // ============================================================
@@ -24,6 +43,8 @@ app.use(cors({
 
 // Parse incoming JSON request bodies
 // Without this, req.body would be undefined
+// CSV imports carry a whole spreadsheet, so they get a larger limit
+app.use('/api/expenses/import', bodyParser.json({ limit: process.env.IMPORT_BODY_LIMIT || '5mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -42,8 +63,38 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// All expense endpoints
-app.use('/api/expenses', expenseRoutes);
+// Registration and login (public)
+app.use('/api/auth', authRoutes);
+
+// All expense endpoints (logged-in users only, scoped to their own rows)
+app.use('/api/expenses', requireAuth, expenseRoutes);
+
+// The user's own categories
+app.use('/api/categories', requireAuth, categoryRoutes);
+
+// Monthly budgets per category
+app.use('/api/budgets', requireAuth, budgetRoutes);
+
+// Rules that generate expenses on a schedule
+app.use('/api/recurring', requireAuth, recurringRoutes);
+
+// Base currency and exchange rates
+app.use('/api/rates', requireAuth, rateRoutes);
+
+// Receipt downloads and deletes (uploads live under /api/expenses/:id)
+app.use('/api/attachments', requireAuth, attachmentRoutes);
+
+// Free-form tags and spending per tag
+app.use('/api/tags', requireAuth, tagRoutes);
+
+// Shared expense groups, balances and settlements
+app.use('/api/groups', requireAuth, groupRoutes);
+
+// Payment accounts, transfers and running balances
+app.use('/api/accounts', requireAuth, accountRoutes);
+
+// Spending over time, with period-over-period comparisons
+app.use('/api/reports', requireAuth, reportRoutes);
 
 // 404 handler (if no route matched)
 app.use((req, res) => {
@@ -61,26 +112,81 @@ app.use((req, res) => {
 // ============================================================
 app.use(errorHandler);
 
+// ============================================================
+// RECURRING EXPENSE SCHEDULER
+// ============================================================
+
+/**
+ * Generate expenses for recurring rules that are due
+ * Safe to run any number of times: each rule remembers how far it got,
+ * so the first run after downtime catches up on every missed period.
+ */
+function runRecurringScheduler() {
+  return generateDueExpenses()
+    .then(created => {
+      if (created > 0) console.log(`🔁 Generated ${created} recurring expense(s)`);
+    })
+    .catch(err => console.error('❌ Recurring expense generation failed:', err.message));
+}
+
+// ============================================================
+// TRASH RETENTION
+// ============================================================
+
+/**
+ * Permanently delete expenses that have been in the trash longer than
+ * TRASH_RETENTION_DAYS, and then their receipt files
+ */
+function runTrashPurge() {
+  return purgeExpiredTrash()
+    .then(async purged => {
+      if (purged === 0) return;
+      await removeOrphanedFiles();
+      console.log(`🗑️  Purged ${purged} expense(s) from the trash`);
+    })
+    .catch(err => console.error('❌ Trash purge failed:', err.message));
+}
+
 // ============================================================
 // SERVER STARTUP
 // ============================================================
 
-// Initialize database first, then start server
-initializeDatabase()
-  .then(() => {
-    app.listen(PORT, () => {
-      console.log(`\n✅ Server running on http://localhost:${PORT}`);
-      console.log(`📊 Frontend: http://localhost:3000`);
-      console.log(`💾 Database: ./data/database.db\n`);
+/**
+ * Bring the database up to date, start the scheduled jobs and listen
+ */
+function start() {
+  initializeDatabase()
+    .then(() => runTrashPurge())
+    .then(() => removeOrphanedFiles())
+    .then(removed => {
+      if (removed > 0) console.log(`🧹 Removed ${removed} orphaned attachment file(s)`);
+    })
+    .then(() => runRecurringScheduler())
+    .then(() => {
+      setInterval(runRecurringScheduler, RECURRING_INTERVAL_MS);
+      setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS);
+
+      app.listen(PORT, () => {
+        console.log(`\n✅ Server running on http://localhost:${PORT}`);
+        console.log(`📊 Frontend: http://localhost:3000`);
+        console.log(`💾 Database: ./data/database.db\n`);
+      });
+    })
+    .catch(err => {
+      console.error('❌ Failed to initialize database:', err);
+      process.exit(1);
     });
-  })
-  .catch(err => {
-    console.error('❌ Failed to initialize database:', err);
-    process.exit(1);
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down...');
+    process.exit(0);
   });
+}
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down...');
-  process.exit(0);
-});
+// Started with `node server.js`; tests require the app without listening
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app };
@@ -0,0 +1,330 @@
+/**
+ * CHARTS LAYER
+ * Builds inline SVG charts as markup strings (no DOM access here)
+ * Amounts are in the base currency, like the list totals.
+ */
+
+// ============================================================
+// CATEGORY COLORS
+// ============================================================
+
+// Used for categories without a color of their own, in turn
+const CHART_PALETTE = ['#3b82f6', '#f97316', '#10b981', '#a855f7', '#ef4444', '#14b8a6', '#f59e0b', '#ec4899', '#6366f1', '#84cc16'];
+
+// Category name -> color, from the user's categories (set after login)
+let categoryColors = new Map();
+
+/**
+ * Remember the colors the user gave their categories
+ * @param {Array} categories - [{ name, type, color }]
+ */
+function setCategoryColors(categories) {
+  categoryColors = new Map(categories
+    .filter(category => category.type !== 'income' && category.color)
+    .map(category => [category.name, category.color]));
+}
+
+/**
+ * Color of a category in the charts
+ * @param {string} category
+ * @param {number} index - Position among the charted categories
+ * @returns {string}
+ */
+function getCategoryColor(category, index) {
+  return categoryColors.get(category) || CHART_PALETTE[index % CHART_PALETTE.length];
+}
+
+// ============================================================
+// CHART DATA
+// ============================================================
+
+// Months shown in the monthly chart, counting the latest one
+const CHART_MONTHS = 12;
+
+/**
+ * Amount of a record in the base currency (null when it has no exchange rate)
+ * @param {Object} expense
+ * @returns {number|null}
+ */
+function chartAmount(expense) {
+  const amount = 'base_amount' in expense ? expense.base_amount : expense.amount;
+  return amount === null ? null : parseFloat(amount) || 0;
+}
+
+/**
+ * Shift a YYYY-MM month by whole months
+ * @param {string} month
+ * @param {number} count - May be negative
+ * @returns {string}
+ */
+function addMonths(month, count) {
+  const date = new Date(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1 + count, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Name of a YYYY-MM month, like "Oct" (or "October 2026" with the year)
+ * @param {string} month
+ * @param {boolean} withYear
+ * @returns {string}
+ */
+function formatMonth(month, withYear = false) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', {
+    month: withYear ? 'long' : 'short',
+    ...(withYear && { year: 'numeric' }),
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Shape listed records for the charts
+ * Income and records without an exchange rate are left out, and so are
+ * hidden categories everywhere but the legend.
+ * @param {Array} expenses - As listed
+ * @param {Set<string>} hidden - Categories switched off in the legend
+ * @returns {Object} { categories: [{ category, total, count, color, hidden }],
+ *   months: [{ month, total }], days: { month, points: [{ day, total, cumulative }] } }
+ */
+function buildChartData(expenses, hidden) {
+  const spending = expenses.filter(expense => expense.type !== 'income' && chartAmount(expense) !== null);
+
+  const categories = Object.entries(groupByCategory(spending))
+    .map(([category, items]) => ({
+      category,
+      total: items.reduce((sum, item) => sum + chartAmount(item), 0),
+      count: items.length
+    }))
+    .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category))
+    .map((item, index) => ({ ...item, color: getCategoryColor(item.category, index), hidden: hidden.has(item.category) }));
+
+  const shown = spending.filter(expense => !hidden.has(expense.category));
+  const dates = spending.map(expense => expense.date).sort();
+  const latest = dates.length > 0 ? dates[dates.length - 1].slice(0, 7) : getCurrentMonth();
+
+  // The last few months up to the latest record, with zeros in between
+  const first = dates.length > 0 && dates[0].slice(0, 7) > addMonths(latest, 1 - CHART_MONTHS)
+    ? dates[0].slice(0, 7)
+    : addMonths(latest, 1 - CHART_MONTHS);
+  const months = [];
+  for (let month = first; month <= latest; month = addMonths(month, 1)) {
+    months.push({
+      month,
+      total: shown.filter(expense => expense.date.startsWith(month)).reduce((sum, item) => sum + chartAmount(item), 0)
+    });
+  }
+
+  // Every day of the latest month, adding up
+  const daysInMonth = new Date(Date.UTC(Number(latest.slice(0, 4)), Number(latest.slice(5, 7)), 0)).getUTCDate();
+  let cumulative = 0;
+  const points = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = `${latest}-${String(day).padStart(2, '0')}`;
+    const total = shown.filter(expense => expense.date === date).reduce((sum, item) => sum + chartAmount(item), 0);
+    cumulative += total;
+    points.push({ day, total, cumulative });
+  }
+
+  return { categories, months, days: { month: latest, points } };
+}
+
+// ============================================================
+// SVG HELPERS
+// ============================================================
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * A round number at or above a value, for the top of an axis
+ * @param {number} value
+ * @returns {number}
+ */
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * Short amount for an axis label, like "$1.2K"
+ * @param {number} value
+ * @returns {string}
+ */
+function formatAxisAmount(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: getBaseCurrency(),
+    notation: 'compact',
+    maximumFractionDigits: 1
+  }).format(value);
+}
+
+/**
+ * Opening tag of an accessible chart, with its title and description
+ * @param {string} id - Prefix for the title/description IDs
+ * @param {number} width
+ * @param {number} height
+ * @param {string} title
+ * @param {string} description
+ * @returns {string}
+ */
+function svgOpen(id, width, height, title, description) {
+  return `
+    <svg class="chart-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+         role="img" aria-labelledby="${id}-title ${id}-desc">
+      <title id="${id}-title">${escapeHtml(title)}</title>
+      <desc id="${id}-desc">${escapeHtml(description)}</desc>
+  `;
+}
+
+/**
+ * Attributes that make a mark focusable and give it a tooltip
+ * @param {string} className - Kind of mark, for styling
+ * @param {string} label - Read out and shown on hover/focus
+ * @returns {string}
+ */
+function markAttributes(className, label) {
+  const text = escapeHtml(label);
+  return `class="chart-mark ${className}" tabindex="0" role="listitem" aria-label="${text}" data-tooltip="${text}"`;
+}
+
+/**
+ * Horizontal grid lines with amounts along the left
+ * @param {Object} box - { left, top, width, height } of the plot area
+ * @param {number} max - Amount at the top
+ * @returns {string}
+ */
+function buildYAxis(box, max) {
+  const ticks = 4;
+  return Array.from({ length: ticks + 1 }, (_, i) => {
+    const y = round1(box.top + box.height - (box.height * i) / ticks);
+    return `
+      <line class="chart-grid" x1="${box.left}" x2="${box.left + box.width}" y1="${y}" y2="${y}"></line>
+      <text class="chart-axis-label" x="${box.left - 6}" y="${y + 4}" text-anchor="end">${escapeHtml(formatAxisAmount((max * i) / ticks))}</text>
+    `;
+  }).join('');
+}
+
+// ============================================================
+// CHARTS
+// ============================================================
+
+/**
+ * Donut of spending per category
+ * @param {Array} categories - From buildChartData()
+ * @param {number} size - Width and height in pixels
+ * @returns {string} SVG markup
+ */
+function buildDonutChart(categories, size) {
+  const shown = categories.filter(item => !item.hidden);
+  const total = shown.reduce((sum, item) => sum + item.total, 0);
+  const center = size / 2;
+  const thickness = Math.max(16, size * 0.16);
+  const radius = center - thickness / 2 - 2;
+  const circumference = 2 * Math.PI * radius;
+
+  let offset = 0;
+  const slices = shown.filter(item => item.total > 0).map(item => {
+    const length = (item.total / total) * circumference;
+    const share = Math.round((item.total / total) * 1000) / 10;
+    const slice = `
+      <circle ${markAttributes('chart-slice', `${item.category}: ${formatAmount(item.total)} (${share}%)`)}
+              cx="${center}" cy="${center}" r="${round1(radius)}" fill="none"
+              stroke="${escapeHtml(item.color)}" stroke-width="${round1(thickness)}"
+              stroke-dasharray="${round1(length)} ${round1(circumference - length)}"
+              stroke-dashoffset="${round1(-offset)}"
+              transform="rotate(-90 ${center} ${center})"></circle>
+    `;
+    offset += length;
+    return slice;
+  }).join('');
+
+  return `
+    ${svgOpen('chart-donut', size, size, 'Spending by category',
+      shown.map(item => `${item.category} ${formatAmount(item.total)}`).join(', ') || 'No spending shown')}
+      <circle class="chart-donut-track" cx="${center}" cy="${center}" r="${round1(radius)}" fill="none"
+              stroke-width="${round1(thickness)}"></circle>
+      <g role="list">${slices}</g>
+      <text class="chart-donut-total" x="${center}" y="${center + 6}" text-anchor="middle">${escapeHtml(formatAxisAmount(total))}</text>
+    </svg>
+  `;
+}
+
+/**
+ * Bars of spending per month
+ * @param {Array} months - From buildChartData()
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} SVG markup
+ */
+function buildBarChart(months, width, height) {
+  const box = { left: 52, top: 10, width: width - 60, height: height - 36 };
+  const max = niceMax(Math.max(...months.map(item => item.total)));
+  const band = box.width / months.length;
+  const barWidth = Math.max(2, band * 0.7);
+  // Label every month when there is room, else every other (or third)
+  const labelEvery = Math.ceil(36 / band);
+
+  const bars = months.map((item, i) => {
+    const barHeight = (item.total / max) * box.height;
+    const x = box.left + i * band + (band - barWidth) / 2;
+    return `
+      <rect ${markAttributes('chart-bar', `${formatMonth(item.month, true)}: ${formatAmount(item.total)}`)}
+            x="${round1(x)}" y="${round1(box.top + box.height - barHeight)}"
+            width="${round1(barWidth)}" height="${round1(Math.max(barHeight, 0))}" rx="2"></rect>
+    `;
+  }).join('');
+
+  const labels = months.map((item, i) => ((months.length - 1 - i) % labelEvery === 0 ? `
+    <text class="chart-axis-label" x="${round1(box.left + i * band + band / 2)}" y="${height - 8}" text-anchor="middle">${formatMonth(item.month)}</text>
+  ` : '')).join('');
+
+  return `
+    ${svgOpen('chart-months', width, height, 'Spending per month',
+      months.map(item => `${formatMonth(item.month, true)} ${formatAmount(item.total)}`).join(', '))}
+      ${buildYAxis(box, max)}
+      <g role="list">${bars}</g>
+      ${labels}
+    </svg>
+  `;
+}
+
+/**
+ * Line of spending so far in a month, day by day
+ * @param {Object} days - { month, points } from buildChartData()
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} SVG markup
+ */
+function buildLineChart(days, width, height) {
+  const { month, points } = days;
+  const box = { left: 52, top: 10, width: width - 64, height: height - 36 };
+  const max = niceMax(points[points.length - 1].cumulative);
+  const xOf = (day) => round1(box.left + ((day - 1) / (points.length - 1)) * box.width);
+  const yOf = (value) => round1(box.top + box.height - (value / max) * box.height);
+
+  const line = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${xOf(point.day)} ${yOf(point.cumulative)}`).join(' ');
+  const area = `${line} L${xOf(points.length)} ${yOf(0)} L${xOf(1)} ${yOf(0)} Z`;
+
+  // Only days with spending get a point, so the keyboard skips quiet days
+  const dots = points.filter(point => point.total > 0).map(point => `
+    <circle ${markAttributes('chart-dot', `${formatMonth(month)} ${point.day}: ${formatAmount(point.total)}, ${formatAmount(point.cumulative)} so far`)}
+            cx="${xOf(point.day)}" cy="${yOf(point.cumulative)}" r="4"></circle>
+  `).join('');
+
+  const labels = [1, 8, 15, 22, points.length].map(day => `
+    <text class="chart-axis-label" x="${xOf(day)}" y="${height - 8}" text-anchor="middle">${day}</text>
+  `).join('');
+
+  const total = points[points.length - 1].cumulative;
+  return `
+    ${svgOpen('chart-days', width, height, `Spending so far in ${formatMonth(month, true)}`,
+      `${formatAmount(total)} in total over ${points.filter(point => point.total > 0).length} day(s) with spending`)}
+      ${buildYAxis(box, max)}
+      <path class="chart-area" d="${area}"></path>
+      <path class="chart-line" d="${line}" fill="none"></path>
+      <g role="list">${dots}</g>
+      ${labels}
+    </svg>
+  `;
+}
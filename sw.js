@@ -0,0 +1,128 @@
+/**
+ * SERVICE WORKER
+ * Precaches the app shell so it opens without waiting on the network, and
+ * keeps the last expense responses for when the backend can't be reached
+ */
+
+// Bump when the shell changes so old caches are dropped
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'utils.js',
+  'charts.js',
+  'api.js',
+  'sync.js',
+  'ui.js',
+  'app.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// Set on a saved API response served because the network failed
+// (api.js reads it to tell the copy from a live answer)
+const OFFLINE_COPY_HEADER = 'X-Offline-Copy';
+
+// ============================================================
+// LIFECYCLE
+// ============================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The app asks for the saved responses to go when the user changes
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-api-cache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+// ============================================================
+// FETCH STRATEGIES
+// ============================================================
+
+/**
+ * Network first: save every good answer, fall back to the saved one
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const saved = await cache.match(request);
+    if (!saved) throw error;
+
+    const headers = new Headers(saved.headers);
+    headers.set(OFFLINE_COPY_HEADER, '1');
+    headers.set('Access-Control-Expose-Headers', OFFLINE_COPY_HEADER);
+    return new Response(saved.body, { status: saved.status, statusText: saved.statusText, headers });
+  }
+}
+
+/**
+ * Answer from the precache straight away and refresh it in the background,
+ * so a slow connection never holds up opening the app
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  // The address bar holds the list's filters; any of them opens the same page
+  const saved = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+  const refresh = fetch(event.request)
+    .then(response => {
+      if (response.ok) {
+        const key = event.request.mode === 'navigate' ? 'index.html' : event.request;
+        return cache.put(key, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+  if (!saved) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return saved;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Expense lists and summaries (downloads go straight to the network)
+  if (url.pathname.startsWith('/api/expenses') && !url.pathname.startsWith('/api/expenses/export')) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
@@ -0,0 +1,367 @@
+/**
+ * OFFLINE SYNC LAYER
+ * Keeps what the app needs to work without the backend in localStorage,
+ * queues the changes made meanwhile and replays them in order once the
+ * backend can be reached again (no DOM access here)
+ */
+
+// ============================================================
+// STORAGE
+// ============================================================
+
+// Everything is kept per user, so another login on this device never sees or sends it
+const SYNC_QUEUE_KEY = 'syncQueue';
+const SYNC_CONFLICTS_KEY = 'syncConflicts';
+const OFFLINE_CACHE_KEY = 'offlineCache';
+
+// Expenses made offline are "local-<uuid>" until the server has them
+const LOCAL_ID_PREFIX = 'local-';
+
+// The logged-in user's ID (set after login)
+let syncUserId = null;
+
+/**
+ * Choose whose queue and cache to use
+ * @param {number|null} userId
+ */
+function setSyncUser(userId) {
+  syncUserId = userId;
+}
+
+/**
+ * Storage key for the current user
+ * @param {string} key
+ * @returns {string}
+ */
+function userStorageKey(key) {
+  return `${key}:${syncUserId}`;
+}
+
+/**
+ * Remember a server response for when the backend can't be reached
+ * @param {string} name - e.g. 'user', 'categories'
+ * @param {any} value
+ */
+function cacheResponse(name, value) {
+  const cache = loadFromStorage(userStorageKey(OFFLINE_CACHE_KEY)) || {};
+  saveToStorage(userStorageKey(OFFLINE_CACHE_KEY), { ...cache, [name]: value });
+}
+
+/**
+ * The last response remembered under a name
+ * @param {string} name
+ * @returns {any} null if there is none
+ */
+function getCachedResponse(name) {
+  const cache = loadFromStorage(userStorageKey(OFFLINE_CACHE_KEY)) || {};
+  return cache[name] ?? null;
+}
+
+/**
+ * The expense list last loaded with the same filters
+ * @param {Object} filters
+ * @returns {Array|null}
+ */
+function getCachedExpenseList(filters) {
+  const cached = getCachedResponse('expenses');
+  return cached && JSON.stringify(cached.filters) === JSON.stringify(filters) ? cached.expenses : null;
+}
+
+/**
+ * Changes waiting to be sent, oldest first
+ * @returns {Array} [{ key, op, id, data, baseRevision }]
+ */
+function getSyncQueue() {
+  return loadFromStorage(userStorageKey(SYNC_QUEUE_KEY)) || [];
+}
+
+/**
+ * Replace the queued changes
+ * @param {Array} queue
+ */
+function saveSyncQueue(queue) {
+  saveToStorage(userStorageKey(SYNC_QUEUE_KEY), queue);
+}
+
+/**
+ * Changes the server turned down, for the user to settle
+ * @returns {Array} [{ key, op, id, data, message, current, canOverwrite }]
+ */
+function getSyncConflicts() {
+  return loadFromStorage(userStorageKey(SYNC_CONFLICTS_KEY)) || [];
+}
+
+/**
+ * Replace the unsettled conflicts
+ * @param {Array} conflicts
+ */
+function saveSyncConflicts(conflicts) {
+  saveToStorage(userStorageKey(SYNC_CONFLICTS_KEY), conflicts);
+}
+
+// ============================================================
+// QUEUE
+// ============================================================
+
+// Key of the change being sent right now: nothing is merged into it
+let sendingKey = null;
+
+// Local ID -> server ID, for expenses synced while they were still listed
+const syncedIds = new Map();
+
+/**
+ * Whether an error means the backend couldn't be reached at all
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return error?.code === 'NETWORK_ERROR';
+}
+
+/**
+ * Whether an expense was made offline and hasn't been synced yet
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * A new ID for an expense made offline (sent to the server as its clientId)
+ * @returns {string}
+ */
+function createLocalId() {
+  return `${LOCAL_ID_PREFIX}${crypto.randomUUID()}`;
+}
+
+/**
+ * The ID to use for an expense: its server ID once it has been synced
+ * @param {number|string} id
+ * @returns {number|string}
+ */
+function resolveExpenseId(id) {
+  return syncedIds.get(id) ?? id;
+}
+
+/**
+ * Whether an expense has changes waiting to be sent
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+function hasQueuedChanges(id) {
+  return getSyncQueue().some(entry => entry.id === resolveExpenseId(id));
+}
+
+/**
+ * Queue a change to send later
+ * Changes to one expense are merged until they are sent: edits fold into
+ * its create or first edit, and deleting an expense the server never had
+ * drops it altogether.
+ * @param {Object} change - { op: 'create'|'update'|'delete', id, data, baseRevision }
+ *   id is from createLocalId() for a create; baseRevision is the revision
+ *   of the copy that was changed
+ */
+function queueExpenseChange({ op, id, data, baseRevision }) {
+  const expenseId = resolveExpenseId(id);
+  let queue = getSyncQueue();
+  const merging = queue.filter(entry => entry.id === expenseId && entry.key !== sendingKey);
+
+  if (op === 'update' && merging.length > 0) {
+    const target = merging[merging.length - 1];
+    queue = queue.map(entry => (entry === target ? { ...entry, data: { ...entry.data, ...data } } : entry));
+  } else if (op === 'delete' && merging.some(entry => entry.op === 'create')) {
+    queue = queue.filter(entry => !merging.includes(entry));
+  } else if (op === 'delete') {
+    queue = queue.filter(entry => !merging.includes(entry));
+    queue.push({ key: createLocalId(), op, id: expenseId, baseRevision: merging[0]?.baseRevision ?? baseRevision });
+  } else {
+    queue.push({ key: createLocalId(), op, id: expenseId, data, baseRevision });
+  }
+
+  saveSyncQueue(queue);
+}
+
+/**
+ * An expense's columns as changed by form-shaped data
+ * @param {Object} expense - As listed (or {} for a new one)
+ * @param {Object} data - { type, date, amount, currency, category, description, tags, accountId }
+ * @returns {Object}
+ */
+function mergeQueuedData(expense, data) {
+  const { accountId, ...fields } = data;
+  const merged = { ...expense, ...fields };
+  if ('accountId' in data) merged.account_id = accountId;
+
+  // Form values are text, and a blank currency is the base one
+  merged.amount = parseFloat(merged.amount);
+  merged.currency = merged.currency ? merged.currency.trim().toUpperCase() : getBaseCurrency();
+
+  // Estimated from the last known rate until the server works it out
+  if (merged.currency === getBaseCurrency()) {
+    merged.base_amount = merged.amount;
+  } else if (expense.currency === merged.currency && expense.base_amount !== null && expense.amount) {
+    merged.base_amount = Math.round((expense.base_amount / expense.amount) * merged.amount * 100) / 100;
+  } else {
+    merged.base_amount = null;
+  }
+  return merged;
+}
+
+/**
+ * Show the queued changes in a list from the server (or the cache)
+ * Changed and new expenses get pending: true.
+ * @param {Array} expenses
+ * @param {Array} [changes] - Only these (e.g. one just queued); default the whole queue
+ * @returns {Array}
+ */
+function applyQueuedChanges(expenses, changes = getSyncQueue()) {
+  return changes.reduce((list, entry) => {
+    if (entry.op === 'create') {
+      const created = mergeQueuedData({ type: 'expense', tags: [], attachments: [], splits: [], revision: null }, entry.data);
+      return [{ ...created, id: entry.id, pending: true }, ...list];
+    }
+    if (entry.op === 'update') {
+      return list.map(expense => (
+        expense.id === entry.id ? { ...mergeQueuedData(expense, entry.data), pending: true } : expense
+      ));
+    }
+    return list.filter(expense => expense.id !== entry.id);
+  }, expenses);
+}
+
+// ============================================================
+// SYNC
+// ============================================================
+
+// The sync under way, so two are never run at once
+let syncRun = null;
+
+/**
+ * Send the queued changes in order, stopping when the backend can't be
+ * reached (or fails) so the rest wait for the next try. A change the
+ * server turns down is moved to the conflicts.
+ * @returns {Promise<Object>} { synced, conflicts, remaining } - counts,
+ *   and offline: whether it stopped because the backend couldn't be reached
+ */
+function syncQueuedChanges() {
+  if (!syncRun) {
+    syncRun = replayQueue().finally(() => { syncRun = null; });
+  }
+  return syncRun;
+}
+
+/**
+ * Send the queue from the front (see syncQueuedChanges)
+ * @returns {Promise<Object>}
+ */
+async function replayQueue() {
+  let synced = 0;
+  let conflicts = 0;
+  let offline = false;
+
+  for (let entry = getSyncQueue()[0]; entry; entry = getSyncQueue()[0]) {
+    sendingKey = entry.key;
+    try {
+      finishQueuedChange(entry, await sendQueuedChange(entry));
+      synced++;
+    } catch (error) {
+      // Only a 4xx settles a change; 401 means logging in again first
+      if (!error.statusCode || error.statusCode === 401 || error.statusCode >= 500) {
+        offline = isNetworkError(error);
+        break;
+      }
+
+      if (entry.op === 'delete' && error.code === 'NOT_FOUND') {
+        finishQueuedChange(entry, null);
+        synced++;
+      } else {
+        rejectQueuedChange(entry, error);
+        conflicts++;
+      }
+    } finally {
+      sendingKey = null;
+    }
+  }
+
+  return { synced, conflicts, remaining: getSyncQueue().length, offline };
+}
+
+/**
+ * Send one queued change
+ * @param {Object} entry
+ * @returns {Promise<Object|null>} The expense as saved (null for deletes,
+ *   and for a create the server had already saved and since deleted)
+ */
+async function sendQueuedChange(entry) {
+  switch (entry.op) {
+    case 'create':
+      return addExpense({ ...entry.data, clientId: entry.id });
+    case 'update':
+      return updateExpense(entry.id, { ...entry.data, baseRevision: entry.baseRevision });
+    default:
+      await deleteExpense(entry.id, entry.baseRevision);
+      return null;
+  }
+}
+
+/**
+ * Take a sent change off the queue. Later changes to the same expense
+ * now apply to the copy just saved: its server ID and new revision.
+ * @param {Object} entry
+ * @param {Object|null} saved - From sendQueuedChange()
+ */
+function finishQueuedChange(entry, saved) {
+  let queue = getSyncQueue().filter(item => item.key !== entry.key);
+
+  if (entry.op !== 'delete') {
+    if (saved && entry.id !== saved.id) syncedIds.set(entry.id, saved.id);
+    queue = queue
+      .filter(item => saved || item.id !== entry.id)
+      .map(item => (item.id === entry.id ? { ...item, id: saved.id, baseRevision: saved.revision } : item));
+  }
+
+  saveSyncQueue(queue);
+}
+
+/**
+ * Move a change the server turned down to the conflicts. A create takes
+ * the later changes to its expense with it, since they can't be sent.
+ * @param {Object} entry
+ * @param {Error} error
+ */
+function rejectQueuedChange(entry, error) {
+  const queue = getSyncQueue();
+  const dropped = queue.filter(item => item.key === entry.key || (entry.op === 'create' && item.id === entry.id));
+  const data = dropped.reduce((merged, item) => ({ ...merged, ...item.data }), {});
+  const reasons = error.details?.errors?.map(e => e.message).join(', ');
+
+  saveSyncQueue(queue.filter(item => !dropped.includes(item)));
+  saveSyncConflicts([...getSyncConflicts(), {
+    key: entry.key,
+    op: entry.op,
+    id: entry.id,
+    data,
+    message: reasons || error.message,
+    current: error.details?.current || null,
+    canOverwrite: error.code === 'EXPENSE_CHANGED'
+  }]);
+}
+
+/**
+ * Settle a conflict: keeping the local change sends it again over
+ * whatever the server has now; otherwise it is dropped
+ * @param {string} key
+ * @param {boolean} keepLocal
+ */
+function resolveSyncConflict(key, keepLocal) {
+  const conflicts = getSyncConflicts();
+  const conflict = conflicts.find(item => item.key === key);
+  if (!conflict) return;
+
+  saveSyncConflicts(conflicts.filter(item => item !== conflict));
+  if (keepLocal && conflict.canOverwrite) {
+    // No base revision: the server takes it as it is
+    saveSyncQueue([...getSyncQueue(), { key: createLocalId(), op: conflict.op, id: conflict.id, data: conflict.data }]);
+  }
+}
@@ -11,15 +11,141 @@ const elements = {
   form: document.getElementById('expenseForm'),
   dateInput: document.getElementById('expenseDate'),
   amountInput: document.getElementById('expenseAmount'),
+  currencyInput: document.getElementById('expenseCurrency'),
+  accountSelect: document.getElementById('expenseAccount'),
+  currencyOptions: document.getElementById('currencyOptions'),
+  typeSelect: document.getElementById('expenseType'),
   categorySelect: document.getElementById('expenseCategory'),
   descriptionInput: document.getElementById('expenseDescription'),
+  repeatSelect: document.getElementById('expenseRepeat'),
+  tagsInput: document.getElementById('expenseTags'),
+  tagOptions: document.getElementById('tagOptions'),
+  receiptsInput: document.getElementById('expenseReceipts'),
+  groupSelect: document.getElementById('expenseGroup'),
+  splitFields: document.getElementById('splitFields'),
+  paidBySelect: document.getElementById('expensePaidBy'),
+  splitMethodSelect: document.getElementById('expenseSplitMethod'),
+  splitMembers: document.getElementById('splitMembers'),
   submitBtn: document.querySelector('.btn-primary'),
+  formTitle: document.getElementById('formTitle'),
+  cancelEditBtn: document.getElementById('cancelEditBtn'),
   
   messageContainer: document.getElementById('messageContainer'),
   expenseList: document.getElementById('expenseList'),
+  attachmentFile: document.getElementById('attachmentFile'),
+  searchInput: document.getElementById('expenseSearch'),
+  tagFilter: document.getElementById('tagFilter'),
+  totalIncome: document.getElementById('totalIncome'),
   totalAmount: document.getElementById('totalAmount'),
+  totalNet: document.getElementById('totalNet'),
+  totalNote: document.getElementById('totalNote'),
+  chartPanel: document.getElementById('chartPanel'),
+  donutChart: document.getElementById('donutChart'),
+  chartLegend: document.getElementById('chartLegend'),
+  barChart: document.getElementById('barChart'),
+  lineChart: document.getElementById('lineChart'),
+  lineChartCaption: document.getElementById('lineChartCaption'),
+  chartTooltip: document.getElementById('chartTooltip'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportBtn: document.getElementById('exportBtn'),
   emptyState: document.getElementById('emptyState'),
-  loadingSpinner: document.getElementById('loadingSpinner')
+  loadingSpinner: document.getElementById('loadingSpinner'),
+
+  appMain: document.getElementById('appMain'),
+  userBar: document.getElementById('userBar'),
+  userEmail: document.getElementById('userEmail'),
+  logoutBtn: document.getElementById('logoutBtn'),
+  syncStatus: document.getElementById('syncStatus'),
+  syncStatusText: document.getElementById('syncStatusText'),
+  syncNowBtn: document.getElementById('syncNowBtn'),
+  syncConflicts: document.getElementById('syncConflicts'),
+  syncConflictList: document.getElementById('syncConflictList'),
+
+  authSection: document.getElementById('authSection'),
+  authTitle: document.getElementById('authTitle'),
+  authError: document.getElementById('authError'),
+  authForm: document.getElementById('authForm'),
+  authEmailInput: document.getElementById('authEmail'),
+  authPasswordInput: document.getElementById('authPassword'),
+  authSubmitBtn: document.getElementById('authSubmitBtn'),
+  authToggle: document.getElementById('authToggle'),
+
+  importBtn: document.getElementById('importBtn'),
+  importDialog: document.getElementById('importDialog'),
+  historyDialog: document.getElementById('historyDialog'),
+  historyTitle: document.getElementById('historyTitle'),
+  historyList: document.getElementById('historyList'),
+  historyCloseBtn: document.getElementById('historyCloseBtn'),
+  trashBtn: document.getElementById('trashBtn'),
+  trashDialog: document.getElementById('trashDialog'),
+  trashList: document.getElementById('trashList'),
+  trashCloseBtn: document.getElementById('trashCloseBtn'),
+  emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+  listToolbar: document.getElementById('listToolbar'),
+  filterCategorySelect: document.getElementById('filterCategory'),
+  filterFrom: document.getElementById('filterFrom'),
+  filterTo: document.getElementById('filterTo'),
+  filterMinAmount: document.getElementById('filterMinAmount'),
+  filterMaxAmount: document.getElementById('filterMaxAmount'),
+  sortSelect: document.getElementById('sortSelect'),
+  clearFiltersBtn: document.getElementById('clearFiltersBtn'),
+
+  bulkActions: document.getElementById('bulkActions'),
+  bulkCount: document.getElementById('bulkCount'),
+  bulkCategorySelect: document.getElementById('bulkCategory'),
+  bulkCategoryBtn: document.getElementById('bulkCategoryBtn'),
+  bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+  importError: document.getElementById('importError'),
+  importFile: document.getElementById('importFile'),
+  importDateFormat: document.getElementById('importDateFormat'),
+  importHasHeader: document.getElementById('importHasHeader'),
+  importMapping: document.getElementById('importMapping'),
+  importMapSelects: document.querySelectorAll('#importMapping select'),
+  importSummary: document.getElementById('importSummary'),
+  importPreview: document.getElementById('importPreview'),
+  importCancelBtn: document.getElementById('importCancelBtn'),
+  importPreviewBtn: document.getElementById('importPreviewBtn'),
+  importConfirmBtn: document.getElementById('importConfirmBtn'),
+
+  budgetMonth: document.getElementById('budgetMonth'),
+  budgetList: document.getElementById('budgetList'),
+  budgetForm: document.getElementById('budgetForm'),
+  budgetCategorySelect: document.getElementById('budgetCategory'),
+  budgetAmountInput: document.getElementById('budgetAmount'),
+
+  summaryForm: document.getElementById('summaryForm'),
+  summaryFrom: document.getElementById('summaryFrom'),
+  summaryTo: document.getElementById('summaryTo'),
+  summaryCategorySelect: document.getElementById('summaryCategory'),
+  summaryPanel: document.getElementById('summaryPanel'),
+
+  baseCurrencyForm: document.getElementById('baseCurrencyForm'),
+  baseCurrencyInput: document.getElementById('baseCurrencyInput'),
+  rateMissing: document.getElementById('rateMissing'),
+  rateList: document.getElementById('rateList'),
+  rateForm: document.getElementById('rateForm'),
+  rateCurrencyInput: document.getElementById('rateCurrency'),
+  rateValueInput: document.getElementById('rateValue'),
+  rateImportBtn: document.getElementById('rateImportBtn'),
+  rateFile: document.getElementById('rateFile'),
+
+  groupListSelect: document.getElementById('groupSelect'),
+  groupBalances: document.getElementById('groupBalances'),
+  groupForm: document.getElementById('groupForm'),
+  groupNameInput: document.getElementById('groupName'),
+  groupMembersInput: document.getElementById('groupMembers'),
+
+  accountList: document.getElementById('accountList'),
+  accountForm: document.getElementById('accountForm'),
+  accountNameInput: document.getElementById('accountName'),
+  accountTypeSelect: document.getElementById('accountType'),
+  accountOpeningInput: document.getElementById('accountOpeningBalance'),
+  accountCurrencyInput: document.getElementById('accountCurrency'),
+  transferForm: document.getElementById('transferForm'),
+  transferFromSelect: document.getElementById('transferFrom'),
+  transferToSelect: document.getElementById('transferTo'),
+  transferAmountInput: document.getElementById('transferAmount'),
+  transferToAmountInput: document.getElementById('transferToAmount')
 };
 
 // ============================================================
@@ -39,9 +165,19 @@ function showError(message, duration = 5000) {
  * Show success message
  * @param {string} message
  * @param {number} duration
+ * @param {Object|null} action - Optional { label, onClick } button
+ */
+function showSuccess(message, duration = 4000, action = null) {
+  showMessage(message, 'success', duration, action);
+}
+
+/**
+ * Show warning message
+ * @param {string} message
+ * @param {number} duration
  */
-function showSuccess(message, duration = 4000) {
-  showMessage(message, 'success', duration);
+function showWarning(message, duration = 8000) {
+  showMessage(message, 'warning', duration);
 }
 
 /**
@@ -56,15 +192,18 @@ function showInfo(message, duration = 4000) {
 /**
  * Generic message display
  * @param {string} message
- * @param {string} type - 'error', 'success', or 'info'
+ * @param {string} type - 'error', 'success', 'warning', or 'info'
  * @param {number} duration - Auto-hide after ms
+ * @param {Object|null} action - Optional { label, onClick } button; the
+ *   message closes when it is clicked
  */
-function showMessage(message, type = 'info', duration = 5000) {
+function showMessage(message, type = 'info', duration = 5000, action = null) {
   // Create alert element
   const alert = document.createElement('div');
   alert.className = `alert alert-${type}`;
   alert.innerHTML = `
     <span>${escapeHtml(message)}</span>
+    ${action ? `<button type="button" class="alert-action">${escapeHtml(action.label)}</button>` : ''}
     <button type="button" class="alert-close" aria-label="Close">×</button>
   `;
 
@@ -76,6 +215,13 @@ function showMessage(message, type = 'info', duration = 5000) {
     alert.remove();
   });
 
+  if (action) {
+    alert.querySelector('.alert-action').addEventListener('click', () => {
+      alert.remove();
+      action.onClick();
+    });
+  }
+
   // Auto-hide
   if (duration) {
     setTimeout(() => {
@@ -91,49 +237,182 @@ function clearMessages() {
   elements.messageContainer.innerHTML = '';
 }
 
+/**
+ * Show validation errors next to the fields they are about
+ * A field is found by its data-field or name attribute.
+ * @param {Element} container - Form or row holding the fields
+ * @param {Array} errors - [{ field, message }] from error.details.errors
+ * @returns {Array} The errors about fields that aren't in the container
+ */
+function showFieldErrors(container, errors) {
+  clearFieldErrors(container);
+
+  return errors.filter(({ field, message }) => {
+    const input = container.querySelector(`[data-field="${field}"], [name="${field}"]`);
+    if (!input) return true;
+
+    input.setAttribute('aria-invalid', 'true');
+    const note = document.createElement('span');
+    note.className = 'field-error';
+    note.textContent = message;
+    input.insertAdjacentElement('afterend', note);
+    return false;
+  });
+}
+
+/**
+ * Remove the validation errors shown by showFieldErrors()
+ * @param {Element} container
+ */
+function clearFieldErrors(container) {
+  container.querySelectorAll('.field-error').forEach(note => note.remove());
+  container.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+}
+
 // ============================================================
 // FORM MANAGEMENT
 // ============================================================
 
 /**
  * Get form data as object
- * @returns {Object} { date, amount, category, description }
+ * @returns {Object} { type, date, amount, currency, accountId, category, description, tags, repeat, receipts }
+ *   plus { groupId, paidBy, split } when shared with a group
  */
 function getFormData() {
   return {
+    ...getShareFormData(),
+    type: elements.typeSelect.value,
     date: elements.dateInput.value,
     amount: elements.amountInput.value,
+    currency: elements.currencyInput.value.trim().toUpperCase(),
     category: elements.categorySelect.value,
-    description: elements.descriptionInput.value
+    description: elements.descriptionInput.value,
+    tags: parseTagInput(elements.tagsInput.value),
+    accountId: Number(elements.accountSelect.value) || null,
+    repeat: elements.repeatSelect.value,
+    receipts: Array.from(elements.receiptsInput.files)
+  };
+}
+
+/**
+ * Who paid and how the expense is split, if a group is picked
+ * @returns {Object} { groupId, paidBy, split: { method, members } } or {}
+ */
+function getShareFormData() {
+  const groupId = Number(elements.groupSelect.value);
+  if (!groupId) return {};
+
+  const method = elements.splitMethodSelect.value;
+  const members = Array.from(elements.splitMembers.querySelectorAll('.split-member'))
+    .filter(row => row.querySelector('input[type="checkbox"]').checked)
+    .map(row => ({
+      memberId: Number(row.dataset.memberId),
+      value: method === 'equal' ? null : row.querySelector('input[type="number"]').value
+    }));
+
+  return {
+    groupId,
+    paidBy: Number(elements.paidBySelect.value),
+    split: { method, members }
   };
 }
 
+/**
+ * Bring the form into view, ready to type the amount
+ */
+function focusExpenseForm() {
+  elements.form.scrollIntoView({ block: 'start' });
+  elements.amountInput.focus();
+}
+
 /**
  * Clear form inputs
  */
 function clearForm() {
+  const accountId = elements.accountSelect.value;
   elements.form.reset();
+  elements.accountSelect.value = accountId; // Keep paying from the same account
   elements.dateInput.value = getTodayDate(); // Reset to today
+  onExpenseTypeChange(); // Back to expense categories
 }
 
 /**
  * Set form data (for editing)
- * @param {Object} data
+ * The category list must already be the one for data.type.
+ * @param {Object} data - An expense, or some of its fields
  */
 function setFormData(data) {
+  if (data.type) elements.typeSelect.value = data.type;
   if (data.date) elements.dateInput.value = data.date;
   if (data.amount) elements.amountInput.value = data.amount;
+  if (data.currency) elements.currencyInput.value = data.currency;
   if (data.category) elements.categorySelect.value = data.category;
   if (data.description) elements.descriptionInput.value = data.description;
+  if (data.tags) elements.tagsInput.value = data.tags.join(', ');
+  if ('account_id' in data) elements.accountSelect.value = data.account_id || '';
+}
+
+/**
+ * Switch the form between adding and editing an expense
+ * Repeating, sharing and receipts are only offered for new expenses.
+ * @param {Object|null} expense - Being edited; null to go back to adding
+ */
+function setFormEditMode(expense) {
+  const isEditing = Boolean(expense);
+
+  elements.formTitle.textContent = isEditing
+    ? `Edit ${expense.type === 'income' ? 'Income' : 'Expense'}`
+    : 'Add New Expense';
+  elements.submitBtn.textContent = isEditing ? '💾 Save Changes' : '➕ Add Expense';
+  elements.cancelEditBtn.classList.toggle('hidden', !isEditing);
+  elements.form.querySelectorAll('.create-only').forEach(field => {
+    field.classList.toggle('hidden', isEditing);
+  });
+  clearFieldErrors(elements.form);
+
+  if (isEditing) elements.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Fill a category dropdown, listing subcategories under their parent
+ * @param {Array} categories - [{ id, name, icon, parent_id }]
+ * @param {HTMLSelectElement} select - Defaults to the expense form's dropdown
+ * @param {string} valueField - Category field used as the option value
+ * @param {string} placeholder - Label of the empty first option
+ */
+function renderCategoryOptions(categories, select = elements.categorySelect, valueField = 'name',
+  placeholder = '-- Select Category --') {
+  const selected = select.value;
+
+  const childrenOf = (parentId) => categories.filter(c => (c.parent_id || null) === parentId);
+  const renderLevel = (parentId, depth) => childrenOf(parentId).map(category => `
+    <option value="${escapeHtml(String(category[valueField]))}">
+      ${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${escapeHtml(category.icon || '')} ${escapeHtml(category.name)}
+    </option>
+    ${renderLevel(category.id, depth + 1)}
+  `).join('');
+
+  select.innerHTML = `
+    <option value="">${escapeHtml(placeholder)}</option>
+    ${renderLevel(null, 0)}
+  `;
+
+  // Keep the current choice if it still exists
+  select.value = selected;
 }
 
 /**
  * Disable/enable form submission
  * @param {boolean} isLoading
+ * @param {boolean} isEditing - The form is saving changes to an expense
  */
-function setFormLoading(isLoading) {
+function setFormLoading(isLoading, isEditing = false) {
   elements.submitBtn.disabled = isLoading;
-  elements.submitBtn.textContent = isLoading ? '⏳ Adding...' : '➕ Add Expense';
+  if (isEditing) {
+    elements.submitBtn.textContent = isLoading ? '⏳ Saving...' : '💾 Save Changes';
+  } else {
+    elements.submitBtn.textContent = isLoading ? '⏳ Adding...' : '➕ Add Expense';
+  }
 }
 
 // ============================================================
@@ -147,19 +426,28 @@ function setFormLoading(isLoading) {
 function renderExpenseList(expenses) {
   clearMessages();
 
+  // A fresh list starts with nothing selected
+  renderBulkActions(0, null);
+
+  // Update totals (in the base currency) and charts for what's listed
+  renderCashFlow(calculateCashFlow(expenses));
+  renderCharts(expenses);
+
   // Show/hide empty state
   if (expenses.length === 0) {
     elements.expenseList.innerHTML = '';
     elements.emptyState.classList.remove('hidden');
-    elements.totalAmount.textContent = formatAmount(0);
+    elements.totalNote.classList.add('hidden');
     return;
   }
 
   elements.emptyState.classList.add('hidden');
 
-  // Update total
-  const total = calculateTotal(expenses);
-  elements.totalAmount.textContent = formatAmount(total);
+  const unconverted = countUnconverted(expenses);
+  elements.totalNote.textContent = unconverted > 0
+    ? `+ ${unconverted} without exchange rate`
+    : '';
+  elements.totalNote.classList.toggle('hidden', unconverted === 0);
 
   // Check screen size for rendering style
   if (window.innerWidth >= 768) {
@@ -169,6 +457,322 @@ function renderExpenseList(expenses) {
   }
 }
 
+/**
+ * Show income, spending and net
+ * @param {Object} cashFlow - { income, expenses, net }
+ */
+function renderCashFlow({ income, expenses, net }) {
+  elements.totalIncome.textContent = formatAmount(income);
+  elements.totalAmount.textContent = formatAmount(expenses);
+  elements.totalNet.textContent = `${net > 0 ? '+' : ''}${formatAmount(net)}`;
+  elements.totalNet.classList.toggle('negative', net < 0);
+}
+
+/**
+ * Switch the empty state between "nothing yet" and "nothing matches"
+ * @param {boolean} isFiltered
+ */
+function setEmptyStateFiltered(isFiltered) {
+  const [title, hint] = elements.emptyState.querySelectorAll('p');
+  title.textContent = isFiltered ? '🔍 No matching expenses' : '📭 No expenses yet';
+  hint.textContent = isFiltered
+    ? 'Try a different search.'
+    : 'Add your first expense above to get started!';
+}
+
+/**
+ * Description HTML, with search matches highlighted when present
+ * @param {Object} expense
+ * @returns {string}
+ */
+function renderDescription(expense) {
+  if (expense.highlight?.description) return renderHighlight(expense.highlight.description);
+  return expense.description ? escapeHtml(expense.description) : '';
+}
+
+/**
+ * Category HTML, with search matches highlighted when present
+ * @param {Object} expense
+ * @returns {string}
+ */
+function renderCategory(expense) {
+  if (expense.highlight?.category) return renderHighlight(expense.highlight.category);
+  return escapeHtml(expense.category);
+}
+
+/**
+ * An expense's amount in its own currency, with the base equivalent on hover
+ * Income is shown in green with a plus sign.
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function renderExpenseAmount(expense) {
+  const converted = expense.currency && expense.currency !== getBaseCurrency() && expense.base_amount !== null
+    ? ` title="≈ ${escapeHtml(formatAmount(expense.base_amount))}"`
+    : '';
+  const income = expense.type === 'income';
+  const amount = formatAmount(expense.amount, expense.currency || undefined);
+  return `<span class="expense-amount${income ? ' income-amount' : ''}"${converted}>${income ? '+' : ''}${amount}</span>`;
+}
+
+/**
+ * Marker for expenses shared with a group
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function renderSharedMarker(expense) {
+  return expense.group_id
+    ? ' <span class="shared-marker" title="Shared with a group">👥</span>'
+    : '';
+}
+
+/**
+ * Marker for expenses generated by a recurring rule
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function renderRecurringMarker(expense) {
+  return expense.recurring_id
+    ? ' <span class="recurring-marker" title="Recurring expense">🔁</span>'
+    : '';
+}
+
+/**
+ * Marker for an expense with changes not yet sent to the server
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function renderPendingMarker(expense) {
+  return expense.pending
+    ? ' <span class="pending-marker" title="Not synced yet; sent when back online">⏳</span>'
+    : '';
+}
+
+/**
+ * An expense's tags; clicking one filters the list by it
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function renderTags(expense) {
+  const tags = expense.tags || [];
+  if (tags.length === 0) return '';
+
+  return `<div class="expense-tags">${tags.map(tag => `
+    <button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show only “${escapeHtml(tag)}”">
+      #${escapeHtml(tag)}
+    </button>
+  `).join('')}</div>`;
+}
+
+/**
+ * Suggest existing tags for the tag being typed
+ * The input holds a comma-separated list, so each suggestion keeps the
+ * tags already entered and completes the last one.
+ * @param {Array} tags - [{ name }] from getTags()
+ */
+function renderTagOptions(tags) {
+  const text = elements.tagsInput.value;
+  const cut = text.lastIndexOf(',') + 1;
+  const before = text.slice(0, cut);
+  const typed = text.slice(cut).trim().toLowerCase();
+  const entered = parseTagInput(before).map(tag => tag.toLowerCase());
+  const prefix = before ? `${before.trimEnd()} ` : '';
+
+  elements.tagOptions.innerHTML = tags
+    .filter(tag => !entered.includes(tag.name.toLowerCase()))
+    .filter(tag => tag.name.toLowerCase().startsWith(typed))
+    .map(tag => `<option value="${escapeHtml(prefix + tag.name)}"></option>`)
+    .join('');
+}
+
+/**
+ * Show which tag the list is narrowed to, with a way to clear it
+ * @param {string} tag - '' when not filtering
+ */
+function renderTagFilter(tag) {
+  elements.tagFilter.classList.toggle('hidden', !tag);
+  elements.tagFilter.innerHTML = tag ? `
+    <span>Tagged <strong>#${escapeHtml(tag)}</strong></span>
+    <button type="button" class="btn-link tag-filter-clear">✕ Show all</button>
+  ` : '';
+
+  elements.tagFilter.querySelector('.tag-filter-clear')?.addEventListener('click', () => {
+    onTagFilter('');
+  });
+}
+
+/**
+ * Paperclip with a thumbnail per receipt image and an icon per PDF
+ * Thumbnails start empty; loadAttachmentThumbnails() fills them in.
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function renderAttachments(expense) {
+  const attachments = expense.attachments || [];
+  if (attachments.length === 0) return '';
+
+  const items = attachments.map(attachment => {
+    const name = escapeHtml(attachment.filename);
+    const preview = attachment.mime_type.startsWith('image/')
+      ? `<img class="attachment-thumb" data-attachment-id="${attachment.id}" alt="${name}">`
+      : '<span class="attachment-icon">📄</span>';
+    return `
+      <button type="button" class="attachment-link" data-attachment-id="${attachment.id}" title="${name}">
+        ${preview}
+      </button>
+    `;
+  }).join('');
+
+  return `<div class="attachments"><span class="attachment-clip" title="Receipts">📎</span>${items}</div>`;
+}
+
+/**
+ * The expense a button in the list is for: a number, or a local ID for
+ * one made offline
+ * @param {Element} btn - With data-id
+ * @returns {number|string}
+ */
+function getExpenseId(btn) {
+  const id = btn.getAttribute('data-id');
+  return isLocalId(id) ? id : Number(id);
+}
+
+/**
+ * Hook up the buttons inside the rendered expense list
+ * @param {Element} root - The list, or a single row drawn again on its own
+ */
+function bindExpenseActions(root = elements.expenseList) {
+  root.querySelectorAll('.delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      handleDeleteClick(getExpenseId(btn));
+    });
+  });
+
+  root.querySelectorAll('.attach-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      elements.attachmentFile.dataset.expenseId = btn.getAttribute('data-id');
+      elements.attachmentFile.click();
+    });
+  });
+
+  root.querySelectorAll('.edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onEditExpense(getExpenseId(btn), btn.closest('tr'));
+    });
+  });
+
+  root.querySelectorAll('.history-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onOpenHistory(Number(btn.getAttribute('data-id')));
+    });
+  });
+
+  root.querySelectorAll('.tag-chip').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onTagFilter(btn.getAttribute('data-tag'));
+    });
+  });
+
+  root.querySelectorAll('.attachment-link').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onOpenAttachment(Number(btn.getAttribute('data-attachment-id')));
+    });
+  });
+
+  root.querySelectorAll('.select-expense').forEach(checkbox => {
+    checkbox.addEventListener('change', onSelectionChange);
+  });
+
+  root.querySelectorAll('.sort-header').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onSortHeader(btn.getAttribute('data-sort'));
+    });
+  });
+
+  root.querySelectorAll('.select-all-expenses').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      elements.expenseList.querySelectorAll('.select-expense').forEach(row => {
+        row.checked = checkbox.checked;
+      });
+      onSelectionChange();
+    });
+  });
+
+  loadAttachmentThumbnails(root);
+}
+
+/**
+ * A table heading that sorts the list by its column
+ * @param {string} field - Sort field sent to the API
+ * @param {string} label
+ * @returns {string}
+ */
+function renderSortHeader(field, label) {
+  const sort = getListSort();
+  const active = sort && sort.field === field;
+  const ariaSort = active ? (sort.order === 'asc' ? 'ascending' : 'descending') : 'none';
+
+  return `
+    <th aria-sort="${ariaSort}">
+      <button type="button" class="sort-header${active ? ' sort-header-active' : ''}" data-sort="${field}">
+        ${label}<span class="sort-indicator" aria-hidden="true">${active ? (sort.order === 'asc' ? '▲' : '▼') : ''}</span>
+      </button>
+    </th>
+  `;
+}
+
+/**
+ * One row of the expense table
+ * @param {Object} expense
+ * @returns {string}
+ */
+function renderTableRow(expense) {
+  // Until the server has it, an expense made offline can't be selected,
+  // given receipts or show a history
+  const synced = !isLocalId(expense.id);
+
+  return `
+    <tr data-id="${expense.id}"${expense.pending ? ' class="pending-row"' : ''}>
+      <td class="select-col">
+        ${synced ? `<input type="checkbox" class="select-expense" data-id="${expense.id}" aria-label="Select expense">` : ''}
+      </td>
+      <td>
+        <span class="expense-date">${formatDate(expense.date)}</span>${renderRecurringMarker(expense)}${renderSharedMarker(expense)}${renderPendingMarker(expense)}
+      </td>
+      <td>
+        <span>${renderDescription(expense) || '—'}</span>
+        ${renderTags(expense)}
+        ${renderAttachments(expense)}
+      </td>
+      <td>
+        <span class="expense-category">${renderCategory(expense)}</span>
+      </td>
+      <td>
+        ${renderExpenseAmount(expense)}
+        ${expense.account_name ? `<div class="expense-account">${escapeHtml(expense.account_name)}</div>` : ''}
+      </td>
+      <td class="expense-actions">
+        ${synced ? `
+          <button class="btn btn-secondary btn-sm attach-btn" data-id="${expense.id}" title="Attach receipts">
+            📎 Attach
+          </button>
+        ` : ''}
+        <button class="btn btn-secondary btn-sm edit-btn" data-id="${expense.id}" title="Edit in place">
+          ✏️ Edit
+        </button>
+        ${synced ? `
+          <button class="btn btn-secondary btn-sm history-btn" data-id="${expense.id}" title="Show changes">
+            🕘 History
+          </button>
+        ` : ''}
+        <button class="btn btn-danger btn-sm delete-btn" data-id="${expense.id}">
+          🗑️ Delete
+        </button>
+      </td>
+    </tr>
+  `;
+}
+
 /**
  * Render expenses as table (desktop)
  * @param {Array} expenses
@@ -178,48 +782,120 @@ function renderTable(expenses) {
     <table class="expense-table">
       <thead>
         <tr>
-          <th>Date</th>
-          <th>Description</th>
-          <th>Category</th>
-          <th>Amount</th>
+          <th class="select-col">
+            <input type="checkbox" class="select-all-expenses" aria-label="Select all expenses">
+          </th>
+          ${renderSortHeader('date', 'Date')}
+          ${renderSortHeader('description', 'Description')}
+          ${renderSortHeader('category', 'Category')}
+          ${renderSortHeader('amount', 'Amount')}
           <th>Action</th>
         </tr>
       </thead>
       <tbody>
-        ${expenses.map(expense => `
-          <tr>
-            <td>
-              <span class="expense-date">${formatDate(expense.date)}</span>
-            </td>
-            <td>
-              <span>${escapeHtml(expense.description || '—')}</span>
-            </td>
-            <td>
-              <span class="expense-category">${escapeHtml(expense.category)}</span>
-            </td>
-            <td>
-              <span class="expense-amount">${formatAmount(expense.amount)}</span>
-            </td>
-            <td>
-              <button class="btn btn-danger btn-sm delete-btn" data-id="${expense.id}">
-                🗑️ Delete
-              </button>
-            </td>
-          </tr>
-        `).join('')}
+        ${expenses.map(renderTableRow).join('')}
       </tbody>
     </table>
   `;
 
   elements.expenseList.innerHTML = html;
+  bindExpenseActions();
+}
 
-  // Attach delete handlers
-  document.querySelectorAll('.delete-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const id = btn.getAttribute('data-id');
-      handleDeleteClick(id);
-    });
+/**
+ * Turn a table row into inputs for editing the expense in place
+ * Enter saves and Escape cancels, as do the row's buttons.
+ * @param {HTMLTableRowElement} row
+ * @param {Object} expense
+ * @param {Array} categories - Categories of the expense's type
+ */
+function renderInlineEditor(row, expense, categories) {
+  row.classList.add('expense-row-editing');
+  row.innerHTML = `
+    <td class="select-col"></td>
+    <td>
+      <input type="date" data-field="date" value="${escapeHtml(expense.date)}" aria-label="Date">
+    </td>
+    <td>
+      <input type="text" data-field="description" value="${escapeHtml(expense.description || '')}"
+             maxlength="255" aria-label="Description">
+    </td>
+    <td>
+      <select data-field="category" aria-label="Category"></select>
+    </td>
+    <td>
+      <div class="inline-amount">
+        <input type="number" data-field="amount" value="${expense.amount}" step="0.01" min="0.01" aria-label="Amount">
+        <input type="text" data-field="currency" value="${escapeHtml(expense.currency)}" maxlength="3" aria-label="Currency">
+      </div>
+    </td>
+    <td class="expense-actions">
+      <button type="button" class="btn btn-primary btn-sm save-edit-btn">💾 Save</button>
+      <button type="button" class="btn btn-secondary btn-sm cancel-edit-btn">Cancel</button>
+    </td>
+  `;
+
+  const select = row.querySelector('[data-field="category"]');
+  renderCategoryOptions(categories, select);
+  select.value = expense.category;
+
+  const save = () => onSaveInlineEdit(expense.id, row);
+  const cancel = () => onCancelInlineEdit(expense.id, row);
+
+  row.querySelector('.save-edit-btn').addEventListener('click', save);
+  row.querySelector('.cancel-edit-btn').addEventListener('click', cancel);
+  row.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.matches('input')) {
+      e.preventDefault();
+      save();
+    } else if (e.key === 'Escape') {
+      cancel();
+    }
+  });
+
+  row.querySelector('[data-field="date"]').focus();
+}
+
+/**
+ * Get the values of a row being edited in place
+ * @param {HTMLTableRowElement} row
+ * @returns {Object} { date, description, category, amount, currency }
+ */
+function getInlineEditData(row) {
+  const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+  return {
+    date: value('date'),
+    description: value('description'),
+    category: value('category'),
+    amount: value('amount'),
+    currency: value('currency').trim().toUpperCase()
+  };
+}
+
+/**
+ * Disable a row's buttons while its changes are saved
+ * @param {HTMLTableRowElement} row
+ * @param {boolean} isSaving
+ */
+function setInlineEditSaving(row, isSaving) {
+  row.querySelectorAll('button').forEach(btn => {
+    btn.disabled = isSaving;
   });
+  row.querySelector('.save-edit-btn').textContent = isSaving ? '⏳ Saving...' : '💾 Save';
+}
+
+/**
+ * Put a row back the way the list shows it
+ * @param {HTMLTableRowElement} row
+ * @param {Object} expense
+ */
+function restoreTableRow(row, expense) {
+  const template = document.createElement('tbody');
+  template.innerHTML = renderTableRow(expense);
+  const restored = template.firstElementChild;
+
+  row.replaceWith(restored);
+  bindExpenseActions(restored);
 }
 
 /**
@@ -228,26 +904,62 @@ function renderTable(expenses) {
  */
 function renderCards(expenses) {
   const html = expenses.map(expense => `
-    <div class="expense-card">
+    <div class="expense-card${expense.pending ? ' pending-row' : ''}">
+      ${!isLocalId(expense.id) ? `
+        <label class="expense-card-select">
+          <input type="checkbox" class="select-expense" data-id="${expense.id}"> Select
+        </label>
+      ` : ''}
       <div class="expense-card-row">
         <span class="expense-card-label">Date</span>
-        <span class="expense-card-value">${formatDate(expense.date)}</span>
+        <span class="expense-card-value">${formatDate(expense.date)}${renderRecurringMarker(expense)}${renderSharedMarker(expense)}${renderPendingMarker(expense)}</span>
       </div>
       <div class="expense-card-row">
         <span class="expense-card-label">Category</span>
-        <span class="expense-category">${escapeHtml(expense.category)}</span>
+        <span class="expense-category">${renderCategory(expense)}</span>
       </div>
       <div class="expense-card-row">
         <span class="expense-card-label">Amount</span>
-        <span class="expense-amount">${formatAmount(expense.amount)}</span>
+        ${renderExpenseAmount(expense)}
       </div>
+      ${expense.account_name ? `
+        <div class="expense-card-row">
+          <span class="expense-card-label">Account</span>
+          <span class="expense-account">${escapeHtml(expense.account_name)}</span>
+        </div>
+      ` : ''}
       ${expense.description ? `
         <div class="expense-card-row">
           <span class="expense-card-label">Notes</span>
-          <span class="expense-description">${escapeHtml(expense.description)}</span>
+          <span class="expense-description">${renderDescription(expense)}</span>
+        </div>
+      ` : ''}
+      ${expense.tags?.length ? `
+        <div class="expense-card-row">
+          <span class="expense-card-label">Tags</span>
+          ${renderTags(expense)}
+        </div>
+      ` : ''}
+      ${expense.attachments?.length ? `
+        <div class="expense-card-row">
+          <span class="expense-card-label">Receipts</span>
+          ${renderAttachments(expense)}
         </div>
       ` : ''}
-      <div class="expense-card-row" style="margin-top: 12px;">
+      <div class="expense-card-row expense-actions" style="margin-top: 12px;">
+        ${!isLocalId(expense.id) ? `
+          <button class="btn btn-secondary btn-sm attach-btn" data-id="${expense.id}" title="Attach receipts">
+            📎 Attach
+          </button>
+        ` : ''}
+        <button class="btn btn-secondary btn-sm edit-btn" data-id="${expense.id}" title="Edit in the form">
+          ✏️ Edit
+        </button>
+        ${!isLocalId(expense.id) ? `
+          <button class="btn btn-secondary btn-sm history-btn" data-id="${expense.id}" title="Show changes">
+            🕘 History
+          </button>
+        ` : ''}
         <button class="btn btn-danger btn-sm delete-btn" data-id="${expense.id}">
           🗑️ Delete
         </button>
@@ -256,28 +968,1066 @@ function renderCards(expenses) {
   `).join('');
 
   elements.expenseList.innerHTML = html;
+  bindExpenseActions();
+}
 
-  // Attach delete handlers
-  document.querySelectorAll('.delete-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const id = btn.getAttribute('data-id');
-      handleDeleteClick(id);
-    });
-  });
+// ============================================================
+// LIST TOOLBAR
+// ============================================================
+
+/**
+ * Get the toolbar's filters and sort order
+ * @returns {Object} { category, from, to, minAmount, maxAmount, sort, order }
+ *   ('' for anything not set)
+ */
+function getListToolbarData() {
+  const [sort = '', order = ''] = elements.sortSelect.value.split(':');
+  return {
+    category: elements.filterCategorySelect.value,
+    from: elements.filterFrom.value,
+    to: elements.filterTo.value,
+    minAmount: elements.filterMinAmount.value,
+    maxAmount: elements.filterMaxAmount.value,
+    sort,
+    order
+  };
+}
+
+/**
+ * Show filters and a sort order in the toolbar
+ * The category is set once its option exists (see renderCategoryOptions).
+ * @param {Object} filters - As from getListToolbarData()
+ */
+function setListToolbarData(filters) {
+  elements.filterCategorySelect.value = filters.category;
+  elements.filterFrom.value = filters.from;
+  elements.filterTo.value = filters.to;
+  elements.filterMinAmount.value = filters.minAmount;
+  elements.filterMaxAmount.value = filters.maxAmount;
+  elements.sortSelect.value = filters.sort ? `${filters.sort}:${filters.order || 'desc'}` : '';
+  clearFieldErrors(elements.listToolbar);
+}
+
+/**
+ * Column and direction the list is sorted by
+ * @returns {Object|null} { field, order }; null for search results in
+ *   order of relevance
+ */
+function getListSort() {
+  const { sort, order } = getListToolbarData();
+  if (sort) return { field: sort, order };
+  return elements.searchInput.value.trim() ? null : { field: 'date', order: 'desc' };
+}
+
+/**
+ * Offer "Clear filters" while the list is narrowed or sorted
+ * @param {boolean} isFiltered
+ */
+function renderClearFilters(isFiltered) {
+  elements.clearFiltersBtn.classList.toggle('hidden', !isFiltered);
 }
 
 // ============================================================
-// DELETE CONFIRMATION
+// CHARTS
 // ============================================================
 
+// What the charts were last drawn from, so a legend click can redraw them
+const chartView = { expenses: [], hidden: new Set() };
+
+const CHART_HEIGHT = 180;
+
 /**
- * Handle delete button click with confirmation
- * @param {number} id
+ * Draw the category donut, monthly bars and this month's running total
+ * for the listed spending (hidden when there is none)
+ * @param {Array} expenses
  */
-function handleDeleteClick(id) {
-  if (confirm('Are you sure you want to delete this expense?')) {
-    onDeleteExpense(id);
-  }
+function renderCharts(expenses) {
+  chartView.expenses = expenses;
+  const data = buildChartData(expenses, chartView.hidden);
+
+  elements.chartPanel.classList.toggle('hidden', data.categories.length === 0);
+  hideChartTooltip();
+  if (data.categories.length === 0) return;
+
+  // Sized to the space available now; the resize listener redraws them
+  const widthOf = (container) => Math.max(container.clientWidth, 240);
+  const donutSize = Math.min(widthOf(elements.donutChart), CHART_HEIGHT);
+
+  elements.donutChart.innerHTML = buildDonutChart(data.categories, donutSize);
+  elements.barChart.innerHTML = buildBarChart(data.months, widthOf(elements.barChart), CHART_HEIGHT);
+  elements.lineChart.innerHTML = buildLineChart(data.days, widthOf(elements.lineChart), CHART_HEIGHT);
+  elements.lineChartCaption.textContent = `So far in ${formatMonth(data.days.month, true)}`;
+
+  elements.chartLegend.innerHTML = data.categories.map(item => `
+    <button type="button" class="chart-legend-item" data-category="${escapeHtml(item.category)}"
+            aria-pressed="${!item.hidden}" title="${item.hidden ? 'Show' : 'Hide'} ${escapeHtml(item.category)}">
+      <span class="chart-legend-swatch" style="background: ${escapeHtml(item.color)}"></span>
+      ${escapeHtml(item.category)}
+    </button>
+  `).join('');
+}
+
+/**
+ * Show or hide a category in every chart
+ * @param {string} category
+ */
+function toggleChartCategory(category) {
+  if (!chartView.hidden.delete(category)) chartView.hidden.add(category);
+  renderCharts(chartView.expenses);
+
+  // Redrawing replaced the button; keep the keyboard where it was
+  const button = [...elements.chartLegend.querySelectorAll('.chart-legend-item')]
+    .find(item => item.getAttribute('data-category') === category);
+  if (button) button.focus();
+}
+
+/**
+ * Forget the categories switched off in the legend
+ */
+function resetCharts() {
+  chartView.hidden.clear();
+}
+
+/**
+ * Show a chart mark's tooltip just above it
+ * @param {Element} mark - Has data-tooltip
+ */
+function showChartTooltip(mark) {
+  const panel = elements.chartPanel.getBoundingClientRect();
+  const box = mark.getBoundingClientRect();
+
+  elements.chartTooltip.textContent = mark.getAttribute('data-tooltip');
+  elements.chartTooltip.classList.remove('hidden');
+  elements.chartTooltip.style.left = `${box.left + box.width / 2 - panel.left}px`;
+  elements.chartTooltip.style.top = `${box.top - panel.top}px`;
+}
+
+/**
+ * Hide the chart tooltip
+ */
+function hideChartTooltip() {
+  elements.chartTooltip.classList.add('hidden');
+}
+
+// ============================================================
+// BUDGETS
+// ============================================================
+
+/**
+ * Render a progress bar per budget for the selected month
+ * @param {Array} budgets - Status rows from getBudgetStatus()
+ */
+function renderBudgetStatus(budgets) {
+  if (budgets.length === 0) {
+    elements.budgetList.innerHTML = '<p class="text-muted">No budgets yet. Set one below.</p>';
+    return;
+  }
+
+  elements.budgetList.innerHTML = budgets.map(budget => `
+    <div class="budget-item budget-${budget.status}">
+      <div class="budget-item-header">
+        <span>${escapeHtml(budget.icon || '')} ${escapeHtml(budget.category)}</span>
+        <span class="budget-item-amounts">
+          ${formatAmount(budget.spent)} / ${formatAmount(budget.budget)}
+          <button type="button" class="budget-delete-btn" data-id="${budget.budgetId}"
+                  aria-label="Remove ${escapeHtml(budget.category)} budget">×</button>
+        </span>
+      </div>
+      <div class="budget-bar" role="progressbar"
+           aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(budget.percentUsed, 100)}"
+           aria-label="${escapeHtml(budget.category)} budget used">
+        <div class="budget-bar-fill" style="width: ${Math.min(budget.percentUsed, 100)}%"></div>
+      </div>
+      <div class="budget-item-footer">
+        ${budget.remaining >= 0
+          ? `${formatAmount(budget.remaining)} left`
+          : `${formatAmount(-budget.remaining)} over`}
+        · ${budget.percentUsed}%
+      </div>
+    </div>
+  `).join('');
+
+  elements.budgetList.querySelectorAll('.budget-delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onDeleteBudget(Number(btn.getAttribute('data-id')));
+    });
+  });
+}
+
+/**
+ * Get budget form data
+ * @returns {Object} { categoryId, amount }
+ */
+function getBudgetFormData() {
+  return {
+    categoryId: Number(elements.budgetCategorySelect.value),
+    amount: elements.budgetAmountInput.value
+  };
+}
+
+// ============================================================
+// SUMMARY
+// ============================================================
+
+/**
+ * Show spending totals for the chosen dates and category
+ * @param {Object|null} summary - From getSummary(); null clears the panel
+ */
+function renderSummary(summary) {
+  if (!summary) {
+    elements.summaryPanel.innerHTML = '';
+    return;
+  }
+
+  if (summary.count === 0) {
+    elements.summaryPanel.innerHTML = '<p class="text-muted">No spending in this period.</p>';
+    return;
+  }
+
+  const { largest } = summary;
+
+  elements.summaryPanel.innerHTML = `
+    <dl class="summary-stats">
+      <div class="summary-stat">
+        <dt>Total</dt>
+        <dd>${formatAmount(summary.total)}</dd>
+      </div>
+      <div class="summary-stat">
+        <dt>Expenses</dt>
+        <dd>${summary.count}</dd>
+      </div>
+      <div class="summary-stat">
+        <dt>Average</dt>
+        <dd>${summary.average === null ? '—' : formatAmount(summary.average)}</dd>
+      </div>
+    </dl>
+    ${largest ? `
+      <p class="summary-largest">
+        Largest: <strong>${formatAmount(largest.base_amount)}</strong>
+        · ${largest.description ? `${escapeHtml(largest.description)} ` : ''}(${escapeHtml(largest.category || '')}, ${formatDate(largest.date)})
+      </p>
+    ` : ''}
+    ${summary.unconvertedCount > 0 ? `
+      <p class="summary-unconverted">${summary.unconvertedCount} expense(s) without an exchange rate aren't counted</p>
+    ` : ''}
+    <ul class="summary-categories">
+      ${summary.byCategory.map(item => `
+        <li class="summary-category">
+          <div class="summary-category-header">
+            <span>${escapeHtml(item.category || '')}</span>
+            <span>${formatAmount(item.total)} · ${item.share}%</span>
+          </div>
+          <div class="summary-bar" role="progressbar"
+               aria-valuemin="0" aria-valuemax="100" aria-valuenow="${item.share}"
+               aria-label="${escapeHtml(item.category || '')} share of spending">
+            <div class="summary-bar-fill" style="width: ${item.share}%"></div>
+          </div>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Get the summary filters
+ * @returns {Object} { from, to, category } - category is '' for all
+ */
+function getSummaryFormData() {
+  return {
+    from: elements.summaryFrom.value,
+    to: elements.summaryTo.value,
+    category: elements.summaryCategorySelect.value
+  };
+}
+
+// ============================================================
+// CURRENCIES
+// ============================================================
+
+/**
+ * Show the base currency and exchange rates, and offer every known
+ * currency in the expense form
+ * @param {Object} data - { baseCurrency, rates, missing } from getRates()
+ */
+function renderRates(data) {
+  const base = data.baseCurrency;
+  elements.baseCurrencyInput.value = base;
+  elements.currencyInput.placeholder = base;
+
+  elements.rateList.innerHTML = data.rates.length === 0
+    ? '<p class="text-muted">No exchange rates yet.</p>'
+    : data.rates.map(rate => `
+      <div class="rate-item">
+        <span>1 ${escapeHtml(base)} = ${Number(rate.rate.toPrecision(6))} ${escapeHtml(rate.currency)}</span>
+        <button type="button" class="rate-delete-btn" data-currency="${escapeHtml(rate.currency)}"
+                aria-label="Remove ${escapeHtml(rate.currency)} rate">×</button>
+      </div>
+    `).join('');
+
+  elements.rateList.querySelectorAll('.rate-delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onDeleteRate(btn.getAttribute('data-currency'));
+    });
+  });
+
+  elements.rateMissing.textContent = data.missing.length > 0
+    ? `⚠️ No rate for ${data.missing.join(', ')}; those expenses are left out of totals.`
+    : '';
+  elements.rateMissing.classList.toggle('hidden', data.missing.length === 0);
+
+  const codes = [base, ...data.rates.map(rate => rate.currency)];
+  elements.currencyOptions.innerHTML = codes
+    .map(code => `<option value="${escapeHtml(code)}"></option>`)
+    .join('');
+}
+
+/**
+ * Get exchange rate form data
+ * @returns {Object} { currency, rate }
+ */
+function getRateFormData() {
+  return {
+    currency: elements.rateCurrencyInput.value.trim().toUpperCase(),
+    rate: parseFloat(elements.rateValueInput.value)
+  };
+}
+
+// ============================================================
+// DELETE CONFIRMATION
+// ============================================================
+
+/**
+ * Handle delete button click with confirmation
+ * @param {number} id
+ */
+function handleDeleteClick(id) {
+  if (confirm('Are you sure you want to delete this expense?')) {
+    onDeleteExpense(id);
+  }
+}
+
+// ============================================================
+// BULK ACTIONS
+// ============================================================
+
+/**
+ * IDs of the expenses ticked in the list
+ * @returns {Array<number>}
+ */
+function getSelectedExpenseIds() {
+  return Array.from(elements.expenseList.querySelectorAll('.select-expense:checked'))
+    .map(checkbox => Number(checkbox.getAttribute('data-id')));
+}
+
+/**
+ * Show the bulk actions bar while expenses are selected
+ * @param {number} count - How many are selected
+ * @param {Array|null} categories - What they can be moved to; null when
+ *   income and spending are mixed (their categories differ)
+ */
+function renderBulkActions(count, categories) {
+  elements.bulkActions.classList.toggle('hidden', count === 0);
+  elements.bulkCount.textContent = `${count} selected`;
+
+  elements.bulkCategorySelect.disabled = !categories;
+  elements.bulkCategoryBtn.disabled = !categories;
+  elements.bulkCategoryBtn.title = categories ? '' : 'Select only expenses or only income to change their category';
+  if (categories) renderCategoryOptions(categories, elements.bulkCategorySelect);
+
+  // Tick "select all" only when every row is ticked
+  const total = elements.expenseList.querySelectorAll('.select-expense').length;
+  elements.expenseList.querySelectorAll('.select-all-expenses').forEach(checkbox => {
+    checkbox.checked = count > 0 && count === total;
+    checkbox.indeterminate = count > 0 && count < total;
+  });
+}
+
+// ============================================================
+// GROUPS
+// ============================================================
+
+/**
+ * Fill the group pickers (expense form and groups section)
+ * @param {Array} groups - From getGroups()
+ * @param {number|null} selectedId - Group shown in the groups section
+ */
+function renderGroupOptions(groups, selectedId) {
+  const formValue = elements.groupSelect.value;
+  const options = groups
+    .map(group => `<option value="${group.id}">${escapeHtml(group.name)} (${escapeHtml(group.currency)})</option>`)
+    .join('');
+
+  elements.groupSelect.innerHTML = `<option value="">Just me</option>${options}`;
+  elements.groupSelect.value = groups.some(group => String(group.id) === formValue) ? formValue : '';
+
+  elements.groupListSelect.innerHTML = options;
+  elements.groupListSelect.classList.toggle('hidden', groups.length === 0);
+  if (selectedId) elements.groupListSelect.value = String(selectedId);
+}
+
+/**
+ * Show who paid and a row per member for the chosen group
+ * Everyone is included by default; the number box holds the member's
+ * amount, percentage or shares depending on the split method.
+ * @param {Object|null} group - null hides the fields
+ */
+function renderSplitFields(group) {
+  elements.splitFields.classList.toggle('hidden', !group);
+  if (!group) {
+    elements.splitMembers.innerHTML = '';
+    return;
+  }
+
+  elements.paidBySelect.innerHTML = group.members
+    .map(member => `<option value="${member.id}">${escapeHtml(member.name)}</option>`)
+    .join('');
+  elements.paidBySelect.value = String(group.my_member_id);
+
+  elements.splitMembers.innerHTML = group.members.map(member => `
+    <label class="split-member" data-member-id="${member.id}">
+      <input type="checkbox" checked aria-label="Include ${escapeHtml(member.name)}">
+      <span class="split-member-name">${escapeHtml(member.name)}</span>
+      <input type="number" step="any" min="0" aria-label="${escapeHtml(member.name)}'s part">
+    </label>
+  `).join('');
+
+  updateSplitInputs();
+}
+
+/**
+ * Show or hide the per-member number boxes for the chosen split method
+ */
+function updateSplitInputs() {
+  const method = elements.splitMethodSelect.value;
+  const placeholders = { exact: '0.00', percent: '%', shares: '1' };
+
+  elements.splitMembers.querySelectorAll('input[type="number"]').forEach(input => {
+    input.classList.toggle('hidden', method === 'equal');
+    input.placeholder = placeholders[method] || '';
+  });
+}
+
+/**
+ * Show a group's balances and the payments that would settle them
+ * @param {Object|null} data - { currency, balances, transfers } from getGroupBalances()
+ */
+function renderGroupBalances(data) {
+  if (!data) {
+    elements.groupBalances.innerHTML = '<p class="text-muted">No groups yet. Create one to split costs.</p>';
+    return;
+  }
+
+  const amount = (value) => escapeHtml(formatAmount(Math.abs(value), data.currency));
+  const balances = data.balances.map(member => {
+    const status = member.balance > 0 ? `is owed ${amount(member.balance)}`
+      : member.balance < 0 ? `owes ${amount(member.balance)}`
+        : 'is settled up';
+    const statusClass = member.balance > 0 ? 'balance-owed' : member.balance < 0 ? 'balance-owes' : '';
+    return `
+      <div class="group-balance-item">
+        <span>${escapeHtml(member.name)}</span>
+        <span class="${statusClass}">${status}</span>
+      </div>
+    `;
+  }).join('');
+
+  const transfers = data.transfers.length === 0
+    ? '<p class="text-muted">Everyone is settled up.</p>'
+    : data.transfers.map(transfer => `
+      <div class="group-transfer-item">
+        <span>${escapeHtml(transfer.fromName)} → ${escapeHtml(transfer.toName)}: ${amount(transfer.amount)}</span>
+        <button type="button" class="btn btn-secondary btn-sm settle-btn"
+                data-from="${transfer.from}" data-to="${transfer.to}">Settle</button>
+      </div>
+    `).join('');
+
+  elements.groupBalances.innerHTML = `
+    ${balances}
+    <h3 class="group-transfers-title">To settle up</h3>
+    ${transfers}
+  `;
+
+  elements.groupBalances.querySelectorAll('.settle-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onSettle(Number(btn.getAttribute('data-from')), Number(btn.getAttribute('data-to')));
+    });
+  });
+}
+
+/**
+ * Get new group form data
+ * @returns {Object} { name, members }
+ */
+function getGroupFormData() {
+  return {
+    name: elements.groupNameInput.value.trim(),
+    members: parseMemberInput(elements.groupMembersInput.value)
+  };
+}
+
+// ============================================================
+// ACCOUNTS
+// ============================================================
+
+// Shown next to each account by type
+const ACCOUNT_ICONS = { checking: '🏦', savings: '🐖', credit_card: '💳', cash: '💵', other: '📁' };
+
+/**
+ * Fill the account pickers (expense form and transfer form)
+ * @param {Array} accounts - From getAccounts()
+ * @param {number|null} selectedId - Account to pick in the expense form
+ */
+function renderAccountOptions(accounts, selectedId) {
+  const options = accounts.map(account => `
+    <option value="${account.id}" data-currency="${escapeHtml(account.currency)}">
+      ${ACCOUNT_ICONS[account.type] || ''} ${escapeHtml(account.name)}
+    </option>
+  `).join('');
+
+  elements.accountSelect.innerHTML = `<option value="">No account</option>${options}`;
+  elements.accountSelect.value = accounts.some(account => account.id === selectedId) ? String(selectedId) : '';
+
+  elements.transferFromSelect.innerHTML = options;
+  elements.transferToSelect.innerHTML = options;
+  if (accounts.length > 1) elements.transferToSelect.selectedIndex = 1;
+  elements.transferForm.classList.toggle('hidden', accounts.length < 2);
+  updateTransferInputs();
+}
+
+/**
+ * Ask for the amount received only when the two accounts' currencies differ
+ */
+function updateTransferInputs() {
+  const currencyOf = (select) => select.selectedOptions[0]?.dataset.currency;
+  const from = currencyOf(elements.transferFromSelect);
+  const to = currencyOf(elements.transferToSelect);
+
+  elements.transferToAmountInput.classList.toggle('hidden', from === to);
+  elements.transferToAmountInput.required = from !== to;
+  elements.transferToAmountInput.placeholder = to ? `Received (${to})` : 'Received';
+}
+
+/**
+ * Show each account with its current balance
+ * @param {Array} accounts - From getAccounts()
+ */
+function renderAccounts(accounts) {
+  elements.accountList.innerHTML = accounts.length === 0
+    ? '<p class="text-muted">No accounts yet. Add one to track where money is paid from.</p>'
+    : accounts.map(account => `
+      <div class="account-item">
+        <span>${ACCOUNT_ICONS[account.type] || ''} ${escapeHtml(account.name)}</span>
+        <span class="${account.balance < 0 ? 'balance-owes' : ''}">
+          ${escapeHtml(formatAmount(account.balance, account.currency))}
+          <button type="button" class="account-delete-btn" data-id="${account.id}"
+                  aria-label="Remove ${escapeHtml(account.name)}">×</button>
+        </span>
+      </div>
+    `).join('');
+
+  elements.accountList.querySelectorAll('.account-delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => onDeleteAccount(Number(btn.getAttribute('data-id'))));
+  });
+}
+
+/**
+ * Get new account form data
+ * @returns {Object} { name, type, openingBalance, currency }
+ */
+function getAccountFormData() {
+  return {
+    name: elements.accountNameInput.value.trim(),
+    type: elements.accountTypeSelect.value,
+    openingBalance: elements.accountOpeningInput.value,
+    currency: elements.accountCurrencyInput.value.trim().toUpperCase()
+  };
+}
+
+/**
+ * Get transfer form data
+ * @returns {Object} { fromAccountId, toAccountId, amount, toAmount }
+ */
+function getTransferFormData() {
+  const toAmountHidden = elements.transferToAmountInput.classList.contains('hidden');
+  return {
+    fromAccountId: Number(elements.transferFromSelect.value),
+    toAccountId: Number(elements.transferToSelect.value),
+    amount: elements.transferAmountInput.value,
+    toAmount: toAmountHidden ? null : elements.transferToAmountInput.value
+  };
+}
+
+// ============================================================
+// AUTH SCREEN
+// ============================================================
+
+/**
+ * Show the login screen and hide the app
+ */
+function showLoginScreen() {
+  elements.appMain.classList.add('hidden');
+  elements.userBar.classList.add('hidden');
+  elements.authSection.classList.remove('hidden');
+  elements.authEmailInput.focus();
+}
+
+/**
+ * Show the app for a logged-in user
+ * @param {Object} user - { email }
+ */
+function showAppScreen(user) {
+  elements.authSection.classList.add('hidden');
+  elements.appMain.classList.remove('hidden');
+  elements.userBar.classList.remove('hidden');
+  elements.userEmail.textContent = user?.email || '';
+  hideAuthError();
+}
+
+/**
+ * Switch the auth form between logging in and registering
+ * @param {string} mode - 'login' or 'register'
+ */
+function setAuthMode(mode) {
+  const isRegister = mode === 'register';
+  elements.authTitle.textContent = isRegister ? 'Create Account' : 'Log In';
+  elements.authSubmitBtn.textContent = isRegister ? 'Create Account' : 'Log In';
+  elements.authToggle.textContent = isRegister
+    ? 'Already have an account? Log in'
+    : 'Need an account? Register';
+  elements.authPasswordInput.autocomplete = isRegister ? 'new-password' : 'current-password';
+  hideAuthError();
+}
+
+/**
+ * Get login/register form data
+ * @returns {Object} { email, password }
+ */
+function getAuthFormData() {
+  return {
+    email: elements.authEmailInput.value.trim(),
+    password: elements.authPasswordInput.value
+  };
+}
+
+/**
+ * Clear login/register inputs
+ */
+function clearAuthForm() {
+  elements.authForm.reset();
+}
+
+/**
+ * Show an error on the auth screen
+ * @param {string} message
+ */
+function showAuthError(message) {
+  elements.authError.textContent = message;
+  elements.authError.classList.remove('hidden');
+}
+
+/**
+ * Hide the auth screen error
+ */
+function hideAuthError() {
+  elements.authError.textContent = '';
+  elements.authError.classList.add('hidden');
+}
+
+/**
+ * Disable/enable the auth form while a request is running
+ * @param {boolean} isLoading
+ */
+function setAuthLoading(isLoading) {
+  elements.authSubmitBtn.disabled = isLoading;
+}
+
+// ============================================================
+// EXPENSE HISTORY DRAWER
+// ============================================================
+
+// How each kind of change and each changed field is shown
+const HISTORY_ACTIONS = {
+  create: '➕ Created',
+  update: '✏️ Edited',
+  delete: '🗑️ Deleted',
+  revert: '↩️ Reverted',
+  restore: '♻️ Restored'
+};
+const HISTORY_FIELD_LABELS = {
+  type: 'Type',
+  date: 'Date',
+  amount: 'Amount',
+  currency: 'Currency',
+  category: 'Category',
+  description: 'Description',
+  account_name: 'Account',
+  group_name: 'Group',
+  paid_by: 'Paid by',
+  split_method: 'Split',
+  splits: 'Shares',
+  tags: 'Tags'
+};
+
+/**
+ * Show one snapshot value in the history
+ * @param {string} field
+ * @param {any} value
+ * @param {Object|null} snapshot - The snapshot it came from (for the currency)
+ * @returns {string} Escaped HTML
+ */
+function formatHistoryValue(field, value, snapshot) {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+
+  if (field === 'amount') return escapeHtml(formatAmount(value, snapshot?.currency));
+  if (field === 'date') return escapeHtml(formatDate(value));
+  if (field === 'tags') return escapeHtml(value.join(', '));
+  if (field === 'splits') return escapeHtml(value.map(share => share.amount).join(' / '));
+  if (field === 'paid_by') return `member #${escapeHtml(String(value))}`;
+  return escapeHtml(String(value));
+}
+
+/**
+ * Open the history drawer while its revisions load
+ * @param {string} title - What the expense is called
+ */
+function openHistoryDrawer(title) {
+  elements.historyTitle.textContent = `History: ${title}`;
+  elements.historyList.innerHTML = '<li class="text-muted">Loading…</li>';
+  if (!elements.historyDialog.open) elements.historyDialog.showModal();
+}
+
+/**
+ * Close the history drawer
+ */
+function closeHistoryDrawer() {
+  elements.historyDialog.close();
+}
+
+/**
+ * List an expense's revisions, newest first, each with what it changed.
+ * Every older version can be reverted to; the newest is how it is now.
+ * @param {number} expenseId
+ * @param {Array} revisions - From getExpenseHistory()
+ */
+function renderHistory(expenseId, revisions) {
+  if (revisions.length === 0) {
+    elements.historyList.innerHTML = '<li class="text-muted">No changes recorded yet.</li>';
+    return;
+  }
+
+  elements.historyList.innerHTML = revisions.map((revision, index) => {
+    const changes = revision.action === 'delete' ? [] : revision.changes;
+
+    return `
+      <li class="history-item">
+        <div class="history-item-header">
+          <strong>${HISTORY_ACTIONS[revision.action] || escapeHtml(revision.action)}</strong>
+          <span class="text-muted">
+            ${escapeHtml(formatDateTime(revision.created_at))}
+            · ${revision.actor_email ? escapeHtml(revision.actor_email) : 'Automatic'}
+          </span>
+        </div>
+        ${changes.length > 0 ? `
+          <ul class="history-changes">
+            ${changes.map(change => `
+              <li>
+                <span class="history-field">${HISTORY_FIELD_LABELS[change.field] || escapeHtml(change.field)}</span>
+                ${revision.before ? `<del>${formatHistoryValue(change.field, change.from, revision.before)}</del> →` : ''}
+                <ins>${formatHistoryValue(change.field, change.to, revision.after)}</ins>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        ${index > 0 && revision.after ? `
+          <button type="button" class="btn btn-secondary btn-sm history-revert-btn" data-revision-id="${revision.id}">
+            ↩️ Revert to this version
+          </button>
+        ` : ''}
+      </li>
+    `;
+  }).join('');
+
+  elements.historyList.querySelectorAll('.history-revert-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      onRevertExpense(expenseId, Number(btn.getAttribute('data-revision-id')));
+    });
+  });
+}
+
+// ============================================================
+// TRASH DRAWER
+// ============================================================
+
+/**
+ * Open the trash drawer while its contents load
+ */
+function openTrashDrawer() {
+  elements.trashList.innerHTML = '<li class="text-muted">Loading…</li>';
+  elements.emptyTrashBtn.disabled = true;
+  if (!elements.trashDialog.open) elements.trashDialog.showModal();
+}
+
+/**
+ * Close the trash drawer
+ */
+function closeTrashDrawer() {
+  elements.trashDialog.close();
+}
+
+/**
+ * List the deleted expenses, each with when it goes for good
+ * @param {Array} expenses - From getTrash()
+ */
+function renderTrash(expenses) {
+  elements.emptyTrashBtn.disabled = expenses.length === 0;
+
+  if (expenses.length === 0) {
+    elements.trashList.innerHTML = '<li class="text-muted">The trash is empty.</li>';
+    return;
+  }
+
+  elements.trashList.innerHTML = expenses.map(expense => `
+    <li class="trash-item">
+      <div class="trash-item-header">
+        <strong>${escapeHtml(expense.description || expense.category)}</strong>
+        ${renderExpenseAmount(expense)}
+      </div>
+      <div class="text-muted">
+        ${formatDate(expense.date)} · ${escapeHtml(expense.category)}
+      </div>
+      <div class="text-muted">
+        Deleted ${escapeHtml(formatDateTime(expense.deleted_at))}${expense.purge_at ? ` · gone for good ${escapeHtml(formatDateTime(expense.purge_at))}` : ''}
+      </div>
+      <div class="trash-actions">
+        <button type="button" class="btn btn-secondary btn-sm trash-restore-btn" data-id="${expense.id}">
+          ♻️ Restore
+        </button>
+        <button type="button" class="btn btn-danger btn-sm trash-purge-btn" data-id="${expense.id}">
+          Delete forever
+        </button>
+      </div>
+    </li>
+  `).join('');
+
+  elements.trashList.querySelectorAll('.trash-restore-btn').forEach(btn => {
+    btn.addEventListener('click', () => onRestoreExpense(Number(btn.getAttribute('data-id'))));
+  });
+
+  elements.trashList.querySelectorAll('.trash-purge-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (confirm('Delete this expense for good? This cannot be undone.')) {
+        onPurgeExpense(Number(btn.getAttribute('data-id')));
+      }
+    });
+  });
+}
+
+// ============================================================
+// CSV IMPORT DIALOG
+// ============================================================
+
+/**
+ * Open the import dialog with a clean slate
+ */
+function openImportDialog() {
+  elements.importFile.value = '';
+  elements.importMapping.classList.add('hidden');
+  elements.importSummary.classList.add('hidden');
+  elements.importPreview.innerHTML = '';
+  elements.importPreviewBtn.disabled = true;
+  elements.importConfirmBtn.disabled = true;
+  hideImportError();
+  elements.importDialog.showModal();
+}
+
+/**
+ * Close the import dialog
+ */
+function closeImportDialog() {
+  elements.importDialog.close();
+}
+
+/**
+ * Read import settings from the dialog
+ * @returns {Object} { mapping, dateFormat, hasHeader }
+ */
+function getImportOptions() {
+  const mapping = {};
+  elements.importMapSelects.forEach(select => {
+    if (select.value !== '') mapping[select.dataset.field] = Number(select.value);
+  });
+
+  return {
+    mapping,
+    dateFormat: elements.importDateFormat.value,
+    hasHeader: elements.importHasHeader.checked
+  };
+}
+
+/**
+ * Fill the column pickers from the file's columns
+ * @param {Object} preview - { headers, columnCount, columns: { field: index } }
+ */
+function renderImportMapping(preview) {
+  const labels = Array.from({ length: preview.columnCount }, (_, i) => (
+    preview.headers?.[i] || `Column ${i + 1}`
+  ));
+
+  elements.importMapSelects.forEach(select => {
+    select.innerHTML = `
+      <option value="">-- None --</option>
+      ${labels.map((label, i) => `<option value="${i}">${escapeHtml(label)}</option>`).join('')}
+    `;
+    const index = preview.columns?.[select.dataset.field];
+    select.value = index === undefined ? '' : String(index);
+  });
+
+  elements.importMapping.classList.remove('hidden');
+}
+
+/**
+ * Show the dry-run result: a row per expense with its errors
+ * @param {Object} preview - Dry-run response from importExpenses()
+ */
+function renderImportPreview(preview) {
+  hideImportError();
+
+  if (preview.mappingErrors?.length) {
+    showImportError(preview.mappingErrors.map(e => e.message).join(', '));
+  }
+
+  elements.importSummary.textContent =
+    `${preview.total} row(s): ${preview.valid} ready, ${preview.invalid} with errors`;
+  elements.importSummary.classList.remove('hidden');
+
+  elements.importPreview.innerHTML = preview.rows.length === 0 ? '' : `
+    <table>
+      <thead>
+        <tr>
+          <th>Row</th>
+          <th>Date</th>
+          <th>Amount</th>
+          <th>Category</th>
+          <th>Description</th>
+          <th>Errors</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${preview.rows.map(({ row, expense, errors }) => `
+          <tr class="${errors.length ? 'import-row-invalid' : ''}">
+            <td>${row}</td>
+            <td>${escapeHtml(String(expense.date || ''))}</td>
+            <td>${Number.isFinite(expense.amount) ? formatAmount(expense.amount, expense.currency || undefined) : '—'}</td>
+            <td>${escapeHtml(String(expense.category || ''))}</td>
+            <td>${escapeHtml(expense.description || '')}</td>
+            <td>${escapeHtml(errors.map(e => e.message).join('; '))}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  // Only a fully valid file can be imported
+  elements.importConfirmBtn.disabled = preview.total === 0 || preview.invalid > 0;
+  elements.importConfirmBtn.textContent = `Import ${preview.valid} expense(s)`;
+}
+
+/**
+ * Show an error inside the import dialog
+ * @param {string} message
+ */
+function showImportError(message) {
+  elements.importError.textContent = message;
+  elements.importError.classList.remove('hidden');
+}
+
+/**
+ * Hide the import dialog error
+ */
+function hideImportError() {
+  elements.importError.textContent = '';
+  elements.importError.classList.add('hidden');
+}
+
+/**
+ * Disable/enable the import dialog buttons while a request runs
+ * @param {boolean} isLoading
+ */
+function setImportLoading(isLoading) {
+  elements.importPreviewBtn.disabled = isLoading;
+  elements.importConfirmBtn.disabled = true;
+}
+
+// ============================================================
+// OFFLINE SYNC
+// ============================================================
+
+const SYNC_ACTIONS = { create: 'Adding', update: 'Editing', delete: 'Deleting' };
+
+/**
+ * Say whether the backend can be reached and how many changes wait for it
+ * @param {number} pendingCount
+ * @param {boolean} isOffline
+ */
+function renderSyncStatus(pendingCount, isOffline) {
+  const waiting = `${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting to sync`;
+  elements.syncStatusText.textContent = isOffline
+    ? `📴 Offline${pendingCount > 0 ? ` · ${waiting}` : ''}`
+    : `⏳ ${waiting}`;
+  elements.syncNowBtn.classList.toggle('hidden', pendingCount === 0);
+  elements.syncStatus.classList.toggle('hidden', !isOffline && pendingCount === 0);
+}
+
+/**
+ * One line about an expense: date, category, amount and description
+ * @param {Object} expense
+ * @returns {string} HTML
+ */
+function describeSyncExpense(expense) {
+  return [
+    expense.date && formatDate(expense.date),
+    expense.category && escapeHtml(expense.category),
+    expense.amount !== undefined && formatAmount(expense.amount, expense.currency || undefined),
+    expense.description && `“${escapeHtml(truncate(expense.description, 40))}”`
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * List the changes the server turned down, with what it has now
+ * @param {Array} conflicts - From getSyncConflicts()
+ */
+function renderSyncConflicts(conflicts) {
+  elements.syncConflicts.classList.toggle('hidden', conflicts.length === 0);
+
+  elements.syncConflictList.innerHTML = conflicts.map(conflict => `
+    <li class="sync-conflict">
+      <div>
+        <strong>${SYNC_ACTIONS[conflict.op]}</strong>
+        ${describeSyncExpense({ ...conflict.current, ...conflict.data })}
+      </div>
+      <div class="sync-conflict-reason">${escapeHtml(conflict.message)}</div>
+      ${conflict.current ? `
+        <div class="sync-conflict-current">Now on the server: ${describeSyncExpense(conflict.current)}</div>
+      ` : ''}
+      <div class="sync-conflict-actions">
+        ${conflict.canOverwrite ? `
+          <button type="button" class="btn btn-primary btn-sm conflict-keep-btn" data-key="${conflict.key}">
+            Keep mine
+          </button>
+        ` : ''}
+        <button type="button" class="btn btn-secondary btn-sm conflict-discard-btn" data-key="${conflict.key}">
+          ${conflict.canOverwrite ? 'Keep the server’s' : 'Discard'}
+        </button>
+      </div>
+    </li>
+  `).join('');
+
+  elements.syncConflictList.querySelectorAll('.conflict-keep-btn').forEach(btn => {
+    btn.addEventListener('click', () => onResolveConflict(btn.getAttribute('data-key'), true));
+  });
+  elements.syncConflictList.querySelectorAll('.conflict-discard-btn').forEach(btn => {
+    btn.addEventListener('click', () => onResolveConflict(btn.getAttribute('data-key'), false));
+  });
 }
 
 // ============================================================
@@ -304,10 +2054,12 @@ function hideLoading() {
 // ============================================================
 
 /**
- * Re-render on window resize (responsive)
+ * Re-render on window resize (responsive); the charts are redrawn with
+ * the list, at the new width
+ * @param {Function} getItems - Returns the expenses currently shown
  */
-function setupResponsiveListener(expenses) {
+function setupResponsiveListener(getItems) {
   window.addEventListener('resize', () => {
-    renderExpenseList(expenses);
+    renderExpenseList(getItems());
   });
 }
@@ -20,41 +20,83 @@ function formatDate(dateStr) {
   return date.toLocaleDateString('en-US', options);
 }
 
+/**
+ * Format a server timestamp (UTC, "YYYY-MM-DD HH:MM:SS") in local time
+ * @param {string} timestamp
+ * @returns {string} Formatted like "Jan 15, 2024, 3:45 PM"
+ */
+function formatDateTime(timestamp) {
+  if (!timestamp) return '';
+
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  const options = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+  return date.toLocaleString('en-US', options);
+}
+
 /**
  * Get today's date in YYYY-MM-DD format (for form default)
  * @returns {string}
  */
 function getTodayDate() {
   const today = new Date();
-  return today.toISOString().split('T');
+  return today.toISOString().split('T')[0];
+}
+
+/**
+ * Get the current month in YYYY-MM format
+ * @returns {string}
+ */
+function getCurrentMonth() {
+  return new Date().toISOString().slice(0, 7);
 }
 
 // ============================================================
 // CURRENCY FORMATTING
 // ============================================================
 
+// Currency totals are shown in (the user's base currency, set after login)
+let baseCurrency = 'USD';
+
+/**
+ * Set the currency amounts are shown in by default
+ * @param {string} code - Currency code like "EUR"
+ */
+function setBaseCurrency(code) {
+  baseCurrency = code || 'USD';
+}
+
+/**
+ * Get the currency amounts are shown in by default
+ * @returns {string}
+ */
+function getBaseCurrency() {
+  return baseCurrency;
+}
+
 /**
  * Format number as currency
  * @param {number} amount - Amount to format
- * @returns {string} Formatted like "$12.50"
+ * @param {string} currency - Currency code (defaults to the base currency)
+ * @returns {string} Formatted like "$12.50" or "€12.50"
  */
-function formatCurrency(amount) {
+function formatCurrency(amount, currency = baseCurrency) {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD'
+    currency
   }).format(amount);
 }
 
 /**
  * Format amount for display (with currency symbol)
  * @param {number} amount
+ * @param {string} currency - Currency code (defaults to the base currency)
  * @returns {string}
  */
-function formatAmount(amount) {
+function formatAmount(amount, currency = baseCurrency) {
   if (typeof amount !== 'number') {
     amount = parseFloat(amount) || 0;
   }
-  return formatCurrency(amount);
+  return formatCurrency(amount, currency);
 }
 
 // ============================================================
@@ -144,7 +186,8 @@ function validateField(field, value) {
 // ============================================================
 
 /**
- * Calculate total of all expenses
+ * Calculate total of all expenses in the base currency
+ * Expenses the server couldn't convert (no exchange rate) add nothing.
  * @param {Array} expenses - Array of expense objects
  * @returns {number} Sum of all amounts
  */
@@ -154,10 +197,70 @@ function calculateTotal(expenses) {
   }
   
   return expenses.reduce((sum, expense) => {
-    return sum + (parseFloat(expense.amount) || 0);
+    const amount = 'base_amount' in expense ? expense.base_amount : expense.amount;
+    return sum + (parseFloat(amount) || 0);
   }, 0);
 }
 
+/**
+ * Income, spending and what's left, in the base currency
+ * @param {Array} records - Expenses and income (type 'income')
+ * @returns {Object} { income, expenses, net }
+ */
+function calculateCashFlow(records) {
+  const income = calculateTotal(records.filter(record => record.type === 'income'));
+  const expenses = calculateTotal(records.filter(record => record.type !== 'income'));
+  return { income, expenses, net: income - expenses };
+}
+
+/**
+ * Split the form's comma-separated tag text into tags
+ * Blanks and case-insensitive repeats are dropped; the server does the rest.
+ * @param {string} text - e.g. "work-trip-berlin, tax-deductible"
+ * @returns {Array<string>}
+ */
+function parseTagInput(text) {
+  const seen = new Set();
+  return (text || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Split the group form's member list into members
+ * "Bob" is a name only; "Cat <cat@example.com>" or "cat@example.com"
+ * also links the member to that account so they can see the group.
+ * @param {string} text - Comma-separated entries
+ * @returns {Array<Object>} [{ name, email }]
+ */
+function parseMemberInput(text) {
+  return (text || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const named = entry.match(/^(.*?)\s*<([^>]+)>$/);
+      if (named) return { name: named[1] || named[2], email: named[2].trim() };
+      if (entry.includes('@')) return { name: entry, email: entry };
+      return { name: entry, email: null };
+    });
+}
+
+/**
+ * Count expenses left out of the total for lack of an exchange rate
+ * @param {Array} expenses
+ * @returns {number}
+ */
+function countUnconverted(expenses) {
+  return expenses.filter(expense => expense.base_amount === null).length;
+}
+
 /**
  * Group expenses by category
  * @param {Array} expenses
@@ -216,6 +319,36 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, char => map[char]);
 }
 
+/**
+ * Render search-highlighted text safely: everything is escaped except
+ * the <mark> tags the search API puts around matches
+ * @param {string} text
+ * @returns {string} HTML
+ */
+function renderHighlight(text) {
+  return escapeHtml(text)
+    .replace(/&lt;mark&gt;/g, '<mark>')
+    .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+// ============================================================
+// TIMING
+// ============================================================
+
+/**
+ * Delay calls until input has paused (e.g. while typing)
+ * @param {Function} fn
+ * @param {number} wait - ms
+ * @returns {Function}
+ */
+function debounce(fn, wait = 300) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
 // ============================================================
 // LOCAL STORAGE
 // ============================================================